@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server"
+import { listAuditLog } from "@/lib/server/audit"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/activity - recent changes to any student, newest first
+ * Pass `?limit=<n>` to cap the number of entries. Instructors only see
+ * changes to students in their courses.
+ */
+export async function GET(request) {
+  try {
+    const user = await requireUser(request)
+    const limit = Number.parseInt(request.nextUrl.searchParams.get("limit"))
+    const entries = await listAuditLog({ limit: limit > 0 ? limit : undefined, user })
+    return NextResponse.json({ entries })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
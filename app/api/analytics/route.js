@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server"
+import { getEnrollmentAnalytics } from "@/lib/server/analytics"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+import { parseAnalyticsDays } from "@/lib/analytics"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/analytics - enrollment trends, per-course numbers and monthly cohorts
+ * Pass `?days=7|30|90|365` for the time window, or `?days=0` for all time.
+ * Instructors only get numbers for their own students and courses.
+ */
+export async function GET(request) {
+  try {
+    const user = await requireUser(request)
+    const days = parseAnalyticsDays(request.nextUrl.searchParams.get("days"))
+    const analytics = await getEnrollmentAnalytics({ days, user })
+    return NextResponse.json({ analytics })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server"
+import { updateAssessment, deleteAssessment } from "@/lib/server/assessments"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * PATCH /api/assessments/:id - change an assessment's name, max score and/or weight
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const user = await requireUser(request, "classes:edit")
+    const assessment = await updateAssessment(params.id, await readJson(request), { user })
+    return NextResponse.json({ assessment })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * DELETE /api/assessments/:id - delete an assessment and its scores
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await requireUser(request, "classes:edit")
+    await deleteAssessment(params.id, { user })
+    return new NextResponse(null, { status: 204 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server"
+import { recordScores } from "@/lib/server/assessments"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * PUT /api/assessments/:id/scores - record scores
+ * Body: `{ scores: { [studentId]: number | null } }`
+ */
+export async function PUT(request, { params }) {
+  try {
+    const user = await requireUser(request, "classes:edit")
+    const body = await readJson(request)
+    const assessment = await recordScores(params.id, body?.scores, { user })
+    return NextResponse.json({ assessment })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
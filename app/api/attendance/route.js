@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server"
+import { getAttendanceSummaries } from "@/lib/server/sessions"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/attendance?students=<id>,<id> - attendance totals for those students across all courses
+ */
+export async function GET(request) {
+  try {
+    const user = await requireUser(request)
+    const studentIds = (request.nextUrl.searchParams.get("students") || "").split(",").filter(Boolean)
+    const attendance = await getAttendanceSummaries(studentIds, { user })
+    return NextResponse.json({ attendance })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server"
+import { SESSION_COOKIE, getSessionUser, signIn, signOut, setSessionCookie, clearSessionCookie } from "@/lib/server/auth"
+import { hasUsers } from "@/lib/server/users"
+import { errorResponse, readJson } from "@/lib/server/errors"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/auth/session - who is signed in
+ * Responds with `{ user }` (null when signed out) and `needsSetup`, which is
+ * true until the first admin account has been created.
+ */
+export async function GET(request) {
+  try {
+    const user = await getSessionUser(request.cookies.get(SESSION_COOKIE)?.value)
+    return NextResponse.json({ user, needsSetup: !user && !(await hasUsers()) })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * POST /api/auth/session - sign in with `{ username, password }`
+ */
+export async function POST(request) {
+  try {
+    const session = await signIn(await readJson(request))
+    const response = NextResponse.json({ user: session.user })
+    setSessionCookie(request, response, session)
+    return response
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * DELETE /api/auth/session - sign out
+ */
+export async function DELETE(request) {
+  try {
+    await signOut(request.cookies.get(SESSION_COOKIE)?.value)
+    const response = new NextResponse(null, { status: 204 })
+    clearSessionCookie(response)
+    return response
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server"
+import { createSession, setSessionCookie } from "@/lib/server/auth"
+import { createUser } from "@/lib/server/users"
+import { errorResponse, readJson } from "@/lib/server/errors"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * POST /api/auth/setup - create the first admin (`{ username, name, password }`) and sign them in
+ * Refused with a 409 once any account exists.
+ */
+export async function POST(request) {
+  try {
+    const data = await readJson(request)
+    const user = await createUser({ ...data, role: "admin" }, { firstAdmin: true })
+    const session = await createSession(user)
+    const response = NextResponse.json({ user: session.user }, { status: 201 })
+    setSessionCookie(request, response, session)
+    return response
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
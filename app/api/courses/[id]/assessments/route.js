@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server"
+import { listAssessments, createAssessment } from "@/lib/server/assessments"
+import { parseCourseId } from "@/lib/server/courses"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/courses/:id/assessments - list a course's assessments with their scores
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await requireUser(request)
+    const assessments = await listAssessments(parseCourseId(params.id), { user })
+    return NextResponse.json({ assessments })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * POST /api/courses/:id/assessments - add an assessment (`{ name, maxScore, weight }`) to a course
+ */
+export async function POST(request, { params }) {
+  try {
+    const user = await requireUser(request, "classes:edit")
+    const assessment = await createAssessment(parseCourseId(params.id), await readJson(request), { user })
+    return NextResponse.json({ assessment }, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
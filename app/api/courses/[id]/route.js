@@ -0,0 +1,50 @@
+import { NextResponse } from "next/server"
+import { getCourse, updateCourse, deleteCourse, parseCourseId } from "@/lib/server/courses"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/courses/:id - fetch a single course
+ */
+export async function GET(request, { params }) {
+  try {
+    await requireUser(request)
+    const course = await getCourse(parseCourseId(params.id))
+    return NextResponse.json({ course })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * PATCH /api/courses/:id - rename and/or archive a course
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await requireUser(request, "courses:manage")
+    const course = await updateCourse(parseCourseId(params.id), await readJson(request))
+    return NextResponse.json({ course })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * DELETE /api/courses/:id - delete a course
+ * Pass `?reassignTo=<courseId>` to move enrolled students first.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await requireUser(request, "courses:manage")
+    const reassignTo = request.nextUrl.searchParams.get("reassignTo")
+    await deleteCourse(parseCourseId(params.id), {
+      reassignTo: reassignTo ? parseCourseId(reassignTo) : undefined,
+      actor: user.name,
+    })
+    return new NextResponse(null, { status: 204 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server"
+import { listSessions, createSession } from "@/lib/server/sessions"
+import { parseCourseId } from "@/lib/server/courses"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/courses/:id/sessions - list a course's sessions with their roll call, oldest first
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await requireUser(request)
+    const sessions = await listSessions(parseCourseId(params.id), { user })
+    return NextResponse.json({ sessions })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * POST /api/courses/:id/sessions - add a session (`{ date, topic }`) to a course
+ */
+export async function POST(request, { params }) {
+  try {
+    const user = await requireUser(request, "classes:edit")
+    const session = await createSession(parseCourseId(params.id), await readJson(request), { user })
+    return NextResponse.json({ session }, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
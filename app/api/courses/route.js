@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server"
+import { listCourses, createCourse } from "@/lib/server/courses"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/courses - list active courses (`?includeArchived=true` for all)
+ */
+export async function GET(request) {
+  try {
+    await requireUser(request)
+    const includeArchived = request.nextUrl.searchParams.get("includeArchived") === "true"
+    const courses = await listCourses({ includeArchived })
+    return NextResponse.json({ courses })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * POST /api/courses - create a course
+ */
+export async function POST(request) {
+  try {
+    await requireUser(request, "courses:manage")
+    const course = await createCourse(await readJson(request))
+    return NextResponse.json({ course }, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
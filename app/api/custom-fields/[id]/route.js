@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server"
+import { updateCustomField, deleteCustomField } from "@/lib/server/custom-fields"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * PATCH /api/custom-fields/:id - change a field's label, choices or required flag
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await requireUser(request, "courses:manage")
+    const field = await updateCustomField(params.id, await readJson(request))
+    return NextResponse.json({ field })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * DELETE /api/custom-fields/:id - delete a field and every student's value for it
+ */
+export async function DELETE(request, { params }) {
+  try {
+    await requireUser(request, "courses:manage")
+    await deleteCustomField(params.id)
+    return new NextResponse(null, { status: 204 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
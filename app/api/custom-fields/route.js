@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server"
+import { listCustomFields, createCustomField } from "@/lib/server/custom-fields"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/custom-fields - list the custom student fields, in display order
+ */
+export async function GET(request) {
+  try {
+    await requireUser(request)
+    const fields = await listCustomFields()
+    return NextResponse.json({ fields })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * POST /api/custom-fields - add a field (`{ label, type, options?, required? }`)
+ */
+export async function POST(request) {
+  try {
+    await requireUser(request, "courses:manage")
+    const field = await createCustomField(await readJson(request))
+    return NextResponse.json({ field }, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
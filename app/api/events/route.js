@@ -0,0 +1,75 @@
+import { subscribe } from "@/lib/server/events"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser, findSessionUser, getSessionUser, SESSION_COOKIE } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+// A comment line every so often keeps proxies from closing a quiet connection
+const KEEP_ALIVE_MS = 25000
+
+/**
+ * GET /api/events - a server-sent event stream of student changes
+ * Each `student` event carries the change's audit entry as JSON (see
+ * lib/server/events.js). Instructors only hear about students in their courses.
+ * The stream ends once the session does: the browser reconnects and gets a 401.
+ */
+export async function GET(request) {
+  try {
+    await requireUser(request)
+    const token = request.cookies.get(SESSION_COOKIE)?.value
+    const encoder = new TextEncoder()
+    let stop
+
+    const stream = new ReadableStream({
+      start(controller) {
+        const send = (text) => {
+          try {
+            controller.enqueue(encoder.encode(text))
+          } catch {
+            // The browser has gone and the stream is closed
+            stop()
+          }
+        }
+        const close = () => {
+          stop()
+          try {
+            controller.close()
+          } catch {
+            // Already closed
+          }
+        }
+        const unsubscribe = subscribe({
+          getUser: (db) => findSessionUser(db, token),
+          listener: (entry) => send(`event: student\ndata: ${JSON.stringify(entry)}\n\n`),
+          onRevoked: close,
+        })
+        // Checking the session here too ends a quiet stream that nothing would be published to
+        const keepAlive = setInterval(async () => {
+          const user = await getSessionUser(token).catch(() => null)
+          if (user) send(": keep-alive\n\n")
+          else close()
+        }, KEEP_ALIVE_MS)
+        stop = () => {
+          unsubscribe()
+          clearInterval(keepAlive)
+        }
+        // Tell the browser how long to wait before reconnecting after a dropped connection
+        send("retry: 5000\n\n")
+      },
+      cancel() {
+        stop()
+      },
+    })
+    request.signal.addEventListener("abort", () => stop())
+
+    return new Response(stream, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+      },
+    })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
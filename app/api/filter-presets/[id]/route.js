@@ -0,0 +1,19 @@
+import { NextResponse } from "next/server"
+import { deleteFilterPreset } from "@/lib/server/filter-presets"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * DELETE /api/filter-presets/:id - delete one of the user's presets
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await requireUser(request)
+    await deleteFilterPreset(params.id, { owner: user.id })
+    return new NextResponse(null, { status: 204 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
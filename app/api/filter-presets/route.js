@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server"
+import { listFilterPresets, saveFilterPreset } from "@/lib/server/filter-presets"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/filter-presets - list the requesting user's saved filter presets
+ */
+export async function GET(request) {
+  try {
+    const user = await requireUser(request)
+    const presets = await listFilterPresets(user.id)
+    return NextResponse.json({ presets })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * POST /api/filter-presets - save `{ name, query }` as a preset, replacing
+ * the user's preset of the same name
+ */
+export async function POST(request) {
+  try {
+    const user = await requireUser(request)
+    const preset = await saveFilterPreset(await readJson(request), { owner: user.id })
+    return NextResponse.json({ preset }, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
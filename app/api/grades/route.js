@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server"
+import { getGradeSummaries } from "@/lib/server/assessments"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/grades?students=<id>,<id> - final grades for those students across all courses
+ */
+export async function GET(request) {
+  try {
+    const user = await requireUser(request)
+    const studentIds = (request.nextUrl.searchParams.get("students") || "").split(",").filter(Boolean)
+    const grades = await getGradeSummaries(studentIds, { user })
+    return NextResponse.json({ grades })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
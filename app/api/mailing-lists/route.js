@@ -0,0 +1,19 @@
+import { NextResponse } from "next/server"
+import { listMailingLists } from "@/lib/server/mailing-lists"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/mailing-lists - list mailing lists with their member emails (admins only)
+ */
+export async function GET(request) {
+  try {
+    await requireUser(request, "students:manage")
+    const mailingLists = await listMailingLists()
+    return NextResponse.json({ mailingLists })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server"
+import { recordAttendance } from "@/lib/server/sessions"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * PUT /api/sessions/:id/attendance - record roll call
+ * Body: `{ records: { [studentId]: "present" | "late" | "absent" | null } }`
+ */
+export async function PUT(request, { params }) {
+  try {
+    const user = await requireUser(request, "classes:edit")
+    const body = await readJson(request)
+    const session = await recordAttendance(params.id, body?.records, { user })
+    return NextResponse.json({ session })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
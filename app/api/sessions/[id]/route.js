@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server"
+import { updateSession, deleteSession } from "@/lib/server/sessions"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * PATCH /api/sessions/:id - change a session's date and/or topic
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const user = await requireUser(request, "classes:edit")
+    const session = await updateSession(params.id, await readJson(request), { user })
+    return NextResponse.json({ session })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * DELETE /api/sessions/:id - delete a session and its roll call
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await requireUser(request, "classes:edit")
+    await deleteSession(params.id, { user })
+    return new NextResponse(null, { status: 204 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server"
+import { listAuditLog } from "@/lib/server/audit"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/students/:id/history - every recorded change to one student, newest first
+ * Works for trashed and purged students too, since the log outlives the record.
+ * Instructors only see the history of active students in their courses.
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await requireUser(request)
+    const entries = await listAuditLog({ studentId: params.id, user })
+    return NextResponse.json({ entries })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from "next/server"
+import { restoreStudent } from "@/lib/server/students"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * POST /api/students/:id/restore - take a student back out of the trash (admins only)
+ */
+export async function POST(request, { params }) {
+  try {
+    const user = await requireUser(request, "students:manage")
+    const student = await restoreStudent(params.id, { actor: user.name })
+    return NextResponse.json({ student })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
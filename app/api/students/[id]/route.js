@@ -0,0 +1,55 @@
+import { NextResponse } from "next/server"
+import { getStudent, updateStudent, deleteStudent, purgeStudent } from "@/lib/server/students"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/students/:id - fetch a single student
+ * Instructors get a 404 for students outside their courses.
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await requireUser(request)
+    const student = await getStudent(params.id, { user })
+    return NextResponse.json({ student })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * PATCH /api/students/:id - update some or all fields of a student
+ * Send the `version` the edit started from to get a 409 instead of
+ * overwriting someone else's change; `details.current` is the student as saved.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const user = await requireUser(request, "students:edit")
+    const student = await updateStudent(params.id, await readJson(request), { actor: user.name, user })
+    return NextResponse.json({ student })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * DELETE /api/students/:id - move a student to the trash
+ * Pass `?permanent=true` to purge a student that is already in the trash.
+ * Admins only.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await requireUser(request, "students:manage")
+    const options = { actor: user.name }
+    if (request.nextUrl.searchParams.get("permanent") === "true") {
+      await purgeStudent(params.id, options)
+    } else {
+      await deleteStudent(params.id, options)
+    }
+    return new NextResponse(null, { status: 204 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
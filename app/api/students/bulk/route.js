@@ -0,0 +1,57 @@
+import { NextResponse } from "next/server"
+import { deleteStudents, restoreStudents, purgeStudents, moveStudents } from "@/lib/server/students"
+import { parseCourseId } from "@/lib/server/courses"
+import { addToMailingList } from "@/lib/server/mailing-lists"
+import { ApiError, errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * POST /api/students/bulk - apply one action to many students
+ *
+ * Body: `{ action, ids, ... }` where action is one of
+ * - "delete" (moves to the trash), "restore" and "purge" (trashed students only)
+ * - "move" with `fromCourseId` and `toCourseId`
+ * - "mailing-list" with `listName`
+ *
+ * Admins only.
+ */
+export async function POST(request) {
+  try {
+    const { name: actor } = await requireUser(request, "students:manage")
+    const { action, ids, ...options } = await readJson(request)
+
+    switch (action) {
+      case "delete": {
+        const deletedIds = await deleteStudents(ids, { actor })
+        return NextResponse.json({ deletedIds })
+      }
+      case "restore": {
+        const students = await restoreStudents(ids, { actor })
+        return NextResponse.json({ students })
+      }
+      case "purge": {
+        const purgedIds = await purgeStudents(ids, { actor })
+        return NextResponse.json({ purgedIds })
+      }
+      case "move": {
+        const students = await moveStudents(
+          ids,
+          parseCourseId(options.fromCourseId),
+          parseCourseId(options.toCourseId),
+          { actor },
+        )
+        return NextResponse.json({ students })
+      }
+      case "mailing-list": {
+        const result = await addToMailingList(options.listName, ids)
+        return NextResponse.json(result)
+      }
+      default:
+        throw new ApiError(400, `Unknown bulk action "${action}"`)
+    }
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
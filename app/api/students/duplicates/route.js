@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server"
+import { findDuplicateStudents } from "@/lib/server/students"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/students/duplicates - pairs of students that may be the same person
+ * Admins only, since resolving them means merging.
+ */
+export async function GET(request) {
+  try {
+    await requireUser(request, "students:manage")
+    const duplicates = await findDuplicateStudents()
+    return NextResponse.json({ duplicates })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
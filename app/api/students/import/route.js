@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server"
+import { importStudents } from "@/lib/server/students"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * POST /api/students/import - create many students in one request
+ * Body: `{ students: [...] }`. Invalid rows are skipped and reported back.
+ * Admins only.
+ */
+export async function POST(request) {
+  try {
+    const user = await requireUser(request, "students:manage")
+    const { students } = await readJson(request)
+    const result = await importStudents(students, { actor: user.name })
+    return NextResponse.json(result, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
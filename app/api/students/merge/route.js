@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server"
+import { mergeStudents } from "@/lib/server/students"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * POST /api/students/merge - combine duplicate students into one record
+ *
+ * Body: `{ ids, choices }` where `choices` maps name, email, profileImage and
+ * enrollments to the ID of the student whose value wins (enrollments may
+ * also be "combine"). The oldest student survives; the rest are removed.
+ * Admins only.
+ */
+export async function POST(request) {
+  try {
+    const user = await requireUser(request, "students:manage")
+    const { ids, choices } = await readJson(request)
+    const result = await mergeStudents(ids, choices, { actor: user.name })
+    return NextResponse.json(result)
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from "next/server"
+import { listStudents, queryStudents, createStudent } from "@/lib/server/students"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+import { parseStudentQuery } from "@/lib/student-query"
+
+// Always read from the store - never serve a build-time snapshot
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/students - search and list students
+ *
+ * Accepts `q`, the filters, `sort`, `page` and `pageSize` (see lib/student-query.js)
+ * and responds with `{ students, total, page, pageSize }`. Without `page`
+ * every matching student is returned at once. `?trash=true` lists trashed
+ * students instead (admins only) and ignores the other parameters.
+ * Instructors only get students in their own courses.
+ */
+export async function GET(request) {
+  try {
+    const params = request.nextUrl.searchParams
+    if (params.get("trash") === "true") {
+      await requireUser(request, "students:manage")
+      const students = await listStudents({ trash: true })
+      return NextResponse.json({ students, total: students.length, page: 1, pageSize: students.length })
+    }
+
+    const user = await requireUser(request)
+    const result = await queryStudents(parseStudentQuery(params), { paginate: params.has("page"), user })
+    return NextResponse.json(result)
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * POST /api/students - create a student
+ */
+export async function POST(request) {
+  try {
+    const user = await requireUser(request, "students:edit")
+    const student = await createStudent(await readJson(request), { actor: user.name, user })
+    return NextResponse.json({ student }, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
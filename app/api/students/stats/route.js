@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server"
+import { getStudentStats } from "@/lib/server/students"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/students/stats - student and enrollment counts for the dashboard
+ * Instructors get the counts for their own students.
+ */
+export async function GET(request) {
+  try {
+    const user = await requireUser(request)
+    const stats = await getStudentStats({ user })
+    return NextResponse.json({ stats })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
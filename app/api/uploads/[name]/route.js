@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server"
+import { readUpload } from "@/lib/server/uploads"
+import { errorResponse } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/uploads/:name - serve a stored avatar
+ *
+ * File names are content hashes, so browsers may cache them for good.
+ */
+export async function GET(request, { params }) {
+  try {
+    await requireUser(request)
+    const image = await readUpload(params.name)
+    return new NextResponse(image, {
+      headers: {
+        "Content-Type": "image/webp",
+        "Cache-Control": "private, max-age=31536000, immutable",
+      },
+    })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
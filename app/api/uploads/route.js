@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server"
+import { saveProfileImage, removeAbandonedUploads } from "@/lib/server/uploads"
+import { readDb } from "@/lib/server/db"
+import { ApiError, errorResponse, readFormData } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * POST /api/uploads - store a profile photo
+ *
+ * Takes multipart form data with an `image` file and an optional `crop`
+ * (JSON `{ left, top, width, height }` in the image's pixels; the centered
+ * square by default). Responds with `{ url }` of the resized avatar, ready
+ * to be saved as a student's `profileImage`. Uploads that were never saved
+ * on a student are cleared out on the way.
+ */
+export async function POST(request) {
+  try {
+    await requireUser(request, "students:edit")
+    const form = await readFormData(request)
+    let crop
+    try {
+      crop = form.has("crop") ? JSON.parse(form.get("crop")) : undefined
+    } catch {
+      throw new ApiError(400, "Crop area must be valid JSON")
+    }
+
+    const url = await saveProfileImage(form.get("image"), crop)
+    await removeAbandonedUploads(await readDb()).catch((error) =>
+      console.error("Error clearing out abandoned uploads:", error),
+    )
+    return NextResponse.json({ url }, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
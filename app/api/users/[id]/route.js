@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server"
+import { updateUser, deleteUser } from "@/lib/server/users"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * PATCH /api/users/:id - change an account's name, role, courses and/or password (admins only)
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await requireUser(request, "users:manage")
+    const user = await updateUser(params.id, await readJson(request))
+    return NextResponse.json({ user })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * DELETE /api/users/:id - remove an account and sign it out (admins only)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await requireUser(request, "users:manage")
+    await deleteUser(params.id, { user })
+    return new NextResponse(null, { status: 204 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
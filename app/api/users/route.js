@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server"
+import { listUsers, createUser } from "@/lib/server/users"
+import { errorResponse, readJson } from "@/lib/server/errors"
+import { requireUser } from "@/lib/server/auth"
+
+export const dynamic = "force-dynamic"
+
+/**
+ * GET /api/users - list accounts (admins only)
+ */
+export async function GET(request) {
+  try {
+    await requireUser(request, "users:manage")
+    const users = await listUsers()
+    return NextResponse.json({ users })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
+
+/**
+ * POST /api/users - add an account (`{ username, name, role, password, courseIds? }`)
+ */
+export async function POST(request) {
+  try {
+    await requireUser(request, "users:manage")
+    const user = await createUser(await readJson(request))
+    return NextResponse.json({ user }, { status: 201 })
+  } catch (error) {
+    return errorResponse(error)
+  }
+}
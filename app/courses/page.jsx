@@ -0,0 +1,40 @@
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+import { ArrowLeft } from "lucide-react"
+import CourseManager from "@/components/course-manager"
+
+/**
+ * Course management screen
+ * Create, rename, archive and delete the courses students can enroll in.
+ */
+export default function CoursesPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <header className="bg-gradient-to-r from-primary via-primary/90 to-secondary shadow-lg border-b">
+        <div className="container mx-auto px-6 py-8">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div className="space-y-2">
+              <h1 className="text-4xl font-heading font-black text-primary-foreground tracking-tight">Courses</h1>
+              <p className="text-primary-foreground/80 text-lg font-medium">Manage the courses students can enroll in</p>
+            </div>
+            <Button
+              asChild
+              size="lg"
+              className="bg-white/20 hover:bg-white/30 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+              variant="outline"
+            >
+              <Link href="/">
+                <ArrowLeft className="w-5 h-5 mr-2" />
+                Back to Dashboard
+              </Link>
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-8 max-w-3xl">
+        <CourseManager />
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,44 @@
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+import { ArrowLeft } from "lucide-react"
+import DuplicateReport from "@/components/duplicate-report"
+
+/**
+ * Possible duplicates screen
+ * Review students that may have been added more than once.
+ */
+export default function DuplicatesPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <header className="bg-gradient-to-r from-primary via-primary/90 to-secondary shadow-lg border-b">
+        <div className="container mx-auto px-6 py-8">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div className="space-y-2">
+              <h1 className="text-4xl font-heading font-black text-primary-foreground tracking-tight">
+                Possible Duplicates
+              </h1>
+              <p className="text-primary-foreground/80 text-lg font-medium">
+                Students with similar names or email addresses
+              </p>
+            </div>
+            <Button
+              asChild
+              size="lg"
+              className="bg-white/20 hover:bg-white/30 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+              variant="outline"
+            >
+              <Link href="/">
+                <ArrowLeft className="w-5 h-5 mr-2" />
+                Back to Dashboard
+              </Link>
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-8 max-w-3xl">
+        <DuplicateReport />
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,27 @@
+import LoginForm from "@/components/login-form"
+
+/**
+ * Sign-in screen
+ * Everything else needs an account; middleware.js sends visitors here with
+ * `?next=<page they wanted>`.
+ */
+export default function LoginPage({ searchParams }) {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <header className="bg-gradient-to-r from-primary via-primary/90 to-secondary shadow-lg border-b">
+        <div className="container mx-auto px-6 py-8">
+          <div className="space-y-2">
+            <h1 className="text-4xl font-heading font-black text-primary-foreground tracking-tight">
+              Student Management
+            </h1>
+            <p className="text-primary-foreground/80 text-lg font-medium">Sign in to continue</p>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-12 flex justify-center">
+        <LoginForm next={searchParams.next} />
+      </main>
+    </div>
+  )
+}
@@ -1,13 +1,78 @@
 "use client"
 
-import { useState, useEffect, useMemo } from "react"
+import { Suspense, useState, useEffect, useMemo, useRef } from "react"
+import { useSearchParams, useRouter, usePathname } from "next/navigation"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { Plus, Users, BookOpen, GraduationCap, TrendingUp, Search, Filter } from "lucide-react"
+import { Plus, Users, BookOpen, GraduationCap, TrendingUp, Search, Filter, Settings, Upload, LayoutGrid, List, Trash2, UserSearch, ArrowUpDown, SlidersHorizontal, BarChart3, CalendarCheck, ClipboardList, Award, ListChecks, UserCog, LogOut, WifiOff } from "lucide-react"
 import { Input } from "@/components/ui/input"
 import StudentList from "@/components/student-list"
+import StudentTable from "@/components/student-table"
 import StudentForm from "@/components/student-form"
-import { fetchCourses } from "@/lib/mock-api"
+import StudentImport from "@/components/student-import"
+import ExportMenu from "@/components/export-menu"
+import BulkActionsBar from "@/components/bulk-actions-bar"
+import ConfirmDialog from "@/components/confirm-dialog"
+import StudentHistory from "@/components/student-history"
+import ActivityFeed from "@/components/activity-feed"
+import Pagination from "@/components/pagination"
+import AdvancedFilters from "@/components/advanced-filters"
+import FilterPresets from "@/components/filter-presets"
+import SyncStatus from "@/components/sync-status"
+import SyncConflicts from "@/components/sync-conflicts"
+import { useAuth } from "@/components/auth-provider"
+import { toast } from "sonner"
+import Link from "next/link"
+import {
+  studentsAPI,
+  coursesAPI,
+  customFieldsAPI,
+  attendanceAPI,
+  gradesAPI,
+  isOfflineError,
+  NetworkError,
+  VersionConflictError,
+} from "@/lib/api"
+import {
+  SORT_FIELDS,
+  parseStudentQuery,
+  toStudentSearchParams,
+  toFilterParams,
+  countAdvancedFilters,
+} from "@/lib/student-query"
+import { useLocalStorage } from "@/hooks/use-local-storage"
+import { useSyncQueue } from "@/hooks/use-sync-queue"
+import { useApiQuery } from "@/hooks/use-api"
+import { useOptimisticStudents } from "@/hooks/use-optimistic-students"
+import { useStudentEvents } from "@/hooks/use-student-events"
+import { loadWithCache } from "@/lib/offline-store"
+import { applyQueuedChanges } from "@/lib/sync-queue"
+import { mergeStaleEdit } from "@/lib/student-conflicts"
+import { getLetterGrade } from "@/lib/grades"
+import { ROLE_LABELS, canAccessCourse } from "@/lib/permissions"
+
+// How long the search box waits for typing to pause before updating the URL
+const SEARCH_DEBOUNCE_MS = 300
+
+// How long to wait after a live change before reloading, so a burst of them (e.g. an import) is one reload
+const LIVE_RELOAD_DELAY_MS = 500
+
+// Stable fallbacks while loading, so memoized values don't recompute every render
+const NO_ITEMS = []
+const NO_SUMMARIES = {}
+
+// Tells a dropped connection apart from the server failing, so the user knows whether retrying can help
+function describeLoadError(err) {
+  if (err instanceof NetworkError) {
+    return err.timedOut
+      ? "The server took too long to respond. Please try again."
+      : "Could not reach the server. Check your connection and try again."
+  }
+  return "Failed to load dashboard data. Please try again."
+}
+
+// Field errors say what was wrong with the data; other errors only have a message
+const describeSaveError = (err) => (err.details ? Object.values(err.details).join(" ") : err.message)
 
 /**
  * Student object structure:
@@ -15,9 +80,14 @@ import { fetchCourses } from "@/lib/mock-api"
  * @property {string} id - Unique identifier
  * @property {string} name - Student's full name
  * @property {string} email - Student's email address
- * @property {number} courseId - ID of enrolled course
+ * @property {Enrollment[]} enrollments - Courses the student has joined (see lib/enrollments.js)
  * @property {string} [profileImage] - Optional profile image URL
- * @property {Date} createdAt - Enrollment date
+ * @property {string} [notes] - Free-form notes about the student
+ * @property {Object<string, string|number>} [customFields] - Admin-defined field values by ID (see lib/custom-fields.js)
+ * @property {Date} createdAt - Date the student record was created
+ * @property {number} version - Goes up with every saved change, so stale edits can be refused
+ * @property {string} updatedAt - When the last change was saved
+ * @property {string[]} [mergedFrom] - IDs of duplicate records merged into this one
  */
 
 /**
@@ -25,8 +95,21 @@ import { fetchCourses } from "@/lib/mock-api"
  * @typedef {Object} Course
  * @property {number} id - Unique course identifier
  * @property {string} name - Course name
+ * @property {boolean} archived - Archived courses keep their students but accept no new ones
+ * @property {number} [studentCount] - Number of students enrolled
  */
 
+function LoadingScreen() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background flex items-center justify-center">
+      <div className="text-center space-y-4 animate-fade-in">
+        <div className="w-16 h-16 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto"></div>
+        <p className="text-muted-foreground font-medium">Loading dashboard...</p>
+      </div>
+    </div>
+  )
+}
+
 /**
  * Main Student Management Dashboard Component
  *
@@ -36,148 +119,430 @@ import { fetchCourses } from "@/lib/mock-api"
  * 3. Performance optimization with useMemo hook
  * 4. Async/await for API calls
  * 5. Event loop understanding through setTimeout demonstrations
+ *
+ * The directory's search, course filter, sort order and page live in the URL
+ * (see lib/student-query.js), so a filtered view can be bookmarked or shared.
+ * Only the current page of students is loaded; the server does the filtering.
+ *
+ * Controls the signed-in user's role doesn't allow are left out (see
+ * lib/permissions.js); instructors only get their own courses' students.
+ *
+ * Courses, stats and every directory page already seen are cached on the
+ * device, so a dropped connection falls back to them instead of an error
+ * screen. Adding, editing and deleting students while offline is queued
+ * and synced on reconnect (see lib/sync-queue.js).
+ *
+ * Changes anyone else saves arrive over a live event stream (GET
+ * /api/events) and reload the current page, so every open dashboard stays
+ * up to date; the edit form warns when its student changes underneath it.
  */
-export default function StudentDashboard() {
-  const [students, setStudents] = useState([
-    {
-      id: "1",
-      name: "Rajesh Patil",
-      email: "rajesh.patil@gmail.com",
-      courseId: 1,
-      profileImage: "/professional-man.png",
-      createdAt: new Date("2025-01-15"),
-    },
-    {
-      id: "2",
-      name: "Om Patel",
-      email: "om.patel@gmail.com",
-      courseId: 2,
-      profileImage: "/professional-man.png",
-      createdAt: new Date("2025-02-20"),
-    },
-    {
-      id: "3",
-      name: "Ansh Bari",
-      email: "ansh.bari@gmail.com",
-      courseId: 1,
-      profileImage: "/professional-man.png",
-      createdAt: new Date("2025-03-10"),
-    },
-  ])
-
-  const [courses, setCourses] = useState([])
+function StudentDashboard() {
+  const router = useRouter()
+  const pathname = usePathname()
+  const searchParams = useSearchParams()
+  const { user, can, signOut } = useAuth()
+  const queryString = searchParams.toString()
+  const query = useMemo(() => parseStudentQuery(new URLSearchParams(queryString)), [queryString])
+
   const [isFormOpen, setIsFormOpen] = useState(false)
+  const [isImportOpen, setIsImportOpen] = useState(false)
   const [editingStudent, setEditingStudent] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [searchTerm, setSearchTerm] = useState("")
-  const [selectedCourse, setSelectedCourse] = useState("all")
+  const [remoteChange, setRemoteChange] = useState(null) // Someone else's change to the student being edited
+  const [editConflict, setEditConflict] = useState(null) // { base, mine } of an edit refused as stale
+  const [searchTerm, setSearchTerm] = useState(query.q)
+  const [deletingStudent, setDeletingStudent] = useState(null)
+  const [historyStudent, setHistoryStudent] = useState(null)
+  // Selected students by ID - kept as objects because a selection can span pages
+  const [selection, setSelection] = useState(() => new Map())
+  const [refreshCount, setRefreshCount] = useState(0)
+  const [showAdvancedFilters, setShowAdvancedFilters] = useState(() => countAdvancedFilters(query) > 0)
+  const [viewMode, setViewMode] = useLocalStorage("student-dashboard:view-mode", "grid") // "grid" or "table"
 
-  const loadCourses = async () => {
-    try {
-      setLoading(true)
-      setError(null)
+  // Archived courses are included so existing students still show their course name
+  const lists = useApiQuery(async (signal) => {
+    const [courseList, fieldList] = await Promise.all([
+      loadWithCache("courses", () => coursesAPI.list({ includeArchived: true, signal })),
+      loadWithCache("custom-fields", () => customFieldsAPI.list({ signal })),
+    ])
+    return { courses: courseList.data, customFields: fieldList.data, savedAt: courseList.savedAt ?? fieldList.savedAt }
+  }, [])
+  const courses = lists.data?.courses ?? NO_ITEMS
+  const customFields = lists.data?.customFields ?? NO_ITEMS
 
-      // Simulate network delay to show loading state
-      await new Promise((resolve) => setTimeout(resolve, 800))
+  // Reload the current page whenever the URL changes or a student is changed
+  const directoryRequest = useApiQuery(
+    (signal) =>
+      loadWithCache(`students?${toStudentSearchParams(query)}`, () => studentsAPI.query(query, { signal })),
+    [query, refreshCount],
+  )
+  // Offline with nothing cached for this query; the directory says so instead of showing an error screen
+  const isDirectoryOffline = isOfflineError(directoryRequest.error)
+  // { students, total, page, pageSize } for the current query
+  const directory = useMemo(
+    () =>
+      isDirectoryOffline
+        ? { students: [], total: 0, page: 1, pageSize: query.pageSize }
+        : directoryRequest.data?.data,
+    [isDirectoryOffline, directoryRequest.data, query.pageSize],
+  )
+  // When the cached data on screen was saved
+  const savedAt = {
+    lists: lists.data?.savedAt ?? null,
+    directory: isDirectoryOffline ? null : (directoryRequest.data?.savedAt ?? null),
+  }
+  const loadError = lists.error || (isDirectoryOffline ? null : directoryRequest.error)
 
-      const coursesData = await fetchCourses()
-      setCourses(coursesData)
-    } catch (err) {
-      setError("Failed to load courses. Please try again.")
-      console.error("Error loading courses:", err)
-    } finally {
-      setLoading(false)
-    }
+  // Stats cover the whole roster, so they only change with the data, not the query
+  const { data: stats } = useApiQuery(
+    async (signal) => (await loadWithCache("stats", () => studentsAPI.stats({ signal }))).data,
+    [refreshCount],
+  )
+
+  // Attendance and grades are only shown on the cards, so fetch them for the students on screen
+  const studentIds = directory?.students.map((student) => student.id) ?? []
+  const { data: attendance = NO_SUMMARIES } = useApiQuery(
+    (signal) => attendanceAPI.summaries(studentIds, { signal }),
+    [directory],
+    { enabled: Boolean(directory) },
+  )
+  const { data: grades = NO_SUMMARIES } = useApiQuery(
+    (signal) => gradesAPI.summaries(studentIds, { signal }),
+    [directory],
+    { enabled: Boolean(directory) },
+  )
+
+  const refresh = () => setRefreshCount((count) => count + 1)
+
+  // Students added, edited or deleted by anyone show up without reloading the page
+  const liveReloadRef = useRef(null)
+  // The version this browser last saved of each student, so the events of its own saves aren't taken for
+  // someone else's changes
+  const ownVersionsRef = useRef(new Map())
+  const isOwnChange = (entry) =>
+    entry.version !== undefined && ownVersionsRef.current.get(entry.studentId) === entry.version
+  useStudentEvents((entry) => {
+    clearTimeout(liveReloadRef.current)
+    liveReloadRef.current = setTimeout(refresh, LIVE_RELOAD_DELAY_MS)
+    if (isFormOpen && editingStudent?.id === entry.studentId && !isOwnChange(entry)) setRemoteChange(entry)
+  })
+  useEffect(() => () => clearTimeout(liveReloadRef.current), [])
+  useEffect(() => setRemoteChange(null), [isFormOpen, editingStudent])
+
+  const offline = useSyncQueue({ onSynced: refresh })
+
+  // Replace cached data with fresh data once the connection is back
+  useEffect(() => {
+    if (!offline.isOnline || (!savedAt.lists && !savedAt.directory && !isDirectoryOffline)) return
+    refresh()
+    if (savedAt.lists) lists.reload()
+  }, [offline.isOnline])
+
+  // The current page as it will be once queued offline changes are synced
+  const syncedStudents = useMemo(
+    () => applyQueuedChanges(directory?.students ?? [], offline.pending),
+    [directory, offline.pending],
+  )
+  // ...with adds, edits and deletes that are still being saved already applied
+  const optimistic = useOptimisticStudents(syncedStudents, directoryRequest.data)
+  const students = optimistic.students
+
+  /**
+   * Writes query changes to the URL, which in turn reloads the directory.
+   * Changing the search, filter or sort starts again from the first page.
+   */
+  const updateQuery = (changes) => {
+    const params = toStudentSearchParams({ ...query, page: 1, ...changes }).toString()
+    router.replace(params ? `${pathname}?${params}` : pathname, { scroll: false })
+  }
+
+  // Saved presets replace the whole query, keeping only the page size
+  const applyFilters = (filters) => {
+    const preset = parseStudentQuery(new URLSearchParams(filters))
+    const params = toStudentSearchParams({ ...preset, pageSize: query.pageSize })
+    router.replace(`${pathname}?${params}`, { scroll: false })
   }
 
+  const advancedFilterCount = countAdvancedFilters(query)
+
+  // Update the URL once typing pauses rather than on every keystroke
   useEffect(() => {
-    loadCourses()
-  }, [])
+    if (searchTerm.trim() === query.q) return
+    const timeout = setTimeout(() => updateQuery({ q: searchTerm.trim() }), SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timeout)
+  }, [searchTerm, query])
 
-  const filteredStudents = useMemo(() => {
-    return students.filter((student) => {
-      const matchesSearch =
-        student.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        student.email.toLowerCase().includes(searchTerm.toLowerCase())
-      const matchesCourse = selectedCourse === "all" || student.courseId.toString() === selectedCourse
-      return matchesSearch && matchesCourse
-    })
-  }, [students, searchTerm, selectedCourse])
+  // Follow the URL when it changes from elsewhere, e.g. the back button
+  useEffect(() => {
+    setSearchTerm((term) => (term.trim() === query.q ? term : query.q))
+  }, [query.q])
+
+  const activeCourses = useMemo(() => courses.filter((course) => !course.archived), [courses])
+  // Instructors can only filter by the courses they teach
+  const filterCourses = useMemo(() => courses.filter((course) => canAccessCourse(user, course.id)), [courses, user])
 
   const dashboardStats = useMemo(() => {
-    const totalStudents = students.length
-    const totalCourses = courses.length
-    const recentEnrollments = students.filter(
-      (student) => new Date() - new Date(student.createdAt) < 30 * 24 * 60 * 60 * 1000,
-    ).length
+    const totalCourses = activeCourses.length
+    const activeEnrollments = stats?.activeEnrollments ?? 0
 
     return {
-      totalStudents,
+      totalStudents: stats?.totalStudents ?? 0,
       totalCourses,
-      recentEnrollments,
-      averagePerCourse: totalCourses > 0 ? Math.round(totalStudents / totalCourses) : 0,
+      activeEnrollments,
+      recentEnrollments: stats?.recentEnrollments ?? 0,
+      averagePerCourse: totalCourses > 0 ? Math.round(activeEnrollments / totalCourses) : 0,
+      averageGrade: stats?.averageGrade ?? null,
+      gradedStudents: stats?.gradedStudents ?? 0,
     }
-  }, [students, courses])
+  }, [stats, activeCourses])
 
-  // Event handlers for student operations
-  const handleAddStudent = (studentData) => {
-    const newStudent = {
-      ...studentData,
-      id: Date.now().toString(),
-      createdAt: new Date(),
+  // Every student matching the current search, filters and sort, across all pages
+  const loadMatchingStudents = () => {
+    const { page, pageSize, ...filters } = query
+    return studentsAPI.list(filters)
+  }
+
+  // Selection for bulk actions
+  const selectedIds = useMemo(() => new Set(selection.keys()), [selection])
+  const selectedStudents = useMemo(() => [...selection.values()], [selection])
+
+  const toggleSelect = (student) => {
+    setSelection((prev) => {
+      const next = new Map(prev)
+      next.has(student.id) ? next.delete(student.id) : next.set(student.id, student)
+      return next
+    })
+  }
+
+  const setSelected = (students, selected) => {
+    setSelection((prev) => {
+      const next = new Map(prev)
+      students.forEach((student) => (selected ? next.set(student.id, student) : next.delete(student.id)))
+      return next
+    })
+  }
+
+  // Keeps selected students in step with what the server returned
+  const updateSelection = (updatedStudents = [], removedIds = []) => {
+    setSelection((prev) => {
+      const next = new Map(prev)
+      removedIds.forEach((id) => next.delete(id))
+      updatedStudents.forEach((student) => next.has(student.id) && next.set(student.id, student))
+      return next
+    })
+  }
+
+  const selectAllMatching = async () => {
+    try {
+      setSelected(await loadMatchingStudents(), true)
+    } catch (err) {
+      toast.error(`Could not select students: ${err.message}`)
+    }
+  }
+
+  /**
+   * Runs `send`, or queues `change` for later when the server can't be reached.
+   * @returns {Promise<{ result?: *, queued: boolean }>}
+   */
+  const sendOrQueue = async (send, change) => {
+    try {
+      return { result: await send(), queued: false }
+    } catch (err) {
+      if (!isOfflineError(err)) throw err
+      await offline.queue(change)
+      toast.info("You're offline. The change is saved on this device and will sync when you reconnect.")
+      return { queued: true }
     }
+  }
+
+  /**
+   * Shows `change` in the list straight away, then saves it with `send`
+   * (or queues `queuedChange` when offline). A failed save takes the
+   * change back off the list and rethrows, for the caller to report.
+   */
+  const saveOptimistically = async (change, send, queuedChange) => {
+    const key = optimistic.apply(change)
+    try {
+      const saved = await sendOrQueue(send, queuedChange)
+      // A queued change is shown by the offline overlay from here on
+      if (saved.queued) optimistic.discard(key)
+      else optimistic.confirm(key, saved.result)
+      refresh()
+      return saved
+    } catch (err) {
+      optimistic.discard(key)
+      throw err
+    }
+  }
 
-    setStudents((prev) => [...prev, newStudent])
+  // Event handlers for student operations
+  // The form closes as soon as it is submitted; a failed save is rolled back and reported in a toast
+  const handleAddStudent = async (studentData) => {
     setIsFormOpen(false)
+
+    try {
+      await saveOptimistically({ type: "create", student: studentData }, () => studentsAPI.create(studentData), {
+        type: "create",
+        data: studentData,
+      })
+    } catch (err) {
+      toast.error(`Could not add ${studentData.name}: ${describeSaveError(err)}`)
+      console.error("Error adding student:", err)
+    }
   }
 
-  const handleEditStudent = (studentData) => {
-    if (!editingStudent) return
+  /**
+   * Saves an edit made from `student`, sending its version so the server
+   * refuses it if someone else saved the student in the meantime. Edits to
+   * different fields are combined and sent again; when both changed the
+   * same field, the form reopens for the user to pick what to keep.
+   */
+  const saveEdit = async (student, studentData) => {
+    try {
+      const { result: updatedStudent, queued } = await saveOptimistically(
+        { type: "update", student: { ...student, ...studentData } },
+        () => studentsAPI.update(student.id, { ...studentData, version: student.version }),
+        { type: "update", student, data: studentData },
+      )
+      if (!queued) {
+        ownVersionsRef.current.set(updatedStudent.id, updatedStudent.version)
+        // The save's event can arrive before its response does
+        setRemoteChange((change) => (change && isOwnChange(change) ? null : change))
+        updateSelection([updatedStudent])
+      }
+    } catch (err) {
+      if (err instanceof VersionConflictError) {
+        const current = err.current
+        const merged = mergeStaleEdit(student, studentData, current)
+        if (merged) return saveEdit(current, merged)
+        setEditingStudent(current)
+        setEditConflict({ base: student, mine: studentData })
+        setIsFormOpen(true)
+        toast.warning(`${student.name} was changed by someone else. Choose which changes to keep, then save again.`)
+        return
+      }
+      toast.error(`Could not save changes to ${student.name}: ${describeSaveError(err)}`)
+      console.error("Error updating student:", err)
+    }
+  }
 
-    setStudents((prev) =>
-      prev.map((student) => (student.id === editingStudent.id ? { ...student, ...studentData } : student)),
-    )
+  const handleEditStudent = async (studentData) => {
+    if (!editingStudent) return
+    const student = editingStudent
     setEditingStudent(null)
+    setEditConflict(null)
     setIsFormOpen(false)
+
+    await saveEdit(student, studentData)
   }
 
+  // Deleting asks for confirmation first, then moves the student to the trash
   const handleDeleteStudent = (studentId) => {
-    setStudents((prev) => prev.filter((student) => student.id !== studentId))
+    setDeletingStudent(students.find((student) => student.id === studentId) || null)
+  }
+
+  const handleRestored = () => refresh()
+
+  const confirmDeleteStudent = async () => {
+    const student = deletingStudent
+    setDeletingStudent(null)
+
+    try {
+      const { queued } = await saveOptimistically(
+        { type: "delete", student },
+        () => studentsAPI.remove(student.id),
+        { type: "delete", student },
+      )
+      updateSelection([], [student.id])
+      // Undo needs the server
+      if (queued) return
+
+      toast(`${student.name} moved to trash`, {
+        duration: 6000,
+        action: {
+          label: "Undo",
+          onClick: async () => {
+            try {
+              await studentsAPI.restore(student.id)
+              handleRestored()
+            } catch (err) {
+              toast.error(`Could not restore ${student.name}: ${err.message}`)
+            }
+          },
+        },
+      })
+    } catch (err) {
+      toast.error(`Could not delete ${student.name}: ${describeSaveError(err)}`)
+      console.error("Error deleting student:", err)
+    }
+  }
+
+  const handleBulkDeleted = (deletedIds) => {
+    updateSelection([], deletedIds)
+    refresh()
+  }
+
+  const handleMerged = (mergedStudent, mergedIds) => {
+    updateSelection([mergedStudent], mergedIds)
+    refresh()
+  }
+
+  const handleBulkUpdated = (updatedStudents) => {
+    updateSelection(updatedStudents)
+    refresh()
+  }
+
+  // Signing out clears the offline queue, so don't lose unsynced changes without asking
+  const handleSignOut = async () => {
+    const unsynced = offline.pending.length + offline.conflicts.length
+    const message = `${unsynced} offline change(s) haven't synced yet and will be lost. Sign out anyway?`
+    if (unsynced > 0 && !window.confirm(message)) return
+    try {
+      await signOut()
+    } catch (err) {
+      toast.error(`Could not sign out: ${err.message}`)
+    }
+  }
+
+  // Replaces what has been typed in the edit form with the student as saved now
+  const reloadEditingStudent = async () => {
+    try {
+      setEditingStudent(await studentsAPI.get(editingStudent.id))
+      setEditConflict(null)
+    } catch (err) {
+      toast.error(`Could not load ${editingStudent.name}: ${err.message}`)
+    }
   }
 
   const openEditForm = (student) => {
     setEditingStudent(student)
+    setEditConflict(null)
     setIsFormOpen(true)
   }
 
   const openAddForm = () => {
     setEditingStudent(null)
+    setEditConflict(null)
     setIsFormOpen(true)
   }
 
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background flex items-center justify-center">
-        <div className="text-center space-y-4 animate-fade-in">
-          <div className="w-16 h-16 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto"></div>
-          <p className="text-muted-foreground font-medium">Loading dashboard...</p>
-        </div>
-      </div>
-    )
+  // Only the requests that failed are sent again
+  const isRetrying = lists.isLoading || directoryRequest.isLoading
+  const retryLoading = () => {
+    if (lists.error) lists.reload()
+    if (directoryRequest.error) directoryRequest.reload()
   }
 
-  if (error) {
+  if (loadError) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background flex items-center justify-center">
         <Card className="w-full max-w-md animate-slide-up">
           <CardHeader className="text-center">
             <CardTitle className="text-destructive font-heading">Connection Error</CardTitle>
-            <CardDescription>{error}</CardDescription>
+            <CardDescription>{describeLoadError(loadError)}</CardDescription>
           </CardHeader>
           <CardContent className="space-y-3">
-            <Button onClick={loadCourses} className="w-full" disabled={loading}>
-              {loading ? "Retrying..." : "Retry Loading"}
+            <Button onClick={retryLoading} className="w-full" disabled={isRetrying}>
+              {isRetrying ? "Retrying..." : "Retry Loading"}
             </Button>
             <Button onClick={() => window.location.reload()} variant="outline" className="w-full">
               Refresh Page
@@ -188,6 +553,10 @@ export default function StudentDashboard() {
     )
   }
 
+  if (!lists.data || !directory) {
+    return <LoadingScreen />
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
       <header className="bg-gradient-to-r from-primary via-primary/90 to-secondary shadow-lg border-b">
@@ -200,22 +569,156 @@ export default function StudentDashboard() {
               <p className="text-primary-foreground/80 text-lg font-medium">
                 Manage your students with ease and efficiency
               </p>
+              {user && (
+                <p className="text-primary-foreground/70 text-sm">
+                  Signed in as {user.name} · {ROLE_LABELS[user.role]}
+                </p>
+              )}
+              <SyncStatus
+                isOnline={offline.isOnline}
+                savedAt={savedAt.directory ?? savedAt.lists}
+                pendingCount={offline.pending.length}
+                isSyncing={offline.isSyncing}
+                onSync={offline.sync}
+              />
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {can("courses:manage") && (
+                <>
+                  <Button
+                    asChild
+                    size="lg"
+                    className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                    variant="outline"
+                  >
+                    <Link href="/courses">
+                      <Settings className="w-5 h-5 mr-2" />
+                      Manage Courses
+                    </Link>
+                  </Button>
+                  <Button
+                    asChild
+                    size="lg"
+                    className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                    variant="outline"
+                  >
+                    <Link href="/fields">
+                      <ListChecks className="w-5 h-5 mr-2" />
+                      Fields
+                    </Link>
+                  </Button>
+                </>
+              )}
+              <Button
+                asChild
+                size="lg"
+                className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                variant="outline"
+              >
+                <Link href="/analytics">
+                  <BarChart3 className="w-5 h-5 mr-2" />
+                  Analytics
+                </Link>
+              </Button>
+              <Button
+                asChild
+                size="lg"
+                className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                variant="outline"
+              >
+                <Link href="/attendance">
+                  <CalendarCheck className="w-5 h-5 mr-2" />
+                  Attendance
+                </Link>
+              </Button>
+              <Button
+                asChild
+                size="lg"
+                className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                variant="outline"
+              >
+                <Link href="/gradebook">
+                  <ClipboardList className="w-5 h-5 mr-2" />
+                  Gradebook
+                </Link>
+              </Button>
+              {can("students:manage") && (
+                <>
+                  <Button
+                    asChild
+                    size="lg"
+                    className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                    variant="outline"
+                  >
+                    <Link href="/trash">
+                      <Trash2 className="w-5 h-5 mr-2" />
+                      Trash
+                    </Link>
+                  </Button>
+                  <Button
+                    asChild
+                    size="lg"
+                    className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                    variant="outline"
+                  >
+                    <Link href="/duplicates">
+                      <UserSearch className="w-5 h-5 mr-2" />
+                      Duplicates
+                    </Link>
+                  </Button>
+                  <Button
+                    onClick={() => setIsImportOpen(true)}
+                    size="lg"
+                    className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                    variant="outline"
+                  >
+                    <Upload className="w-5 h-5 mr-2" />
+                    Import
+                  </Button>
+                </>
+              )}
+              {can("users:manage") && (
+                <Button
+                  asChild
+                  size="lg"
+                  className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                  variant="outline"
+                >
+                  <Link href="/users">
+                    <UserCog className="w-5 h-5 mr-2" />
+                    Users
+                  </Link>
+                </Button>
+              )}
+              {can("students:edit") && (
+                <Button
+                  onClick={openAddForm}
+                  size="lg"
+                  className="bg-white/20 hover:bg-white/30 text-white border-white/30 backdrop-blur-sm transition-all duration-300 hover:scale-105 font-semibold"
+                  variant="outline"
+                >
+                  <Plus className="w-5 h-5 mr-2" />
+                  Add Student
+                </Button>
+              )}
+              <Button
+                onClick={handleSignOut}
+                size="lg"
+                className="bg-white/10 hover:bg-white/20 text-white border-white/30 backdrop-blur-sm transition-all duration-300 font-semibold"
+                variant="outline"
+              >
+                <LogOut className="w-5 h-5 mr-2" />
+                Sign Out
+              </Button>
             </div>
-            <Button
-              onClick={openAddForm}
-              size="lg"
-              className="bg-white/20 hover:bg-white/30 text-white border-white/30 backdrop-blur-sm transition-all duration-300 hover:scale-105 font-semibold"
-              variant="outline"
-            >
-              <Plus className="w-5 h-5 mr-2" />
-              Add Student
-            </Button>
           </div>
         </div>
       </header>
 
       <main className="container mx-auto px-6 py-8 space-y-8">
-        <section className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {offline.conflicts.length > 0 && <SyncConflicts conflicts={offline.conflicts} onResolve={offline.resolve} />}
+
+        <section className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-6">
           <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg hover:shadow-xl transition-all duration-300 hover:-translate-y-1 animate-slide-up">
             <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
               <CardTitle className="text-sm font-semibold text-muted-foreground uppercase tracking-wide">
@@ -225,7 +728,7 @@ export default function StudentDashboard() {
             </CardHeader>
             <CardContent>
               <div className="text-3xl font-heading font-black text-foreground">{dashboardStats.totalStudents}</div>
-              <p className="text-xs text-muted-foreground mt-1">Active enrollments</p>
+              <p className="text-xs text-muted-foreground mt-1">{dashboardStats.activeEnrollments} active enrollments</p>
             </CardContent>
           </Card>
 
@@ -273,7 +776,33 @@ export default function StudentDashboard() {
             </CardHeader>
             <CardContent>
               <div className="text-3xl font-heading font-black text-foreground">{dashboardStats.averagePerCourse}</div>
-              <p className="text-xs text-muted-foreground mt-1">Students enrolled</p>
+              <p className="text-xs text-muted-foreground mt-1">Active enrollments</p>
+            </CardContent>
+          </Card>
+
+          <Card
+            className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg hover:shadow-xl transition-all duration-300 hover:-translate-y-1 animate-slide-up"
+            style={{ animationDelay: "0.4s" }}
+          >
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-semibold text-muted-foreground uppercase tracking-wide">
+                Average Grade
+              </CardTitle>
+              <Award className="h-6 w-6 text-chart-4" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-3xl font-heading font-black text-foreground">
+                {dashboardStats.averageGrade === null
+                  ? "—"
+                  : `${getLetterGrade(dashboardStats.averageGrade)} · ${dashboardStats.averageGrade}%`}
+              </div>
+              <p className="text-xs text-muted-foreground mt-1">
+                {dashboardStats.gradedStudents === 0
+                  ? "No grades recorded yet"
+                  : dashboardStats.gradedStudents === 1
+                    ? "Across 1 graded student"
+                    : `Across ${dashboardStats.gradedStudents} graded students`}
+              </p>
             </CardContent>
           </Card>
         </section>
@@ -283,11 +812,11 @@ export default function StudentDashboard() {
             <div className="space-y-1">
               <h2 className="text-2xl font-heading font-bold text-foreground">Student Directory</h2>
               <p className="text-muted-foreground">
-                {filteredStudents.length} of {students.length} students
+                {directory.total} of {dashboardStats.totalStudents} students
               </p>
             </div>
 
-            <div className="flex flex-col sm:flex-row gap-3 w-full sm:w-auto">
+            <div className="flex flex-col sm:flex-row sm:flex-wrap sm:justify-end gap-3 w-full sm:w-auto">
               <div className="relative">
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground h-4 w-4" />
                 <Input
@@ -301,29 +830,174 @@ export default function StudentDashboard() {
               <div className="relative">
                 <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground h-4 w-4" />
                 <select
-                  value={selectedCourse}
-                  onChange={(e) => setSelectedCourse(e.target.value)}
+                  value={query.course ?? "all"}
+                  onChange={(e) => updateQuery({ course: e.target.value === "all" ? null : Number(e.target.value) })}
                   className="pl-10 pr-8 py-2 bg-card border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors appearance-none cursor-pointer"
                 >
                   <option value="all">All Courses</option>
-                  {courses.map((course) => (
+                  {filterCourses.map((course) => (
                     <option key={course.id} value={course.id.toString()}>
                       {course.name}
+                      {course.archived ? " (archived)" : ""}
                     </option>
                   ))}
                 </select>
               </div>
+
+              <Button
+                variant={showAdvancedFilters ? "default" : "outline"}
+                onClick={() => setShowAdvancedFilters((show) => !show)}
+                className={showAdvancedFilters ? "" : "bg-card border-border/50"}
+                aria-expanded={showAdvancedFilters}
+              >
+                <SlidersHorizontal className="w-4 h-4 mr-2" />
+                Filters
+                {advancedFilterCount > 0 && (
+                  <span className="ml-2 rounded-full bg-primary/15 px-2 text-xs font-semibold">{advancedFilterCount}</span>
+                )}
+              </Button>
+
+              <FilterPresets currentFilters={toFilterParams(query).toString()} onApply={applyFilters} />
+
+              {/* The table sorts from its column headers */}
+              {viewMode === "grid" && (
+                <div className="relative">
+                  <ArrowUpDown className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground h-4 w-4" />
+                  <select
+                    value={query.sort}
+                    onChange={(e) => updateQuery({ sort: e.target.value })}
+                    className="pl-10 pr-8 py-2 bg-card border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors appearance-none cursor-pointer"
+                    aria-label="Sort students"
+                  >
+                    {SORT_FIELDS.flatMap(({ key, label }) => [
+                      <option key={key} value={key}>
+                        {label} (ascending)
+                      </option>,
+                      <option key={`-${key}`} value={`-${key}`}>
+                        {label} (descending)
+                      </option>,
+                    ])}
+                  </select>
+                </div>
+              )}
+
+              <div className="flex gap-1 p-1 bg-muted rounded-lg self-start" role="group" aria-label="View mode">
+                <Button
+                  variant={viewMode === "grid" ? "default" : "ghost"}
+                  size="sm"
+                  onClick={() => setViewMode("grid")}
+                  className="h-8 w-8 p-0"
+                  aria-label="Card view"
+                  aria-pressed={viewMode === "grid"}
+                >
+                  <LayoutGrid className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant={viewMode === "table" ? "default" : "ghost"}
+                  size="sm"
+                  onClick={() => setViewMode("table")}
+                  className="h-8 w-8 p-0"
+                  aria-label="Table view"
+                  aria-pressed={viewMode === "table"}
+                >
+                  <List className="w-4 h-4" />
+                </Button>
+              </div>
+
+              <ExportMenu
+                loadStudents={loadMatchingStudents}
+                count={directory.total}
+                courses={courses}
+                customFields={customFields}
+                title={
+                  query.course === null
+                    ? "Student Roster"
+                    : `${courses.find((course) => course.id === query.course)?.name} Roster`
+                }
+              />
             </div>
           </div>
 
-          <div className="animate-fade-in">
-            <StudentList
-              students={filteredStudents}
+          {showAdvancedFilters && <AdvancedFilters query={query} courses={courses} onChange={updateQuery} />}
+
+          {selectedStudents.length > 0 && (
+            <BulkActionsBar
+              selectedStudents={selectedStudents}
+              matchingCount={directory.total}
               courses={courses}
-              onEdit={openEditForm}
-              onDelete={handleDeleteStudent}
+              customFields={customFields}
+              onSelectAllMatching={selectAllMatching}
+              onClearSelection={() => setSelection(new Map())}
+              onDeleted={handleBulkDeleted}
+              onUpdated={handleBulkUpdated}
+              onRestored={handleRestored}
+              onMerged={handleMerged}
+              canManage={can("students:manage")}
             />
-          </div>
+          )}
+
+          {isDirectoryOffline ? (
+            <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+              <CardContent className="flex flex-col items-center justify-center py-16 text-center">
+                <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mb-4">
+                  <WifiOff className="w-8 h-8 text-muted-foreground" />
+                </div>
+                <CardTitle className="font-heading text-xl mb-2">Not available offline</CardTitle>
+                <CardDescription className="text-base">
+                  These students haven&apos;t been loaded on this device yet. They will appear once you&apos;re back
+                  online.
+                </CardDescription>
+              </CardContent>
+            </Card>
+          ) : (
+            <div className={`animate-fade-in transition-opacity ${directoryRequest.isLoading ? "opacity-60" : ""}`}>
+              {viewMode === "table" ? (
+                <StudentTable
+                  students={students}
+                  pendingIds={optimistic.pendingIds}
+                  courses={courses}
+                  customFields={customFields}
+                  sort={query.sort}
+                  onSortChange={(sort) => updateQuery({ sort })}
+                  onEdit={can("students:edit") ? openEditForm : undefined}
+                  onDelete={can("students:manage") ? handleDeleteStudent : undefined}
+                  onShowHistory={setHistoryStudent}
+                  selectedIds={selectedIds}
+                  onToggleSelect={toggleSelect}
+                  onSelectPage={setSelected}
+                />
+              ) : (
+                <StudentList
+                  students={students}
+                  pendingIds={optimistic.pendingIds}
+                  courses={courses}
+                  customFields={customFields}
+                  attendance={attendance}
+                  grades={grades}
+                  onEdit={can("students:edit") ? openEditForm : undefined}
+                  onDelete={can("students:manage") ? handleDeleteStudent : undefined}
+                  onShowHistory={setHistoryStudent}
+                  selectedIds={selectedIds}
+                  onToggleSelect={toggleSelect}
+                />
+              )}
+
+              {directory.total > 0 && (
+                <Pagination
+                  page={directory.page}
+                  pageSize={directory.pageSize}
+                  total={directory.total}
+                  onPageChange={(page) => updateQuery({ page })}
+                  onPageSizeChange={(pageSize) => updateQuery({ pageSize })}
+                />
+              )}
+            </div>
+          )}
+        </section>
+
+        <section className="animate-fade-in">
+          {/* Reloads after every change, so the feed shows the change just made */}
+          <ActivityFeed refreshKey={refreshCount} onSelectStudent={setHistoryStudent} />
         </section>
 
         {/* Student Form Modal */}
@@ -333,16 +1007,65 @@ export default function StudentDashboard() {
               <StudentForm
                 student={editingStudent}
                 courses={courses}
+                customFields={customFields}
                 onSubmit={editingStudent ? handleEditStudent : handleAddStudent}
+                remoteChange={remoteChange}
+                onReload={reloadEditingStudent}
+                conflict={editConflict}
                 onCancel={() => {
                   setIsFormOpen(false)
                   setEditingStudent(null)
+                  setEditConflict(null)
                 }}
               />
             </div>
           </div>
         )}
+
+        {/* Delete Confirmation */}
+        {deletingStudent && (
+          <ConfirmDialog
+            title={`Delete ${deletingStudent.name}?`}
+            description="The student will be moved to the trash. You can restore them from there."
+            confirmLabel="Delete"
+            destructive
+            onConfirm={confirmDeleteStudent}
+            onCancel={() => setDeletingStudent(null)}
+          />
+        )}
+
+        {/* Student History Panel */}
+        {historyStudent && (
+          <StudentHistory
+            student={historyStudent}
+            courses={courses}
+            customFields={customFields}
+            onClose={() => setHistoryStudent(null)}
+          />
+        )}
+
+        {/* Student Import Modal */}
+        {isImportOpen && (
+          <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+            <div className="animate-slide-up w-full flex justify-center">
+              <StudentImport
+                courses={courses}
+                onImported={refresh}
+                onCancel={() => setIsImportOpen(false)}
+              />
+            </div>
+          </div>
+        )}
       </main>
     </div>
   )
 }
+
+// useSearchParams needs a Suspense boundary so the rest of the page can still be prerendered
+export default function StudentDashboardPage() {
+  return (
+    <Suspense fallback={<LoadingScreen />}>
+      <StudentDashboard />
+    </Suspense>
+  )
+}
@@ -0,0 +1,91 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Activity } from "lucide-react"
+import { activityAPI } from "@/lib/api"
+import { AUDIT_ACTION_LABELS, describeChangedFields } from "@/lib/audit"
+import { formatRelativeTime } from "@/lib/format"
+
+const FEED_LIMIT = 15
+
+/**
+ * ActivityFeed Component Props:
+ * @typedef {Object} ActivityFeedProps
+ * @property {*} refreshKey - The feed reloads whenever this value changes
+ * @property {Function} onSelectStudent - Called with `{ id, name }` when a student in the feed is clicked
+ */
+
+/**
+ * ActivityFeed Component
+ *
+ * The most recent changes to any student, from the audit log. Changes are
+ * credited to the account that made them; instructors only see changes to
+ * students in their courses.
+ */
+function ActivityFeed({ refreshKey, onSelectStudent }) {
+  const [entries, setEntries] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    activityAPI
+      .list({ limit: FEED_LIMIT })
+      .then((recent) => {
+        setEntries(recent)
+        setError(null)
+      })
+      .catch((err) => {
+        setError("Failed to load recent activity.")
+        console.error("Error loading activity:", err)
+      })
+  }, [refreshKey])
+
+  return (
+    <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+      <CardHeader>
+        <CardTitle className="font-heading text-xl flex items-center gap-2">
+          <Activity className="w-5 h-5 text-primary" />
+          Recent Activity
+        </CardTitle>
+        <CardDescription>Who changed which student records, and when.</CardDescription>
+      </CardHeader>
+
+      <CardContent>
+        {error && <p className="text-sm text-destructive font-medium">{error}</p>}
+
+        {!error && entries.length === 0 && (
+          <p className="text-sm text-muted-foreground">No changes recorded yet.</p>
+        )}
+
+        <ul className="divide-y divide-border/50">
+          {entries.map((entry) => (
+            <li key={entry.id} className="flex flex-wrap items-baseline justify-between gap-2 py-2 text-sm">
+              <p>
+                <span className="font-semibold">{entry.actor}</span> {AUDIT_ACTION_LABELS[entry.action]}{" "}
+                <button
+                  type="button"
+                  onClick={() => onSelectStudent({ id: entry.studentId, name: entry.studentName })}
+                  className="font-medium text-primary hover:underline"
+                >
+                  {entry.studentName}
+                </button>
+                {entry.action === "update" && (
+                  <span className="text-muted-foreground"> ({describeChangedFields(entry)})</span>
+                )}
+              </p>
+              <time
+                dateTime={entry.at.toISOString()}
+                title={entry.at.toLocaleString()}
+                className="text-xs text-muted-foreground"
+              >
+                {formatRelativeTime(entry.at)}
+              </time>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ActivityFeed
@@ -0,0 +1,113 @@
+"use client"
+
+import { Card, CardContent } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { CalendarRange, BookX, ImageOff } from "lucide-react"
+import { ADVANCED_FILTER_KEYS, DEFAULT_STUDENT_QUERY, countAdvancedFilters } from "@/lib/student-query"
+
+/**
+ * AdvancedFilters Component Props:
+ * @typedef {Object} AdvancedFiltersProps
+ * @property {StudentQuery} query - The directory's current query (see lib/student-query.js)
+ * @property {Course[]} courses - Courses to offer for "not in course"
+ * @property {Function} onChange - Called with the changed query fields
+ */
+
+/**
+ * AdvancedFilters Component
+ *
+ * Panel under the directory toolbar for the filters that don't fit in it:
+ * the date range students were added in, a course they must not be in
+ * (combined with the course dropdown this gives "in A but not B") and
+ * students missing a profile photo.
+ */
+function AdvancedFilters({ query, courses, onChange }) {
+  const clearAll = () =>
+    onChange(Object.fromEntries(ADVANCED_FILTER_KEYS.map((key) => [key, DEFAULT_STUDENT_QUERY[key]])))
+
+  return (
+    <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg animate-fade-in">
+      <CardContent className="pt-6 grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="space-y-2">
+          <Label className="text-sm font-medium flex items-center gap-2">
+            <CalendarRange className="w-4 h-4" />
+            Added between
+          </Label>
+          <div className="flex items-center gap-2">
+            <Input
+              type="date"
+              value={query.from}
+              max={query.to || undefined}
+              onChange={(e) => onChange({ from: e.target.value })}
+              className="bg-background border-border/50 focus:border-primary"
+              aria-label="Added on or after"
+            />
+            <span className="text-muted-foreground text-sm">and</span>
+            <Input
+              type="date"
+              value={query.to}
+              min={query.from || undefined}
+              onChange={(e) => onChange({ to: e.target.value })}
+              className="bg-background border-border/50 focus:border-primary"
+              aria-label="Added on or before"
+            />
+          </div>
+          {query.from && query.to && query.from > query.to && (
+            <p className="text-sm text-destructive font-medium">The start date is after the end date</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="filter-not-course" className="text-sm font-medium flex items-center gap-2">
+            <BookX className="w-4 h-4" />
+            Not enrolled in
+          </Label>
+          <select
+            id="filter-not-course"
+            value={query.notCourse ?? ""}
+            onChange={(e) => onChange({ notCourse: e.target.value ? Number(e.target.value) : null })}
+            className="w-full px-3 py-2 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors cursor-pointer"
+          >
+            <option value="">Any course</option>
+            {courses
+              .filter((course) => course.id !== query.course)
+              .map((course) => (
+                <option key={course.id} value={course.id}>
+                  {course.name}
+                  {course.archived ? " (archived)" : ""}
+                </option>
+              ))}
+          </select>
+        </div>
+
+        <div className="space-y-2">
+          <Label className="text-sm font-medium flex items-center gap-2">
+            <ImageOff className="w-4 h-4" />
+            Profile photo
+          </Label>
+          <label className="flex items-center gap-2 text-sm cursor-pointer py-2">
+            <input
+              type="checkbox"
+              checked={query.noPhoto}
+              onChange={(e) => onChange({ noPhoto: e.target.checked })}
+              className="h-4 w-4 accent-primary cursor-pointer"
+            />
+            Only students without a photo
+          </label>
+        </div>
+
+        {countAdvancedFilters(query) > 0 && (
+          <div className="md:col-span-3 flex justify-end">
+            <Button variant="ghost" size="sm" onClick={clearAll}>
+              Clear advanced filters
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default AdvancedFilters
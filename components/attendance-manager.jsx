@@ -0,0 +1,396 @@
+"use client"
+
+import { useState, useEffect, useMemo } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
+import { Plus, Trash2, CalendarDays, CheckCheck, Save } from "lucide-react"
+import { toast } from "sonner"
+import ConfirmDialog from "@/components/confirm-dialog"
+import { useAuth } from "@/components/auth-provider"
+import { coursesAPI, sessionsAPI, studentsAPI } from "@/lib/api"
+import { ATTENDANCE_STATUSES, ATTENDANCE_STATUS_LABELS } from "@/lib/attendance"
+import { isActiveIn, today } from "@/lib/enrollments"
+import { validateSession } from "@/lib/validation"
+import { formatDate, getInitials } from "@/lib/format"
+import { canAccessCourse } from "@/lib/permissions"
+
+const STATUS_STYLES = {
+  present: "bg-primary text-primary-foreground hover:bg-primary/90",
+  late: "bg-chart-4 text-white hover:bg-chart-4/90",
+  absent: "bg-destructive text-white hover:bg-destructive/90",
+}
+
+/**
+ * AttendanceManager Component Props:
+ * @typedef {Object} AttendanceManagerProps
+ * @property {number|null} [initialCourseId] - Course to open first, e.g. from `/attendance?course=2`
+ */
+
+/**
+ * AttendanceManager Component
+ *
+ * Sessions of one course on the left, roll call for the picked session on
+ * the right. Roll call lists everyone currently enrolled in the course; marks
+ * are kept as a draft until saved, so a misclick costs nothing.
+ *
+ * Instructors only get the courses they teach; read-only users can look
+ * at sessions and roll calls but not change them.
+ */
+function AttendanceManager({ initialCourseId = null }) {
+  const { user, isLoading: isLoadingUser, can } = useAuth()
+  const readOnly = !can("classes:edit")
+  const [courses, setCourses] = useState([])
+  const [courseId, setCourseId] = useState(initialCourseId)
+  const [sessions, setSessions] = useState([])
+  const [roster, setRoster] = useState([])
+  const [selectedSessionId, setSelectedSessionId] = useState(null)
+  const [draft, setDraft] = useState({}) // Unsaved marks by student ID
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const [newSession, setNewSession] = useState({ date: today(), topic: "" })
+  const [sessionErrors, setSessionErrors] = useState({})
+  const [deletingSession, setDeletingSession] = useState(null)
+
+  useEffect(() => {
+    if (isLoadingUser) return
+    coursesAPI
+      .list({ includeArchived: true })
+      .then((allCourses) => {
+        const coursesData = allCourses.filter((course) => canAccessCourse(user, course.id))
+        setCourses(coursesData)
+        if (coursesData.length === 0) setLoading(false)
+        setCourseId((current) =>
+          coursesData.some((course) => course.id === current) ? current : (coursesData[0]?.id ?? null),
+        )
+      })
+      .catch((err) => {
+        setError("Failed to load courses. Please try again.")
+        console.error("Error loading courses:", err)
+      })
+  }, [user, isLoadingUser])
+
+  const loadCourse = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [sessionsData, students] = await Promise.all([
+        sessionsAPI.list(courseId),
+        studentsAPI.list({ course: courseId }),
+      ])
+      setSessions(sessionsData)
+      setRoster(students)
+      // Open the latest session that has already happened, or the first upcoming one
+      const past = sessionsData.filter((session) => session.date <= today())
+      setSelectedSessionId((past[past.length - 1] || sessionsData[0])?.id ?? null)
+      setDraft({})
+    } catch (err) {
+      setError("Failed to load sessions. Please try again.")
+      console.error("Error loading sessions:", err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (courseId !== null) loadCourse()
+  }, [courseId])
+
+  const selectedSession = sessions.find((session) => session.id === selectedSessionId)
+
+  // Everyone attending the course, plus anyone marked before they left it
+  const rollCall = useMemo(() => {
+    if (!selectedSession) return []
+    return roster
+      .filter((student) => isActiveIn(student, courseId) || selectedSession.attendance[student.id])
+      .map((student) => ({
+        student,
+        enrolled: isActiveIn(student, courseId),
+        status: draft[student.id] ?? selectedSession.attendance[student.id] ?? null,
+      }))
+  }, [roster, selectedSession, draft, courseId])
+
+  const hasChanges = Object.keys(draft).length > 0
+  const countSummary = ATTENDANCE_STATUSES.map((status) => {
+    const count = rollCall.filter((row) => row.status === status).length
+    return `${count} ${ATTENDANCE_STATUS_LABELS[status].toLowerCase()}`
+  }).join(", ")
+
+  const selectSession = (sessionId) => {
+    if (hasChanges && !window.confirm("Discard unsaved attendance?")) return
+    setSelectedSessionId(sessionId)
+    setDraft({})
+  }
+
+  const mark = (studentId, status) => {
+    setDraft((prev) => {
+      const next = { ...prev, [studentId]: status }
+      // Back to the saved value - nothing to save for this student
+      if ((selectedSession.attendance[studentId] ?? null) === status) delete next[studentId]
+      return next
+    })
+  }
+
+  const markAllPresent = () => {
+    rollCall.filter((row) => row.enrolled && !row.status).forEach((row) => mark(row.student.id, "present"))
+  }
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true)
+      const saved = await sessionsAPI.saveAttendance(selectedSession.id, draft)
+      setSessions((prev) => prev.map((session) => (session.id === saved.id ? saved : session)))
+      setDraft({})
+      toast.success("Attendance saved")
+    } catch (err) {
+      toast.error(`Could not save attendance: ${err.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleAddSession = async (e) => {
+    e.preventDefault()
+
+    const errors = validateSession(newSession)
+    setSessionErrors(errors)
+    if (Object.keys(errors).length > 0) return
+
+    try {
+      const session = await sessionsAPI.create(courseId, newSession)
+      setSessions((prev) => [...prev, session].sort((a, b) => a.date.localeCompare(b.date)))
+      setNewSession({ date: newSession.date, topic: "" })
+      // Don't throw away marks that haven't been saved yet
+      if (!hasChanges) setSelectedSessionId(session.id)
+    } catch (err) {
+      setSessionErrors(err.details || { topic: err.message })
+    }
+  }
+
+  const confirmDeleteSession = async () => {
+    const session = deletingSession
+    try {
+      await sessionsAPI.remove(session.id)
+      setSessions((prev) => prev.filter((s) => s.id !== session.id))
+      if (selectedSessionId === session.id) {
+        setSelectedSessionId(null)
+        setDraft({})
+      }
+    } catch (err) {
+      toast.error(`Could not delete session: ${err.message}`)
+    } finally {
+      setDeletingSession(null)
+    }
+  }
+
+  if (error) {
+    return (
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardContent className="py-12 text-center space-y-4">
+          <p className="text-destructive font-medium">{error}</p>
+          <Button onClick={() => (courseId === null ? window.location.reload() : loadCourse())}>Retry</Button>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg self-start">
+        <CardHeader className="space-y-4">
+          <CardTitle className="font-heading text-xl">Sessions</CardTitle>
+          <select
+            value={courseId ?? ""}
+            onChange={(e) => {
+              if (hasChanges && !window.confirm("Discard unsaved attendance?")) return
+              setCourseId(Number(e.target.value))
+            }}
+            className="w-full px-3 py-2 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors cursor-pointer"
+            aria-label="Course"
+          >
+            {courses.map((course) => (
+              <option key={course.id} value={course.id}>
+                {course.name}
+                {course.archived ? " (archived)" : ""}
+              </option>
+            ))}
+          </select>
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          {!readOnly && (
+            <form onSubmit={handleAddSession} className="space-y-2">
+              <div className="flex gap-2">
+                <Input
+                  type="date"
+                  value={newSession.date}
+                  onChange={(e) => setNewSession((prev) => ({ ...prev, date: e.target.value }))}
+                  className="w-40 bg-background border-border/50 focus:border-primary"
+                  aria-label="Session date"
+                />
+                <Input
+                  value={newSession.topic}
+                  onChange={(e) => setNewSession((prev) => ({ ...prev, topic: e.target.value }))}
+                  placeholder="Topic"
+                  maxLength={100}
+                  className="bg-background border-border/50 focus:border-primary"
+                />
+                <Button
+                  type="submit"
+                  size="sm"
+                  disabled={courseId === null}
+                  className="h-9 w-9 p-0 shrink-0"
+                  aria-label="Add session"
+                >
+                  <Plus className="w-4 h-4" />
+                </Button>
+              </div>
+              {Object.values(sessionErrors).map((message) => (
+                <p key={message} className="text-sm text-destructive font-medium">
+                  {message}
+                </p>
+              ))}
+            </form>
+          )}
+
+          {courses.length === 0 && !loading ? (
+            <p className="text-sm text-muted-foreground">Create a course first to schedule sessions.</p>
+          ) : loading ? (
+            <p className="text-sm text-muted-foreground">Loading sessions...</p>
+          ) : sessions.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              {readOnly ? "No sessions yet." : "No sessions yet. Add the first one above."}
+            </p>
+          ) : (
+            <ul className="divide-y divide-border/50">
+              {sessions.map((session) => (
+                <li
+                  key={session.id}
+                  className={`flex items-center gap-2 rounded-md ${
+                    session.id === selectedSessionId ? "bg-primary/10" : "hover:bg-muted/50"
+                  }`}
+                >
+                  <button
+                    type="button"
+                    onClick={() => selectSession(session.id)}
+                    className="flex-1 min-w-0 px-2 py-2 text-left"
+                  >
+                    <p className="text-sm font-medium truncate">{session.topic}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {formatDate(`${session.date}T00:00:00`)} · {Object.keys(session.attendance).length} marked
+                    </p>
+                  </button>
+                  {!readOnly && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setDeletingSession(session)}
+                      className="h-8 w-8 p-0 mr-1 hover:bg-destructive hover:text-destructive-foreground"
+                      aria-label={`Delete session ${session.topic}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg lg:col-span-2 self-start">
+        {!selectedSession ? (
+          <CardContent className="flex flex-col items-center justify-center py-16 text-center">
+            <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mb-4">
+              <CalendarDays className="w-8 h-8 text-muted-foreground" />
+            </div>
+            <CardTitle className="font-heading text-xl mb-2">No session selected</CardTitle>
+            <CardDescription className="text-base">Pick or add a session to take roll call.</CardDescription>
+          </CardContent>
+        ) : (
+          <>
+            <CardHeader className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+              <div className="space-y-1">
+                <CardTitle className="font-heading text-xl">{selectedSession.topic}</CardTitle>
+                <CardDescription>
+                  {formatDate(`${selectedSession.date}T00:00:00`)} · {countSummary}
+                </CardDescription>
+              </div>
+              {!readOnly && (
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={markAllPresent} disabled={rollCall.length === 0}>
+                    <CheckCheck className="w-4 h-4 mr-1" />
+                    Mark rest present
+                  </Button>
+                  <Button size="sm" onClick={handleSave} disabled={!hasChanges || isSaving}>
+                    <Save className="w-4 h-4 mr-1" />
+                    {isSaving ? "Saving..." : "Save"}
+                  </Button>
+                </div>
+              )}
+            </CardHeader>
+
+            <CardContent>
+              {rollCall.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No students are enrolled in this course.</p>
+              ) : (
+                <ul className="divide-y divide-border/50">
+                  {rollCall.map(({ student, enrolled, status }) => (
+                    <li key={student.id} className="flex flex-wrap items-center justify-between gap-3 py-2">
+                      <div className="flex items-center gap-3 min-w-0">
+                        <Avatar className="h-8 w-8">
+                          <AvatarImage src={student.profileImage || "/placeholder.svg"} alt={student.name} />
+                          <AvatarFallback className="bg-primary/10 text-primary text-xs font-semibold">
+                            {getInitials(student.name)}
+                          </AvatarFallback>
+                        </Avatar>
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium truncate">
+                            {student.name}
+                            {draft[student.id] && <span className="text-primary"> •</span>}
+                          </p>
+                          {!enrolled && <p className="text-xs text-muted-foreground">No longer enrolled</p>}
+                        </div>
+                      </div>
+                      <div className="flex gap-1" role="group" aria-label={`Attendance for ${student.name}`}>
+                        {ATTENDANCE_STATUSES.map((option) => (
+                          <Button
+                            key={option}
+                            variant="outline"
+                            size="sm"
+                            onClick={() => mark(student.id, option)}
+                            disabled={!enrolled || readOnly}
+                            aria-pressed={status === option}
+                            className={`h-8 ${status === option ? `${STATUS_STYLES[option]} border-transparent` : ""}`}
+                          >
+                            {ATTENDANCE_STATUS_LABELS[option]}
+                          </Button>
+                        ))}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </>
+        )}
+      </Card>
+
+      {deletingSession && (
+        <ConfirmDialog
+          title={`Delete ${deletingSession.topic}?`}
+          description="The session and its roll call will be removed. Attendance percentages will no longer count it."
+          confirmLabel="Delete"
+          destructive
+          onConfirm={confirmDeleteSession}
+          onCancel={() => setDeletingSession(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default AttendanceManager
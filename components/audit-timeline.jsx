@@ -0,0 +1,67 @@
+"use client"
+
+import { AUDIT_ACTION_LABELS, AUDIT_FIELD_LABELS, describeChangedFields, formatAuditValue } from "@/lib/audit"
+import { formatDate, formatRelativeTime } from "@/lib/format"
+
+/**
+ * AuditTimeline Component Props:
+ * @typedef {Object} AuditTimelineProps
+ * @property {AuditEntry[]} entries - Changes to one student, in the order to show them
+ * @property {Course[]} courses - All courses, to name enrollments in diffs
+ * @property {CustomField[]} [customFields] - To label custom field values in diffs
+ */
+
+/**
+ * AuditTimeline Component
+ *
+ * List of recorded changes to a student: who made each one, when, and every
+ * changed field's old and new value.
+ */
+function AuditTimeline({ entries, courses, customFields = [] }) {
+  return (
+    <ol className="space-y-4">
+      {entries.map((entry) => (
+        <li key={entry.id} className="border-l-2 border-primary/30 pl-4 space-y-2">
+          <div className="flex flex-wrap items-baseline justify-between gap-2">
+            <p className="text-sm">
+              <span className="font-semibold">{entry.actor}</span> {AUDIT_ACTION_LABELS[entry.action]}
+              {entry.action === "update" && ` ${describeChangedFields(entry)}`}
+              {entry.mergedIds && ` ${entry.mergedIds.length} duplicate record(s) into this one`}
+              {entry.mergedInto && ` ${entry.studentName} into another record`}
+            </p>
+            <time
+              dateTime={entry.at.toISOString()}
+              title={entry.at.toLocaleString()}
+              className="text-xs text-muted-foreground"
+            >
+              {formatDate(entry.at)} · {formatRelativeTime(entry.at)}
+            </time>
+          </div>
+
+          {Object.keys(entry.changes).length > 0 && (
+            <dl className="text-sm rounded-lg bg-muted/50 p-3 space-y-2">
+              {Object.entries(entry.changes).map(([field, { from, to }]) => (
+                <div key={field} className="grid grid-cols-[8rem_1fr] gap-2">
+                  <dt className="font-medium text-muted-foreground">{AUDIT_FIELD_LABELS[field] || field}</dt>
+                  <dd className="break-words whitespace-pre-line">
+                    {entry.action !== "create" && (
+                      <>
+                        <span className="line-through text-muted-foreground">
+                          {formatAuditValue(field, from, courses, customFields)}
+                        </span>{" "}
+                        →{" "}
+                      </>
+                    )}
+                    <span>{formatAuditValue(field, to, courses, customFields)}</span>
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default AuditTimeline
@@ -0,0 +1,70 @@
+"use client"
+
+import { createContext, useContext, useState, useEffect, useCallback } from "react"
+import { authAPI, isOfflineError } from "@/lib/api"
+import { can } from "@/lib/permissions"
+import { readCache, writeCache, clearOfflineData, claimOfflineData } from "@/lib/offline-store"
+
+const AuthContext = createContext({
+  user: null,
+  isLoading: true,
+  can: () => false,
+  signOut: async () => {},
+})
+
+/**
+ * AuthProvider Component
+ *
+ * Loads the signed-in user once and shares it with every page, so
+ * components can hide the controls the user's role doesn't allow. The
+ * API enforces the same rules; hiding them only keeps the UI honest.
+ * The user is cached, so the dashboard still knows who is signed in while
+ * offline; signing out clears everything stored for offline use, and so
+ * does finding someone else signed in (see lib/offline-store.js).
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    authAPI
+      .session()
+      .then(async ({ user }) => {
+        await claimOfflineData(user)
+        setUser(user)
+        if (user) writeCache("session", user).catch((err) => console.error("Error caching session:", err))
+      })
+      .catch(async (err) => {
+        if (!isOfflineError(err)) throw err
+        await claimOfflineData(null)
+        const cached = await readCache("session")
+        setUser(cached?.value ?? null)
+      })
+      .catch((err) => {
+        console.error("Error loading session:", err)
+        return claimOfflineData(null)
+      })
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  const signOut = useCallback(async () => {
+    await authAPI.signOut()
+    await clearOfflineData().catch((err) => console.error("Error clearing offline data:", err))
+    window.location.assign("/login")
+  }, [])
+
+  const value = {
+    user,
+    isLoading,
+    can: (permission) => can(user, permission),
+    signOut,
+  }
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+/**
+ * The signed-in user (null until loaded or when signed out), a `can(permission)`
+ * check for them and `signOut()`.
+ */
+export const useAuth = () => useContext(AuthContext)
@@ -0,0 +1,333 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Trash2, ArrowRightLeft, Mail, Merge, X } from "lucide-react"
+import ExportMenu from "@/components/export-menu"
+import StudentMerge from "@/components/student-merge"
+import { studentsAPI, mailingListsAPI } from "@/lib/api"
+import { isActiveIn } from "@/lib/enrollments"
+import { toast } from "sonner"
+
+/**
+ * BulkActionsBar Component Props:
+ * @typedef {Object} BulkActionsBarProps
+ * @property {Student[]} selectedStudents - Currently selected students
+ * @property {number} matchingCount - Number of students matching the current filter
+ * @property {Course[]} courses - All courses
+ * @property {CustomField[]} [customFields] - Extra student fields, included in exports
+ * @property {Function} onSelectAllMatching - Selects every student matching the filter
+ * @property {Function} onClearSelection - Clears the selection
+ * @property {Function} onDeleted - Called with the IDs of deleted students
+ * @property {Function} onUpdated - Called with students changed by a bulk action
+ * @property {Function} onRestored - Called with students brought back by "Undo" after a delete
+ * @property {Function} onMerged - Called with `(student, mergedIds)` after the selection is merged
+ * @property {boolean} [canManage] - Whether the user may change students in bulk; otherwise only export is offered
+ */
+
+/**
+ * BulkActionsBar Component
+ *
+ * Shown above the directory while students are selected. Every action that
+ * changes records opens a confirmation summary first, stating exactly how
+ * many students will be affected.
+ */
+function BulkActionsBar({
+  selectedStudents,
+  matchingCount,
+  courses,
+  customFields = [],
+  onSelectAllMatching,
+  onClearSelection,
+  onDeleted,
+  onUpdated,
+  onRestored,
+  onMerged,
+  canManage = true,
+}) {
+  const [action, setAction] = useState(null) // null | "delete" | "move" | "mailing-list" | "merge"
+  const [isWorking, setIsWorking] = useState(false)
+
+  // Move dialog
+  const [fromCourseId, setFromCourseId] = useState("")
+  const [toCourseId, setToCourseId] = useState("")
+
+  // Mailing list dialog
+  const [mailingLists, setMailingLists] = useState([])
+  const [listName, setListName] = useState("")
+
+  const count = selectedStudents.length
+  const ids = selectedStudents.map((student) => student.id)
+  const plural = (n) => `${n} student${n === 1 ? "" : "s"}`
+
+  useEffect(() => {
+    if (action !== "mailing-list") return
+    mailingListsAPI
+      .list()
+      .then(setMailingLists)
+      .catch((err) => console.error("Error loading mailing lists:", err))
+  }, [action])
+
+  // Courses at least one selected student is attending - the only sensible sources for a move
+  const fromCourses = courses.filter((course) => selectedStudents.some((student) => isActiveIn(student, course.id)))
+  const toCourses = courses.filter((course) => !course.archived && course.id.toString() !== fromCourseId)
+  const movingCount = fromCourseId
+    ? selectedStudents.filter((student) => isActiveIn(student, Number(fromCourseId))).length
+    : 0
+
+  const existingList = mailingLists.find((list) => list.name.toLowerCase() === listName.trim().toLowerCase())
+  const alreadyOnList = existingList
+    ? selectedStudents.filter((student) => existingList.studentIds.includes(student.id)).length
+    : 0
+
+  const openAction = (nextAction) => {
+    setFromCourseId("")
+    setToCourseId("")
+    setListName("")
+    setAction(nextAction)
+  }
+
+  const runAction = async () => {
+    try {
+      setIsWorking(true)
+
+      if (action === "delete") {
+        const deletedIds = await studentsAPI.bulkDelete(ids)
+        onDeleted(deletedIds)
+        onClearSelection()
+        toast(`${plural(deletedIds.length)} moved to trash`, {
+          duration: 6000,
+          action: {
+            label: "Undo",
+            onClick: async () => {
+              try {
+                const restored = await studentsAPI.bulkRestore(deletedIds)
+                onRestored(restored)
+                if (restored.length < deletedIds.length) {
+                  toast.warning(
+                    `${plural(deletedIds.length - restored.length)} stayed in the trash because their email is now in use`,
+                  )
+                }
+              } catch (err) {
+                toast.error(`Could not restore students: ${err.message}`)
+              }
+            },
+          },
+        })
+      } else if (action === "move") {
+        const moved = await studentsAPI.bulkMove(ids, Number(fromCourseId), Number(toCourseId))
+        onUpdated(moved)
+        toast.success(`Moved ${plural(moved.length)}`)
+      } else {
+        const { list, added } = await studentsAPI.addToMailingList(ids, listName.trim())
+        toast.success(`Added ${plural(added)} to ${list.name}`)
+      }
+
+      setAction(null)
+    } catch (err) {
+      toast.error(`Bulk action failed: ${err.message}`)
+      console.error("Error running bulk action:", err)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const canConfirm =
+    action === "delete" ||
+    (action === "move" && fromCourseId && toCourseId && movingCount > 0) ||
+    (action === "mailing-list" && listName.trim() && count > alreadyOnList)
+
+  return (
+    <>
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 px-4 py-3 rounded-lg border border-primary/30 bg-primary/5 animate-fade-in">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="font-semibold">{plural(count)} selected</span>
+          {count < matchingCount && (
+            <Button variant="link" size="sm" onClick={onSelectAllMatching} className="h-auto p-0">
+              Select all {matchingCount} matching filter
+            </Button>
+          )}
+          <Button variant="ghost" size="sm" onClick={onClearSelection} className="h-8 px-2">
+            <X className="w-4 h-4 mr-1" />
+            Clear
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {canManage && (
+            <>
+              <Button variant="outline" size="sm" onClick={() => openAction("move")}>
+                <ArrowRightLeft className="w-4 h-4 mr-1" />
+                Move to course
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => openAction("mailing-list")}>
+                <Mail className="w-4 h-4 mr-1" />
+                Add to mailing list
+              </Button>
+            </>
+          )}
+          {canManage && count >= 2 && (
+            <Button variant="outline" size="sm" onClick={() => openAction("merge")}>
+              <Merge className="w-4 h-4 mr-1" />
+              Merge
+            </Button>
+          )}
+          <ExportMenu
+            students={selectedStudents}
+            courses={courses}
+            customFields={customFields}
+            title="Selected Students"
+          />
+          {canManage && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => openAction("delete")}
+              className="hover:bg-destructive hover:text-destructive-foreground transition-colors"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Delete
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {action === "merge" && (
+        <StudentMerge
+          students={selectedStudents}
+          courses={courses}
+          onMerged={(student, mergedIds) => {
+            setAction(null)
+            onMerged(student, mergedIds)
+            onClearSelection()
+            toast.success(`Merged ${plural(mergedIds.length + 1)} into ${student.name}`)
+          }}
+          onCancel={() => setAction(null)}
+        />
+      )}
+
+      {/* Confirmation modal */}
+      {action && action !== "merge" && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+          <Card className="w-full max-w-md animate-slide-up">
+            <CardHeader>
+              <CardTitle className="font-heading text-xl">
+                {action === "delete" && `Delete ${plural(count)}?`}
+                {action === "move" && "Move students to another course"}
+                {action === "mailing-list" && "Add to mailing list"}
+              </CardTitle>
+              <CardDescription>
+                {action === "delete" && "Deleted students stop appearing in the directory and in course counts."}
+                {action === "move" && "Each student's current enrollment in the first course is replaced by the second."}
+                {action === "mailing-list" && "Pick an existing list or type a name to create a new one."}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {action === "move" && (
+                <>
+                  <div className="space-y-2">
+                    <Label htmlFor="bulk-from">From</Label>
+                    <select
+                      id="bulk-from"
+                      value={fromCourseId}
+                      onChange={(e) => setFromCourseId(e.target.value)}
+                      className="w-full px-3 py-2 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                    >
+                      <option value="">Select a course</option>
+                      {fromCourses.map((course) => (
+                        <option key={course.id} value={course.id.toString()}>
+                          {course.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="bulk-to">To</Label>
+                    <select
+                      id="bulk-to"
+                      value={toCourseId}
+                      onChange={(e) => setToCourseId(e.target.value)}
+                      className="w-full px-3 py-2 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                    >
+                      <option value="">Select a course</option>
+                      {toCourses.map((course) => (
+                        <option key={course.id} value={course.id.toString()}>
+                          {course.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {fromCourseId && (
+                    <p className="text-sm p-3 bg-muted/50 rounded-lg">
+                      <strong>{plural(movingCount)}</strong> will be moved.
+                      {count - movingCount > 0 &&
+                        ` ${plural(count - movingCount)} not currently in that course won't change.`}
+                    </p>
+                  )}
+                </>
+              )}
+
+              {action === "mailing-list" && (
+                <>
+                  <div className="space-y-2">
+                    <Label htmlFor="bulk-list">Mailing list</Label>
+                    <Input
+                      id="bulk-list"
+                      list="bulk-mailing-lists"
+                      value={listName}
+                      onChange={(e) => setListName(e.target.value)}
+                      placeholder="e.g. Spring 2025 cohort"
+                      className="bg-background border-border/50 focus:border-primary"
+                    />
+                    <datalist id="bulk-mailing-lists">
+                      {mailingLists.map((list) => (
+                        <option key={list.id} value={list.name} />
+                      ))}
+                    </datalist>
+                  </div>
+                  {listName.trim() && (
+                    <p className="text-sm p-3 bg-muted/50 rounded-lg">
+                      <strong>{plural(count - alreadyOnList)}</strong> will be added to{" "}
+                      {existingList ? existingList.name : `a new list "${listName.trim()}"`}.
+                      {alreadyOnList > 0 && ` ${plural(alreadyOnList)} already on it.`}
+                    </p>
+                  )}
+                </>
+              )}
+
+              {action === "delete" && (
+                <p className="text-sm p-3 bg-destructive/10 text-destructive rounded-lg font-medium">
+                  {plural(count)} will be moved to the trash. You can restore them from there later.
+                </p>
+              )}
+
+              <div className="flex space-x-3">
+                <Button
+                  variant="outline"
+                  onClick={() => setAction(null)}
+                  className="flex-1 bg-transparent"
+                  disabled={isWorking}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  variant={action === "delete" ? "destructive" : "default"}
+                  onClick={runAction}
+                  disabled={!canConfirm || isWorking}
+                  className="flex-1"
+                >
+                  {isWorking ? "Working..." : "Confirm"}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default BulkActionsBar
@@ -0,0 +1,68 @@
+"use client"
+
+import { useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+
+/**
+ * ConfirmDialog Component Props:
+ * @typedef {Object} ConfirmDialogProps
+ * @property {string} title - Question shown as the heading
+ * @property {string} [description] - Extra detail under the heading
+ * @property {string} [confirmLabel] - Text of the confirm button
+ * @property {boolean} [destructive] - Styles the confirm button as destructive
+ * @property {Function} onConfirm - Called when confirmed; may return a promise
+ * @property {Function} onCancel - Called when cancelled
+ */
+
+/**
+ * ConfirmDialog Component
+ *
+ * Modal yes/no prompt used before actions that are easy to trigger by
+ * accident. While an async `onConfirm` runs, both buttons are disabled.
+ */
+function ConfirmDialog({ title, description, confirmLabel = "Confirm", destructive = false, onConfirm, onCancel }) {
+  const [isWorking, setIsWorking] = useState(false)
+
+  const handleConfirm = async () => {
+    try {
+      setIsWorking(true)
+      await onConfirm()
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in"
+      role="alertdialog"
+      aria-modal="true"
+    >
+      <Card className="w-full max-w-md animate-slide-up">
+        <CardHeader>
+          <CardTitle className="font-heading text-xl">{title}</CardTitle>
+          {description && <CardDescription>{description}</CardDescription>}
+        </CardHeader>
+        <CardContent>
+          <div className="flex space-x-3">
+            <Button variant="outline" onClick={onCancel} className="flex-1 bg-transparent" disabled={isWorking}>
+              Cancel
+            </Button>
+            <Button
+              variant={destructive ? "destructive" : "default"}
+              onClick={handleConfirm}
+              className="flex-1"
+              disabled={isWorking}
+              autoFocus
+            >
+              {isWorking ? "Working..." : confirmLabel}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default ConfirmDialog
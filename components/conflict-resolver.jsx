@@ -0,0 +1,85 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import { GitMerge } from "lucide-react"
+import { formatAuditValue } from "@/lib/audit"
+
+/**
+ * ConflictResolver Component Props:
+ * @typedef {Object} ConflictResolverProps
+ * @property {{ field: string, label: string, mine: *, theirs: * }[]} conflicts - Fields where the two
+ *   versions differ (see compareEdits in lib/student-conflicts.js)
+ * @property {Object<string, "mine"|"theirs">} choices - The side kept for each field
+ * @property {Course[]} courses - To name courses in enrollments
+ * @property {CustomField[]} [customFields] - To label custom field values
+ * @property {Function} onChoose - Called with `(field, side)` when a side is picked
+ */
+
+/**
+ * ConflictResolver Component
+ *
+ * Shown at the top of StudentForm when an edit was refused because someone
+ * else saved the student first. Each field that differs offers both values;
+ * picking one fills it into the form, where it can still be edited before
+ * saving, so the user can keep theirs, take the saved one, or mix the two.
+ */
+function ConflictResolver({ conflicts, choices, courses, customFields = [], onChoose }) {
+  const chooseAll = (side) => conflicts.forEach(({ field }) => onChoose(field, side))
+
+  return (
+    <div
+      role="group"
+      aria-label="Resolve conflicts"
+      className="p-4 rounded-lg border border-primary/30 bg-primary/5 space-y-3"
+    >
+      <div className="space-y-1">
+        <p className="font-medium flex items-center gap-2">
+          <GitMerge className="w-4 h-4 text-primary" />
+          Someone else saved this student while you were editing
+        </p>
+        <p className="text-sm text-muted-foreground">
+          Choose which version of each field to keep, then save again.
+        </p>
+      </div>
+
+      <ul className="space-y-3">
+        {conflicts.map(({ field, label, mine, theirs }) => (
+          <li key={field} className="space-y-1">
+            <p className="text-sm font-medium">{label}</p>
+            <div className="grid grid-cols-2 gap-2">
+              {[
+                ["mine", "Yours", mine],
+                ["theirs", "Saved", theirs],
+              ].map(([side, sideLabel, value]) => (
+                <Button
+                  key={side}
+                  type="button"
+                  variant="outline"
+                  onClick={() => onChoose(field, side)}
+                  aria-pressed={choices[field] === side}
+                  className={`h-auto min-h-9 py-2 flex-col items-start text-left whitespace-normal ${
+                    choices[field] === side ? "border-primary bg-primary/10" : ""
+                  }`}
+                >
+                  <span className="text-xs text-muted-foreground">{sideLabel}</span>
+                  <span className="text-sm break-all">{formatAuditValue(field, value, courses, customFields)}</span>
+                </Button>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={() => chooseAll("mine")} className="flex-1">
+          Keep all mine
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={() => chooseAll("theirs")} className="flex-1">
+          Take all saved
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default ConflictResolver
@@ -0,0 +1,312 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Badge } from "@/components/ui/badge"
+import { Plus, Pencil, Archive, ArchiveRestore, Trash2, Check, X, Users, CalendarCheck, ClipboardList } from "lucide-react"
+import Link from "next/link"
+import { coursesAPI } from "@/lib/api"
+import { validateCourse } from "@/lib/validation"
+
+/**
+ * CourseManager Component
+ *
+ * Lists every course (active and archived) and lets staff create, rename,
+ * archive and delete them. Deleting a course that still has students asks
+ * which course to move them to first, so nobody ends up without a course.
+ */
+function CourseManager() {
+  const [courses, setCourses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [newName, setNewName] = useState("")
+  const [addError, setAddError] = useState("")
+
+  const [editingId, setEditingId] = useState(null)
+  const [editName, setEditName] = useState("")
+  const [editError, setEditError] = useState("")
+
+  // Course awaiting delete confirmation, and where its students should go
+  const [deletingCourse, setDeletingCourse] = useState(null)
+  const [reassignTo, setReassignTo] = useState("")
+
+  const loadCourses = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      setCourses(await coursesAPI.list({ includeArchived: true }))
+    } catch (err) {
+      setError("Failed to load courses. Please try again.")
+      console.error("Error loading courses:", err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadCourses()
+  }, [])
+
+  const replaceCourse = (updated) => {
+    setCourses((prev) => prev.map((course) => (course.id === updated.id ? updated : course)))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    const errors = validateCourse({ name: newName })
+    if (errors.name) {
+      setAddError(errors.name)
+      return
+    }
+
+    try {
+      const course = await coursesAPI.create({ name: newName.trim() })
+      setCourses((prev) => [...prev, course])
+      setNewName("")
+      setAddError("")
+    } catch (err) {
+      setAddError(err.details?.name || err.message)
+    }
+  }
+
+  const startEditing = (course) => {
+    setEditingId(course.id)
+    setEditName(course.name)
+    setEditError("")
+  }
+
+  const handleRename = async (course) => {
+    const errors = validateCourse({ name: editName })
+    if (errors.name) {
+      setEditError(errors.name)
+      return
+    }
+
+    try {
+      replaceCourse(await coursesAPI.update(course.id, { name: editName.trim() }))
+      setEditingId(null)
+    } catch (err) {
+      setEditError(err.details?.name || err.message)
+    }
+  }
+
+  const handleToggleArchived = async (course) => {
+    try {
+      setError(null)
+      replaceCourse(await coursesAPI.update(course.id, { archived: !course.archived }))
+    } catch (err) {
+      setError(`Failed to update ${course.name}: ${err.message}`)
+    }
+  }
+
+  const handleDelete = async () => {
+    const course = deletingCourse
+    if (course.studentCount > 0 && !reassignTo) return
+
+    try {
+      setError(null)
+      await coursesAPI.remove(course.id, { reassignTo: course.studentCount > 0 ? Number(reassignTo) : undefined })
+      // Reload so the target course's student count reflects the move
+      setDeletingCourse(null)
+      await loadCourses()
+    } catch (err) {
+      setError(`Failed to delete ${course.name}: ${err.message}`)
+      setDeletingCourse(null)
+    }
+  }
+
+  const reassignOptions = courses.filter((course) => !course.archived && course.id !== deletingCourse?.id)
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardHeader>
+          <CardTitle className="font-heading text-xl">Add Course</CardTitle>
+          <CardDescription>New courses are immediately available in the student form.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="flex flex-col sm:flex-row gap-3">
+            <div className="flex-1 space-y-2">
+              <Input
+                value={newName}
+                onChange={(e) => {
+                  setNewName(e.target.value)
+                  setAddError("")
+                }}
+                placeholder="Course name"
+                className={`bg-background border-border/50 focus:border-primary ${
+                  addError ? "border-destructive focus:border-destructive" : ""
+                }`}
+              />
+              {addError && <p className="text-sm text-destructive font-medium">{addError}</p>}
+            </div>
+            <Button type="submit" className="bg-primary hover:bg-primary/90">
+              <Plus className="w-4 h-4 mr-1" />
+              Add Course
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <div className="px-4 py-3 rounded-lg border border-destructive/30 bg-destructive/10 text-sm text-destructive font-medium">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {courses.map((course) => (
+          <Card key={course.id} className="bg-gradient-to-br from-card to-card/50 border-0 shadow-md">
+            <CardContent className="flex flex-col md:flex-row md:items-center justify-between gap-4 py-4">
+              <div className="flex-1 space-y-1">
+                {editingId === course.id ? (
+                  <div className="flex gap-2">
+                    <Input
+                      value={editName}
+                      onChange={(e) => {
+                        setEditName(e.target.value)
+                        setEditError("")
+                      }}
+                      className="bg-background border-border/50 focus:border-primary"
+                      autoFocus
+                    />
+                    <Button size="sm" onClick={() => handleRename(course)} className="h-9 w-9 p-0">
+                      <Check className="h-4 w-4" />
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setEditingId(null)} className="h-9 w-9 p-0">
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <span className="font-heading font-semibold text-lg">{course.name}</span>
+                    {course.archived && (
+                      <Badge variant="outline" className="text-xs text-muted-foreground">
+                        Archived
+                      </Badge>
+                    )}
+                  </div>
+                )}
+                {editingId === course.id && editError && (
+                  <p className="text-sm text-destructive font-medium">{editError}</p>
+                )}
+                <p className="text-sm text-muted-foreground flex items-center gap-1">
+                  <Users className="w-4 h-4" />
+                  {course.studentCount} student{course.studentCount === 1 ? "" : "s"}
+                </p>
+              </div>
+
+              <div className="flex gap-2">
+                <Button asChild variant="outline" size="sm">
+                  <Link href={`/attendance?course=${course.id}`}>
+                    <CalendarCheck className="w-4 h-4 mr-1" />
+                    Attendance
+                  </Link>
+                </Button>
+                <Button asChild variant="outline" size="sm">
+                  <Link href={`/gradebook?course=${course.id}`}>
+                    <ClipboardList className="w-4 h-4 mr-1" />
+                    Grades
+                  </Link>
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => startEditing(course)}>
+                  <Pencil className="w-4 h-4 mr-1" />
+                  Rename
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => handleToggleArchived(course)}>
+                  {course.archived ? (
+                    <>
+                      <ArchiveRestore className="w-4 h-4 mr-1" />
+                      Restore
+                    </>
+                  ) : (
+                    <>
+                      <Archive className="w-4 h-4 mr-1" />
+                      Archive
+                    </>
+                  )}
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => {
+                    setDeletingCourse(course)
+                    setReassignTo("")
+                  }}
+                  className="hover:bg-destructive hover:text-destructive-foreground transition-colors"
+                >
+                  <Trash2 className="w-4 h-4 mr-1" />
+                  Delete
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {/* Delete confirmation modal */}
+      {deletingCourse && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+          <Card className="w-full max-w-md animate-slide-up">
+            <CardHeader>
+              <CardTitle className="font-heading text-xl">Delete {deletingCourse.name}?</CardTitle>
+              <CardDescription>
+                {deletingCourse.studentCount > 0
+                  ? `${deletingCourse.studentCount} student(s) are enrolled. Choose a course to move them to.`
+                  : "No students are enrolled in this course."}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {deletingCourse.studentCount > 0 && (
+                <select
+                  value={reassignTo}
+                  onChange={(e) => setReassignTo(e.target.value)}
+                  className="w-full px-3 py-2 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors"
+                >
+                  <option value="">Move students to...</option>
+                  {reassignOptions.map((course) => (
+                    <option key={course.id} value={course.id.toString()}>
+                      {course.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {deletingCourse.studentCount > 0 && reassignOptions.length === 0 && (
+                <p className="text-sm text-muted-foreground">
+                  There is no other active course. Archive this course instead, or create a new one first.
+                </p>
+              )}
+              <div className="flex space-x-3">
+                <Button variant="outline" onClick={() => setDeletingCourse(null)} className="flex-1 bg-transparent">
+                  Cancel
+                </Button>
+                <Button
+                  variant="destructive"
+                  onClick={handleDelete}
+                  disabled={deletingCourse.studentCount > 0 && !reassignTo}
+                  className="flex-1"
+                >
+                  Delete Course
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CourseManager
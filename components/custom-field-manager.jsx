@@ -0,0 +1,314 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Badge } from "@/components/ui/badge"
+import { Plus, Pencil, Trash2, Check, X, ListChecks } from "lucide-react"
+import ConfirmDialog from "@/components/confirm-dialog"
+import { customFieldsAPI } from "@/lib/api"
+import { CUSTOM_FIELD_TYPES, CUSTOM_FIELD_TYPE_LABELS, validateCustomField } from "@/lib/custom-fields"
+
+const EMPTY_FIELD = { label: "", type: "text", options: "", required: false }
+
+// Choices are typed as one comma-separated list
+const splitOptions = (text) => text.split(",").map((option) => option.trim())
+
+/**
+ * Inputs shared by the add form and the inline editor. The type can only be
+ * picked when adding, since stored values have to keep matching it.
+ */
+function FieldInputs({ value, onChange, errors, idPrefix, typeLocked = false }) {
+  const update = (changes) => onChange({ ...value, ...changes })
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-[2fr_1fr_2fr_auto] gap-3 md:items-start">
+      <div className="space-y-1">
+        <Label htmlFor={`${idPrefix}-label`} className="text-xs text-muted-foreground">
+          Label
+        </Label>
+        <Input
+          id={`${idPrefix}-label`}
+          value={value.label}
+          onChange={(e) => update({ label: e.target.value })}
+          placeholder="e.g. Phone"
+          maxLength={50}
+          className={`bg-background border-border/50 focus:border-primary ${errors.label ? "border-destructive" : ""}`}
+        />
+        {errors.label && <p className="text-sm text-destructive font-medium">{errors.label}</p>}
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor={`${idPrefix}-type`} className="text-xs text-muted-foreground">
+          Type
+        </Label>
+        <select
+          id={`${idPrefix}-type`}
+          value={value.type}
+          onChange={(e) => update({ type: e.target.value })}
+          disabled={typeLocked}
+          className="w-full h-9 px-3 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors disabled:opacity-60"
+        >
+          {CUSTOM_FIELD_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {CUSTOM_FIELD_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="space-y-1">
+        {value.type === "select" && (
+          <>
+            <Label htmlFor={`${idPrefix}-options`} className="text-xs text-muted-foreground">
+              Choices, separated by commas
+            </Label>
+            <Input
+              id={`${idPrefix}-options`}
+              value={value.options}
+              onChange={(e) => update({ options: e.target.value })}
+              placeholder="e.g. Full-time, Part-time"
+              className={`bg-background border-border/50 focus:border-primary ${
+                errors.options ? "border-destructive" : ""
+              }`}
+            />
+            {errors.options && <p className="text-sm text-destructive font-medium">{errors.options}</p>}
+          </>
+        )}
+      </div>
+      <label className="flex items-center gap-2 text-sm md:mt-7 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={value.required}
+          onChange={(e) => update({ required: e.target.checked })}
+          className="h-4 w-4 accent-primary"
+        />
+        Required
+      </label>
+    </div>
+  )
+}
+
+/**
+ * CustomFieldManager Component
+ *
+ * Lets admins define extra student fields (text, number, date or a choice
+ * list) that StudentForm then asks for. Deleting a field also deletes every
+ * student's value for it, so that asks for confirmation first.
+ */
+function CustomFieldManager() {
+  const [fields, setFields] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [newField, setNewField] = useState(EMPTY_FIELD)
+  const [addErrors, setAddErrors] = useState({})
+
+  const [editingId, setEditingId] = useState(null)
+  const [editField, setEditField] = useState(EMPTY_FIELD)
+  const [editErrors, setEditErrors] = useState({})
+
+  const [deletingField, setDeletingField] = useState(null)
+
+  const loadFields = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      setFields(await customFieldsAPI.list())
+    } catch (err) {
+      setError("Failed to load fields. Please try again.")
+      console.error("Error loading custom fields:", err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadFields()
+  }, [])
+
+  const toFieldData = (value) => ({
+    label: value.label.trim(),
+    type: value.type,
+    options: value.type === "select" ? splitOptions(value.options).filter(Boolean) : [],
+    required: value.required,
+  })
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    const data = toFieldData(newField)
+    const errors = validateCustomField(data)
+    setAddErrors(errors)
+    if (Object.keys(errors).length > 0) return
+
+    try {
+      const field = await customFieldsAPI.create(data)
+      setFields((prev) => [...prev, field])
+      setNewField(EMPTY_FIELD)
+    } catch (err) {
+      setAddErrors(err.details || { label: err.message })
+    }
+  }
+
+  const startEditing = (field) => {
+    setEditingId(field.id)
+    setEditField({ ...field, options: field.options.join(", ") })
+    setEditErrors({})
+  }
+
+  const handleUpdate = async (field) => {
+    const data = toFieldData(editField)
+    const errors = validateCustomField(data)
+    setEditErrors(errors)
+    if (Object.keys(errors).length > 0) return
+
+    try {
+      const updated = await customFieldsAPI.update(field.id, data)
+      setFields((prev) => prev.map((f) => (f.id === updated.id ? updated : f)))
+      setEditingId(null)
+    } catch (err) {
+      setEditErrors(err.details || { label: err.message })
+    }
+  }
+
+  const confirmDelete = async () => {
+    const field = deletingField
+    try {
+      setError(null)
+      await customFieldsAPI.remove(field.id)
+      setFields((prev) => prev.filter((f) => f.id !== field.id))
+    } catch (err) {
+      setError(`Failed to delete ${field.label}: ${err.message}`)
+    } finally {
+      setDeletingField(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardHeader>
+          <CardTitle className="font-heading text-xl">Add Field</CardTitle>
+          <CardDescription>
+            New fields appear in the student form, on student cards and profiles, in exports and in search.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <FieldInputs value={newField} onChange={setNewField} errors={addErrors} idPrefix="new-field" />
+            <Button type="submit" className="bg-primary hover:bg-primary/90">
+              <Plus className="w-4 h-4 mr-1" />
+              Add Field
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <div className="px-4 py-3 rounded-lg border border-destructive/30 bg-destructive/10 text-sm text-destructive font-medium">
+          {error}
+        </div>
+      )}
+
+      {fields.length === 0 ? (
+        <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+          <CardContent className="flex flex-col items-center justify-center py-16 text-center">
+            <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mb-4">
+              <ListChecks className="w-8 h-8 text-muted-foreground" />
+            </div>
+            <CardTitle className="font-heading text-xl mb-2">No custom fields yet</CardTitle>
+            <CardDescription className="text-base">
+              Students only have a name, email, courses and photo. Add fields like phone or date of birth above.
+            </CardDescription>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {fields.map((field) => (
+            <Card key={field.id} className="bg-gradient-to-br from-card to-card/50 border-0 shadow-md">
+              <CardContent className="py-4">
+                {editingId === field.id ? (
+                  <div className="space-y-3">
+                    <FieldInputs
+                      value={editField}
+                      onChange={setEditField}
+                      errors={editErrors}
+                      idPrefix={`field-${field.id}`}
+                      typeLocked
+                    />
+                    <div className="flex gap-2">
+                      <Button size="sm" onClick={() => handleUpdate(field)}>
+                        <Check className="h-4 w-4 mr-1" />
+                        Save
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => setEditingId(null)}>
+                        <X className="h-4 w-4 mr-1" />
+                        Cancel
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                    <div className="space-y-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-heading font-semibold text-lg">{field.label}</span>
+                        <Badge variant="secondary" className="text-xs">
+                          {CUSTOM_FIELD_TYPE_LABELS[field.type]}
+                        </Badge>
+                        {field.required && (
+                          <Badge variant="outline" className="text-xs">
+                            Required
+                          </Badge>
+                        )}
+                      </div>
+                      {field.type === "select" && (
+                        <p className="text-sm text-muted-foreground">{field.options.join(" · ")}</p>
+                      )}
+                    </div>
+                    <div className="flex gap-2">
+                      <Button variant="outline" size="sm" onClick={() => startEditing(field)}>
+                        <Pencil className="w-4 h-4 mr-1" />
+                        Edit
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setDeletingField(field)}
+                        className="hover:bg-destructive hover:text-destructive-foreground transition-colors"
+                      >
+                        <Trash2 className="w-4 h-4 mr-1" />
+                        Delete
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {deletingField && (
+        <ConfirmDialog
+          title={`Delete ${deletingField.label}?`}
+          description="Every student's value for this field will be deleted too. This can't be undone."
+          confirmLabel="Delete"
+          destructive
+          onConfirm={confirmDelete}
+          onCancel={() => setDeletingField(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default CustomFieldManager
@@ -0,0 +1,157 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { UserSearch, Merge } from "lucide-react"
+import { toast } from "sonner"
+import EnrollmentBadge from "@/components/enrollment-badge"
+import StudentMerge from "@/components/student-merge"
+import { studentsAPI, coursesAPI } from "@/lib/api"
+import { formatDate, getInitials } from "@/lib/format"
+
+/**
+ * DuplicateReport Component
+ *
+ * Lists pairs of students that may be the same person, side by side, with
+ * the reasons they were matched (similar names, email variants), and opens
+ * the merge dialog for a pair that really is one person.
+ */
+function DuplicateReport() {
+  const [pairs, setPairs] = useState([])
+  const [courses, setCourses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [mergingPair, setMergingPair] = useState(null)
+
+  const loadReport = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [duplicates, coursesData] = await Promise.all([
+        studentsAPI.duplicates(),
+        coursesAPI.list({ includeArchived: true }),
+      ])
+      setPairs(duplicates)
+      setCourses(coursesData)
+    } catch (err) {
+      setError("Failed to check for duplicates. Please try again.")
+      console.error("Error loading duplicates:", err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadReport()
+  }, [])
+
+  const getCourse = (courseId) => courses.find((c) => c.id === courseId)
+
+  const handleMerged = async (student) => {
+    setMergingPair(null)
+    toast.success(`Merged into ${student.name}`)
+    // A merge can resolve or change other pairs too, so check again
+    await loadReport()
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="px-4 py-3 rounded-lg border border-destructive/30 bg-destructive/10 text-sm text-destructive font-medium">
+        {error}
+      </div>
+    )
+  }
+
+  if (pairs.length === 0) {
+    return (
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardContent className="flex flex-col items-center justify-center py-16 text-center">
+          <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mb-4">
+            <UserSearch className="w-8 h-8 text-muted-foreground" />
+          </div>
+          <CardTitle className="font-heading text-xl mb-2">No likely duplicates</CardTitle>
+          <CardDescription className="text-base">
+            Every student on the roster looks like a different person.
+          </CardDescription>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        {pairs.length} possible duplicate{pairs.length === 1 ? "" : "s"}, strongest matches first
+      </p>
+
+      {pairs.map(({ students, reasons }) => (
+        <Card
+          key={students.map((student) => student.id).join(":")}
+          className="bg-gradient-to-br from-card to-card/50 border-0 shadow-md"
+        >
+          <CardHeader className="pb-3 flex flex-row items-center justify-between gap-3 space-y-0">
+            <div className="flex flex-wrap gap-2">
+              {reasons.map((reason) => (
+                <Badge key={reason} variant="secondary" className="text-xs">
+                  {reason}
+                </Badge>
+              ))}
+            </div>
+            <Button variant="outline" size="sm" onClick={() => setMergingPair(students)}>
+              <Merge className="w-4 h-4 mr-1" />
+              Merge
+            </Button>
+          </CardHeader>
+          <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {students.map((student) => (
+              <div key={student.id} className="flex items-start gap-3 p-3 rounded-lg bg-muted/40">
+                <Avatar className="h-10 w-10">
+                  <AvatarImage src={student.profileImage || "/placeholder.svg"} alt={student.name} />
+                  <AvatarFallback className="bg-primary/10 text-primary text-sm font-semibold">
+                    {getInitials(student.name)}
+                  </AvatarFallback>
+                </Avatar>
+                <div className="space-y-1 min-w-0">
+                  <p className="font-heading font-semibold">{student.name}</p>
+                  <p className="text-sm text-muted-foreground truncate">{student.email}</p>
+                  <p className="text-xs text-muted-foreground">Added {formatDate(student.createdAt)}</p>
+                  <div className="flex flex-wrap gap-1">
+                    {(student.enrollments || []).map((enrollment) => (
+                      <EnrollmentBadge
+                        key={enrollment.courseId}
+                        enrollment={enrollment}
+                        course={getCourse(enrollment.courseId)}
+                      />
+                    ))}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      ))}
+
+      {mergingPair && (
+        <StudentMerge
+          students={mergingPair}
+          courses={courses}
+          onMerged={handleMerged}
+          onCancel={() => setMergingPair(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default DuplicateReport
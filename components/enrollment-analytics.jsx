@@ -0,0 +1,286 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { CalendarRange, TrendingUp, TrendingDown, UserPlus, Users, GraduationCap } from "lucide-react"
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts"
+import { analyticsAPI } from "@/lib/api"
+import { ANALYTICS_WINDOWS, DEFAULT_ANALYTICS_DAYS, formatPeriod } from "@/lib/analytics"
+import { formatDate } from "@/lib/format"
+
+const AXIS_PROPS = { stroke: "var(--muted-foreground)", fontSize: 12, tickLine: false, axisLine: false }
+const TOOLTIP_STYLE = {
+  background: "var(--popover)",
+  border: "1px solid var(--border)",
+  borderRadius: 8,
+  fontSize: 12,
+}
+
+// Growth compared with the previous window, e.g. "+25%"
+function GrowthBadge({ growth }) {
+  if (growth === null) {
+    return <span className="text-xs text-muted-foreground">no earlier data</span>
+  }
+  const Icon = growth < 0 ? TrendingDown : TrendingUp
+  return (
+    <Badge variant={growth < 0 ? "destructive" : "secondary"} className="gap-1">
+      <Icon className="w-3 h-3" />
+      {growth > 0 ? "+" : ""}
+      {growth}%
+    </Badge>
+  )
+}
+
+function SummaryCard({ title, value, icon: Icon, children }) {
+  return (
+    <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <CardTitle className="text-sm font-semibold text-muted-foreground uppercase tracking-wide">{title}</CardTitle>
+        <Icon className="h-6 w-6 text-primary" />
+      </CardHeader>
+      <CardContent>
+        <div className="text-3xl font-heading font-black text-foreground">{value}</div>
+        <div className="text-xs text-muted-foreground mt-1">{children}</div>
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * EnrollmentAnalytics Component
+ *
+ * Charts for the analytics page: enrollments and new students over time,
+ * headcount and growth per course, and how each month's intake is doing now.
+ * The time window is picked from ANALYTICS_WINDOWS.
+ */
+function EnrollmentAnalytics() {
+  const [days, setDays] = useState(DEFAULT_ANALYTICS_DAYS)
+  const [analytics, setAnalytics] = useState(null)
+  const [error, setError] = useState(null)
+
+  const loadAnalytics = async () => {
+    try {
+      setError(null)
+      setAnalytics(await analyticsAPI.get(days))
+    } catch (err) {
+      setError("Failed to load analytics. Please try again.")
+      console.error("Error loading analytics:", err)
+    }
+  }
+
+  useEffect(() => {
+    loadAnalytics()
+  }, [days])
+
+  if (error) {
+    return (
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardContent className="py-12 text-center space-y-4">
+          <p className="text-destructive font-medium">{error}</p>
+          <Button onClick={loadAnalytics}>Retry</Button>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  if (!analytics) {
+    return (
+      <div className="flex justify-center py-16">
+        <div className="w-12 h-12 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  const { window: range, summary, timeline, courses, cohorts } = analytics
+  const windowLabel = ANALYTICS_WINDOWS.find((option) => option.days === range.days)?.label.toLowerCase()
+  const timelineData = timeline.map((point) => ({ ...point, label: formatPeriod(point.period, range.granularity) }))
+  const cohortData = cohorts.map((cohort) => ({ ...cohort, label: formatPeriod(cohort.month, "month") }))
+
+  return (
+    <div className="space-y-8 animate-fade-in">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <p className="text-muted-foreground">
+          {formatDate(`${range.from}T00:00:00`)} – {formatDate(`${range.to}T00:00:00`)}
+        </p>
+        <div className="relative">
+          <CalendarRange className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground h-4 w-4" />
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="pl-10 pr-8 py-2 bg-card border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors appearance-none cursor-pointer"
+            aria-label="Time window"
+          >
+            {ANALYTICS_WINDOWS.map((option) => (
+              <option key={option.days} value={option.days}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <section className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <SummaryCard title="New Enrollments" value={summary.newEnrollments} icon={TrendingUp}>
+          {range.days ? (
+            <span className="flex items-center gap-2">
+              <GrowthBadge growth={summary.enrollmentGrowth} /> vs previous {range.days} days
+            </span>
+          ) : (
+            "Since the first enrollment"
+          )}
+        </SummaryCard>
+        <SummaryCard title="New Students" value={summary.newStudents} icon={UserPlus}>
+          Added {windowLabel}
+        </SummaryCard>
+        <SummaryCard title="Active Enrollments" value={summary.activeEnrollments} icon={GraduationCap}>
+          Across {courses.filter((course) => course.headcount > 0).length} courses
+        </SummaryCard>
+        <SummaryCard title="Total Students" value={summary.totalStudents} icon={Users}>
+          On the roster today
+        </SummaryCard>
+      </section>
+
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardHeader>
+          <CardTitle className="font-heading text-xl">Enrollments over time</CardTitle>
+          <CardDescription>Course enrollments started and students added, per {range.granularity}</CardDescription>
+        </CardHeader>
+        <CardContent className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={timelineData} margin={{ left: -20, right: 8 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" vertical={false} />
+              <XAxis dataKey="label" {...AXIS_PROPS} minTickGap={24} />
+              <YAxis allowDecimals={false} {...AXIS_PROPS} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              <Area
+                type="monotone"
+                dataKey="enrollments"
+                name="Enrollments"
+                stroke="var(--chart-1)"
+                fill="var(--chart-1)"
+                fillOpacity={0.2}
+              />
+              <Area
+                type="monotone"
+                dataKey="newStudents"
+                name="New students"
+                stroke="var(--chart-3)"
+                fill="var(--chart-3)"
+                fillOpacity={0.1}
+              />
+            </AreaChart>
+          </ResponsiveContainer>
+        </CardContent>
+      </Card>
+
+      <section className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+          <CardHeader>
+            <CardTitle className="font-heading text-xl">Headcount by course</CardTitle>
+            <CardDescription>Students currently enrolled, completed and dropped</CardDescription>
+          </CardHeader>
+          <CardContent style={{ height: Math.max(200, courses.length * 44 + 60) }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={courses} layout="vertical" margin={{ left: 16, right: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" horizontal={false} />
+                <XAxis type="number" allowDecimals={false} {...AXIS_PROPS} />
+                <YAxis type="category" dataKey="name" width={120} {...AXIS_PROPS} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} cursor={{ fill: "var(--muted)" }} />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                <Bar dataKey="headcount" name="Enrolled" stackId="status" fill="var(--chart-1)" />
+                <Bar dataKey="completed" name="Completed" stackId="status" fill="var(--chart-2)" />
+                <Bar dataKey="dropped" name="Dropped" stackId="status" fill="var(--chart-5)" />
+              </BarChart>
+            </ResponsiveContainer>
+          </CardContent>
+        </Card>
+
+        <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+          <CardHeader>
+            <CardTitle className="font-heading text-xl">Course growth</CardTitle>
+            <CardDescription>
+              New enrollments {windowLabel}
+              {range.days ? `, compared with the ${range.days} days before` : ""}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {courses.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No courses yet.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="text-left text-muted-foreground">
+                  <tr>
+                    <th className="py-2 font-semibold">Course</th>
+                    <th className="py-2 font-semibold text-right">Enrolled</th>
+                    <th className="py-2 font-semibold text-right">New</th>
+                    {range.days > 0 && <th className="py-2 font-semibold text-right">Growth</th>}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border/50">
+                  {courses.map((course) => (
+                    <tr key={course.id}>
+                      <td className="py-2">
+                        {course.name}
+                        {course.archived && <span className="text-muted-foreground"> (archived)</span>}
+                      </td>
+                      <td className="py-2 text-right">{course.headcount}</td>
+                      <td className="py-2 text-right">{course.newEnrollments}</td>
+                      {range.days > 0 && (
+                        <td className="py-2 text-right">
+                          <GrowthBadge growth={course.growth} />
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+      </section>
+
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardHeader>
+          <CardTitle className="font-heading text-xl">Cohorts by month</CardTitle>
+          <CardDescription>
+            Students grouped by the month they were added: still studying, finished, or dropped every course
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="h-72">
+          {cohortData.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No students were added {windowLabel}.</p>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={cohortData} margin={{ left: -20, right: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" vertical={false} />
+                <XAxis dataKey="label" {...AXIS_PROPS} />
+                <YAxis allowDecimals={false} {...AXIS_PROPS} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} cursor={{ fill: "var(--muted)" }} />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                <Bar dataKey="active" name="Still enrolled" stackId="cohort" fill="var(--chart-1)" />
+                <Bar dataKey="completed" name="Completed" stackId="cohort" fill="var(--chart-2)" />
+                <Bar dataKey="dropped" name="Dropped" stackId="cohort" fill="var(--chart-5)" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default EnrollmentAnalytics
@@ -0,0 +1,66 @@
+"use client"
+
+import { Badge } from "@/components/ui/badge"
+import { CheckCircle2 } from "lucide-react"
+import { ENROLLMENT_STATUS_LABELS, formatDateOnly } from "@/lib/enrollments"
+
+/**
+ * Badge for one enrollment of a student.
+ * Completed and dropped enrollments are styled differently from active ones,
+ * archived courses are muted, and a course that no longer exists is flagged
+ * so the student can be reassigned.
+ */
+function EnrollmentBadge({ enrollment, course }) {
+  const statusNote = enrollment.status === "enrolled" ? "" : ` · ${ENROLLMENT_STATUS_LABELS[enrollment.status]}`
+  const title = [
+    `Started ${formatDateOnly(enrollment.startDate)}`,
+    enrollment.completedDate && `completed ${formatDateOnly(enrollment.completedDate)}`,
+  ]
+    .filter(Boolean)
+    .join(", ")
+
+  if (!course) {
+    return (
+      <Badge variant="outline" className="text-xs font-medium border-destructive/50 text-destructive" title={title}>
+        Course removed{statusNote}
+      </Badge>
+    )
+  }
+
+  if (enrollment.status === "dropped") {
+    return (
+      <Badge variant="outline" className="text-xs font-medium text-muted-foreground line-through" title={title}>
+        {course.name}
+      </Badge>
+    )
+  }
+
+  if (enrollment.status === "completed") {
+    return (
+      <Badge variant="outline" className="text-xs font-medium border-primary/40 text-primary" title={title}>
+        <CheckCircle2 />
+        {course.name}
+      </Badge>
+    )
+  }
+
+  if (course.archived) {
+    return (
+      <Badge variant="outline" className="text-xs font-medium text-muted-foreground" title={`${title} (archived course)`}>
+        {course.name} (archived)
+      </Badge>
+    )
+  }
+
+  return (
+    <Badge
+      variant="secondary"
+      className="text-xs font-medium bg-primary/10 text-primary hover:bg-primary/20"
+      title={title}
+    >
+      {course.name}
+    </Badge>
+  )
+}
+
+export default EnrollmentBadge
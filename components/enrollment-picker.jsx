@@ -0,0 +1,115 @@
+"use client"
+
+import { Input } from "@/components/ui/input"
+import { ENROLLMENT_STATUSES, ENROLLMENT_STATUS_LABELS, today } from "@/lib/enrollments"
+
+/**
+ * EnrollmentPicker Component Props:
+ * @typedef {Object} EnrollmentPickerProps
+ * @property {Course[]} courses - Courses that can be picked
+ * @property {Enrollment[]} value - Current enrollments
+ * @property {Function} onChange - Called with the new enrollments array
+ * @property {boolean} [invalid] - Highlights the picker when validation failed
+ */
+
+/**
+ * EnrollmentPicker Component
+ *
+ * Multi-select list of courses. Ticking a course adds an enrollment; each
+ * ticked course then shows its own status and start/completion dates.
+ */
+function EnrollmentPicker({ courses, value, onChange, invalid }) {
+  const findEnrollment = (courseId) => value.find((enrollment) => enrollment.courseId === courseId)
+
+  const toggleCourse = (courseId) => {
+    if (findEnrollment(courseId)) {
+      onChange(value.filter((enrollment) => enrollment.courseId !== courseId))
+    } else {
+      onChange([...value, { courseId, status: "enrolled", startDate: today(), completedDate: null }])
+    }
+  }
+
+  const updateEnrollment = (courseId, changes) => {
+    onChange(
+      value.map((enrollment) => {
+        if (enrollment.courseId !== courseId) return enrollment
+
+        const updated = { ...enrollment, ...changes }
+        // Only completed enrollments carry a completion date
+        if (changes.status && changes.status !== "completed") {
+          updated.completedDate = null
+        } else if (changes.status === "completed" && !updated.completedDate) {
+          updated.completedDate = today()
+        }
+        return updated
+      }),
+    )
+  }
+
+  if (courses.length === 0) {
+    return <p className="text-sm text-muted-foreground">No courses available.</p>
+  }
+
+  return (
+    <div
+      className={`divide-y divide-border/50 rounded-md border bg-background ${
+        invalid ? "border-destructive" : "border-border/50"
+      }`}
+    >
+      {courses.map((course) => {
+        const enrollment = findEnrollment(course.id)
+
+        return (
+          <div key={course.id} className="p-3 space-y-2">
+            <label className="flex items-center gap-2 text-sm font-medium cursor-pointer">
+              <input
+                type="checkbox"
+                checked={Boolean(enrollment)}
+                onChange={() => toggleCourse(course.id)}
+                className="h-4 w-4 accent-primary"
+              />
+              {course.name}
+              {course.archived && <span className="text-xs text-muted-foreground">(archived)</span>}
+            </label>
+
+            {enrollment && (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 pl-6">
+                <select
+                  aria-label={`${course.name} status`}
+                  value={enrollment.status}
+                  onChange={(e) => updateEnrollment(course.id, { status: e.target.value })}
+                  className="px-2 py-1 bg-background border border-border/50 rounded-md text-sm text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+                >
+                  {ENROLLMENT_STATUSES.map((status) => (
+                    <option key={status} value={status}>
+                      {ENROLLMENT_STATUS_LABELS[status]}
+                    </option>
+                  ))}
+                </select>
+                <Input
+                  type="date"
+                  aria-label={`${course.name} start date`}
+                  value={enrollment.startDate || ""}
+                  onChange={(e) => updateEnrollment(course.id, { startDate: e.target.value })}
+                  className="h-8 text-sm bg-background border-border/50"
+                />
+                {enrollment.status === "completed" && (
+                  <Input
+                    type="date"
+                    aria-label={`${course.name} completion date`}
+                    value={enrollment.completedDate || ""}
+                    min={enrollment.startDate}
+                    onChange={(e) => updateEnrollment(course.id, { completedDate: e.target.value })}
+                    className="h-8 text-sm bg-background border-border/50"
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default EnrollmentPicker
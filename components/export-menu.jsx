@@ -0,0 +1,120 @@
+"use client"
+
+import { useState, useEffect, useRef } from "react"
+import { Button } from "@/components/ui/button"
+import { Download, FileText, FileJson, Printer, ChevronDown } from "lucide-react"
+import {
+  buildExportRecords,
+  toStudentCsv,
+  toStudentJson,
+  toStudentRosterPdf,
+  downloadFile,
+} from "@/lib/student-export"
+
+/**
+ * ExportMenu Component Props:
+ * @typedef {Object} ExportMenuProps
+ * @property {Student[]} [students] - Students to export, e.g. a selection
+ * @property {Function} [loadStudents] - Async alternative to `students`, called on export (e.g. to fetch every match of a filter)
+ * @property {number} [count] - How many students `loadStudents` will return, for the menu
+ * @property {Course[]} courses - Courses used to resolve names
+ * @property {CustomField[]} [customFields] - Extra fields to add as CSV columns and JSON values
+ * @property {string} title - Roster title, e.g. the selected course
+ */
+
+/**
+ * ExportMenu Component
+ *
+ * Dropdown that downloads the given students as CSV, JSON or a PDF sign-in
+ * sheet. Exactly what's passed in is exported, so the caller decides
+ * whether that's the filtered view or a selection.
+ */
+function ExportMenu({ students, loadStudents, count = students?.length ?? 0, courses, customFields = [], title }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [isExporting, setIsExporting] = useState(false)
+  const menuRef = useRef(null)
+
+  // Close the menu when clicking anywhere else on the page
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false)
+      }
+    }
+    document.addEventListener("mousedown", handleClick)
+    return () => document.removeEventListener("mousedown", handleClick)
+  }, [isOpen])
+
+  const fileBase = `students-${new Date().toISOString().slice(0, 10)}`
+
+  const handleExport = async (format) => {
+    setIsOpen(false)
+
+    try {
+      setIsExporting(true)
+      const records = buildExportRecords(loadStudents ? await loadStudents() : students, courses, customFields)
+      if (format === "csv") {
+        downloadFile(toStudentCsv(records), `${fileBase}.csv`, "text/csv;charset=utf-8")
+      } else if (format === "json") {
+        downloadFile(toStudentJson(records), `${fileBase}.json`, "application/json")
+      } else {
+        downloadFile(await toStudentRosterPdf(records, title), `${fileBase}-roster.pdf`)
+      }
+    } catch (err) {
+      console.error("Error exporting students:", err)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <Button
+        variant="outline"
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={count === 0 || isExporting}
+        className="w-full sm:w-auto bg-card border-border/50"
+      >
+        <Download className="w-4 h-4 mr-2" />
+        {isExporting ? "Exporting..." : "Export"}
+        <ChevronDown className="w-4 h-4 ml-1" />
+      </Button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-56 rounded-md border border-border/50 bg-popover shadow-lg z-20 py-1 animate-fade-in">
+          <button
+            type="button"
+            onClick={() => handleExport("csv")}
+            className="flex w-full items-center gap-2 px-3 py-2 text-sm hover:bg-muted"
+          >
+            <FileText className="w-4 h-4" />
+            CSV spreadsheet
+          </button>
+          <button
+            type="button"
+            onClick={() => handleExport("json")}
+            className="flex w-full items-center gap-2 px-3 py-2 text-sm hover:bg-muted"
+          >
+            <FileJson className="w-4 h-4" />
+            JSON
+          </button>
+          <button
+            type="button"
+            onClick={() => handleExport("pdf")}
+            className="flex w-full items-center gap-2 px-3 py-2 text-sm hover:bg-muted"
+          >
+            <Printer className="w-4 h-4" />
+            PDF sign-in roster
+          </button>
+          <p className="px-3 pt-1 pb-2 text-xs text-muted-foreground">
+            {count} student{count === 1 ? "" : "s"} in current view
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExportMenu
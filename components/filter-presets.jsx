@@ -0,0 +1,150 @@
+"use client"
+
+import { useState, useEffect, useRef } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Bookmark, BookmarkPlus, ChevronDown, X } from "lucide-react"
+import { toast } from "sonner"
+import { filterPresetsAPI } from "@/lib/api"
+
+/**
+ * FilterPresets Component Props:
+ * @typedef {Object} FilterPresetsProps
+ * @property {string} currentFilters - The directory's current filters as a query string (see toFilterParams)
+ * @property {Function} onApply - Called with a preset's query string when it is picked
+ */
+
+/**
+ * FilterPresets Component
+ *
+ * Dropdown of the user's saved directory filters. Picking one applies it;
+ * the current filters can be saved under a new name, or under an existing
+ * name to update that preset. Presets are loaded each time the menu opens,
+ * so they follow the name entered under Recent Activity.
+ */
+function FilterPresets({ currentFilters, onApply }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [presets, setPresets] = useState([])
+  const [name, setName] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+  const menuRef = useRef(null)
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    filterPresetsAPI
+      .list()
+      .then(setPresets)
+      .catch((err) => console.error("Error loading filter presets:", err))
+
+    // Close the menu when clicking anywhere else on the page
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false)
+      }
+    }
+    document.addEventListener("mousedown", handleClick)
+    return () => document.removeEventListener("mousedown", handleClick)
+  }, [isOpen])
+
+  const applyPreset = (preset) => {
+    setIsOpen(false)
+    onApply(preset.query)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+
+    try {
+      setIsSaving(true)
+      const saved = await filterPresetsAPI.save(name.trim(), currentFilters)
+      setPresets((prev) =>
+        [...prev.filter((preset) => preset.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name)),
+      )
+      setName("")
+      toast.success(`Saved filters as "${saved.name}"`)
+    } catch (err) {
+      toast.error(`Could not save filters: ${err.details?.name || err.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async (preset) => {
+    try {
+      await filterPresetsAPI.remove(preset.id)
+      setPresets((prev) => prev.filter((p) => p.id !== preset.id))
+    } catch (err) {
+      toast.error(`Could not delete "${preset.name}": ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <Button
+        variant="outline"
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full sm:w-auto bg-card border-border/50"
+      >
+        <Bookmark className="w-4 h-4 mr-2" />
+        Presets
+        <ChevronDown className="w-4 h-4 ml-1" />
+      </Button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 rounded-md border border-border/50 bg-popover shadow-lg z-20 py-1 animate-fade-in">
+          {presets.length === 0 ? (
+            <p className="px-3 py-2 text-sm text-muted-foreground">No saved presets yet.</p>
+          ) : (
+            <ul>
+              {presets.map((preset) => (
+                <li key={preset.id} className="flex items-center hover:bg-muted">
+                  <button
+                    type="button"
+                    onClick={() => applyPreset(preset)}
+                    className={`flex-1 px-3 py-2 text-left text-sm truncate ${
+                      preset.query === currentFilters ? "font-semibold text-primary" : ""
+                    }`}
+                  >
+                    {preset.name}
+                  </button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDelete(preset)}
+                    className="h-7 w-7 p-0 mr-1 hover:bg-destructive hover:text-destructive-foreground"
+                    aria-label={`Delete preset ${preset.name}`}
+                  >
+                    <X className="w-3 h-3" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleSave} className="flex gap-2 px-3 pt-2 pb-2 mt-1 border-t border-border/50">
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Save current filters as..."
+              maxLength={50}
+              className="h-8 bg-background border-border/50 focus:border-primary"
+            />
+            <Button
+              type="submit"
+              size="sm"
+              disabled={!name.trim() || isSaving}
+              className="h-8 w-8 p-0 shrink-0"
+              aria-label="Save preset"
+            >
+              <BookmarkPlus className="w-4 h-4" />
+            </Button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FilterPresets
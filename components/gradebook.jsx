@@ -0,0 +1,450 @@
+"use client"
+
+import { useState, useEffect, useMemo } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
+import { Plus, Trash2, ClipboardList, Save } from "lucide-react"
+import { toast } from "sonner"
+import ConfirmDialog from "@/components/confirm-dialog"
+import { useAuth } from "@/components/auth-provider"
+import { coursesAPI, assessmentsAPI, studentsAPI } from "@/lib/api"
+import { computeFinalGrade, LOW_GRADE } from "@/lib/grades"
+import { ENROLLMENT_STATUS_LABELS } from "@/lib/enrollments"
+import { validateAssessment, validateScore } from "@/lib/validation"
+import { getInitials } from "@/lib/format"
+import { canAccessCourse } from "@/lib/permissions"
+
+const EMPTY_ASSESSMENT = { name: "", maxScore: "100", weight: "1" }
+
+// Input text to the value sent to the API: blank clears the score
+const parseScore = (value) => (value.trim() === "" ? null : Number(value))
+
+const getEnrollment = (student, courseId) =>
+  (student.enrollments || []).find((enrollment) => enrollment.courseId === courseId)
+
+/**
+ * Gradebook Component Props:
+ * @typedef {Object} GradebookProps
+ * @property {number|null} [initialCourseId] - Course to open first, e.g. from `/gradebook?course=2`
+ */
+
+/**
+ * Gradebook Component
+ *
+ * One course's students down the side and its assessments across the top,
+ * with a score field in every cell and the weighted final grade at the end
+ * of each row. Edited scores are kept as a draft, and the final grades
+ * follow along, until everything is saved at once.
+ *
+ * Instructors only get the courses they teach; read-only users see the
+ * grades without the controls to change them.
+ */
+function Gradebook({ initialCourseId = null }) {
+  const { user, isLoading: isLoadingUser, can } = useAuth()
+  const readOnly = !can("classes:edit")
+  const [courses, setCourses] = useState([])
+  const [courseId, setCourseId] = useState(initialCourseId)
+  const [assessments, setAssessments] = useState([])
+  const [roster, setRoster] = useState([])
+  const [draft, setDraft] = useState({}) // Unsaved input text by assessment ID, then student ID
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const [newAssessment, setNewAssessment] = useState(EMPTY_ASSESSMENT)
+  const [assessmentErrors, setAssessmentErrors] = useState({})
+  const [deletingAssessment, setDeletingAssessment] = useState(null)
+
+  useEffect(() => {
+    if (isLoadingUser) return
+    coursesAPI
+      .list({ includeArchived: true })
+      .then((allCourses) => {
+        const coursesData = allCourses.filter((course) => canAccessCourse(user, course.id))
+        setCourses(coursesData)
+        if (coursesData.length === 0) setLoading(false)
+        setCourseId((current) =>
+          coursesData.some((course) => course.id === current) ? current : (coursesData[0]?.id ?? null),
+        )
+      })
+      .catch((err) => {
+        setError("Failed to load courses. Please try again.")
+        console.error("Error loading courses:", err)
+      })
+  }, [user, isLoadingUser])
+
+  const loadCourse = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [assessmentsData, students] = await Promise.all([
+        assessmentsAPI.list(courseId),
+        studentsAPI.list({ course: courseId }),
+      ])
+      setAssessments(assessmentsData)
+      setRoster(students)
+      setDraft({})
+    } catch (err) {
+      setError("Failed to load the gradebook. Please try again.")
+      console.error("Error loading gradebook:", err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (courseId !== null) loadCourse()
+  }, [courseId])
+
+  // Assessments as they'd be saved, so final grades update while typing. Invalid cells are left out.
+  const draftAssessments = useMemo(
+    () =>
+      assessments.map((assessment) => {
+        const scores = { ...assessment.scores }
+        Object.entries(draft[assessment.id] || {}).forEach(([studentId, value]) => {
+          const score = parseScore(value)
+          if (score === null) delete scores[studentId]
+          else if (!validateScore(score, assessment.maxScore)) scores[studentId] = score
+        })
+        return { ...assessment, scores }
+      }),
+    [assessments, draft],
+  )
+
+  // Everyone taking or done with the course, plus anyone graded before they dropped it
+  const rows = useMemo(
+    () =>
+      roster
+        .filter(
+          (student) =>
+            getEnrollment(student, courseId)?.status !== "dropped" ||
+            assessments.some((assessment) => assessment.scores[student.id] !== undefined),
+        )
+        .map((student) => ({
+          student,
+          status: getEnrollment(student, courseId)?.status,
+          final: computeFinalGrade(draftAssessments, student.id),
+        })),
+    [roster, assessments, draftAssessments, courseId],
+  )
+
+  const cellErrors = useMemo(() => {
+    const errors = {}
+    assessments.forEach((assessment) => {
+      Object.entries(draft[assessment.id] || {}).forEach(([studentId, value]) => {
+        const score = parseScore(value)
+        const message = score === null ? null : validateScore(score, assessment.maxScore)
+        if (message) errors[`${assessment.id}:${studentId}`] = message
+      })
+    })
+    return errors
+  }, [assessments, draft])
+
+  const hasChanges = Object.keys(draft).length > 0
+  const hasErrors = Object.keys(cellErrors).length > 0
+  const totalWeight = assessments.reduce((sum, assessment) => sum + assessment.weight, 0)
+
+  const savedText = (assessment, studentId) => String(assessment.scores[studentId] ?? "")
+
+  const setScore = (assessment, studentId, value) => {
+    setDraft((prev) => {
+      const cells = { ...prev[assessment.id], [studentId]: value }
+      // Back to the saved value - nothing to save for this cell
+      if (value.trim() === savedText(assessment, studentId)) delete cells[studentId]
+      const next = { ...prev, [assessment.id]: cells }
+      if (Object.keys(cells).length === 0) delete next[assessment.id]
+      return next
+    })
+  }
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true)
+      const saved = await Promise.all(
+        Object.entries(draft).map(([assessmentId, cells]) =>
+          assessmentsAPI.saveScores(
+            assessmentId,
+            Object.fromEntries(Object.entries(cells).map(([studentId, value]) => [studentId, parseScore(value)])),
+          ),
+        ),
+      )
+      setAssessments((prev) => prev.map((assessment) => saved.find((a) => a.id === assessment.id) || assessment))
+      setDraft({})
+      toast.success("Grades saved")
+    } catch (err) {
+      toast.error(`Could not save grades: ${err.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleAddAssessment = async (e) => {
+    e.preventDefault()
+
+    const data = {
+      name: newAssessment.name,
+      maxScore: Number(newAssessment.maxScore),
+      weight: Number(newAssessment.weight),
+    }
+    const errors = validateAssessment(data)
+    setAssessmentErrors(errors)
+    if (Object.keys(errors).length > 0) return
+
+    try {
+      const assessment = await assessmentsAPI.create(courseId, data)
+      setAssessments((prev) => [...prev, assessment])
+      setNewAssessment({ ...EMPTY_ASSESSMENT, maxScore: newAssessment.maxScore, weight: newAssessment.weight })
+    } catch (err) {
+      setAssessmentErrors(err.details || { name: err.message })
+    }
+  }
+
+  const confirmDeleteAssessment = async () => {
+    const assessment = deletingAssessment
+    try {
+      await assessmentsAPI.remove(assessment.id)
+      setAssessments((prev) => prev.filter((a) => a.id !== assessment.id))
+      setDraft((prev) => {
+        const { [assessment.id]: removed, ...rest } = prev
+        return rest
+      })
+    } catch (err) {
+      toast.error(`Could not delete assessment: ${err.message}`)
+    } finally {
+      setDeletingAssessment(null)
+    }
+  }
+
+  if (error) {
+    return (
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardContent className="py-12 text-center space-y-4">
+          <p className="text-destructive font-medium">{error}</p>
+          <Button onClick={() => (courseId === null ? window.location.reload() : loadCourse())}>Retry</Button>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardContent className="pt-6">
+          <form onSubmit={handleAddAssessment} className="flex flex-col lg:flex-row lg:items-end gap-4">
+            <div className="space-y-2 lg:w-64">
+              <Label htmlFor="gradebook-course">Course</Label>
+              <select
+                id="gradebook-course"
+                value={courseId ?? ""}
+                onChange={(e) => {
+                  if (hasChanges && !window.confirm("Discard unsaved grades?")) return
+                  setCourseId(Number(e.target.value))
+                }}
+                className="w-full px-3 py-2 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors cursor-pointer"
+              >
+                {courses.map((course) => (
+                  <option key={course.id} value={course.id}>
+                    {course.name}
+                    {course.archived ? " (archived)" : ""}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {!readOnly && (
+              <>
+                <div className="space-y-2 flex-1">
+                  <Label htmlFor="assessment-name">New assessment</Label>
+                  <Input
+                    id="assessment-name"
+                    value={newAssessment.name}
+                    onChange={(e) => setNewAssessment((prev) => ({ ...prev, name: e.target.value }))}
+                    placeholder="e.g. Midterm exam"
+                    maxLength={100}
+                    className="bg-background border-border/50 focus:border-primary"
+                  />
+                </div>
+                <div className="space-y-2 lg:w-28">
+                  <Label htmlFor="assessment-max">Max score</Label>
+                  <Input
+                    id="assessment-max"
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={newAssessment.maxScore}
+                    onChange={(e) => setNewAssessment((prev) => ({ ...prev, maxScore: e.target.value }))}
+                    className="bg-background border-border/50 focus:border-primary"
+                  />
+                </div>
+                <div className="space-y-2 lg:w-28">
+                  <Label htmlFor="assessment-weight">Weight</Label>
+                  <Input
+                    id="assessment-weight"
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={newAssessment.weight}
+                    onChange={(e) => setNewAssessment((prev) => ({ ...prev, weight: e.target.value }))}
+                    className="bg-background border-border/50 focus:border-primary"
+                  />
+                </div>
+                <Button type="submit" disabled={courseId === null}>
+                  <Plus className="w-4 h-4 mr-2" />
+                  Add
+                </Button>
+              </>
+            )}
+          </form>
+          {Object.values(assessmentErrors).map((message) => (
+            <p key={message} className="text-sm text-destructive font-medium mt-2">
+              {message}
+            </p>
+          ))}
+        </CardContent>
+      </Card>
+
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardHeader className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+          <div className="space-y-1">
+            <CardTitle className="font-heading text-xl">Gradebook</CardTitle>
+            <CardDescription>
+              Final grades are weighted averages of the assessments each student has been graded on so far
+            </CardDescription>
+          </div>
+          {!readOnly && (
+            <Button size="sm" onClick={handleSave} disabled={!hasChanges || hasErrors || isSaving}>
+              <Save className="w-4 h-4 mr-1" />
+              {isSaving ? "Saving..." : "Save"}
+            </Button>
+          )}
+        </CardHeader>
+
+        <CardContent>
+          {courses.length === 0 && !loading ? (
+            <p className="text-sm text-muted-foreground">Create a course first to record grades.</p>
+          ) : loading ? (
+            <p className="text-sm text-muted-foreground">Loading gradebook...</p>
+          ) : assessments.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-12 text-center">
+              <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mb-4">
+                <ClipboardList className="w-8 h-8 text-muted-foreground" />
+              </div>
+              <CardTitle className="font-heading text-xl mb-2">No assessments yet</CardTitle>
+              <CardDescription className="text-base">
+                {readOnly ? "This course has no grades to show." : "Add the course's first assessment above."}
+              </CardDescription>
+            </div>
+          ) : rows.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No students are enrolled in this course.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-muted-foreground">
+                  <tr className="border-b border-border/50">
+                    <th className="py-2 pr-4 font-semibold">Student</th>
+                    {assessments.map((assessment) => (
+                      <th key={assessment.id} className="py-2 px-2 font-semibold align-top min-w-32">
+                        <div className="flex items-start justify-between gap-1">
+                          <span className="text-foreground">{assessment.name}</span>
+                          {!readOnly && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setDeletingAssessment(assessment)}
+                              className="h-6 w-6 p-0 hover:bg-destructive hover:text-destructive-foreground"
+                              aria-label={`Delete assessment ${assessment.name}`}
+                            >
+                              <Trash2 className="w-3 h-3" />
+                            </Button>
+                          )}
+                        </div>
+                        <p className="text-xs font-normal">
+                          out of {assessment.maxScore} · {Math.round((assessment.weight / totalWeight) * 100)}%
+                          of grade
+                        </p>
+                      </th>
+                    ))}
+                    <th className="py-2 pl-2 font-semibold text-right align-top">Final</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border/50">
+                  {rows.map(({ student, status, final }) => (
+                    <tr key={student.id}>
+                      <td className="py-2 pr-4">
+                        <div className="flex items-center gap-3 min-w-0">
+                          <Avatar className="h-8 w-8">
+                            <AvatarImage src={student.profileImage || "/placeholder.svg"} alt={student.name} />
+                            <AvatarFallback className="bg-primary/10 text-primary text-xs font-semibold">
+                              {getInitials(student.name)}
+                            </AvatarFallback>
+                          </Avatar>
+                          <div className="min-w-0">
+                            <p className="font-medium truncate">{student.name}</p>
+                            {status !== "enrolled" && (
+                              <p className="text-xs text-muted-foreground">{ENROLLMENT_STATUS_LABELS[status]}</p>
+                            )}
+                          </div>
+                        </div>
+                      </td>
+                      {assessments.map((assessment) => {
+                        const cellError = cellErrors[`${assessment.id}:${student.id}`]
+                        return (
+                          <td key={assessment.id} className="py-2 px-2">
+                            <Input
+                              type="number"
+                              min="0"
+                              max={assessment.maxScore}
+                              step="any"
+                              value={draft[assessment.id]?.[student.id] ?? savedText(assessment, student.id)}
+                              onChange={(e) => setScore(assessment, student.id, e.target.value)}
+                              readOnly={readOnly}
+                              className={`h-8 w-24 bg-background ${
+                                cellError ? "border-destructive" : "border-border/50 focus:border-primary"
+                              } ${draft[assessment.id]?.[student.id] !== undefined ? "ring-1 ring-primary/40" : ""}`}
+                              title={cellError}
+                              aria-invalid={Boolean(cellError)}
+                              aria-label={`${assessment.name} score for ${student.name}`}
+                            />
+                          </td>
+                        )
+                      })}
+                      <td className="py-2 pl-2 text-right whitespace-nowrap">
+                        {final ? (
+                          <>
+                            <span className={`font-semibold ${final.grade < LOW_GRADE ? "text-destructive" : ""}`}>
+                              {final.grade}% {final.letter}
+                            </span>
+                            <p className="text-xs text-muted-foreground">
+                              {final.graded} of {final.total} graded
+                            </p>
+                          </>
+                        ) : (
+                          <span className="text-muted-foreground">—</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {deletingAssessment && (
+        <ConfirmDialog
+          title={`Delete ${deletingAssessment.name}?`}
+          description="The assessment and every score recorded for it will be removed from final grades."
+          confirmLabel="Delete"
+          destructive
+          onConfirm={confirmDeleteAssessment}
+          onCancel={() => setDeletingAssessment(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default Gradebook
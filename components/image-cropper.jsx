@@ -0,0 +1,156 @@
+"use client"
+
+import { useState, useRef } from "react"
+import { Button } from "@/components/ui/button"
+import { Check, X, ZoomIn, ZoomOut } from "lucide-react"
+
+// Side of the square crop window, in CSS pixels
+const VIEWPORT_SIZE = 240
+const MAX_ZOOM = 3
+// How far an arrow key moves the image
+const KEY_STEP = 10
+
+/**
+ * ImageCropper Component Props:
+ * @typedef {Object} ImageCropperProps
+ * @property {string} src - Object URL of the picked file
+ * @property {Function} onApply - Called with the chosen CropArea, in the image's own pixels
+ * @property {Function} onCancel - Called when the picked file is discarded
+ * @property {boolean} [isSaving] - Disables the buttons while the upload runs
+ */
+
+/**
+ * ImageCropper Component
+ *
+ * Square crop window for a new profile photo: drag the image (or use the
+ * arrow keys) to position it and the slider to zoom in. The circle shows
+ * how the avatar will look; the server does the actual cropping.
+ */
+function ImageCropper({ src, onApply, onCancel, isSaving = false }) {
+  const [image, setImage] = useState(null) // natural { width, height } once loaded
+  const [zoom, setZoom] = useState(1)
+  const [offset, setOffset] = useState({ x: 0, y: 0 })
+  const dragRef = useRef(null)
+
+  // At zoom 1 the shorter side exactly fills the window
+  const scaleAt = (level) => (image ? (VIEWPORT_SIZE / Math.min(image.width, image.height)) * level : 1)
+  const scale = scaleAt(zoom)
+
+  // The image must always cover the whole window
+  const clampOffset = ({ x, y }, atScale = scale) => ({
+    x: Math.min(0, Math.max(VIEWPORT_SIZE - image.width * atScale, x)),
+    y: Math.min(0, Math.max(VIEWPORT_SIZE - image.height * atScale, y)),
+  })
+
+  const handleLoad = (e) => {
+    const { naturalWidth: width, naturalHeight: height } = e.target
+    const initialScale = VIEWPORT_SIZE / Math.min(width, height)
+    setImage({ width, height })
+    setOffset({ x: (VIEWPORT_SIZE - width * initialScale) / 2, y: (VIEWPORT_SIZE - height * initialScale) / 2 })
+  }
+
+  // Zooms around the middle of the window, so the part in view stays in view
+  const handleZoom = (level) => {
+    const nextScale = scaleAt(level)
+    const centerX = (VIEWPORT_SIZE / 2 - offset.x) / scale
+    const centerY = (VIEWPORT_SIZE / 2 - offset.y) / scale
+    const next = { x: VIEWPORT_SIZE / 2 - centerX * nextScale, y: VIEWPORT_SIZE / 2 - centerY * nextScale }
+    setZoom(level)
+    setOffset(clampOffset(next, nextScale))
+  }
+
+  const handlePointerDown = (e) => {
+    if (!image) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = { startX: e.clientX, startY: e.clientY, offset }
+  }
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+    setOffset(clampOffset({ x: drag.offset.x + e.clientX - drag.startX, y: drag.offset.y + e.clientY - drag.startY }))
+  }
+
+  const handleKeyDown = (e) => {
+    const moves = {
+      ArrowLeft: [KEY_STEP, 0],
+      ArrowRight: [-KEY_STEP, 0],
+      ArrowUp: [0, KEY_STEP],
+      ArrowDown: [0, -KEY_STEP],
+    }
+    if (!image || !moves[e.key]) return
+    e.preventDefault()
+    const [dx, dy] = moves[e.key]
+    setOffset(clampOffset({ x: offset.x + dx, y: offset.y + dy }))
+  }
+
+  const handleApply = () => {
+    const size = Math.round(VIEWPORT_SIZE / scale)
+    onApply({ left: Math.round(-offset.x / scale), top: Math.round(-offset.y / scale), width: size, height: size })
+  }
+
+  return (
+    <div className="space-y-3 p-3 bg-muted/50 rounded-lg border">
+      <div
+        role="img"
+        aria-label="Crop area. Drag or use the arrow keys to move the photo."
+        tabIndex={0}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => (dragRef.current = null)}
+        onPointerCancel={() => (dragRef.current = null)}
+        onKeyDown={handleKeyDown}
+        className="relative mx-auto overflow-hidden rounded-md bg-background cursor-move touch-none select-none focus:outline-none focus:ring-2 focus:ring-primary/40"
+        style={{ width: VIEWPORT_SIZE, height: VIEWPORT_SIZE }}
+      >
+        <img
+          src={src}
+          alt=""
+          draggable={false}
+          onLoad={handleLoad}
+          className="absolute top-0 left-0 max-w-none"
+          style={
+            image
+              ? {
+                  width: image.width * scale,
+                  height: image.height * scale,
+                  transform: `translate(${offset.x}px, ${offset.y}px)`,
+                }
+              : { visibility: "hidden" }
+          }
+        />
+        {/* Dims everything outside the circle the avatar will show */}
+        <div className="pointer-events-none absolute inset-0 rounded-full shadow-[0_0_0_9999px_rgba(0,0,0,0.45)]" />
+      </div>
+
+      <div className="flex items-center gap-2">
+        <ZoomOut className="w-4 h-4 text-muted-foreground" />
+        <input
+          type="range"
+          min={1}
+          max={MAX_ZOOM}
+          step={0.01}
+          value={zoom}
+          onChange={(e) => handleZoom(Number(e.target.value))}
+          disabled={!image}
+          className="flex-1 accent-primary"
+          aria-label="Zoom"
+        />
+        <ZoomIn className="w-4 h-4 text-muted-foreground" />
+      </div>
+
+      <div className="flex gap-2">
+        <Button type="button" size="sm" onClick={handleApply} disabled={!image || isSaving} className="flex-1">
+          <Check className="w-4 h-4 mr-1" />
+          {isSaving ? "Uploading..." : "Use Photo"}
+        </Button>
+        <Button type="button" size="sm" variant="ghost" onClick={onCancel} disabled={isSaving} className="flex-1">
+          <X className="w-4 h-4 mr-1" />
+          Cancel
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default ImageCropper
@@ -0,0 +1,157 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { LogIn, ShieldCheck } from "lucide-react"
+import { authAPI } from "@/lib/api"
+import { validateUser, PASSWORD_MIN_LENGTH } from "@/lib/permissions"
+
+// Only ever go back to a page of this app, never to another site
+const safeNext = (next) => (next && next.startsWith("/") && !next.startsWith("//") ? next : "/")
+
+/**
+ * LoginForm Component Props:
+ * @typedef {Object} LoginFormProps
+ * @property {string} [next] - Page to open after signing in
+ */
+
+/**
+ * LoginForm Component
+ *
+ * Signs a user in. While there are no accounts yet it asks for the first
+ * admin instead, who can then add everyone else from the Users page.
+ * Signing in reloads the app so every page starts with the new user.
+ */
+function LoginForm({ next }) {
+  const [needsSetup, setNeedsSetup] = useState(null) // null until the session check returns
+  const [formData, setFormData] = useState({ username: "", name: "", password: "" })
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    authAPI
+      .session()
+      .then(({ user, needsSetup }) => {
+        if (user) {
+          window.location.assign(safeNext(next))
+          return
+        }
+        setNeedsSetup(needsSetup)
+      })
+      .catch((err) => {
+        setNeedsSetup(false)
+        setErrors({ form: "Could not reach the server. Please try again." })
+        console.error("Error loading session:", err)
+      })
+  }, [next])
+
+  const handleChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }))
+    setErrors((prev) => ({ ...prev, [field]: "", form: "" }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (needsSetup) {
+      const fieldErrors = validateUser({ ...formData, role: "admin" })
+      if (Object.keys(fieldErrors).length > 0) {
+        setErrors(fieldErrors)
+        return
+      }
+    }
+
+    try {
+      setIsSubmitting(true)
+      // Reloading the app clears data another user left for offline use (see AuthProvider)
+      await (needsSetup ? authAPI.setUp(formData) : authAPI.signIn(formData.username, formData.password))
+      window.location.assign(safeNext(next))
+    } catch (err) {
+      setErrors({ ...err.details, form: err.details ? "" : err.message })
+      setIsSubmitting(false)
+    }
+  }
+
+  if (needsSetup === null) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  const inputClass = (field) =>
+    `bg-background border-border/50 focus:border-primary ${
+      errors[field] ? "border-destructive focus:border-destructive" : ""
+    }`
+
+  return (
+    <Card className="w-full max-w-md bg-gradient-to-br from-card to-card/50 border-0 shadow-lg animate-slide-up">
+      <CardHeader>
+        <CardTitle className="font-heading text-2xl flex items-center gap-2">
+          {needsSetup ? <ShieldCheck className="w-6 h-6 text-primary" /> : <LogIn className="w-6 h-6 text-primary" />}
+          {needsSetup ? "Create the first admin" : "Sign in"}
+        </CardTitle>
+        <CardDescription>
+          {needsSetup
+            ? "There are no accounts yet. This one can manage everything, including adding other users."
+            : "Use the account your administrator gave you."}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+          {needsSetup && (
+            <div className="space-y-2">
+              <Label htmlFor="login-name">Your name</Label>
+              <Input
+                id="login-name"
+                value={formData.name}
+                onChange={(e) => handleChange("name", e.target.value)}
+                autoComplete="name"
+                className={inputClass("name")}
+              />
+              {errors.name && <p className="text-sm text-destructive font-medium">{errors.name}</p>}
+            </div>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="login-username">Username</Label>
+            <Input
+              id="login-username"
+              value={formData.username}
+              onChange={(e) => handleChange("username", e.target.value)}
+              autoComplete="username"
+              autoCapitalize="none"
+              autoFocus
+              className={inputClass("username")}
+            />
+            {errors.username && <p className="text-sm text-destructive font-medium">{errors.username}</p>}
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="login-password">Password</Label>
+            <Input
+              id="login-password"
+              type="password"
+              value={formData.password}
+              onChange={(e) => handleChange("password", e.target.value)}
+              autoComplete={needsSetup ? "new-password" : "current-password"}
+              className={inputClass("password")}
+            />
+            {needsSetup && !errors.password && (
+              <p className="text-xs text-muted-foreground">At least {PASSWORD_MIN_LENGTH} characters</p>
+            )}
+            {errors.password && <p className="text-sm text-destructive font-medium">{errors.password}</p>}
+          </div>
+          {errors.form && <p className="text-sm text-destructive font-medium">{errors.form}</p>}
+          <Button type="submit" disabled={isSubmitting} className="w-full">
+            {isSubmitting ? "Signing in..." : needsSetup ? "Create account and sign in" : "Sign in"}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default LoginForm
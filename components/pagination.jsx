@@ -0,0 +1,72 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import { ChevronLeft, ChevronRight } from "lucide-react"
+import { PAGE_SIZES } from "@/lib/student-query"
+
+/**
+ * Pagination Component Props:
+ * @typedef {Object} PaginationProps
+ * @property {number} page - Current 1-based page
+ * @property {number} pageSize - Items per page, one of PAGE_SIZES
+ * @property {number} total - Items across all pages
+ * @property {Function} onPageChange - Called with the new page number
+ * @property {Function} onPageSizeChange - Called with the new page size
+ */
+
+/**
+ * Pagination Component
+ *
+ * "Rows per page" picker, the range being shown and previous/next buttons,
+ * for lists that are paged on the server.
+ */
+function Pagination({ page, pageSize, total, onPageChange, onPageSizeChange }) {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize))
+  const firstShown = total === 0 ? 0 : (page - 1) * pageSize + 1
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between gap-3 px-4 py-3 text-sm text-muted-foreground">
+      <div className="flex items-center gap-2">
+        <span>Rows per page</span>
+        <select
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(Number(e.target.value))}
+          className="px-2 py-1 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none"
+        >
+          {PAGE_SIZES.map((size) => (
+            <option key={size} value={size}>
+              {size}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex items-center gap-3">
+        <span>
+          {firstShown}-{Math.min(page * pageSize, total)} of {total}
+        </span>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          className="h-8 w-8 p-0"
+          aria-label="Previous page"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= pageCount}
+          className="h-8 w-8 p-0"
+          aria-label="Next page"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default Pagination
@@ -0,0 +1,19 @@
+"use client"
+
+import { Badge } from "@/components/ui/badge"
+import { Loader2 } from "lucide-react"
+
+/**
+ * Marks a student whose change is still on its way to the server. The
+ * change is already shown, and is taken back if the save fails.
+ */
+function PendingBadge() {
+  return (
+    <Badge variant="outline" className="text-xs font-medium gap-1 border-dashed text-muted-foreground">
+      <Loader2 className="w-3 h-3 animate-spin" />
+      Saving
+    </Badge>
+  )
+}
+
+export default PendingBadge
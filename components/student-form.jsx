@@ -1,19 +1,116 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useMemo } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
-import { X, User, Mail, BookOpen, ImageIcon, Upload } from "lucide-react"
+import { X, User, Mail, BookOpen, ImageIcon, Upload, ListChecks, RefreshCw } from "lucide-react"
+import { validateStudent, findEmailOwner, DUPLICATE_EMAIL_ERROR } from "@/lib/validation"
+import { customFieldErrorKey, normalizeCustomFieldValues, getCustomFieldValue } from "@/lib/custom-fields"
+import { PROFILE_IMAGE_TYPES, validateImageFile, hasProfilePhoto } from "@/lib/profile-images"
+import { describeChangedFields } from "@/lib/audit"
+import { compareEdits } from "@/lib/student-conflicts"
+import { uploadsAPI, ValidationError, ConflictError, NotFoundError, NetworkError, isAbortError } from "@/lib/api"
+import { useApiMutation } from "@/hooks/use-api"
+import EnrollmentPicker from "@/components/enrollment-picker"
+import ImageCropper from "@/components/image-cropper"
+import ConflictResolver from "@/components/conflict-resolver"
+
+const SELECT_CLASS_NAME =
+  "w-full h-9 px-3 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors"
+
+// Input for one custom field; values are kept as text until the form is submitted
+function CustomFieldInput({ field, value, onChange, invalid }) {
+  const id = `custom-field-${field.id}`
+  const invalidClass = invalid ? "border-destructive focus:border-destructive" : ""
+
+  if (field.type === "select") {
+    return (
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${SELECT_CLASS_NAME} ${invalidClass}`}
+      >
+        <option value="">{field.required ? "Choose..." : "(none)"}</option>
+        {field.options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    )
+  }
+
+  return (
+    <Input
+      id={id}
+      type={field.type === "text" ? "text" : field.type}
+      step={field.type === "number" ? "any" : undefined}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`bg-background border-border/50 focus:border-primary ${invalidClass}`}
+    />
+  )
+}
+
+// Form values for a student's fields; custom field values are edited as text
+function toFormData(student) {
+  return {
+    name: student.name || "",
+    email: student.email || "",
+    enrollments: student.enrollments || [],
+    profileImage: hasProfilePhoto(student) ? student.profileImage : "",
+    customFields: Object.fromEntries(
+      Object.entries(student.customFields || {}).map(([fieldId, value]) => [fieldId, String(value)]),
+    ),
+  }
+}
+
+// Server-side field errors map straight onto the form fields; anything else is shown under the form
+function toFormErrors(error) {
+  if ((error instanceof ValidationError || error instanceof ConflictError) && error.details) {
+    return error.details
+  }
+  if (error instanceof NotFoundError) {
+    return { submit: "This student no longer exists. Close the form to see the current list." }
+  }
+  if (error instanceof NetworkError) {
+    return { submit: "Could not reach the server, so nothing was saved. Please try again." }
+  }
+  return { submit: error.message || "Failed to save student" }
+}
+
+// Whether the student is gone for good, so the form can't be saved any more
+const isRemoval = (entry) => entry.action === "delete" || entry.action === "purge" || Boolean(entry.mergedInto)
+
+// "Alex Kim changed Email, Courses while you were editing. When you save, you can choose which changes to keep."
+function describeRemoteChange(entry) {
+  if (entry.mergedInto) {
+    return `${entry.actor} merged this student into another record while you were editing, so it can't be saved.`
+  }
+  if (isRemoval(entry)) {
+    return `${entry.actor} deleted this student while you were editing, so it can't be saved.`
+  }
+  const fields = describeChangedFields(entry)
+  return `${entry.actor} changed ${fields} while you were editing. When you save, you can choose which changes to keep.`
+}
 
 /**
  * StudentForm Component Props:
  * @typedef {Object} StudentFormProps
  * @property {Course[]} courses - Available courses array
+ * @property {Student[]} [students] - Existing students, to catch a duplicate email before submitting
  * @property {Student|null} [student] - Student to edit (null for add mode)
- * @property {Function} onSubmit - Callback when form is submitted
+ * @property {CustomField[]} [customFields] - Extra fields to ask for (see lib/custom-fields.js)
+ * @property {Function} onSubmit - Async callback when form is submitted; a rejection keeps the form open
  * @property {Function} onCancel - Callback when form is cancelled
+ * @property {AuditEntry} [remoteChange] - Latest change someone else saved to `student` while the form was open
+ * @property {Function} [onReload] - Loads the student again, replacing what has been typed; offered for `remoteChange`
+ * @property {{ base: Student, mine: Object }} [conflict] - An edit refused because `student` was saved by someone
+ *   else in the meantime: the student it started from and the data sent. The form opens on the user's changes
+ *   with a field-by-field choice between them and `student`
  */
 
 /**
@@ -27,65 +124,75 @@ import { X, User, Mail, BookOpen, ImageIcon, Upload } from "lucide-react"
  * 4. Conditional rendering for edit vs add mode
  * 5. Event handling and form submission
  * 6. useEffect for populating edit form
+ * 7. Resolving an edit conflict field by field (see ConflictResolver)
  */
-function StudentForm({ courses, student, onSubmit, onCancel }) {
+function StudentForm({
+  courses,
+  students = [],
+  student,
+  customFields = [],
+  onSubmit,
+  onCancel,
+  remoteChange,
+  onReload,
+  conflict,
+}) {
   // Form state - all controlled inputs
   const [formData, setFormData] = useState({
     name: "",
     email: "",
-    courseId: "",
+    enrollments: [],
     profileImage: "",
+    customFields: {},
   })
 
   const [errors, setErrors] = useState({})
-  const [isSubmitting, setIsSubmitting] = useState(false)
   const [imagePreview, setImagePreview] = useState("")
   const [uploadMode, setUploadMode] = useState("url") // "url" or "file"
+  const [pickedFile, setPickedFile] = useState(null) // { file, src } while it is being cropped
+  const [choices, setChoices] = useState({}) // Side kept for each conflicting field
+
+  const conflicts = useMemo(
+    () => (conflict && student ? compareEdits(conflict.base, conflict.mine, student) : []),
+    [conflict, student],
+  )
+
+  const submission = useApiMutation((studentData) => onSubmit(studentData))
+  // Closing the form cancels an upload still in flight
+  const upload = useApiMutation((file, crop, { signal }) => uploadsAPI.profileImage(file, crop, { signal }))
 
   useEffect(() => {
     if (student) {
-      setFormData({
-        name: student.name || "",
-        email: student.email || "",
-        courseId: student.courseId?.toString() || "",
-        profileImage: student.profileImage || "",
-      })
-      if (student.profileImage) {
-        setImagePreview(student.profileImage)
+      // After a conflict, start from the saved student with the user's own changes on top
+      const kept = conflicts.filter((item) => item.keep === "mine").map((item) => [item.field, item.mine])
+      const shown = { ...student, ...Object.fromEntries(kept) }
+      setFormData(toFormData(shown))
+      setChoices(Object.fromEntries(conflicts.map((item) => [item.field, item.keep])))
+      if (shown.profileImage) {
+        setImagePreview(shown.profileImage)
       }
     }
-  }, [student])
+  }, [student, conflicts])
 
-  // Email validation regex
-  const validateEmail = (email) => {
-    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    return re.test(email)
-  }
+  // Archived courses can't take new students, but a student already in one keeps it selectable
+  const selectableCourses = courses.filter(
+    (course) => !course.archived || student?.enrollments?.some((enrollment) => enrollment.courseId === course.id),
+  )
 
   /**
    * Form validation function
-   * Demonstrates comprehensive form validation patterns
+   * Uses the same rules as the API (see lib/validation.js)
    */
   const validateForm = () => {
-    const newErrors = {}
-
-    // Name validation
-    if (!formData.name.trim()) {
-      newErrors.name = "Name is required"
-    } else if (formData.name.trim().length < 2) {
-      newErrors.name = "Name must be at least 2 characters"
-    }
-
-    // Email validation
-    if (!formData.email.trim()) {
-      newErrors.email = "Email is required"
-    } else if (!validateEmail(formData.email)) {
-      newErrors.email = "Please enter a valid email address"
-    }
-
-    // Course validation
-    if (!formData.courseId) {
-      newErrors.courseId = "Please select a course"
+    const newErrors = validateStudent(
+      { ...formData, customFields: normalizeCustomFieldValues(customFields, formData.customFields) },
+      { customFields },
+    )
+
+    // The API checks too, but catching it here saves a round trip
+    const emailChanged = formData.email.trim().toLowerCase() !== (student?.email || "").toLowerCase()
+    if (!newErrors.email && emailChanged && findEmailOwner(formData.email, students, student?.id)) {
+      newErrors.email = DUPLICATE_EMAIL_ERROR
     }
 
     setErrors(newErrors)
@@ -109,34 +216,60 @@ function StudentForm({ courses, student, onSubmit, onCancel }) {
     }
   }
 
+  // Fills in the chosen side of a conflicting field; it can still be edited afterwards
+  const handleConflictChoice = (field, side) => {
+    const item = conflicts.find((conflictItem) => conflictItem.field === field)
+    const value = side === "mine" ? item.mine : item.theirs
+    setChoices((prev) => ({ ...prev, [field]: side }))
+    setFormData((prev) => ({ ...prev, [field]: toFormData({ [field]: value })[field] }))
+
+    if (field === "profileImage") {
+      setImagePreview(value || "")
+    }
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: "" }))
+    }
+  }
+
+  const handleCustomFieldChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, customFields: { ...prev.customFields, [field.id]: value } }))
+
+    const errorKey = customFieldErrorKey(field)
+    if (errors[errorKey]) {
+      setErrors((prev) => ({ ...prev, [errorKey]: "" }))
+    }
+  }
+
+  // A picked file is cropped first and only uploaded once the crop is chosen
   const handleFileUpload = (e) => {
     const file = e.target.files[0]
+    // Clear the input so picking the same file again still triggers a change
+    e.target.value = ""
     if (!file) return
 
-    // Validate file type
-    if (!file.type.startsWith("image/")) {
-      setErrors((prev) => ({ ...prev, profileImage: "Please select a valid image file" }))
-      return
-    }
+    const error = validateImageFile(file)
+    setErrors((prev) => ({ ...prev, profileImage: error }))
+    if (error) return
 
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      setErrors((prev) => ({ ...prev, profileImage: "Image size must be less than 5MB" }))
-      return
-    }
+    setPickedFile({ file, src: URL.createObjectURL(file) })
+  }
 
-    // Read file and convert to data URL
-    const reader = new FileReader()
-    reader.onload = (event) => {
-      const dataUrl = event.target.result
-      setFormData((prev) => ({ ...prev, profileImage: dataUrl }))
-      setImagePreview(dataUrl)
-      // Clear any previous errors
-      if (errors.profileImage) {
-        setErrors((prev) => ({ ...prev, profileImage: "" }))
-      }
+  const closeCropper = () => {
+    URL.revokeObjectURL(pickedFile.src)
+    setPickedFile(null)
+  }
+
+  // The server crops and resizes the photo; the form only keeps the URL it returns
+  const handleCropApply = async (crop) => {
+    try {
+      const url = await upload.run(pickedFile.file, crop)
+      setFormData((prev) => ({ ...prev, profileImage: url }))
+      setImagePreview(url)
+      closeCropper()
+    } catch (error) {
+      if (isAbortError(error)) return
+      setErrors((prev) => ({ ...prev, profileImage: error.message || "Failed to upload image" }))
     }
-    reader.readAsDataURL(file)
   }
 
   /**
@@ -150,33 +283,23 @@ function StudentForm({ courses, student, onSubmit, onCancel }) {
       return
     }
 
-    setIsSubmitting(true)
-
     try {
-      // Simulate form processing delay
-      // This setTimeout demonstrates the event loop in action
-      await new Promise((resolve) => setTimeout(resolve, 500))
-
-      // Generate profile image URL if not provided
-      const profileImage =
-        formData.profileImage ||
-        `/placeholder.svg?height=40&width=40&query=${encodeURIComponent(formData.name + " professional photo")}`
-
-      onSubmit({
+      // Students without a photo are left without one; avatars show a placeholder instead
+      await submission.run({
         name: formData.name.trim(),
         email: formData.email.trim().toLowerCase(),
-        courseId: Number.parseInt(formData.courseId),
-        profileImage,
+        enrollments: formData.enrollments,
+        profileImage: formData.profileImage,
+        customFields: normalizeCustomFieldValues(customFields, formData.customFields),
       })
     } catch (error) {
+      setErrors(toFormErrors(error))
       console.error("Error submitting form:", error)
-    } finally {
-      setIsSubmitting(false)
     }
   }
 
   return (
-    <Card className="w-full max-w-md bg-gradient-to-br from-card to-card/50 border-0 shadow-2xl">
+    <Card className="w-full max-w-md max-h-[90vh] overflow-y-auto bg-gradient-to-br from-card to-card/50 border-0 shadow-2xl">
       <CardHeader className="pb-4">
         <div className="flex items-center justify-between">
           <div className="space-y-1">
@@ -191,6 +314,31 @@ function StudentForm({ courses, student, onSubmit, onCancel }) {
 
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-4">
+          {conflicts.length > 0 && (
+            <ConflictResolver
+              conflicts={conflicts}
+              choices={choices}
+              courses={courses}
+              customFields={customFields}
+              onChoose={handleConflictChoice}
+            />
+          )}
+
+          {remoteChange && (
+            <div
+              role="status"
+              className="px-4 py-3 rounded-lg border border-destructive/30 bg-destructive/10 text-sm text-destructive font-medium space-y-2"
+            >
+              <p>{describeRemoteChange(remoteChange)}</p>
+              {!isRemoval(remoteChange) && onReload && (
+                <Button type="button" variant="outline" size="sm" onClick={onReload} className="bg-background">
+                  <RefreshCw className="w-4 h-4 mr-1" />
+                  Load their changes
+                </Button>
+              )}
+            </div>
+          )}
+
           <div className="space-y-2">
             <Label htmlFor="name" className="text-sm font-medium flex items-center gap-2">
               <User className="w-4 h-4" />
@@ -228,28 +376,46 @@ function StudentForm({ courses, student, onSubmit, onCancel }) {
           </div>
 
           <div className="space-y-2">
-            <Label htmlFor="courseId" className="text-sm font-medium flex items-center gap-2">
+            <Label className="text-sm font-medium flex items-center gap-2">
               <BookOpen className="w-4 h-4" />
-              Course
+              Courses
             </Label>
-            <select
-              id="courseId"
-              value={formData.courseId}
-              onChange={(e) => handleInputChange("courseId", e.target.value)}
-              className={`w-full px-3 py-2 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors ${
-                errors.courseId ? "border-destructive focus:border-destructive" : ""
-              }`}
-            >
-              <option value="">Select a course</option>
-              {courses.map((course) => (
-                <option key={course.id} value={course.id.toString()}>
-                  {course.name}
-                </option>
-              ))}
-            </select>
-            {errors.courseId && <p className="text-sm text-destructive font-medium">{errors.courseId}</p>}
+            <EnrollmentPicker
+              courses={selectableCourses}
+              value={formData.enrollments}
+              onChange={(enrollments) => handleInputChange("enrollments", enrollments)}
+              invalid={Boolean(errors.enrollments)}
+            />
+            {errors.enrollments && <p className="text-sm text-destructive font-medium">{errors.enrollments}</p>}
           </div>
 
+          {customFields.length > 0 && (
+            <div className="space-y-3">
+              <Label className="text-sm font-medium flex items-center gap-2">
+                <ListChecks className="w-4 h-4" />
+                Additional Details
+              </Label>
+              {customFields.map((field) => {
+                const error = errors[customFieldErrorKey(field)]
+                return (
+                  <div key={field.id} className="space-y-1">
+                    <Label htmlFor={`custom-field-${field.id}`} className="text-xs text-muted-foreground">
+                      {field.label}
+                      {field.required && <span className="text-destructive"> *</span>}
+                    </Label>
+                    <CustomFieldInput
+                      field={field}
+                      value={getCustomFieldValue(formData.customFields, field) ?? ""}
+                      onChange={(value) => handleCustomFieldChange(field, value)}
+                      invalid={Boolean(error)}
+                    />
+                    {error && <p className="text-sm text-destructive font-medium">{error}</p>}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+
           <div className="space-y-3">
             <Label className="text-sm font-medium flex items-center gap-2">
               <ImageIcon className="w-4 h-4" />
@@ -290,18 +456,29 @@ function StudentForm({ courses, student, onSubmit, onCancel }) {
               />
             ) : (
               <div className="space-y-2">
-                <Input
-                  id="profileImageFile"
-                  type="file"
-                  accept="image/*"
-                  onChange={handleFileUpload}
-                  className="bg-background border-border/50 focus:border-primary file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-sm file:bg-primary file:text-primary-foreground hover:file:bg-primary/90"
-                />
-                <p className="text-xs text-muted-foreground">Supported formats: JPG, PNG, GIF. Max size: 5MB</p>
+                {pickedFile ? (
+                  <ImageCropper
+                    src={pickedFile.src}
+                    onApply={handleCropApply}
+                    onCancel={closeCropper}
+                    isSaving={upload.isPending}
+                  />
+                ) : (
+                  <Input
+                    id="profileImageFile"
+                    type="file"
+                    accept={PROFILE_IMAGE_TYPES.join(",")}
+                    onChange={handleFileUpload}
+                    className="bg-background border-border/50 focus:border-primary file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-sm file:bg-primary file:text-primary-foreground hover:file:bg-primary/90"
+                  />
+                )}
+                <p className="text-xs text-muted-foreground">
+                  Supported formats: JPG, PNG, GIF, WebP. Max size: 5MB. Photos are cropped to a square avatar.
+                </p>
               </div>
             )}
 
-            {imagePreview && (
+            {imagePreview && !pickedFile && (
               <div className="flex items-center gap-3 p-3 bg-muted/50 rounded-lg border">
                 <img
                   src={imagePreview || "/placeholder.svg"}
@@ -331,18 +508,26 @@ function StudentForm({ courses, student, onSubmit, onCancel }) {
             {errors.profileImage && <p className="text-sm text-destructive font-medium">{errors.profileImage}</p>}
           </div>
 
+          {errors.submit && (
+            <p className="text-sm text-destructive font-medium p-3 bg-destructive/10 rounded-lg">{errors.submit}</p>
+          )}
+
           <div className="flex space-x-3 pt-4">
             <Button
               type="button"
               variant="outline"
               onClick={onCancel}
               className="flex-1 bg-transparent"
-              disabled={isSubmitting}
+              disabled={submission.isPending}
             >
               Cancel
             </Button>
-            <Button type="submit" className="flex-1 bg-primary hover:bg-primary/90" disabled={isSubmitting}>
-              {isSubmitting ? "Saving..." : student ? "Update Student" : "Add Student"}
+            <Button
+              type="submit"
+              className="flex-1 bg-primary hover:bg-primary/90"
+              disabled={submission.isPending || upload.isPending}
+            >
+              {submission.isPending ? "Saving..." : student ? "Update Student" : "Add Student"}
             </Button>
           </div>
         </form>
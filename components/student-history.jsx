@@ -0,0 +1,79 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { History, X } from "lucide-react"
+import { studentsAPI } from "@/lib/api"
+import AuditTimeline from "@/components/audit-timeline"
+
+/**
+ * StudentHistory Component Props:
+ * @typedef {Object} StudentHistoryProps
+ * @property {{ id: string, name: string }} student - Student whose history to show
+ * @property {Course[]} courses - All courses, to name enrollments in diffs
+ * @property {CustomField[]} [customFields] - To label custom field values in diffs
+ * @property {Function} onClose - Called when the panel is closed
+ */
+
+/**
+ * StudentHistory Component
+ *
+ * Modal timeline of every recorded change to one student: who made it,
+ * when, and each changed field's old and new value.
+ */
+function StudentHistory({ student, courses, customFields = [], onClose }) {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    studentsAPI
+      .history(student.id)
+      .then(setEntries)
+      .catch((err) => {
+        setError("Failed to load history. Please try again.")
+        console.error("Error loading student history:", err)
+      })
+      .finally(() => setLoading(false))
+  }, [student.id])
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+      <Card className="w-full max-w-2xl max-h-[90vh] overflow-y-auto animate-slide-up">
+        <CardHeader className="flex flex-row items-start justify-between space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle className="font-heading text-xl flex items-center gap-2">
+              <History className="w-5 h-5 text-primary" />
+              History of {student.name}
+            </CardTitle>
+            <CardDescription>Every change to this record, newest first.</CardDescription>
+          </div>
+          <Button variant="ghost" size="sm" onClick={onClose} className="h-8 w-8 p-0" aria-label="Close">
+            <X className="w-4 h-4" />
+          </Button>
+        </CardHeader>
+
+        <CardContent>
+          {loading && (
+            <div className="flex items-center justify-center py-8">
+              <div className="w-8 h-8 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+            </div>
+          )}
+
+          {error && <p className="text-sm text-destructive font-medium">{error}</p>}
+
+          {!loading && !error && entries.length === 0 && (
+            <p className="text-sm text-muted-foreground text-center py-8">
+              No changes recorded yet. Changes made from now on will appear here.
+            </p>
+          )}
+
+          <AuditTimeline entries={entries} courses={courses} customFields={customFields} />
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default StudentHistory
@@ -0,0 +1,313 @@
+"use client"
+
+import { useState, useMemo, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Badge } from "@/components/ui/badge"
+import { X, FileSpreadsheet, ArrowLeft, ArrowRight, CheckCircle2, AlertCircle } from "lucide-react"
+import { parseCsv } from "@/lib/csv"
+import { IMPORT_FIELDS, guessColumnMapping, buildImportPreview } from "@/lib/student-import"
+import { studentsAPI } from "@/lib/api"
+
+/**
+ * StudentImport Component Props:
+ * @typedef {Object} StudentImportProps
+ * @property {Course[]} courses - All courses, used to resolve course names
+ * @property {Function} onImported - Called with the students that were created
+ * @property {Function} onCancel - Callback when the wizard is closed
+ */
+
+// Excel cells come back typed; the wizard works with text, and dates as YYYY-MM-DD
+const cellToText = (cell) =>
+  cell === null || cell === undefined ? "" : cell instanceof Date ? cell.toISOString().slice(0, 10) : String(cell)
+
+/**
+ * Reads the first sheet of a CSV or Excel (.xlsx) file into rows of cell strings.
+ * The spreadsheet library is only loaded when an Excel file is picked.
+ */
+const readSpreadsheet = async (file) => {
+  // The old binary .xls format can't be read; it needs saving as .xlsx first
+  if (/\.xls$/i.test(file.name)) {
+    throw new Error("Excel 97-2003 (.xls) files aren't supported")
+  }
+  if (/\.xlsx$/i.test(file.name)) {
+    const { readSheet } = await import("read-excel-file/browser")
+    return (await readSheet(file))
+      .map((row) => row.map(cellToText))
+      .filter((row) => row.some((cell) => cell.trim() !== ""))
+  }
+
+  return parseCsv(await file.text())
+}
+
+/**
+ * StudentImport Component
+ *
+ * Three-step wizard for bulk-adding students from a CSV or XLSX file:
+ * 1. Pick a file
+ * 2. Map spreadsheet columns to name, email and course
+ * 3. Preview every row with its validation errors, then import the valid ones
+ */
+function StudentImport({ courses, onImported, onCancel }) {
+  const [step, setStep] = useState("upload") // "upload" | "map" | "preview" | "done"
+  const [fileName, setFileName] = useState("")
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState({ name: -1, email: -1, course: -1 })
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false)
+  const [error, setError] = useState("")
+  const [isImporting, setIsImporting] = useState(false)
+  const [result, setResult] = useState(null)
+
+  const [existingEmails, setExistingEmails] = useState(() => new Set())
+
+  // The dashboard only holds one page of students, so fetch the whole roster to flag existing emails.
+  // The API still rejects duplicates if this fails.
+  useEffect(() => {
+    studentsAPI
+      .list()
+      .then((students) => setExistingEmails(new Set(students.map((student) => student.email.toLowerCase()))))
+      .catch((err) => console.error("Error loading existing students:", err))
+  }, [])
+
+  const preview = useMemo(
+    () => (step === "preview" ? buildImportPreview(rows, mapping, courses, existingEmails) : []),
+    [step, rows, mapping, courses, existingEmails],
+  )
+
+  const validRows = preview.filter((row) => row.valid)
+  const visibleRows = showErrorsOnly ? preview.filter((row) => !row.valid) : preview
+  const duplicateCount = preview.filter((row) => row.duplicate).length
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+
+    try {
+      setError("")
+      const [headerRow, ...dataRows] = await readSpreadsheet(file)
+      if (!headerRow || dataRows.length === 0) {
+        setError("The file needs a header row and at least one student row")
+        return
+      }
+
+      setFileName(file.name)
+      setHeaders(headerRow.map((header) => String(header).trim()))
+      setRows(dataRows)
+      setMapping(guessColumnMapping(headerRow))
+      setStep("map")
+    } catch (err) {
+      setError("Could not read the file. Please upload a valid CSV or Excel (.xlsx) file.")
+      console.error("Error reading import file:", err)
+    }
+  }
+
+  const mappingComplete = IMPORT_FIELDS.every(({ key }) => mapping[key] >= 0)
+
+  const handleImport = async () => {
+    try {
+      setIsImporting(true)
+      setError("")
+      const importResult = await studentsAPI.import(validRows.map((row) => row.data))
+      setResult(importResult)
+      setStep("done")
+      onImported(importResult.created)
+    } catch (err) {
+      setError(`Import failed: ${err.message}`)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  return (
+    <Card className="w-full max-w-3xl max-h-[90vh] overflow-y-auto bg-gradient-to-br from-card to-card/50 border-0 shadow-2xl">
+      <CardHeader className="pb-4">
+        <div className="flex items-center justify-between">
+          <div className="space-y-1">
+            <CardTitle className="font-heading text-xl">Import Students</CardTitle>
+            <CardDescription>
+              {step === "upload" && "Upload a CSV or Excel file with one student per row"}
+              {step === "map" && `Match the columns in ${fileName} to student fields`}
+              {step === "preview" && "Review the rows below - only valid rows will be imported"}
+              {step === "done" && "Import finished"}
+            </CardDescription>
+          </div>
+          <Button variant="ghost" size="sm" onClick={onCancel} className="h-8 w-8 p-0 hover:bg-muted">
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {step === "upload" && (
+          <div className="space-y-3">
+            <Label htmlFor="importFile" className="text-sm font-medium flex items-center gap-2">
+              <FileSpreadsheet className="w-4 h-4" />
+              Spreadsheet file
+            </Label>
+            <Input
+              id="importFile"
+              type="file"
+              accept=".csv,.xlsx,text/csv"
+              onChange={handleFileChange}
+              className="bg-background border-border/50 focus:border-primary file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-sm file:bg-primary file:text-primary-foreground hover:file:bg-primary/90"
+            />
+            <p className="text-xs text-muted-foreground">
+              The first row must contain column headers. List several courses in one cell separated by ";".
+            </p>
+          </div>
+        )}
+
+        {step === "map" && (
+          <div className="space-y-4">
+            {IMPORT_FIELDS.map(({ key, label }) => (
+              <div key={key} className="grid grid-cols-3 items-center gap-3">
+                <Label htmlFor={`map-${key}`} className="text-sm font-medium">
+                  {label}
+                </Label>
+                <select
+                  id={`map-${key}`}
+                  value={mapping[key]}
+                  onChange={(e) => setMapping((prev) => ({ ...prev, [key]: Number(e.target.value) }))}
+                  className="col-span-2 px-3 py-2 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors"
+                >
+                  <option value={-1}>Select a column</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <p className="text-xs text-muted-foreground">{rows.length} data rows found.</p>
+          </div>
+        )}
+
+        {step === "preview" && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <Badge variant="secondary" className="bg-primary/10 text-primary">
+                {validRows.length} valid
+              </Badge>
+              <Badge variant="outline" className="border-destructive/50 text-destructive">
+                {preview.length - validRows.length} with errors
+              </Badge>
+              {duplicateCount > 0 && <Badge variant="outline">{duplicateCount} duplicate emails</Badge>}
+              <label className="ml-auto flex items-center gap-2 text-muted-foreground cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showErrorsOnly}
+                  onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                  className="h-4 w-4 accent-primary"
+                />
+                Show only rows with errors
+              </label>
+            </div>
+
+            <div className="overflow-x-auto rounded-md border border-border/50">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50 text-left">
+                  <tr>
+                    <th className="px-3 py-2 font-medium">Row</th>
+                    <th className="px-3 py-2 font-medium">Name</th>
+                    <th className="px-3 py-2 font-medium">Email</th>
+                    <th className="px-3 py-2 font-medium">Courses</th>
+                    <th className="px-3 py-2 font-medium">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border/50">
+                  {visibleRows.map((row) => (
+                    <tr key={row.rowNumber} className={row.valid ? "" : "bg-destructive/5"}>
+                      <td className="px-3 py-2 text-muted-foreground">{row.rowNumber}</td>
+                      <td className="px-3 py-2">{row.data.name}</td>
+                      <td className="px-3 py-2">{row.data.email}</td>
+                      <td className="px-3 py-2">
+                        {row.data.enrollments
+                          .map((enrollment) => courses.find((c) => c.id === enrollment.courseId)?.name)
+                          .join(", ")}
+                      </td>
+                      <td className="px-3 py-2">
+                        {row.valid ? (
+                          <CheckCircle2 className="w-4 h-4 text-primary" />
+                        ) : (
+                          <ul className="space-y-0.5 text-destructive">
+                            {Object.values(row.errors).map((message) => (
+                              <li key={message} className="flex items-center gap-1">
+                                <AlertCircle className="w-3 h-3 shrink-0" />
+                                {message}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {step === "done" && result && (
+          <div className="space-y-2 text-sm">
+            <p className="flex items-center gap-2 font-medium">
+              <CheckCircle2 className="w-4 h-4 text-primary" />
+              Imported {result.created.length} student{result.created.length === 1 ? "" : "s"}.
+            </p>
+            {result.skipped.length > 0 && (
+              <p className="text-muted-foreground">
+                {result.skipped.length} row(s) were rejected by the server, usually because they were added by someone
+                else in the meantime.
+              </p>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-destructive font-medium p-3 bg-destructive/10 rounded-lg">{error}</p>}
+
+        <div className="flex space-x-3 pt-2">
+          {step === "map" && (
+            <>
+              <Button variant="outline" onClick={() => setStep("upload")} className="flex-1 bg-transparent">
+                <ArrowLeft className="w-4 h-4 mr-1" />
+                Back
+              </Button>
+              <Button onClick={() => setStep("preview")} disabled={!mappingComplete} className="flex-1">
+                Preview
+                <ArrowRight className="w-4 h-4 ml-1" />
+              </Button>
+            </>
+          )}
+          {step === "preview" && (
+            <>
+              <Button
+                variant="outline"
+                onClick={() => setStep("map")}
+                className="flex-1 bg-transparent"
+                disabled={isImporting}
+              >
+                <ArrowLeft className="w-4 h-4 mr-1" />
+                Back
+              </Button>
+              <Button onClick={handleImport} disabled={validRows.length === 0 || isImporting} className="flex-1">
+                {isImporting
+                  ? "Importing..."
+                  : `Import ${validRows.length} student${validRows.length === 1 ? "" : "s"}`}
+              </Button>
+            </>
+          )}
+          {step === "done" && (
+            <Button onClick={onCancel} className="flex-1">
+              Close
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default StudentImport
@@ -1,18 +1,68 @@
 "use client"
 
+import Link from "next/link"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { Badge } from "@/components/ui/badge"
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
-import { Edit, Trash2, Mail, Calendar } from "lucide-react"
+import { Edit, Trash2, Mail, Calendar, History, CalendarCheck, Award } from "lucide-react"
+import EnrollmentBadge from "@/components/enrollment-badge"
+import PendingBadge from "@/components/pending-badge"
+import { formatDate, getInitials } from "@/lib/format"
+import { LOW_ATTENDANCE_RATE } from "@/lib/attendance"
+import { LOW_GRADE } from "@/lib/grades"
+import { getCustomFieldEntries } from "@/lib/custom-fields"
+
+// "92% attendance (12 sessions)", flagged when it drops below LOW_ATTENDANCE_RATE
+function AttendanceRate({ summary }) {
+  return (
+    <div
+      className="flex items-center space-x-2 text-sm text-muted-foreground"
+      title={`${summary.present} present, ${summary.late} late, ${summary.absent} absent`}
+    >
+      <CalendarCheck className="w-4 h-4" />
+      <span>
+        <span className={`font-semibold ${summary.rate < LOW_ATTENDANCE_RATE ? "text-destructive" : "text-foreground"}`}>
+          {summary.rate}%
+        </span>{" "}
+        attendance ({summary.total} session{summary.total === 1 ? "" : "s"})
+      </span>
+    </div>
+  )
+}
+
+// "B · 84.5% average (2 courses)", with each course's grade in the tooltip
+function GradeSummary({ summary, getCourse }) {
+  const courseGrades = Object.entries(summary.courses).map(
+    ([courseId, final]) => `${getCourse(Number(courseId))?.name || "Unknown course"}: ${final.grade}% ${final.letter}`,
+  )
+
+  return (
+    <div className="flex items-center space-x-2 text-sm text-muted-foreground" title={courseGrades.join("\n")}>
+      <Award className="w-4 h-4" />
+      <span>
+        <span className={`font-semibold ${summary.average < LOW_GRADE ? "text-destructive" : "text-foreground"}`}>
+          {summary.letter} · {summary.average}%
+        </span>{" "}
+        average ({courseGrades.length} course{courseGrades.length === 1 ? "" : "s"})
+      </span>
+    </div>
+  )
+}
 
 /**
  * StudentList Component Props:
  * @typedef {Object} StudentListProps
  * @property {Student[]} students - Array of students to display
  * @property {Course[]} courses - Array of available courses
- * @property {Function} onEdit - Callback when edit button is clicked
- * @property {Function} onDelete - Callback when delete button is clicked
+ * @property {CustomField[]} [customFields] - Extra student fields; filled-in ones are listed on the card
+ * @property {Function} [onEdit] - Callback when edit button is clicked; the button is hidden without it
+ * @property {Function} [onDelete] - Callback when delete button is clicked; the button is hidden without it
+ * @property {Function} onShowHistory - Callback when history button is clicked
+ * @property {Set<string>} [selectedIds] - IDs of selected students
+ * @property {Set<string>} [pendingIds] - Students with a change still being saved; shown faded, without actions
+ * @property {Function} [onToggleSelect] - Called with a student when its checkbox is clicked
+ * @property {Object<string, AttendanceSummary>} [attendance] - Attendance totals by student ID (see lib/attendance.js)
+ * @property {Object<string, GradeSummary>} [grades] - Final grades by student ID (see lib/grades.js)
  */
 
 /**
@@ -26,32 +76,22 @@ import { Edit, Trash2, Mail, Calendar } from "lucide-react"
  * 4. Event handling with callbacks
  * 5. Responsive design with Tailwind CSS
  */
-function StudentList({ students, courses, onEdit, onDelete }) {
-  // Helper function to get course name by ID
+function StudentList({
+  students,
+  courses,
+  customFields = [],
+  onEdit,
+  onDelete,
+  onShowHistory,
+  selectedIds,
+  pendingIds = new Set(),
+  onToggleSelect,
+  attendance = {},
+  grades = {},
+}) {
+  // Helper function to get course info by ID
   // Demonstrates array methods and optional chaining
-  const getCourseName = (courseId) => {
-    const course = courses.find((c) => c.id === courseId)
-    return course?.name || "Unknown Course"
-  }
-
-  // Helper function to get initials for avatar fallback
-  const getInitials = (name) => {
-    return name
-      .split(" ")
-      .map((word) => word.charAt(0))
-      .join("")
-      .toUpperCase()
-      .slice(0, 2)
-  }
-
-  // Format date for display
-  const formatDate = (date) => {
-    return new Intl.DateTimeFormat("en-US", {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
-    }).format(date)
-  }
+  const getCourse = (courseId) => courses.find((c) => c.id === courseId)
 
   if (students.length === 0) {
     return (
@@ -74,8 +114,11 @@ function StudentList({ students, courses, onEdit, onDelete }) {
       {students.map((student, index) => (
         <Card
           key={student.id}
-          className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg hover:shadow-xl transition-all duration-300 hover:-translate-y-1 animate-slide-up group"
-          style={{ animationDelay: `${index * 0.1}s` }}
+          className={`bg-gradient-to-br from-card to-card/50 border-0 shadow-lg hover:shadow-xl transition-all duration-300 hover:-translate-y-1 animate-slide-up group ${
+            selectedIds?.has(student.id) ? "ring-2 ring-primary" : ""
+          } ${pendingIds.has(student.id) ? "opacity-70" : ""}`}
+          // Cap the stagger so long lists don't take seconds to appear
+          style={{ animationDelay: `${Math.min(index, 11) * 0.1}s` }}
         >
           <CardHeader className="pb-3">
             <div className="flex items-start justify-between">
@@ -87,15 +130,38 @@ function StudentList({ students, courses, onEdit, onDelete }) {
                   </AvatarFallback>
                 </Avatar>
                 <div className="space-y-1">
-                  <CardTitle className="font-heading text-lg leading-tight">{student.name}</CardTitle>
-                  <Badge
-                    variant="secondary"
-                    className="text-xs font-medium bg-primary/10 text-primary hover:bg-primary/20"
-                  >
-                    {getCourseName(student.courseId)}
-                  </Badge>
+                  <CardTitle className="font-heading text-lg leading-tight">
+                    {/* A new student has no profile until the server has saved it */}
+                    {pendingIds.has(student.id) ? (
+                      student.name
+                    ) : (
+                      <Link href={`/students/${student.id}`} className="hover:text-primary hover:underline underline-offset-4">
+                        {student.name}
+                      </Link>
+                    )}
+                  </CardTitle>
+                  <div className="flex flex-wrap gap-1">
+                    {pendingIds.has(student.id) && <PendingBadge />}
+                    {(student.enrollments || []).map((enrollment) => (
+                      <EnrollmentBadge
+                        key={enrollment.courseId}
+                        enrollment={enrollment}
+                        course={getCourse(enrollment.courseId)}
+                      />
+                    ))}
+                  </div>
                 </div>
               </div>
+              {onToggleSelect && (
+                <input
+                  type="checkbox"
+                  checked={selectedIds.has(student.id)}
+                  onChange={() => onToggleSelect(student)}
+                  disabled={pendingIds.has(student.id)}
+                  className="h-4 w-4 mt-1 accent-primary cursor-pointer"
+                  aria-label={`Select ${student.name}`}
+                />
+              )}
             </div>
           </CardHeader>
 
@@ -110,27 +176,53 @@ function StudentList({ students, courses, onEdit, onDelete }) {
                 <Calendar className="w-4 h-4" />
                 <span>Enrolled {formatDate(student.createdAt)}</span>
               </div>
+
+              {attendance[student.id] && <AttendanceRate summary={attendance[student.id]} />}
+
+              {grades[student.id] && <GradeSummary summary={grades[student.id]} getCourse={getCourse} />}
+
+              {getCustomFieldEntries(customFields, student).map(({ field, value }) => (
+                <div key={field.id} className="text-sm text-muted-foreground truncate">
+                  <span className="font-medium text-foreground">{field.label}:</span> {value}
+                </div>
+              ))}
             </div>
 
             <div className="flex space-x-2 pt-2">
+              {onEdit && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => onEdit(student)}
+                  disabled={pendingIds.has(student.id)}
+                  className="flex-1 hover:bg-primary hover:text-primary-foreground transition-colors"
+                >
+                  <Edit className="w-4 h-4 mr-1" />
+                  Edit
+                </Button>
+              )}
               <Button
                 variant="outline"
                 size="sm"
-                onClick={() => onEdit(student)}
+                onClick={() => onShowHistory(student)}
+                disabled={pendingIds.has(student.id)}
                 className="flex-1 hover:bg-primary hover:text-primary-foreground transition-colors"
               >
-                <Edit className="w-4 h-4 mr-1" />
-                Edit
-              </Button>
-              <Button
-                variant="outline"
-                size="sm"
-                onClick={() => onDelete(student.id)}
-                className="flex-1 hover:bg-destructive hover:text-destructive-foreground transition-colors"
-              >
-                <Trash2 className="w-4 h-4 mr-1" />
-                Delete
+                <History className="w-4 h-4 mr-1" />
+                History
               </Button>
+              {onDelete && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => onDelete(student.id)}
+                  disabled={pendingIds.has(student.id)}
+                  className="flex-1 hover:bg-destructive hover:text-destructive-foreground transition-colors"
+                >
+                  <Trash2 className="w-4 h-4 mr-1" />
+                  Delete
+                </Button>
+              )}
             </div>
           </CardContent>
         </Card>
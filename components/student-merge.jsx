@@ -0,0 +1,170 @@
+"use client"
+
+import { useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
+import { Merge } from "lucide-react"
+import EnrollmentBadge from "@/components/enrollment-badge"
+import { studentsAPI } from "@/lib/api"
+import { formatDate, getInitials } from "@/lib/format"
+import {
+  MERGE_FIELDS,
+  COMBINE_ENROLLMENTS,
+  buildMergedStudent,
+  getDefaultMergeChoices,
+  getMergeSurvivor,
+} from "@/lib/student-merge"
+
+/**
+ * StudentMerge Component Props:
+ * @typedef {Object} StudentMergeProps
+ * @property {Student[]} students - Two or more students to merge
+ * @property {Course[]} courses - All courses, to name enrollments
+ * @property {Function} onMerged - Called with `(student, mergedIds)` after a successful merge
+ * @property {Function} onCancel - Called when the dialog is closed without merging
+ */
+
+/**
+ * StudentMerge Component
+ *
+ * Modal for folding duplicate records into one. Each field is a row with one
+ * option per student; courses can also be combined from all of them. A
+ * preview shows exactly what the merged record will look like.
+ */
+function StudentMerge({ students, courses, onMerged, onCancel }) {
+  const [choices, setChoices] = useState(() => getDefaultMergeChoices(students))
+  const [isMerging, setIsMerging] = useState(false)
+  const [error, setError] = useState("")
+
+  const survivor = getMergeSurvivor(students)
+  const preview = buildMergedStudent(students, choices)
+  const getCourse = (courseId) => courses.find((c) => c.id === courseId)
+
+  const renderValue = (key, student) => {
+    if (key === "profileImage") {
+      return (
+        <Avatar className="h-10 w-10">
+          <AvatarImage src={student.profileImage || "/placeholder.svg"} alt={student.name} />
+          <AvatarFallback className="bg-primary/10 text-primary text-sm font-semibold">
+            {getInitials(student.name)}
+          </AvatarFallback>
+        </Avatar>
+      )
+    }
+    if (key === "enrollments") {
+      return (
+        <div className="flex flex-wrap gap-1">
+          {(student.enrollments || []).map((enrollment) => (
+            <EnrollmentBadge key={enrollment.courseId} enrollment={enrollment} course={getCourse(enrollment.courseId)} />
+          ))}
+        </div>
+      )
+    }
+    if (key === "notes") {
+      return student.notes ? (
+        <span className="whitespace-pre-line line-clamp-3">{student.notes}</span>
+      ) : (
+        <span className="text-muted-foreground">(none)</span>
+      )
+    }
+    return <span className="break-all">{student[key]}</span>
+  }
+
+  const handleMerge = async () => {
+    try {
+      setIsMerging(true)
+      setError("")
+      const { student, mergedIds } = await studentsAPI.merge(students.map((s) => s.id), choices)
+      onMerged(student, mergedIds)
+    } catch (err) {
+      setError(err.details?.email || err.message)
+      setIsMerging(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+      <Card className="w-full max-w-4xl max-h-[90vh] overflow-y-auto animate-slide-up">
+        <CardHeader>
+          <CardTitle className="font-heading text-xl flex items-center gap-2">
+            <Merge className="w-5 h-5 text-primary" />
+            Merge {students.length} students
+          </CardTitle>
+          <CardDescription>
+            Pick the value to keep for each field. The oldest record (added {formatDate(survivor.createdAt)}) is kept
+            and the others are removed; their history and mailing lists move to it.
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent className="space-y-6">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <tbody className="divide-y divide-border/50">
+                {MERGE_FIELDS.map(({ key, label }) => (
+                  <tr key={key}>
+                    <th className="py-3 pr-4 text-left font-semibold align-top w-32">{label}</th>
+                    {students.map((student) => (
+                      <td key={student.id} className="py-3 pr-4 align-top">
+                        <label className="flex items-start gap-2 cursor-pointer">
+                          <input
+                            type="radio"
+                            name={`merge-${key}`}
+                            checked={choices[key] === student.id}
+                            onChange={() => setChoices((prev) => ({ ...prev, [key]: student.id }))}
+                            className="mt-1 accent-primary"
+                          />
+                          {renderValue(key, student)}
+                        </label>
+                      </td>
+                    ))}
+                    {key === "enrollments" && (
+                      <td className="py-3 align-top">
+                        <label className="flex items-start gap-2 cursor-pointer whitespace-nowrap">
+                          <input
+                            type="radio"
+                            name="merge-enrollments"
+                            checked={choices.enrollments === COMBINE_ENROLLMENTS}
+                            onChange={() => setChoices((prev) => ({ ...prev, enrollments: COMBINE_ENROLLMENTS }))}
+                            className="mt-1 accent-primary"
+                          />
+                          Combine all
+                        </label>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="p-4 rounded-lg bg-muted/50 space-y-2">
+            <p className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">Merged record</p>
+            <div className="flex items-start gap-3">
+              {renderValue("profileImage", preview)}
+              <div className="space-y-1 min-w-0">
+                <p className="font-heading font-semibold">{preview.name}</p>
+                <p className="text-sm text-muted-foreground break-all">{preview.email}</p>
+                <p className="text-xs text-muted-foreground">Added {formatDate(preview.createdAt)}</p>
+                {renderValue("enrollments", preview)}
+              </div>
+            </div>
+          </div>
+
+          {error && <p className="text-sm text-destructive font-medium">{error}</p>}
+
+          <div className="flex space-x-3">
+            <Button variant="outline" onClick={onCancel} className="flex-1 bg-transparent" disabled={isMerging}>
+              Cancel
+            </Button>
+            <Button onClick={handleMerge} className="flex-1" disabled={isMerging}>
+              {isMerging ? "Merging..." : "Merge Students"}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default StudentMerge
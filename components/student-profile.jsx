@@ -0,0 +1,437 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import Link from "next/link"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
+import { Mail, Calendar, Edit, Link2, GitMerge, BookOpen, StickyNote, History, UserX, Save } from "lucide-react"
+import { toast } from "sonner"
+import StudentForm from "@/components/student-form"
+import EnrollmentBadge from "@/components/enrollment-badge"
+import AuditTimeline from "@/components/audit-timeline"
+import ConflictResolver from "@/components/conflict-resolver"
+import { useAuth } from "@/components/auth-provider"
+import {
+  studentsAPI,
+  coursesAPI,
+  customFieldsAPI,
+  attendanceAPI,
+  gradesAPI,
+  NotFoundError,
+  VersionConflictError,
+} from "@/lib/api"
+import { formatDateOnly } from "@/lib/enrollments"
+import { LOW_ATTENDANCE_RATE } from "@/lib/attendance"
+import { LOW_GRADE } from "@/lib/grades"
+import { NOTES_MAX_LENGTH } from "@/lib/validation"
+import { formatDate, getInitials } from "@/lib/format"
+import { getCustomFieldEntries } from "@/lib/custom-fields"
+import { compareEdits, mergeStaleEdit } from "@/lib/student-conflicts"
+
+// "92%" for a rate or grade, in red below `low`, or a dash when there is nothing to show
+function Percentage({ value, low, children }) {
+  if (value === undefined) return <span className="text-muted-foreground">—</span>
+  return (
+    <span className={`font-semibold ${value < low ? "text-destructive" : ""}`}>
+      {value}%{children}
+    </span>
+  )
+}
+
+/**
+ * StudentProfile Component Props:
+ * @typedef {Object} StudentProfileProps
+ * @property {string} studentId - Student to show
+ */
+
+/**
+ * StudentProfile Component
+ *
+ * Everything about one student on one screen: photo and contact details,
+ * each course with its attendance and grade, notes, and the timeline of
+ * changes to the record. Rendered by `/students/[id]`, so it can be shared
+ * by URL. Users who can't edit students get it read-only.
+ */
+function StudentProfile({ studentId }) {
+  const { can } = useAuth()
+  const canEdit = can("students:edit")
+  const [student, setStudent] = useState(null)
+  const [courses, setCourses] = useState([])
+  const [customFields, setCustomFields] = useState([])
+  const [attendance, setAttendance] = useState(null)
+  const [grades, setGrades] = useState(null)
+  const [history, setHistory] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [notFound, setNotFound] = useState(false)
+  const [isEditing, setIsEditing] = useState(false)
+  const [editConflict, setEditConflict] = useState(null) // { base, mine } of an edit refused as stale
+  const [notes, setNotes] = useState("")
+  const [isSavingNotes, setIsSavingNotes] = useState(false)
+  const [notesConflict, setNotesConflict] = useState(null) // { base, mine, choice } of notes refused as stale
+
+  const loadProfile = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [studentData, coursesData, fieldsData, attendanceData, gradesData, entries] = await Promise.all([
+        studentsAPI.get(studentId),
+        coursesAPI.list({ includeArchived: true }),
+        customFieldsAPI.list(),
+        attendanceAPI.summaries([studentId]),
+        gradesAPI.summaries([studentId]),
+        studentsAPI.history(studentId),
+      ])
+      setStudent(studentData)
+      setNotes(studentData.notes || "")
+      setCourses(coursesData)
+      setCustomFields(fieldsData)
+      setAttendance(attendanceData[studentId] || null)
+      setGrades(gradesData[studentId] || null)
+      setHistory(entries)
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        setNotFound(true)
+      } else {
+        setError("Failed to load this student. Please try again.")
+        console.error("Error loading student profile:", err)
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadProfile()
+  }, [studentId])
+
+  const getCourse = (courseId) => courses.find((c) => c.id === courseId)
+
+  // Edits show up on the timeline, so fetch it again along with the saved record
+  const applyUpdate = async (updated) => {
+    setStudent(updated)
+    setNotes(updated.notes || "")
+    setHistory(await studentsAPI.history(studentId))
+  }
+
+  /**
+   * Saves `changes` made from `base`, sending its version so a stale save is
+   * refused. Someone else's changes to other fields are kept and the save is
+   * sent again; when they changed the same field, their copy is shown and
+   * the result carries the `conflict` for the user to resolve.
+   *
+   * @returns {Promise<{ saved?: Student, conflict?: { base: Student, mine: Object } }>}
+   */
+  const saveChanges = async (base, changes, fields) => {
+    try {
+      return { saved: await studentsAPI.update(studentId, { ...changes, version: base.version }) }
+    } catch (err) {
+      if (!(err instanceof VersionConflictError)) throw err
+      const merged = mergeStaleEdit(base, changes, err.current, fields)
+      if (merged) return saveChanges(err.current, merged, fields)
+      setStudent(err.current)
+      return { conflict: { base, mine: changes } }
+    }
+  }
+
+  const handleEditStudent = async (studentData) => {
+    const { saved, conflict } = await saveChanges(student, studentData)
+    if (conflict) {
+      setEditConflict(conflict)
+      toast.warning(`${student.name} was changed by someone else. Choose which changes to keep, then save again.`)
+      return
+    }
+    setIsEditing(false)
+    setEditConflict(null)
+    toast.success(`${saved.name} was updated`)
+    await applyUpdate(saved)
+  }
+
+  const closeEditForm = () => {
+    setIsEditing(false)
+    setEditConflict(null)
+  }
+
+  const handleSaveNotes = async () => {
+    try {
+      setIsSavingNotes(true)
+      const { saved, conflict } = await saveChanges(student, { notes }, ["notes"])
+      if (conflict) {
+        setNotesConflict({ ...conflict, choice: "mine" })
+        toast.warning("Someone else changed these notes. Choose which to keep, then save again.")
+        return
+      }
+      setNotesConflict(null)
+      await applyUpdate(saved)
+      toast.success("Notes saved")
+    } catch (err) {
+      toast.error(`Could not save notes: ${err.message}`)
+    } finally {
+      setIsSavingNotes(false)
+    }
+  }
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      toast.success("Link copied to clipboard")
+    } catch {
+      toast.error("Could not copy the link")
+    }
+  }
+
+  if (loading && !student) {
+    return (
+      <div className="flex justify-center py-16">
+        <div className="w-12 h-12 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  if (notFound) {
+    return (
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardContent className="flex flex-col items-center justify-center py-16 text-center">
+          <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mb-4">
+            <UserX className="w-8 h-8 text-muted-foreground" />
+          </div>
+          <CardTitle className="font-heading text-xl mb-2">Student not found</CardTitle>
+          <CardDescription className="text-base">
+            This student may have been deleted or merged into another record. Check the{" "}
+            <Link href="/trash" className="text-primary underline-offset-4 hover:underline">
+              trash
+            </Link>
+            .
+          </CardDescription>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  if (error) {
+    return (
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardContent className="py-12 text-center space-y-4">
+          <p className="text-destructive font-medium">{error}</p>
+          <Button onClick={loadProfile}>Retry</Button>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const notesChanged = notes.trim() !== (student.notes || "")
+  const notesConflicts = notesConflict ? compareEdits(notesConflict.base, notesConflict.mine, student, ["notes"]) : []
+
+  const handleNotesChoice = (field, side) => {
+    setNotesConflict((prev) => ({ ...prev, choice: side }))
+    setNotes(side === "mine" ? notesConflict.mine.notes : student.notes || "")
+  }
+  const customFieldEntries = getCustomFieldEntries(customFields, student)
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 animate-fade-in">
+      <div className="space-y-6">
+        <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+          <CardContent className="pt-6 flex flex-col items-center text-center space-y-4">
+            <Avatar className="h-28 w-28 ring-4 ring-primary/20">
+              <AvatarImage src={student.profileImage || "/placeholder.svg"} alt={student.name} />
+              <AvatarFallback className="bg-primary/10 text-primary text-3xl font-semibold">
+                {getInitials(student.name)}
+              </AvatarFallback>
+            </Avatar>
+            <div className="space-y-1">
+              <h2 className="font-heading text-2xl font-bold">{student.name}</h2>
+              <a
+                href={`mailto:${student.email}`}
+                className="flex items-center justify-center gap-2 text-sm text-primary underline-offset-4 hover:underline break-all"
+              >
+                <Mail className="w-4 h-4 shrink-0" />
+                {student.email}
+              </a>
+            </div>
+            <div className="space-y-1 text-sm text-muted-foreground">
+              <p className="flex items-center justify-center gap-2">
+                <Calendar className="w-4 h-4" />
+                Added {formatDate(student.createdAt)}
+              </p>
+              {student.mergedFrom?.length > 0 && (
+                <p className="flex items-center justify-center gap-2">
+                  <GitMerge className="w-4 h-4" />
+                  Merged from {student.mergedFrom.length} duplicate record(s)
+                </p>
+              )}
+            </div>
+            {customFieldEntries.length > 0 && (
+              <dl className="w-full space-y-1 text-sm text-left border-t border-border/50 pt-4">
+                {customFieldEntries.map(({ field, value }) => (
+                  <div key={field.id} className="flex justify-between gap-4">
+                    <dt className="text-muted-foreground">{field.label}</dt>
+                    <dd className="font-medium text-right break-words">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+            <div className="flex gap-2 w-full">
+              {canEdit && (
+                <Button variant="outline" size="sm" onClick={() => setIsEditing(true)} className="flex-1">
+                  <Edit className="w-4 h-4 mr-1" />
+                  Edit
+                </Button>
+              )}
+              <Button variant="outline" size="sm" onClick={handleCopyLink} className="flex-1">
+                <Link2 className="w-4 h-4 mr-1" />
+                Copy link
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+          <CardHeader>
+            <CardTitle className="font-heading text-xl flex items-center gap-2">
+              <StickyNote className="w-5 h-5 text-primary" />
+              Notes
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {notesConflicts.length > 0 && (
+              <ConflictResolver
+                conflicts={notesConflicts}
+                choices={{ notes: notesConflict.choice }}
+                courses={courses}
+                onChoose={handleNotesChoice}
+              />
+            )}
+            <Label htmlFor="student-notes" className="sr-only">
+              Notes about {student.name}
+            </Label>
+            <textarea
+              id="student-notes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              maxLength={NOTES_MAX_LENGTH}
+              readOnly={!canEdit}
+              rows={6}
+              placeholder="Anything worth remembering about this student"
+              className="w-full px-3 py-2 text-sm bg-background border border-border/50 rounded-md text-foreground placeholder:text-muted-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors resize-y"
+            />
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-muted-foreground">
+                {notes.length}/{NOTES_MAX_LENGTH}
+              </span>
+              {canEdit && (
+                <Button size="sm" onClick={handleSaveNotes} disabled={!notesChanged || isSavingNotes}>
+                  <Save className="w-4 h-4 mr-1" />
+                  {isSavingNotes ? "Saving..." : "Save notes"}
+                </Button>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      <div className="lg:col-span-2 space-y-6">
+        <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+          <CardHeader>
+            <CardTitle className="font-heading text-xl flex items-center gap-2">
+              <BookOpen className="w-5 h-5 text-primary" />
+              Courses
+            </CardTitle>
+            <CardDescription>
+              {attendance ? `${attendance.rate}% attendance over ${attendance.total} sessions` : "No attendance yet"}
+              {" · "}
+              {grades ? `${grades.letter} · ${grades.average}% grade average` : "No grades yet"}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {student.enrollments.length === 0 ? (
+              <p className="text-sm text-muted-foreground">Not enrolled in any course.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left text-muted-foreground">
+                    <tr>
+                      <th className="py-2 font-semibold">Course</th>
+                      <th className="py-2 font-semibold">Started</th>
+                      <th className="py-2 font-semibold">Completed</th>
+                      <th className="py-2 font-semibold text-right">Attendance</th>
+                      <th className="py-2 font-semibold text-right">Grade</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-border/50">
+                    {student.enrollments.map((enrollment) => {
+                      const courseAttendance = attendance?.courses?.[enrollment.courseId]
+                      const courseGrade = grades?.courses[enrollment.courseId]
+                      return (
+                        <tr key={enrollment.courseId}>
+                          <td className="py-2">
+                            <EnrollmentBadge enrollment={enrollment} course={getCourse(enrollment.courseId)} />
+                          </td>
+                          <td className="py-2">{formatDateOnly(enrollment.startDate)}</td>
+                          <td className="py-2">{formatDateOnly(enrollment.completedDate) || "—"}</td>
+                          <td
+                            className="py-2 text-right"
+                            title={
+                              courseAttendance &&
+                              `${courseAttendance.present} present, ${courseAttendance.late} late, ${courseAttendance.absent} absent`
+                            }
+                          >
+                            <Percentage value={courseAttendance?.rate} low={LOW_ATTENDANCE_RATE} />
+                          </td>
+                          <td
+                            className="py-2 text-right"
+                            title={courseGrade && `${courseGrade.graded} of ${courseGrade.total} assessments graded`}
+                          >
+                            <Percentage value={courseGrade?.grade} low={LOW_GRADE}>
+                              {courseGrade && ` ${courseGrade.letter}`}
+                            </Percentage>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+          <CardHeader>
+            <CardTitle className="font-heading text-xl flex items-center gap-2">
+              <History className="w-5 h-5 text-primary" />
+              Timeline
+            </CardTitle>
+            <CardDescription>Every change to this record, newest first.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {history.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No changes recorded yet.</p>
+            ) : (
+              <AuditTimeline entries={history} courses={courses} customFields={customFields} />
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {isEditing && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+          <div className="animate-slide-up">
+            <StudentForm
+              student={student}
+              courses={courses}
+              customFields={customFields}
+              onSubmit={handleEditStudent}
+              onCancel={closeEditForm}
+              conflict={editConflict}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StudentProfile
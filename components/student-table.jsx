@@ -0,0 +1,239 @@
+"use client"
+
+import Link from "next/link"
+import { Card, CardContent, CardDescription, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
+import { Edit, Trash2, History, Calendar, ArrowUp, ArrowDown, ArrowUpDown } from "lucide-react"
+import EnrollmentBadge from "@/components/enrollment-badge"
+import PendingBadge from "@/components/pending-badge"
+import { formatDate, getInitials } from "@/lib/format"
+import { parseSort } from "@/lib/student-query"
+import { formatCustomFieldValue, getCustomFieldValue } from "@/lib/custom-fields"
+
+const COLUMNS = [
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "course", label: "Courses" },
+  { key: "createdAt", label: "Enrolled" },
+]
+
+/**
+ * StudentTable Component Props:
+ * @typedef {Object} StudentTableProps
+ * @property {Student[]} students - The page of students to display
+ * @property {Course[]} courses - Array of available courses
+ * @property {CustomField[]} [customFields] - Extra student fields, one column each (not sortable)
+ * @property {string} sort - Current sort order, e.g. "name" or "-createdAt" (see lib/student-query.js)
+ * @property {Function} onSortChange - Called with the new sort order when a column header is clicked
+ * @property {Function} [onEdit] - Callback when edit button is clicked; the button is hidden without it
+ * @property {Function} [onDelete] - Callback when delete button is clicked; the button is hidden without it
+ * @property {Function} onShowHistory - Callback when history button is clicked
+ * @property {Set<string>} [selectedIds] - IDs of selected students
+ * @property {Set<string>} [pendingIds] - Students with a change still being saved; shown faded, without actions
+ * @property {Function} [onToggleSelect] - Called with a student when its checkbox is clicked
+ * @property {Function} [onSelectPage] - Called with `(students, selected)` from the header checkbox
+ */
+
+/**
+ * StudentTable Component
+ *
+ * Dense alternative to the StudentList card grid for large rosters. Sorting
+ * and paging happen on the server: the table renders the page it is given
+ * and reports header clicks through `onSortChange`.
+ */
+function StudentTable({
+  students,
+  courses,
+  customFields = [],
+  sort,
+  onSortChange,
+  onEdit,
+  onDelete,
+  onShowHistory,
+  selectedIds,
+  pendingIds = new Set(),
+  onToggleSelect,
+  onSelectPage,
+}) {
+  const getCourse = (courseId) => courses.find((c) => c.id === courseId)
+  const currentSort = parseSort(sort)
+
+  const pageSelected =
+    Boolean(selectedIds) && students.length > 0 && students.every((student) => selectedIds.has(student.id))
+
+  // Clicking the sorted column flips its direction; any other column starts ascending
+  const toggleSort = (key) => {
+    onSortChange(currentSort.key === key && currentSort.direction === "asc" ? `-${key}` : key)
+  }
+
+  if (students.length === 0) {
+    return (
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardContent className="flex flex-col items-center justify-center py-16 text-center">
+          <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mb-4">
+            <Calendar className="w-8 h-8 text-muted-foreground" />
+          </div>
+          <CardTitle className="font-heading text-xl mb-2">No students found</CardTitle>
+          <CardDescription className="text-base">
+            Try adjusting your search or filter criteria, or add a new student to get started.
+          </CardDescription>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-muted/50 text-left">
+            <tr>
+              {onToggleSelect && (
+                <th className="pl-4 py-3 w-8">
+                  <input
+                    type="checkbox"
+                    checked={pageSelected}
+                    onChange={() => onSelectPage(students, !pageSelected)}
+                    className="h-4 w-4 accent-primary cursor-pointer"
+                    aria-label="Select all on this page"
+                  />
+                </th>
+              )}
+              {COLUMNS.map((column) => (
+                <th key={column.key} className="px-4 py-3 font-semibold">
+                  <button
+                    type="button"
+                    onClick={() => toggleSort(column.key)}
+                    className="flex items-center gap-1 hover:text-primary transition-colors"
+                    aria-sort={
+                      currentSort.key === column.key ? (currentSort.direction === "asc" ? "ascending" : "descending") : "none"
+                    }
+                  >
+                    {column.label}
+                    {currentSort.key !== column.key ? (
+                      <ArrowUpDown className="w-3 h-3 text-muted-foreground" />
+                    ) : currentSort.direction === "asc" ? (
+                      <ArrowUp className="w-3 h-3" />
+                    ) : (
+                      <ArrowDown className="w-3 h-3" />
+                    )}
+                  </button>
+                </th>
+              ))}
+              {customFields.map((field) => (
+                <th key={field.id} className="px-4 py-3 font-semibold whitespace-nowrap">
+                  {field.label}
+                </th>
+              ))}
+              <th className="px-4 py-3 font-semibold text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-border/50">
+            {students.map((student) => (
+              <tr
+                key={student.id}
+                className={`hover:bg-muted/30 transition-colors ${selectedIds?.has(student.id) ? "bg-primary/5" : ""} ${
+                  pendingIds.has(student.id) ? "opacity-70" : ""
+                }`}
+              >
+                {onToggleSelect && (
+                  <td className="pl-4 py-2">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(student.id)}
+                      onChange={() => onToggleSelect(student)}
+                      disabled={pendingIds.has(student.id)}
+                      className="h-4 w-4 accent-primary cursor-pointer"
+                      aria-label={`Select ${student.name}`}
+                    />
+                  </td>
+                )}
+                <td className="px-4 py-2">
+                  <div className="flex items-center gap-3">
+                    <Avatar className="h-8 w-8">
+                      <AvatarImage src={student.profileImage || "/placeholder.svg"} alt={student.name} />
+                      <AvatarFallback className="bg-primary/10 text-primary text-xs font-semibold">
+                        {getInitials(student.name)}
+                      </AvatarFallback>
+                    </Avatar>
+                    {/* A new student has no profile until the server has saved it */}
+                    {pendingIds.has(student.id) ? (
+                      <span className="font-medium">{student.name}</span>
+                    ) : (
+                      <Link
+                        href={`/students/${student.id}`}
+                        className="font-medium hover:text-primary hover:underline underline-offset-4"
+                      >
+                        {student.name}
+                      </Link>
+                    )}
+                    {pendingIds.has(student.id) && <PendingBadge />}
+                  </div>
+                </td>
+                <td className="px-4 py-2 text-muted-foreground">{student.email}</td>
+                <td className="px-4 py-2">
+                  <div className="flex flex-wrap gap-1">
+                    {(student.enrollments || []).map((enrollment) => (
+                      <EnrollmentBadge
+                        key={enrollment.courseId}
+                        enrollment={enrollment}
+                        course={getCourse(enrollment.courseId)}
+                      />
+                    ))}
+                  </div>
+                </td>
+                <td className="px-4 py-2 text-muted-foreground whitespace-nowrap">{formatDate(student.createdAt)}</td>
+                {customFields.map((field) => (
+                  <td key={field.id} className="px-4 py-2 text-muted-foreground">
+                    {formatCustomFieldValue(field, getCustomFieldValue(student.customFields, field))}
+                  </td>
+                ))}
+                <td className="px-4 py-2">
+                  <div className="flex justify-end gap-1">
+                    {onEdit && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => onEdit(student)}
+                        disabled={pendingIds.has(student.id)}
+                        className="h-8 w-8 p-0 hover:bg-primary hover:text-primary-foreground"
+                        aria-label={`Edit ${student.name}`}
+                      >
+                        <Edit className="w-4 h-4" />
+                      </Button>
+                    )}
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => onShowHistory(student)}
+                      disabled={pendingIds.has(student.id)}
+                      className="h-8 w-8 p-0 hover:bg-primary hover:text-primary-foreground"
+                      aria-label={`History of ${student.name}`}
+                    >
+                      <History className="w-4 h-4" />
+                    </Button>
+                    {onDelete && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => onDelete(student.id)}
+                        disabled={pendingIds.has(student.id)}
+                        className="h-8 w-8 p-0 hover:bg-destructive hover:text-destructive-foreground"
+                        aria-label={`Delete ${student.name}`}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  )
+}
+
+export default StudentTable
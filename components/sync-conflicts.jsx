@@ -0,0 +1,84 @@
+"use client"
+
+import { useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { AlertTriangle } from "lucide-react"
+import { formatRelativeTime } from "@/lib/format"
+
+const CHANGE_LABELS = {
+  create: "Adding",
+  update: "Edit to",
+  delete: "Deleting",
+}
+
+/**
+ * SyncConflicts Component Props:
+ * @typedef {Object} SyncConflictsProps
+ * @property {QueuedChange[]} conflicts - Offline changes the server couldn't take as they were
+ * @property {Function} onResolve - Called with `(change, keepMine)`; may return a promise
+ */
+
+/**
+ * SyncConflicts Component
+ *
+ * Lists offline changes that clashed with what happened on the server in
+ * the meantime (see lib/sync-queue.js). For each, the user either keeps
+ * their version, overwriting the other change, or discards it.
+ */
+function SyncConflicts({ conflicts, onResolve }) {
+  const [resolvingId, setResolvingId] = useState(null)
+
+  const handleResolve = async (change, keepMine) => {
+    setResolvingId(change.id)
+    try {
+      await onResolve(change, keepMine)
+    } finally {
+      setResolvingId(null)
+    }
+  }
+
+  return (
+    <Card className="border-destructive/30 bg-destructive/5 shadow-md animate-fade-in">
+      <CardHeader className="pb-3">
+        <CardTitle className="font-heading text-lg flex items-center gap-2">
+          <AlertTriangle className="w-5 h-5 text-destructive" />
+          Offline changes that could not be synced
+        </CardTitle>
+        <CardDescription>
+          Keeping your version overwrites what changed on the server; discarding it keeps the server&apos;s.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ul className="divide-y divide-border/50">
+          {conflicts.map((change) => (
+            <li key={change.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 py-3">
+              <div className="min-w-0">
+                <p className="font-medium">
+                  {CHANGE_LABELS[change.type]} {change.studentName}
+                  <span className="text-muted-foreground font-normal"> · {formatRelativeTime(change.queuedAt)}</span>
+                </p>
+                <p className="text-sm text-destructive">{change.conflict}</p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <Button size="sm" onClick={() => handleResolve(change, true)} disabled={resolvingId === change.id}>
+                  Keep mine
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleResolve(change, false)}
+                  disabled={resolvingId === change.id}
+                >
+                  Discard
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default SyncConflicts
@@ -0,0 +1,54 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import { Wifi, WifiOff, RefreshCw, CloudOff } from "lucide-react"
+import { formatRelativeTime } from "@/lib/format"
+
+/**
+ * SyncStatus Component Props:
+ * @typedef {Object} SyncStatusProps
+ * @property {boolean} isOnline - Whether the browser has a connection
+ * @property {Date|null} savedAt - When the data on screen was cached, if it came from the cache
+ * @property {number} pendingCount - Changes waiting to be sent
+ * @property {boolean} isSyncing - Whether queued changes are being sent right now
+ * @property {Function} onSync - Sends queued changes now
+ */
+
+/**
+ * SyncStatus Component
+ *
+ * Small line in the dashboard header saying whether the dashboard is
+ * online, whether it is showing saved data, and how many changes made
+ * offline are still waiting to be sent.
+ */
+function SyncStatus({ isOnline, savedAt, pendingCount, isSyncing, onSync }) {
+  const isLive = isOnline && !savedAt
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm text-primary-foreground/80" role="status">
+      <span className="flex items-center gap-1.5 font-medium">
+        {isLive ? <Wifi className="w-4 h-4" /> : <WifiOff className="w-4 h-4" />}
+        {isLive ? "Online" : isOnline ? "Server unreachable" : "Offline"}
+      </span>
+      {savedAt && <span>Showing data saved {formatRelativeTime(savedAt)}</span>}
+      {pendingCount > 0 && (
+        <span className="flex items-center gap-1.5">
+          <CloudOff className="w-4 h-4" />
+          {pendingCount} change{pendingCount === 1 ? "" : "s"} waiting to sync
+          <Button
+            variant="link"
+            size="sm"
+            onClick={onSync}
+            disabled={!isOnline || isSyncing}
+            className="h-auto p-0 text-primary-foreground underline"
+          >
+            <RefreshCw className={`w-3 h-3 mr-1 ${isSyncing ? "animate-spin" : ""}`} />
+            {isSyncing ? "Syncing..." : "Sync now"}
+          </Button>
+        </span>
+      )}
+    </div>
+  )
+}
+
+export default SyncStatus
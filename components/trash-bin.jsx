@@ -0,0 +1,179 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
+import { ArchiveRestore, Trash2 } from "lucide-react"
+import { toast } from "sonner"
+import ConfirmDialog from "@/components/confirm-dialog"
+import { studentsAPI } from "@/lib/api"
+import { formatDate, getInitials } from "@/lib/format"
+
+/**
+ * TrashBin Component
+ *
+ * Lists deleted students, most recently deleted first. Each one can be
+ * restored to the directory or deleted forever; "Empty trash" purges them all.
+ */
+function TrashBin() {
+  const [students, setStudents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Student to purge, or "all" while confirming "Empty trash"
+  const [purging, setPurging] = useState(null)
+
+  const loadTrash = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const trashed = await studentsAPI.list({ trash: true })
+      setStudents(trashed.sort((a, b) => b.deletedAt - a.deletedAt))
+    } catch (err) {
+      setError("Failed to load the trash. Please try again.")
+      console.error("Error loading trash:", err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadTrash()
+  }, [])
+
+  const removeFromView = (ids) => {
+    const idSet = new Set(ids)
+    setStudents((prev) => prev.filter((student) => !idSet.has(student.id)))
+  }
+
+  const handleRestore = async (student) => {
+    try {
+      await studentsAPI.restore(student.id)
+      removeFromView([student.id])
+      toast.success(`${student.name} restored`)
+    } catch (err) {
+      toast.error(`Failed to restore ${student.name}: ${err.message}`)
+    }
+  }
+
+  const handlePurge = async () => {
+    try {
+      if (purging === "all") {
+        removeFromView(await studentsAPI.bulkPurge(students.map((student) => student.id)))
+        toast.success("Trash emptied")
+      } else {
+        await studentsAPI.purge(purging.id)
+        removeFromView([purging.id])
+        toast.success(`${purging.name} permanently deleted`)
+      }
+    } catch (err) {
+      toast.error(`Failed to delete: ${err.message}`)
+    } finally {
+      setPurging(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="px-4 py-3 rounded-lg border border-destructive/30 bg-destructive/10 text-sm text-destructive font-medium">
+          {error}
+        </div>
+      )}
+
+      {students.length === 0 ? (
+        <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+          <CardContent className="flex flex-col items-center justify-center py-16 text-center">
+            <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mb-4">
+              <Trash2 className="w-8 h-8 text-muted-foreground" />
+            </div>
+            <CardTitle className="font-heading text-xl mb-2">Trash is empty</CardTitle>
+            <CardDescription className="text-base">Deleted students will show up here.</CardDescription>
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-muted-foreground">
+              {students.length} deleted student{students.length === 1 ? "" : "s"}
+            </p>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPurging("all")}
+              className="hover:bg-destructive hover:text-destructive-foreground transition-colors"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Empty trash
+            </Button>
+          </div>
+
+          <div className="space-y-3">
+            {students.map((student) => (
+              <Card key={student.id} className="bg-gradient-to-br from-card to-card/50 border-0 shadow-md">
+                <CardContent className="flex flex-col md:flex-row md:items-center justify-between gap-4 py-4">
+                  <div className="flex items-center gap-3">
+                    <Avatar className="h-10 w-10">
+                      <AvatarImage src={student.profileImage || "/placeholder.svg"} alt={student.name} />
+                      <AvatarFallback className="bg-primary/10 text-primary text-sm font-semibold">
+                        {getInitials(student.name)}
+                      </AvatarFallback>
+                    </Avatar>
+                    <div>
+                      <p className="font-heading font-semibold">{student.name}</p>
+                      <p className="text-sm text-muted-foreground">
+                        {student.email} · Deleted {formatDate(student.deletedAt)}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex gap-2">
+                    <Button variant="outline" size="sm" onClick={() => handleRestore(student)}>
+                      <ArchiveRestore className="w-4 h-4 mr-1" />
+                      Restore
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setPurging(student)}
+                      className="hover:bg-destructive hover:text-destructive-foreground transition-colors"
+                    >
+                      <Trash2 className="w-4 h-4 mr-1" />
+                      Delete forever
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        </>
+      )}
+
+      {purging && (
+        <ConfirmDialog
+          title={purging === "all" ? "Empty the trash?" : `Permanently delete ${purging.name}?`}
+          description={
+            purging === "all"
+              ? `All ${students.length} deleted students will be removed for good. This cannot be undone.`
+              : "This student will be removed for good. This cannot be undone."
+          }
+          confirmLabel="Delete Forever"
+          destructive
+          onConfirm={handlePurge}
+          onCancel={() => setPurging(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default TrashBin
@@ -0,0 +1,346 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Badge } from "@/components/ui/badge"
+import { Plus, Pencil, Trash2, Check, X } from "lucide-react"
+import ConfirmDialog from "@/components/confirm-dialog"
+import { useAuth } from "@/components/auth-provider"
+import { usersAPI, coursesAPI } from "@/lib/api"
+import { ROLES, ROLE_LABELS, ROLE_DESCRIPTIONS, PASSWORD_MIN_LENGTH, validateUser } from "@/lib/permissions"
+
+const EMPTY_USER = { username: "", name: "", role: "viewer", password: "", courseIds: [] }
+
+/**
+ * Inputs shared by the add form and the inline editor. The username can
+ * only be picked when adding, and a blank password when editing keeps the
+ * current one.
+ */
+function UserInputs({ value, onChange, errors, courses, idPrefix, isNew = true }) {
+  const update = (changes) => onChange({ ...value, ...changes })
+
+  const toggleCourse = (courseId) =>
+    update({
+      courseIds: value.courseIds.includes(courseId)
+        ? value.courseIds.filter((id) => id !== courseId)
+        : [...value.courseIds, courseId],
+    })
+
+  const inputClass = (field) =>
+    `bg-background border-border/50 focus:border-primary ${errors[field] ? "border-destructive" : ""}`
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 md:items-start">
+        <div className="space-y-1">
+          <Label htmlFor={`${idPrefix}-username`} className="text-xs text-muted-foreground">
+            Username
+          </Label>
+          <Input
+            id={`${idPrefix}-username`}
+            value={value.username}
+            onChange={(e) => update({ username: e.target.value })}
+            disabled={!isNew}
+            autoCapitalize="none"
+            autoComplete="off"
+            className={inputClass("username")}
+          />
+          {errors.username && <p className="text-sm text-destructive font-medium">{errors.username}</p>}
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={`${idPrefix}-name`} className="text-xs text-muted-foreground">
+            Name
+          </Label>
+          <Input
+            id={`${idPrefix}-name`}
+            value={value.name}
+            onChange={(e) => update({ name: e.target.value })}
+            maxLength={100}
+            className={inputClass("name")}
+          />
+          {errors.name && <p className="text-sm text-destructive font-medium">{errors.name}</p>}
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={`${idPrefix}-role`} className="text-xs text-muted-foreground">
+            Role
+          </Label>
+          <select
+            id={`${idPrefix}-role`}
+            value={value.role}
+            onChange={(e) => update({ role: e.target.value })}
+            className="w-full h-9 px-3 bg-background border border-border/50 rounded-md text-foreground focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20 transition-colors"
+          >
+            {ROLES.map((role) => (
+              <option key={role} value={role}>
+                {ROLE_LABELS[role]}
+              </option>
+            ))}
+          </select>
+          {errors.role && <p className="text-sm text-destructive font-medium">{errors.role}</p>}
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={`${idPrefix}-password`} className="text-xs text-muted-foreground">
+            {isNew ? "Password" : "New password (optional)"}
+          </Label>
+          <Input
+            id={`${idPrefix}-password`}
+            type="password"
+            value={value.password}
+            onChange={(e) => update({ password: e.target.value })}
+            placeholder={`At least ${PASSWORD_MIN_LENGTH} characters`}
+            autoComplete="new-password"
+            className={inputClass("password")}
+          />
+          {errors.password && <p className="text-sm text-destructive font-medium">{errors.password}</p>}
+        </div>
+      </div>
+
+      <p className="text-sm text-muted-foreground">{ROLE_DESCRIPTIONS[value.role]}</p>
+
+      {value.role === "instructor" && (
+        <fieldset className="space-y-2">
+          <legend className="text-xs text-muted-foreground mb-1">Teaches</legend>
+          <div className="flex flex-wrap gap-x-4 gap-y-2">
+            {courses.map((course) => (
+              <label key={course.id} className="flex items-center gap-2 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={value.courseIds.includes(course.id)}
+                  onChange={() => toggleCourse(course.id)}
+                  className="h-4 w-4 accent-primary"
+                />
+                {course.name}
+                {course.archived ? " (archived)" : ""}
+              </label>
+            ))}
+          </div>
+          {errors.courseIds && <p className="text-sm text-destructive font-medium">{errors.courseIds}</p>}
+        </fieldset>
+      )}
+    </div>
+  )
+}
+
+/**
+ * UserManager Component
+ *
+ * Lets admins add, edit and remove the accounts that can sign in, and pick
+ * each one's role. Instructors also get the courses they teach, which
+ * decides the students they can see. Admins can't remove their own account.
+ */
+function UserManager() {
+  const { user: currentUser } = useAuth()
+  const [users, setUsers] = useState([])
+  const [courses, setCourses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [newUser, setNewUser] = useState(EMPTY_USER)
+  const [addErrors, setAddErrors] = useState({})
+
+  const [editingId, setEditingId] = useState(null)
+  const [editUser, setEditUser] = useState(EMPTY_USER)
+  const [editErrors, setEditErrors] = useState({})
+
+  const [deletingUser, setDeletingUser] = useState(null)
+
+  const loadUsers = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [usersData, coursesData] = await Promise.all([
+        usersAPI.list(),
+        coursesAPI.list({ includeArchived: true }),
+      ])
+      setUsers(usersData)
+      setCourses(coursesData)
+    } catch (err) {
+      setError("Failed to load users. Please try again.")
+      console.error("Error loading users:", err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadUsers()
+  }, [])
+
+  const getCourseName = (courseId) => courses.find((course) => course.id === courseId)?.name ?? `Course ${courseId}`
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    const errors = validateUser(newUser)
+    setAddErrors(errors)
+    if (Object.keys(errors).length > 0) return
+
+    try {
+      const user = await usersAPI.create(newUser)
+      setUsers((prev) => [...prev, user].sort((a, b) => a.name.localeCompare(b.name)))
+      setNewUser(EMPTY_USER)
+    } catch (err) {
+      setAddErrors(err.details || { username: err.message })
+    }
+  }
+
+  const startEditing = (user) => {
+    setEditingId(user.id)
+    setEditUser({ ...user, password: "" })
+    setEditErrors({})
+  }
+
+  const handleUpdate = async (user) => {
+    const errors = validateUser(editUser, { isNew: false })
+    setEditErrors(errors)
+    if (Object.keys(errors).length > 0) return
+
+    const { name, role, password, courseIds } = editUser
+    try {
+      const updated = await usersAPI.update(user.id, { name, role, courseIds, ...(password && { password }) })
+      setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)))
+      setEditingId(null)
+    } catch (err) {
+      setEditErrors(err.details || { name: err.message })
+    }
+  }
+
+  const confirmDelete = async () => {
+    const user = deletingUser
+    try {
+      setError(null)
+      await usersAPI.remove(user.id)
+      setUsers((prev) => prev.filter((u) => u.id !== user.id))
+    } catch (err) {
+      setError(`Failed to delete ${user.name}: ${err.message}`)
+    } finally {
+      setDeletingUser(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-gradient-to-br from-card to-card/50 border-0 shadow-lg">
+        <CardHeader>
+          <CardTitle className="font-heading text-xl">Add User</CardTitle>
+          <CardDescription>
+            Give the username and password to the new user; they can sign in right away.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="space-y-4" noValidate>
+            <UserInputs
+              value={newUser}
+              onChange={setNewUser}
+              errors={addErrors}
+              courses={courses}
+              idPrefix="new-user"
+            />
+            <Button type="submit" className="bg-primary hover:bg-primary/90">
+              <Plus className="w-4 h-4 mr-1" />
+              Add User
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <div className="px-4 py-3 rounded-lg border border-destructive/30 bg-destructive/10 text-sm text-destructive font-medium">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {users.map((user) => (
+          <Card key={user.id} className="bg-gradient-to-br from-card to-card/50 border-0 shadow-md">
+            <CardContent className="py-4">
+              {editingId === user.id ? (
+                <div className="space-y-3">
+                  <UserInputs
+                    value={editUser}
+                    onChange={setEditUser}
+                    errors={editErrors}
+                    courses={courses}
+                    idPrefix={`user-${user.id}`}
+                    isNew={false}
+                  />
+                  <div className="flex gap-2">
+                    <Button size="sm" onClick={() => handleUpdate(user)}>
+                      <Check className="h-4 w-4 mr-1" />
+                      Save
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setEditingId(null)}>
+                      <X className="h-4 w-4 mr-1" />
+                      Cancel
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                  <div className="space-y-1">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-heading font-semibold text-lg">{user.name}</span>
+                      <Badge variant="secondary" className="text-xs">
+                        {ROLE_LABELS[user.role]}
+                      </Badge>
+                      {user.id === currentUser?.id && (
+                        <Badge variant="outline" className="text-xs">
+                          You
+                        </Badge>
+                      )}
+                    </div>
+                    <p className="text-sm text-muted-foreground">
+                      {user.username}
+                      {user.role === "instructor" && ` · Teaches ${user.courseIds.map(getCourseName).join(", ")}`}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button variant="outline" size="sm" onClick={() => startEditing(user)}>
+                      <Pencil className="w-4 h-4 mr-1" />
+                      Edit
+                    </Button>
+                    {user.id !== currentUser?.id && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setDeletingUser(user)}
+                        className="hover:bg-destructive hover:text-destructive-foreground transition-colors"
+                      >
+                        <Trash2 className="w-4 h-4 mr-1" />
+                        Delete
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {deletingUser && (
+        <ConfirmDialog
+          title={`Delete ${deletingUser.name}?`}
+          description="They will be signed out and can no longer sign in. Their past changes stay in the history."
+          confirmLabel="Delete"
+          destructive
+          onConfirm={confirmDelete}
+          onCancel={() => setDeletingUser(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default UserManager
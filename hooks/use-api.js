@@ -0,0 +1,85 @@
+"use client"
+
+import { useState, useEffect, useCallback, useRef } from "react"
+import { isAbortError } from "@/lib/api"
+
+/**
+ * Loads data with `load` and tracks the request's state. The request is
+ * cancelled when `deps` change (a newer one starts) or the component
+ * unmounts, so a slow response can never overwrite a newer one.
+ *
+ * `data` keeps the last successful result while a reload is in flight, so
+ * the page can dim what it shows instead of replacing it with a spinner.
+ *
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} load - Pass `signal` on to the API calls
+ * @param {Array} deps - Reload whenever one of these changes
+ * @param {{ enabled?: boolean }} [options] - Set `enabled` to false to wait, e.g. for another request
+ * @returns {{ data: T | undefined, error: Error | null, isLoading: boolean, reload: () => void }}
+ */
+export function useApiQuery(load, deps, { enabled = true } = {}) {
+  const [state, setState] = useState({ data: undefined, error: null, isLoading: enabled })
+  const [reloadCount, setReloadCount] = useState(0)
+  const loadRef = useRef(load)
+  loadRef.current = load
+
+  useEffect(() => {
+    if (!enabled) return
+    const controller = new AbortController()
+    setState((prev) => ({ ...prev, isLoading: true }))
+
+    loadRef
+      .current(controller.signal)
+      .then((data) => {
+        if (!controller.signal.aborted) setState({ data, error: null, isLoading: false })
+      })
+      .catch((error) => {
+        if (controller.signal.aborted || isAbortError(error)) return
+        setState((prev) => ({ ...prev, error, isLoading: false }))
+      })
+
+    return () => controller.abort()
+  }, [...deps, enabled, reloadCount])
+
+  const reload = useCallback(() => setReloadCount((count) => count + 1), [])
+
+  return { ...state, reload }
+}
+
+/**
+ * Tracks a change sent to the API, e.g. a form submission. `run` resolves
+ * or rejects like `mutate` itself; `isPending` and `error` follow the
+ * latest call. A call still in flight when the component unmounts is
+ * cancelled through the `signal` passed to `mutate`.
+ *
+ * @template T
+ * @param {(...args: [...any[], { signal: AbortSignal }]) => Promise<T>} mutate - Gets `run`'s arguments,
+ *   then `{ signal }`
+ * @returns {{ run: (...args: any[]) => Promise<T>, isPending: boolean, error: Error | null, reset: () => void }}
+ */
+export function useApiMutation(mutate) {
+  const [state, setState] = useState({ isPending: false, error: null })
+  const mutateRef = useRef(mutate)
+  mutateRef.current = mutate
+  const controllerRef = useRef(null)
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const run = useCallback(async (...args) => {
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setState({ isPending: true, error: null })
+    try {
+      const result = await mutateRef.current(...args, { signal: controller.signal })
+      if (!controller.signal.aborted) setState({ isPending: false, error: null })
+      return result
+    } catch (error) {
+      if (!controller.signal.aborted) setState({ isPending: false, error })
+      throw error
+    }
+  }, [])
+
+  const reset = useCallback(() => setState({ isPending: false, error: null }), [])
+
+  return { ...state, run, reset }
+}
@@ -0,0 +1,43 @@
+"use client"
+
+import { useState, useEffect } from "react"
+
+/**
+ * useState that remembers its value in localStorage.
+ *
+ * The stored value is read after mount (localStorage doesn't exist during
+ * server rendering), so the first render always uses `defaultValue`.
+ *
+ * @template T
+ * @param {string} key - localStorage key
+ * @param {T} defaultValue
+ * @returns {[T, (value: T | ((prev: T) => T)) => void]}
+ */
+export function useLocalStorage(key, defaultValue) {
+  const [value, setValue] = useState(defaultValue)
+  const [isLoaded, setIsLoaded] = useState(false)
+
+  useEffect(() => {
+    try {
+      const stored = window.localStorage.getItem(key)
+      if (stored !== null) {
+        setValue(JSON.parse(stored))
+      }
+    } catch (err) {
+      console.error(`Error reading localStorage key "${key}":`, err)
+    }
+    setIsLoaded(true)
+  }, [key])
+
+  useEffect(() => {
+    // Don't overwrite the stored value with the default before it's been read
+    if (!isLoaded) return
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value))
+    } catch (err) {
+      console.error(`Error writing localStorage key "${key}":`, err)
+    }
+  }, [key, value, isLoaded])
+
+  return [value, setValue]
+}
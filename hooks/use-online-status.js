@@ -0,0 +1,28 @@
+"use client"
+
+import { useState, useEffect } from "react"
+
+/**
+ * Whether the browser thinks it has a network connection. It can't know
+ * whether the server is reachable, so requests can still fail while this
+ * says true (see `isOfflineError` in lib/api.js).
+ *
+ * @returns {boolean}
+ */
+export function useOnlineStatus() {
+  // navigator doesn't exist during server rendering, so assume online until mounted
+  const [isOnline, setIsOnline] = useState(true)
+
+  useEffect(() => {
+    const update = () => setIsOnline(window.navigator.onLine)
+    update()
+    window.addEventListener("online", update)
+    window.addEventListener("offline", update)
+    return () => {
+      window.removeEventListener("online", update)
+      window.removeEventListener("offline", update)
+    }
+  }, [])
+
+  return isOnline
+}
@@ -0,0 +1,81 @@
+"use client"
+
+import { useState, useEffect, useCallback, useMemo, useRef } from "react"
+
+/**
+ * Shows student changes on the page before the server has confirmed them.
+ *
+ * `apply` puts a change on screen straight away and returns a key for it.
+ * Once the save succeeds, `confirm` keeps it on screen (with the server's
+ * copy of the student) until `loaded` changes, i.e. the directory has been
+ * reloaded with the change in it, so nothing jumps back in the meantime.
+ * `discard` takes it off again: when the save failed, or when the change
+ * was queued for later and the offline overlay shows it instead.
+ *
+ * @param {Student[]} students - As loaded from the server
+ * @param {*} loaded - Changes whenever a fresh copy of `students` arrives
+ * @returns {{
+ *   students: Student[],
+ *   pendingIds: Set<string>,
+ *   apply: (change: { type: "create"|"update"|"delete", student: Student }) => number,
+ *   confirm: (key: number, saved?: Student) => void,
+ *   discard: (key: number) => void,
+ * }}
+ */
+export function useOptimisticStudents(students, loaded) {
+  const [changes, setChanges] = useState([])
+  const nextKeyRef = useRef(1)
+
+  // A reload includes every confirmed change, so only unconfirmed ones are left to show
+  useEffect(() => {
+    setChanges((prev) => prev.filter((change) => !change.confirmed))
+  }, [loaded])
+
+  const apply = useCallback(({ type, student }) => {
+    const key = nextKeyRef.current++
+    // New students get a placeholder ID until the server assigns theirs
+    const shown = type === "create" ? { ...student, id: `pending-${key}`, createdAt: new Date() } : student
+    setChanges((prev) => [...prev, { key, type, student: shown, confirmed: false }])
+    return key
+  }, [])
+
+  const confirm = useCallback((key, saved) => {
+    setChanges((prev) =>
+      prev.map((change) =>
+        change.key === key ? { ...change, student: saved ?? change.student, confirmed: true } : change,
+      ),
+    )
+  }, [])
+
+  const discard = useCallback((key) => {
+    setChanges((prev) => prev.filter((change) => change.key !== key))
+  }, [])
+
+  const shown = useMemo(() => {
+    const deletedIds = new Set(changes.filter((change) => change.type === "delete").map((change) => change.student.id))
+    const current = students
+      .filter((student) => !deletedIds.has(student.id))
+      .map((student) => {
+        const edit = changes.filter((change) => change.type === "update" && change.student.id === student.id).pop()
+        return edit ? edit.student : student
+      })
+    // Added students go first, where the user will see them, until the reload puts them in order
+    const added = changes
+      .filter((change) => change.type === "create" && !current.some((student) => student.id === change.student.id))
+      .map((change) => change.student)
+    return [...added, ...current]
+  }, [students, changes])
+
+  const pendingIds = useMemo(
+    () => new Set(changes.filter((change) => !change.confirmed).map((change) => change.student.id)),
+    [changes],
+  )
+
+  return {
+    students: shown,
+    pendingIds,
+    apply,
+    confirm,
+    discard,
+  }
+}
@@ -0,0 +1,17 @@
+"use client"
+
+import { useEffect, useRef } from "react"
+import { eventsAPI } from "@/lib/api"
+
+/**
+ * Calls `onChange` with the audit entry of every student change saved by
+ * anyone, including this browser, for as long as the component is mounted.
+ *
+ * @param {(entry: AuditEntry) => void} onChange
+ */
+export function useStudentEvents(onChange) {
+  const onChangeRef = useRef(onChange)
+  onChangeRef.current = onChange
+
+  useEffect(() => eventsAPI.subscribe((entry) => onChangeRef.current(entry)), [])
+}
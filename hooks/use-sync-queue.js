@@ -0,0 +1,102 @@
+"use client"
+
+import { useState, useEffect, useCallback, useRef } from "react"
+import { toast } from "sonner"
+import { useOnlineStatus } from "@/hooks/use-online-status"
+import { listQueuedChanges, queueChange, replayQueue, resolveConflict } from "@/lib/sync-queue"
+
+/**
+ * The offline sync queue (lib/sync-queue.js) as React state. Queued changes
+ * are replayed when the page opens and whenever the connection comes back;
+ * `onSynced` is called after any change reached the server, so the page can
+ * reload what it shows.
+ *
+ * @param {{ onSynced?: Function }} [options]
+ * @returns {{
+ *   isOnline: boolean,
+ *   pending: QueuedChange[],
+ *   conflicts: QueuedChange[],
+ *   isSyncing: boolean,
+ *   queue: (change: Object) => Promise<void>,
+ *   sync: () => Promise<void>,
+ *   resolve: (change: QueuedChange, keepMine: boolean) => Promise<void>,
+ * }}
+ */
+export function useSyncQueue({ onSynced } = {}) {
+  const isOnline = useOnlineStatus()
+  const [changes, setChanges] = useState([])
+  const [isSyncing, setIsSyncing] = useState(false)
+  const syncingRef = useRef(false)
+  const onSyncedRef = useRef(onSynced)
+  onSyncedRef.current = onSynced
+
+  const reload = useCallback(async () => {
+    try {
+      setChanges(await listQueuedChanges())
+    } catch (err) {
+      console.error("Error reading the sync queue:", err)
+    }
+  }, [])
+
+  const sync = useCallback(async () => {
+    if (syncingRef.current) return
+    syncingRef.current = true
+    setIsSyncing(true)
+    try {
+      const { synced, conflicts } = await replayQueue()
+      if (synced > 0) {
+        toast.success(`Synced ${synced} offline change${synced === 1 ? "" : "s"}`)
+        onSyncedRef.current?.()
+      }
+      if (conflicts > 0) {
+        toast.warning(`${conflicts} offline change${conflicts === 1 ? "" : "s"} could not be synced`)
+      }
+    } catch (err) {
+      console.error("Error syncing offline changes:", err)
+    } finally {
+      syncingRef.current = false
+      setIsSyncing(false)
+      await reload()
+    }
+  }, [reload])
+
+  useEffect(() => {
+    if (isOnline) sync()
+  }, [isOnline, sync])
+
+  const queue = useCallback(
+    async (change) => {
+      await queueChange(change)
+      await reload()
+    },
+    [reload],
+  )
+
+  const resolve = useCallback(
+    async (change, keepMine) => {
+      try {
+        const conflict = await resolveConflict(change, { keepMine })
+        if (conflict) {
+          toast.error(`Could not apply the change to ${change.studentName}: ${conflict}`)
+        } else if (keepMine) {
+          onSyncedRef.current?.()
+        }
+      } catch (err) {
+        toast.error(`Could not apply the change to ${change.studentName}: ${err.message}`)
+      } finally {
+        await reload()
+      }
+    },
+    [reload],
+  )
+
+  return {
+    isOnline,
+    pending: changes.filter((change) => !change.conflict),
+    conflicts: changes.filter((change) => change.conflict),
+    isSyncing,
+    queue,
+    sync,
+    resolve,
+  }
+}
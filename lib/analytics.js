@@ -0,0 +1,159 @@
+/**
+ * Enrollment analytics
+ *
+ * Turns the roster into the numbers behind the analytics page: enrollments
+ * over time, per-course headcount and growth, and monthly cohorts. Everything
+ * is computed for a time window ending today and, where it makes sense,
+ * compared with the window of the same length just before it.
+ *
+ * Dates are compared as "YYYY-MM-DD" strings (UTC), like enrollment dates.
+ */
+import { today, isDateOnly } from "./enrollments"
+
+export const ANALYTICS_WINDOWS = [
+  { days: 7, label: "Last 7 days" },
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+  { days: 365, label: "Last 12 months" },
+  { days: 0, label: "All time" },
+]
+
+export const DEFAULT_ANALYTICS_DAYS = 30
+
+/**
+ * Reads a window length, falling back to the default for anything not in
+ * ANALYTICS_WINDOWS. `0` means all time.
+ */
+export const parseAnalyticsDays = (value) => {
+  const days = Number.parseInt(value)
+  return ANALYTICS_WINDOWS.some((window) => window.days === days) ? days : DEFAULT_ANALYTICS_DAYS
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const addDays = (date, days) =>
+  new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10)
+
+// Monday of the week `date` falls in
+const startOfWeek = (date) => addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7))
+
+/**
+ * Short windows are charted per day, medium ones per week and long ones per month.
+ *
+ * @returns {"day" | "week" | "month"}
+ */
+const getGranularity = (days) => (days === 0 || days > 120 ? "month" : days > 31 ? "week" : "day")
+
+const getPeriod = (date, granularity) =>
+  granularity === "month" ? date.slice(0, 7) : granularity === "week" ? startOfWeek(date) : date
+
+/**
+ * Labels a timeline period for charts, e.g. "Mar 10", "Week of Mar 10" or "Mar 2025".
+ */
+export const formatPeriod = (period, granularity) => {
+  const date = new Date(`${granularity === "month" ? `${period}-01` : period}T00:00:00Z`)
+  if (granularity === "month") {
+    return date.toLocaleDateString("en-US", { month: "short", year: "numeric", timeZone: "UTC" })
+  }
+  const day = date.toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" })
+  return granularity === "week" ? `Week of ${day}` : day
+}
+
+// Percentage change, or null when there is nothing to compare against
+const getGrowth = (current, previous) =>
+  previous === null || previous === 0 ? null : Math.round(((current - previous) / previous) * 100)
+
+/**
+ * Computes the analytics page for a roster.
+ *
+ * @param {Student[]} students - Active (not trashed) students
+ * @param {Course[]} courses - All courses, including archived ones
+ * @param {{ days?: number, now?: string }} [options] - Window length (0 for all time) and its last day
+ */
+export function buildEnrollmentAnalytics(students, courses, options = {}) {
+  const { days = DEFAULT_ANALYTICS_DAYS, now = today() } = options
+  const enrollments = students.flatMap((student) => student.enrollments || [])
+  const addedOn = (student) => student.createdAt.slice(0, 10)
+
+  // "All time" starts at the earliest date on record
+  const earliest = [...students.map(addedOn), ...enrollments.map((enrollment) => enrollment.startDate)]
+    .filter(isDateOnly)
+    .sort()[0]
+  const from = days ? addDays(now, 1 - days) : earliest && earliest < now ? earliest : now
+  const previous = days ? { from: addDays(from, -days), to: addDays(from, -1) } : null
+
+  // A date that isn't a real day, e.g. in hand-edited data, counts in no window
+  const inWindow = (date) => isDateOnly(date) && date >= from && date <= now
+  const inPrevious = (date) => Boolean(previous) && isDateOnly(date) && date >= previous.from && date <= previous.to
+  const countPrevious = (items, getDate) => (previous ? items.filter((item) => inPrevious(getDate(item))).length : null)
+
+  // One point per period, including empty ones so gaps show on the chart
+  const granularity = getGranularity(days)
+  const timeline = new Map()
+  for (let date = from; date <= now; date = addDays(date, 1)) {
+    const period = getPeriod(date, granularity)
+    if (!timeline.has(period)) timeline.set(period, { period, enrollments: 0, newStudents: 0 })
+  }
+  const addToTimeline = (date, key) => {
+    const point = inWindow(date) && timeline.get(getPeriod(date, granularity))
+    if (point) point[key]++
+  }
+  enrollments.forEach((enrollment) => addToTimeline(enrollment.startDate, "enrollments"))
+  students.forEach((student) => addToTimeline(addedOn(student), "newStudents"))
+
+  const courseStats = courses
+    .map((course) => {
+      const courseEnrollments = enrollments.filter((enrollment) => enrollment.courseId === course.id)
+      const countStatus = (status) => courseEnrollments.filter((enrollment) => enrollment.status === status).length
+      const newEnrollments = courseEnrollments.filter((enrollment) => inWindow(enrollment.startDate)).length
+      const previousEnrollments = countPrevious(courseEnrollments, (enrollment) => enrollment.startDate)
+
+      return {
+        id: course.id,
+        name: course.name,
+        archived: Boolean(course.archived),
+        headcount: countStatus("enrolled"),
+        completed: countStatus("completed"),
+        dropped: countStatus("dropped"),
+        newEnrollments,
+        previousEnrollments,
+        growth: getGrowth(newEnrollments, previousEnrollments),
+      }
+    })
+    // Archived courses only matter while they still have students
+    .filter((course) => !course.archived || course.headcount + course.completed + course.dropped > 0)
+    .sort((a, b) => b.headcount - a.headcount || a.name.localeCompare(b.name))
+
+  // Students grouped by the month they were added, split by where they are now
+  const cohorts = new Map()
+  students
+    .filter((student) => inWindow(addedOn(student)))
+    .forEach((student) => {
+      const month = addedOn(student).slice(0, 7)
+      const cohort = cohorts.get(month) || { month, students: 0, active: 0, completed: 0, dropped: 0 }
+      const statuses = (student.enrollments || []).map((enrollment) => enrollment.status)
+      cohort.students++
+      if (statuses.includes("enrolled")) cohort.active++
+      else if (statuses.includes("completed")) cohort.completed++
+      else cohort.dropped++
+      cohorts.set(month, cohort)
+    })
+
+  const newEnrollments = enrollments.filter((enrollment) => inWindow(enrollment.startDate)).length
+  const previousEnrollments = countPrevious(enrollments, (enrollment) => enrollment.startDate)
+
+  return {
+    window: { days, from, to: now, granularity },
+    summary: {
+      totalStudents: students.length,
+      activeEnrollments: enrollments.filter((enrollment) => enrollment.status === "enrolled").length,
+      newStudents: students.filter((student) => inWindow(addedOn(student))).length,
+      newEnrollments,
+      previousEnrollments,
+      enrollmentGrowth: getGrowth(newEnrollments, previousEnrollments),
+    },
+    timeline: [...timeline.values()],
+    courses: courseStats,
+    cohorts: [...cohorts.values()].sort((a, b) => a.month.localeCompare(b.month)),
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * Data-access client
+ *
+ * The one place the browser talks to the API. Every call gets:
+ * - a timeout, so a hung server fails the request instead of leaving a spinner
+ * - retries with exponential backoff for reads that failed on the way
+ *   (no connection, a timeout, a 5xx or 429); writes are only retried when
+ *   asked to, since sending one twice could apply it twice
+ * - cancellation through an `AbortSignal`, e.g. when a component unmounts
+ * - an error class per kind of failure, so callers can tell "offline" from
+ *   "fix the form" from "it's gone" without comparing status codes
+ *
+ * lib/api.js builds the typed endpoint wrappers on top of `request`.
+ */
+
+/**
+ * Defaults for every request; change them with `configureApiClient`.
+ * `retries` is the number of extra attempts after the first.
+ */
+const config = {
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 300, // Before the first retry; doubles for each one after
+  maxRetryDelay: 5000,
+}
+
+/**
+ * @param {Partial<{ timeout: number, retries: number, retryDelay: number, maxRetryDelay: number }>} options
+ */
+export function configureApiClient(options) {
+  Object.assign(config, options)
+}
+
+/**
+ * Error thrown when the API responds with a non-2xx status.
+ * `details` carries field errors for validation failures (status 400).
+ */
+export class ApiRequestError extends Error {
+  constructor(message, status, details) {
+    super(message)
+    this.name = "ApiRequestError"
+    this.status = status
+    this.details = details
+  }
+}
+
+/**
+ * The request never got a response: no network, the server is down, or it
+ * took longer than the timeout (`timedOut`). Status is 0.
+ */
+export class NetworkError extends ApiRequestError {
+  constructor(message, { timedOut = false } = {}) {
+    super(message, 0)
+    this.name = "NetworkError"
+    this.timedOut = timedOut
+  }
+}
+
+/** The server rejected the data sent (status 400); `details` maps fields to messages. */
+export class ValidationError extends ApiRequestError {
+  constructor(message, details) {
+    super(message, 400, details)
+    this.name = "ValidationError"
+  }
+}
+
+/** The record doesn't exist, or is hidden from the signed-in user (status 404). */
+export class NotFoundError extends ApiRequestError {
+  constructor(message) {
+    super(message, 404)
+    this.name = "NotFoundError"
+  }
+}
+
+/** The change clashes with the data as it is now, e.g. a taken email (status 409). */
+export class ConflictError extends ApiRequestError {
+  constructor(message, details) {
+    super(message, 409, details)
+    this.name = "ConflictError"
+  }
+}
+
+/**
+ * An edit was made from an outdated copy of the record: someone else saved
+ * it in the meantime (status 409). `current` is the record as saved now.
+ */
+export class VersionConflictError extends ConflictError {
+  constructor(message, current) {
+    super(message)
+    this.name = "VersionConflictError"
+    this.current = current
+  }
+}
+
+/**
+ * The server said the request succeeded, but its response isn't readable
+ * JSON, e.g. a proxy's HTML page or a body cut off on the way.
+ */
+export class InvalidResponseError extends ApiRequestError {
+  constructor(status) {
+    super("The server sent a response that couldn't be read", status)
+    this.name = "InvalidResponseError"
+  }
+}
+
+/** The caller cancelled the request through its `signal`. Nothing needs showing. */
+export class AbortError extends Error {
+  constructor() {
+    super("The request was cancelled")
+    this.name = "AbortError"
+  }
+}
+
+/**
+ * Whether `err` means the request never reached the server (no network, or
+ * the server is down), as opposed to the server turning it down.
+ */
+export const isOfflineError = (err) => err instanceof NetworkError
+
+export const isAbortError = (err) => err instanceof AbortError
+
+// Picks the error class for a failed response
+function toApiError(status, data) {
+  const message = data?.error || `Request failed with status ${status}`
+  if (status === 400) return new ValidationError(message, data?.details)
+  if (status === 404) return new NotFoundError(message)
+  if (status === 409 && data?.details?.current) return new VersionConflictError(message, data.details.current)
+  if (status === 409) return new ConflictError(message, data?.details)
+  return new ApiRequestError(message, status, data?.details)
+}
+
+const isRetryable = (err) => err instanceof NetworkError || err.status === 429 || err.status >= 500
+
+// Full jitter keeps clients that failed together from retrying together
+const backoffDelay = (attempt) =>
+  Math.random() * Math.min(config.maxRetryDelay, config.retryDelay * 2 ** attempt)
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new AbortError())
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new AbortError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener("abort", onAbort, { once: true })
+  })
+}
+
+// Comes back to the current page after signing in again
+function redirectToLogin() {
+  const next = window.location.pathname + window.location.search
+  window.location.assign(`/login?next=${encodeURIComponent(next)}`)
+}
+
+// One try at the request, aborted by the caller's signal or by the timeout, whichever comes first
+async function attempt(url, { body, signal, timeout, ...options }) {
+  if (signal?.aborted) throw new AbortError()
+
+  const isJson = body !== undefined && !(body instanceof FormData)
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+  const onAbort = () => controller.abort()
+  signal?.addEventListener("abort", onAbort, { once: true })
+
+  try {
+    let response
+    try {
+      // FormData bodies are sent as they are, so the browser sets the multipart boundary
+      response = await fetch(url, {
+        ...options,
+        signal: controller.signal,
+        headers: isJson ? { "Content-Type": "application/json" } : {},
+        body: isJson ? JSON.stringify(body) : body,
+      })
+    } catch (err) {
+      // fetch only rejects when there is no response at all
+      if (signal?.aborted) throw new AbortError()
+      if (timedOut) throw new NetworkError("The server took too long to respond", { timedOut: true })
+      throw new NetworkError("Could not reach the server")
+    }
+
+    if (response.status === 204) {
+      return null
+    }
+
+    const data = await response.json().catch(() => undefined)
+
+    // Sign-in calls report wrong passwords with a 401 too; those are for the login form to show
+    if (response.status === 401 && !url.startsWith("/api/auth/")) {
+      redirectToLogin()
+    }
+
+    if (!response.ok) {
+      throw toApiError(response.status, data)
+    }
+    if (data === undefined) {
+      throw new InvalidResponseError(response.status)
+    }
+
+    return data
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener("abort", onAbort)
+  }
+}
+
+/**
+ * Sends a request to the API and resolves with the parsed JSON body (null for 204).
+ *
+ * @param {string} url
+ * @param {RequestInit & {
+ *   body?: Object|FormData,
+ *   signal?: AbortSignal,
+ *   timeout?: number,
+ *   retries?: number,
+ * }} [options] - `body` objects are sent as JSON. `retries` defaults to the configured
+ *   number for GET requests and to 0 for anything else.
+ * @throws {ApiRequestError|AbortError}
+ */
+export async function request(url, { retries, timeout = config.timeout, ...options } = {}) {
+  const isRead = !options.method || options.method === "GET"
+  const maxRetries = retries ?? (isRead ? config.retries : 0)
+
+  for (let retry = 0; ; retry++) {
+    try {
+      return await attempt(url, { ...options, timeout })
+    } catch (err) {
+      if (retry >= maxRetries || !isRetryable(err)) throw err
+      await wait(backoffDelay(retry), options.signal)
+    }
+  }
+}
@@ -0,0 +1,508 @@
+/**
+ * Client for the dashboard's API route handlers
+ *
+ * Wraps `fetch` calls to `/api/*` so components deal with plain objects
+ * and thrown errors instead of Response objects and status codes. The
+ * session cookie goes along with every call; when it has expired the
+ * browser is sent to the sign-in page. Timeouts, retries and the error
+ * classes come from lib/api-client.js. Methods that load data take an
+ * optional `{ signal }` last, to cancel them when the caller goes away.
+ */
+import { request, VersionConflictError } from "./api-client"
+import { toStudentSearchParams } from "./student-query"
+
+export {
+  ApiRequestError,
+  NetworkError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  VersionConflictError,
+  InvalidResponseError,
+  AbortError,
+  isOfflineError,
+  isAbortError,
+} from "./api-client"
+
+// Dates travel as ISO strings - turn them back into Date objects for the UI
+const toStudent = (record) => ({
+  ...record,
+  createdAt: new Date(record.createdAt),
+  ...(record.deletedAt && { deletedAt: new Date(record.deletedAt) }),
+})
+
+const toAuditEntry = (record) => ({ ...record, at: new Date(record.at) })
+
+export const studentsAPI = {
+  /**
+   * Every student matching `filters`, unpaged. Pass `trash` to list trashed students instead.
+   * @param {{ trash?: boolean } & Partial<StudentQuery>} [filters]
+   */
+  async list({ trash = false, ...filters } = {}, { signal } = {}) {
+    const params = trash ? new URLSearchParams({ trash: "true" }) : toStudentSearchParams(filters)
+    const { students } = await request(`/api/students?${params}`, { signal })
+    return students.map(toStudent)
+  },
+
+  /**
+   * One page of the directory.
+   * @param {Partial<StudentQuery>} query
+   * @returns {Promise<{ students: Student[], total: number, page: number, pageSize: number }>}
+   */
+  async query(query, { signal } = {}) {
+    const params = toStudentSearchParams(query)
+    // Always send a page - without one the API returns every match
+    params.set("page", String(query.page || 1))
+    const result = await request(`/api/students?${params}`, { signal })
+    return { ...result, students: result.students.map(toStudent) }
+  },
+
+  /**
+   * `averageGrade` is the mean of every final grade on record, or null before anyone is graded.
+   * @returns {Promise<{
+   *   totalStudents: number,
+   *   activeEnrollments: number,
+   *   recentEnrollments: number,
+   *   gradedStudents: number,
+   *   averageGrade: number|null,
+   * }>}
+   */
+  async stats({ signal } = {}) {
+    const { stats } = await request("/api/students/stats", { signal })
+    return stats
+  },
+
+  async get(id, { signal } = {}) {
+    const { student } = await request(`/api/students/${encodeURIComponent(id)}`, { signal })
+    return toStudent(student)
+  },
+
+  /**
+   * Pairs of students that may be the same person, with the reasons why.
+   * @returns {Promise<{ students: [Student, Student], reasons: string[] }[]>}
+   */
+  async duplicates({ signal } = {}) {
+    const { duplicates } = await request("/api/students/duplicates", { signal })
+    return duplicates.map((pair) => ({ ...pair, students: pair.students.map(toStudent) }))
+  },
+
+  /**
+   * @returns {Promise<AuditEntry[]>} Every recorded change to the student, newest first
+   */
+  async history(id, { signal } = {}) {
+    const { entries } = await request(`/api/students/${encodeURIComponent(id)}/history`, { signal })
+    return entries.map(toAuditEntry)
+  },
+
+  async create(studentData) {
+    const { student } = await request("/api/students", { method: "POST", body: studentData })
+    return toStudent(student)
+  },
+
+  /**
+   * Include the `version` the edit started from to get a VersionConflictError,
+   * carrying the student as saved now, instead of overwriting a newer change.
+   */
+  async update(id, studentData) {
+    try {
+      const { student } = await request(`/api/students/${encodeURIComponent(id)}`, {
+        method: "PATCH",
+        body: studentData,
+      })
+      return toStudent(student)
+    } catch (err) {
+      if (err instanceof VersionConflictError) throw new VersionConflictError(err.message, toStudent(err.current))
+      throw err
+    }
+  },
+
+  // Moves the student to the trash
+  async remove(id) {
+    await request(`/api/students/${encodeURIComponent(id)}`, { method: "DELETE" })
+  },
+
+  async restore(id) {
+    const { student } = await request(`/api/students/${encodeURIComponent(id)}/restore`, { method: "POST" })
+    return toStudent(student)
+  },
+
+  // Permanently deletes a student that is already in the trash
+  async purge(id) {
+    await request(`/api/students/${encodeURIComponent(id)}?permanent=true`, { method: "DELETE" })
+  },
+
+  /**
+   * Creates many students at once. Rows the server rejects are returned in
+   * `skipped` with their index in `rows` and field errors.
+   */
+  async import(rows) {
+    const { created, skipped } = await request("/api/students/import", { method: "POST", body: { students: rows } })
+    return { created: created.map(toStudent), skipped }
+  },
+
+  /**
+   * Moves the students to the trash.
+   * @param {string[]} ids
+   * @returns {Promise<string[]>} IDs that were deleted
+   */
+  async bulkDelete(ids) {
+    const { deletedIds } = await request("/api/students/bulk", { method: "POST", body: { action: "delete", ids } })
+    return deletedIds
+  },
+
+  /**
+   * @returns {Promise<Student[]>} Students taken out of the trash
+   */
+  async bulkRestore(ids) {
+    const { students } = await request("/api/students/bulk", { method: "POST", body: { action: "restore", ids } })
+    return students.map(toStudent)
+  },
+
+  /**
+   * @returns {Promise<string[]>} IDs that were permanently deleted
+   */
+  async bulkPurge(ids) {
+    const { purgedIds } = await request("/api/students/bulk", { method: "POST", body: { action: "purge", ids } })
+    return purgedIds
+  },
+
+  /**
+   * Merges duplicate students into the oldest one (see lib/student-merge.js).
+   * @param {string[]} ids
+   * @param {Object<string, string>} choices - Field key to the ID of the student whose value wins
+   * @returns {Promise<{ student: Student, mergedIds: string[] }>}
+   */
+  async merge(ids, choices) {
+    const { student, mergedIds } = await request("/api/students/merge", { method: "POST", body: { ids, choices } })
+    return { student: toStudent(student), mergedIds }
+  },
+
+  /**
+   * Moves the students' enrollment in one course to another.
+   * @returns {Promise<Student[]>} Students that changed
+   */
+  async bulkMove(ids, fromCourseId, toCourseId) {
+    const { students } = await request("/api/students/bulk", {
+      method: "POST",
+      body: { action: "move", ids, fromCourseId, toCourseId },
+    })
+    return students.map(toStudent)
+  },
+
+  /**
+   * Adds the students to a mailing list, creating it if needed.
+   * @returns {Promise<{ list: Object, added: number }>}
+   */
+  async addToMailingList(ids, listName) {
+    return request("/api/students/bulk", { method: "POST", body: { action: "mailing-list", ids, listName } })
+  },
+}
+
+export const coursesAPI = {
+  /**
+   * @param {{ includeArchived?: boolean, signal?: AbortSignal }} [options]
+   */
+  async list({ includeArchived = false, signal } = {}) {
+    const { courses } = await request(`/api/courses${includeArchived ? "?includeArchived=true" : ""}`, { signal })
+    return courses
+  },
+
+  async create(courseData) {
+    const { course } = await request("/api/courses", { method: "POST", body: courseData })
+    return course
+  },
+
+  async update(id, courseData) {
+    const { course } = await request(`/api/courses/${id}`, { method: "PATCH", body: courseData })
+    return course
+  },
+
+  /**
+   * @param {number} id
+   * @param {{ reassignTo?: number }} [options] - Course to move enrolled students into
+   */
+  async remove(id, { reassignTo } = {}) {
+    await request(`/api/courses/${id}${reassignTo ? `?reassignTo=${reassignTo}` : ""}`, { method: "DELETE" })
+  },
+}
+
+export const sessionsAPI = {
+  /**
+   * @returns {Promise<CourseSession[]>} The course's sessions, oldest first
+   */
+  async list(courseId, { signal } = {}) {
+    const { sessions } = await request(`/api/courses/${courseId}/sessions`, { signal })
+    return sessions
+  },
+
+  /**
+   * @param {number} courseId
+   * @param {{ date: string, topic: string }} sessionData
+   */
+  async create(courseId, sessionData) {
+    const { session } = await request(`/api/courses/${courseId}/sessions`, { method: "POST", body: sessionData })
+    return session
+  },
+
+  async update(id, sessionData) {
+    const { session } = await request(`/api/sessions/${encodeURIComponent(id)}`, { method: "PATCH", body: sessionData })
+    return session
+  },
+
+  async remove(id) {
+    await request(`/api/sessions/${encodeURIComponent(id)}`, { method: "DELETE" })
+  },
+
+  /**
+   * Records roll call; a `null` status clears a student's mark.
+   * @param {string} id
+   * @param {Object<string, "present"|"late"|"absent"|null>} records - Status by student ID
+   * @returns {Promise<CourseSession>}
+   */
+  async saveAttendance(id, records) {
+    const { session } = await request(`/api/sessions/${encodeURIComponent(id)}/attendance`, {
+      method: "PUT",
+      body: { records },
+    })
+    return session
+  },
+}
+
+export const attendanceAPI = {
+  /**
+   * @param {string[]} studentIds
+   * @returns {Promise<Object<string, AttendanceSummary>>} Totals by student ID; students never marked are left out
+   */
+  async summaries(studentIds, { signal } = {}) {
+    if (studentIds.length === 0) return {}
+    const ids = studentIds.map(encodeURIComponent).join(",")
+    const { attendance } = await request(`/api/attendance?students=${ids}`, { signal })
+    return attendance
+  },
+}
+
+export const assessmentsAPI = {
+  /**
+   * @returns {Promise<Assessment[]>} The course's assessments, in the order they were added
+   */
+  async list(courseId, { signal } = {}) {
+    const { assessments } = await request(`/api/courses/${courseId}/assessments`, { signal })
+    return assessments
+  },
+
+  /**
+   * @param {number} courseId
+   * @param {{ name: string, maxScore: number, weight: number }} assessmentData
+   */
+  async create(courseId, assessmentData) {
+    const { assessment } = await request(`/api/courses/${courseId}/assessments`, {
+      method: "POST",
+      body: assessmentData,
+    })
+    return assessment
+  },
+
+  async update(id, assessmentData) {
+    const { assessment } = await request(`/api/assessments/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      body: assessmentData,
+    })
+    return assessment
+  },
+
+  async remove(id) {
+    await request(`/api/assessments/${encodeURIComponent(id)}`, { method: "DELETE" })
+  },
+
+  /**
+   * Records scores; a `null` score clears a student's grade.
+   * @param {string} id
+   * @param {Object<string, number|null>} scores - Score by student ID
+   * @returns {Promise<Assessment>}
+   */
+  async saveScores(id, scores) {
+    const { assessment } = await request(`/api/assessments/${encodeURIComponent(id)}/scores`, {
+      method: "PUT",
+      body: { scores },
+    })
+    return assessment
+  },
+}
+
+export const gradesAPI = {
+  /**
+   * @param {string[]} studentIds
+   * @returns {Promise<Object<string, GradeSummary>>} Final grades by student ID; students never graded are left out
+   */
+  async summaries(studentIds, { signal } = {}) {
+    if (studentIds.length === 0) return {}
+    const ids = studentIds.map(encodeURIComponent).join(",")
+    const { grades } = await request(`/api/grades?students=${ids}`, { signal })
+    return grades
+  },
+}
+
+export const uploadsAPI = {
+  /**
+   * Uploads a profile photo, cropped to `crop` and resized into an avatar.
+   * @param {File} file
+   * @param {CropArea} [crop] - In the image's own pixels (see lib/profile-images.js)
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<string>} URL to save as the student's `profileImage`
+   */
+  async profileImage(file, crop, { signal } = {}) {
+    const form = new FormData()
+    form.append("image", file)
+    if (crop) form.append("crop", JSON.stringify(crop))
+    // Photos can take a while to send on a slow connection
+    const { url } = await request("/api/uploads", { method: "POST", body: form, signal, timeout: 60000 })
+    return url
+  },
+}
+
+export const customFieldsAPI = {
+  /**
+   * @returns {Promise<CustomField[]>} Fields in display order
+   */
+  async list({ signal } = {}) {
+    const { fields } = await request("/api/custom-fields", { signal })
+    return fields
+  },
+
+  /**
+   * @param {{ label: string, type: string, options?: string[], required?: boolean }} fieldData
+   */
+  async create(fieldData) {
+    const { field } = await request("/api/custom-fields", { method: "POST", body: fieldData })
+    return field
+  },
+
+  async update(id, fieldData) {
+    const { field } = await request(`/api/custom-fields/${encodeURIComponent(id)}`, { method: "PATCH", body: fieldData })
+    return field
+  },
+
+  // Also deletes every student's value for the field
+  async remove(id) {
+    await request(`/api/custom-fields/${encodeURIComponent(id)}`, { method: "DELETE" })
+  },
+}
+
+export const authAPI = {
+  /**
+   * @returns {Promise<{ user: User | null, needsSetup: boolean }>} `needsSetup` until the first admin exists
+   */
+  async session({ signal } = {}) {
+    return request("/api/auth/session", { signal })
+  },
+
+  async signIn(username, password) {
+    const { user } = await request("/api/auth/session", { method: "POST", body: { username, password } })
+    return user
+  },
+
+  async signOut() {
+    await request("/api/auth/session", { method: "DELETE" })
+  },
+
+  /**
+   * Creates the first admin account and signs in with it.
+   * @param {{ username: string, name: string, password: string }} data
+   */
+  async setUp(data) {
+    const { user } = await request("/api/auth/setup", { method: "POST", body: data })
+    return user
+  },
+}
+
+export const usersAPI = {
+  async list({ signal } = {}) {
+    const { users } = await request("/api/users", { signal })
+    return users
+  },
+
+  /**
+   * @param {{ username: string, name: string, role: string, password: string, courseIds?: number[] }} data
+   */
+  async create(data) {
+    const { user } = await request("/api/users", { method: "POST", body: data })
+    return user
+  },
+
+  /**
+   * Leave `password` out to keep the current one.
+   * @param {string} id
+   * @param {{ name?: string, role?: string, password?: string, courseIds?: number[] }} data
+   */
+  async update(id, data) {
+    const { user } = await request(`/api/users/${encodeURIComponent(id)}`, { method: "PATCH", body: data })
+    return user
+  },
+
+  async remove(id) {
+    await request(`/api/users/${encodeURIComponent(id)}`, { method: "DELETE" })
+  },
+}
+
+export const mailingListsAPI = {
+  async list({ signal } = {}) {
+    const { mailingLists } = await request("/api/mailing-lists", { signal })
+    return mailingLists
+  },
+}
+
+// Presets belong to the signed-in user
+export const filterPresetsAPI = {
+  async list({ signal } = {}) {
+    const { presets } = await request("/api/filter-presets", { signal })
+    return presets
+  },
+
+  /**
+   * Saves `query` (a directory query string) as `name`, replacing any preset of that name.
+   */
+  async save(name, query) {
+    const { preset } = await request("/api/filter-presets", { method: "POST", body: { name, query } })
+    return preset
+  },
+
+  async remove(id) {
+    await request(`/api/filter-presets/${encodeURIComponent(id)}`, { method: "DELETE" })
+  },
+}
+
+export const analyticsAPI = {
+  /**
+   * @param {number} days - Time window (see ANALYTICS_WINDOWS in lib/analytics.js), 0 for all time
+   */
+  async get(days, { signal } = {}) {
+    const { analytics } = await request(`/api/analytics?days=${days}`, { signal })
+    return analytics
+  },
+}
+
+export const activityAPI = {
+  /**
+   * @param {{ limit?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<AuditEntry[]>} Recent changes to any student, newest first
+   */
+  async list({ limit, signal } = {}) {
+    const { entries } = await request(`/api/activity${limit ? `?limit=${limit}` : ""}`, { signal })
+    return entries.map(toAuditEntry)
+  },
+}
+
+export const eventsAPI = {
+  /**
+   * Listens for student changes anyone makes, as they are saved. The
+   * browser reconnects by itself after a dropped connection; changes made
+   * while it was away are not replayed.
+   * @param {(entry: AuditEntry) => void} onChange
+   * @returns {() => void} Stops listening
+   */
+  subscribe(onChange) {
+    const source = new EventSource("/api/events")
+    source.addEventListener("student", (event) => onChange(toAuditEntry(JSON.parse(event.data))))
+    return () => source.close()
+  },
+}
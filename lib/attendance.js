@@ -0,0 +1,68 @@
+/**
+ * Attendance helpers
+ *
+ * Each course has sessions (a dated class with a topic). Roll call records
+ * one status per student on the session:
+ *
+ * @typedef {Object} CourseSession
+ * @property {string} id - Unique identifier
+ * @property {number} courseId - Course the session belongs to
+ * @property {string} date - Day the session takes place (YYYY-MM-DD)
+ * @property {string} topic - What the session covers
+ * @property {Object<string, "present"|"late"|"absent">} attendance - Status by student ID, for students marked so far
+ *
+ * A student's attendance rate is the share of their marked sessions they
+ * turned up to, counting late arrivals as attended. Shared by the client and
+ * the API so both agree on the numbers.
+ */
+
+export const ATTENDANCE_STATUSES = ["present", "late", "absent"]
+
+export const ATTENDANCE_STATUS_LABELS = {
+  present: "Present",
+  late: "Late",
+  absent: "Absent",
+}
+
+// Rates below this percentage are highlighted as a concern
+export const LOW_ATTENDANCE_RATE = 75
+
+/**
+ * @typedef {Object} AttendanceSummary
+ * @property {number} present
+ * @property {number} late
+ * @property {number} absent
+ * @property {number} total - Sessions the student was marked in
+ * @property {number} rate - Percentage attended (present or late)
+ * @property {Object<number, AttendanceSummary>} [courses] - The same totals per course ID
+ */
+
+const emptySummary = () => ({ present: 0, late: 0, absent: 0, total: 0, rate: 0 })
+
+const addMark = (summary, status) => {
+  summary[status]++
+  summary.total++
+  summary.rate = Math.round(((summary.present + summary.late) / summary.total) * 100)
+}
+
+/**
+ * Totals every student's attendance across `sessions`, overall and per course.
+ *
+ * @param {CourseSession[]} sessions
+ * @returns {Map<string, AttendanceSummary>} Students who were never marked are left out
+ */
+export const summarizeAttendance = (sessions) => {
+  const summaries = new Map()
+
+  sessions.forEach((session) => {
+    Object.entries(session.attendance || {}).forEach(([studentId, status]) => {
+      const summary = summaries.get(studentId) || { ...emptySummary(), courses: {} }
+      if (!summary.courses[session.courseId]) summary.courses[session.courseId] = emptySummary()
+      addMark(summary, status)
+      addMark(summary.courses[session.courseId], status)
+      summaries.set(studentId, summary)
+    })
+  })
+
+  return summaries
+}
@@ -0,0 +1,84 @@
+/**
+ * Audit log helpers
+ *
+ * The API records every change to a student as an audit entry:
+ *
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Unique identifier
+ * @property {string} studentId - Student that changed
+ * @property {string} studentName - The student's name when the change was made
+ * @property {"create"|"update"|"delete"|"restore"|"purge"|"merge"} action - What happened
+ * @property {Object<string, { from: *, to: * }>} changes - Before/after value of each changed field
+ * @property {string} actor - Who made the change
+ * @property {Date} at - When the change was made
+ * @property {number} [version] - The student's version after the change, when it still exists
+ * @property {string[]} [mergedIds] - For a merge, the records folded into this student
+ * @property {string} [mergedInto] - For a merged-away record, the student it was folded into
+ *
+ * These helpers turn entries into text for the history panel and activity feed.
+ */
+import { ENROLLMENT_STATUS_LABELS } from "./enrollments"
+import { formatCustomFieldValue } from "./custom-fields"
+
+export const AUDIT_ACTION_LABELS = {
+  create: "added",
+  update: "updated",
+  delete: "deleted",
+  restore: "restored",
+  purge: "permanently deleted",
+  merge: "merged",
+}
+
+export const AUDIT_FIELD_LABELS = {
+  name: "Name",
+  email: "Email",
+  enrollments: "Courses",
+  profileImage: "Profile image",
+  notes: "Notes",
+  customFields: "Custom fields",
+}
+
+/**
+ * Formats one side of a field change for display. Courses and custom
+ * fields that have since been deleted are shown by ID.
+ *
+ * @param {string} field - Key of AUDIT_FIELD_LABELS
+ * @param {*} value - The `from` or `to` value of a change
+ * @param {Course[]} courses
+ * @param {CustomField[]} [customFields] - To label custom field values
+ */
+export function formatAuditValue(field, value, courses, customFields = []) {
+  if (value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0)) {
+    return "(none)"
+  }
+
+  if (field === "customFields") {
+    const entries = Object.entries(value).map(([id, fieldValue]) => {
+      const definition = customFields.find((customField) => customField.id === id)
+      return definition
+        ? `${definition.label}: ${formatCustomFieldValue(definition, fieldValue)}`
+        : `${id}: ${fieldValue}`
+    })
+    return entries.length === 0 ? "(none)" : entries.join("; ")
+  }
+
+  if (field === "enrollments") {
+    return value
+      .map((enrollment) => {
+        const courseName = courses.find((course) => course.id === enrollment.courseId)?.name
+        return `${courseName || `Course #${enrollment.courseId}`} (${ENROLLMENT_STATUS_LABELS[enrollment.status]})`
+      })
+      .join(", ")
+  }
+
+  return String(value)
+}
+
+/**
+ * Lists the fields an entry changed, e.g. "Email, Courses".
+ */
+export function describeChangedFields(entry) {
+  return Object.keys(entry.changes)
+    .map((field) => AUDIT_FIELD_LABELS[field] || field)
+    .join(", ")
+}
@@ -0,0 +1,83 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180)
+ *
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes,
+ * which covers what spreadsheet apps produce when exporting to CSV.
+ */
+
+/**
+ * Parses CSV text into an array of rows, each an array of cell strings.
+ * Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+
+  // Strip a UTF-8 byte order mark left by Excel
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  const endRow = () => {
+    row.push(field)
+    if (row.some((cell) => cell.trim() !== "")) {
+      rows.push(row)
+    }
+    row = []
+    field = ""
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      // Treat \r\n as a single line break
+      if (char === "\r" && input[i + 1] === "\n") i++
+      endRow()
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    endRow()
+  }
+
+  return rows
+}
+
+// Spreadsheet apps run text starting with one of these as a formula, e.g. a student named "=HYPERLINK(...)"
+const FORMULA_START = /^[=+\-@\t\r]/
+
+const escapeCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value)
+  // A leading apostrophe makes the app show the text as it is; numbers like -5 are left alone
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serializes rows (arrays of cell values) to CSV text. Text that a
+ * spreadsheet app would run as a formula is prefixed with an apostrophe.
+ *
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCell).join(",")).join("\r\n")
@@ -0,0 +1,178 @@
+/**
+ * Custom student fields
+ *
+ * Admins add fields of their own (phone, date of birth, student number...)
+ * on top of the built-in ones. Each field definition is stored once:
+ *
+ * @typedef {Object} CustomField
+ * @property {string} id - Key the values are stored under, e.g. "date-of-birth". Never changes.
+ * @property {string} label - Name shown to people, e.g. "Date of birth"
+ * @property {"text"|"number"|"date"|"select"} type - Kind of value, which decides the input and the checks
+ * @property {string[]} options - Choices of a "select" field; empty for other types
+ * @property {boolean} required - Whether every student must have a value
+ *
+ * and each student keeps their values in `customFields`, keyed by field ID.
+ * Empty values are left out rather than stored. Shared by the client and the
+ * API so the form and the server check values the same way.
+ */
+import { formatDateOnly, isDateOnly } from "./enrollments"
+
+export const CUSTOM_FIELD_TYPES = ["text", "number", "date", "select"]
+
+export const CUSTOM_FIELD_TYPE_LABELS = {
+  text: "Text",
+  number: "Number",
+  date: "Date",
+  select: "Choice list",
+}
+
+export const CUSTOM_FIELD_TEXT_MAX_LENGTH = 500
+
+// Form error key for a custom field's value, alongside "name", "email"...
+export const customFieldErrorKey = (field) => `customFields.${field.id}`
+
+/**
+ * A field's value in `values`, e.g. a student's `customFields`. Only the
+ * object's own keys count, so a field with an ID like "constructor" doesn't
+ * find what every object inherits.
+ *
+ * @param {Object<string, *>} [values]
+ * @param {CustomField} field
+ */
+export const getCustomFieldValue = (values, field) =>
+  values && Object.hasOwn(values, field.id) ? values[field.id] : undefined
+
+/**
+ * Turns a label into an ID that isn't taken yet: "Date of birth" becomes
+ * "date-of-birth", or "date-of-birth-2" if that already exists.
+ *
+ * @param {string} label
+ * @param {string[]} takenIds
+ */
+export const createCustomFieldId = (label, takenIds) => {
+  const base =
+    label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "field"
+  let id = base
+  for (let suffix = 2; takenIds.includes(id); suffix++) id = `${base}-${suffix}`
+  return id
+}
+
+// Choices of a select field without blanks and surrounding spaces
+export const cleanOptions = (options) =>
+  Array.isArray(options) ? options.map((option) => String(option).trim()).filter(Boolean) : []
+
+/**
+ * Validates a field definition and returns an errors object keyed by field name.
+ *
+ * @param {{ label?: string, type?: string, options?: string[] }} data
+ * @returns {Object<string, string>}
+ */
+export const validateCustomField = (data) => {
+  const errors = {}
+  const label = (data.label || "").trim()
+
+  if (!label) {
+    errors.label = "Label is required"
+  } else if (label.length > 50) {
+    errors.label = "Label must be 50 characters or fewer"
+  }
+
+  if (!CUSTOM_FIELD_TYPES.includes(data.type)) {
+    errors.type = `Type must be one of ${CUSTOM_FIELD_TYPES.join(", ")}`
+  } else if (data.type === "select") {
+    const options = cleanOptions(data.options)
+    if (options.length === 0) {
+      errors.options = "Add at least one choice"
+    } else if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) {
+      errors.options = "Choices must be different from each other"
+    }
+  }
+
+  return errors
+}
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === ""
+
+/**
+ * Cleans up submitted values: unknown fields and empty values are dropped,
+ * text is trimmed and numbers typed as text become numbers. Values that
+ * can't be converted are kept as they are so validation can reject them.
+ *
+ * @param {CustomField[]} fields
+ * @param {Object<string, *>} values
+ * @returns {Object<string, string|number>}
+ */
+export const normalizeCustomFieldValues = (fields, values) => {
+  const normalized = {}
+  if (!values || typeof values !== "object") return normalized
+
+  fields.forEach((field) => {
+    const value = getCustomFieldValue(values, field)
+    if (isEmpty(value)) return
+    if (field.type === "number") {
+      const number = Number(value)
+      normalized[field.id] = Number.isFinite(number) ? number : value
+    } else {
+      normalized[field.id] = typeof value === "string" ? value.trim() : value
+    }
+  })
+  return normalized
+}
+
+/**
+ * Checks a student's custom values against the field definitions.
+ *
+ * @param {CustomField[]} fields
+ * @param {Object<string, *>} values - Normalized values (see normalizeCustomFieldValues)
+ * @param {{ checkRequired?: boolean }} [options] - Pass `false` to allow required fields to be empty,
+ *   e.g. when a change doesn't touch custom fields at all
+ * @returns {Object<string, string>} Errors keyed by customFieldErrorKey
+ */
+export const validateCustomFieldValues = (fields, values = {}, { checkRequired = true } = {}) => {
+  const errors = {}
+
+  fields.forEach((field) => {
+    const value = getCustomFieldValue(values, field)
+    const key = customFieldErrorKey(field)
+
+    if (isEmpty(value)) {
+      if (field.required && checkRequired) errors[key] = `${field.label} is required`
+      return
+    }
+
+    if (field.type === "number" && (typeof value !== "number" || !Number.isFinite(value))) {
+      errors[key] = `${field.label} must be a number`
+    } else if (field.type === "date" && !isDateOnly(value)) {
+      errors[key] = `${field.label} must be a valid date`
+    } else if (field.type === "select" && !field.options.includes(value)) {
+      errors[key] = `${field.label} must be one of ${field.options.join(", ")}`
+    } else if (field.type === "text" && String(value).length > CUSTOM_FIELD_TEXT_MAX_LENGTH) {
+      errors[key] = `${field.label} must be ${CUSTOM_FIELD_TEXT_MAX_LENGTH} characters or fewer`
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Formats a value for display and export. Dates read like enrollment dates.
+ */
+export const formatCustomFieldValue = (field, value) => {
+  if (isEmpty(value)) return ""
+  return field.type === "date" ? formatDateOnly(value) : String(value)
+}
+
+/**
+ * A student's filled-in fields, in schema order, ready to show.
+ *
+ * @param {CustomField[]} fields
+ * @param {Student} student
+ * @returns {{ field: CustomField, value: string }[]}
+ */
+export const getCustomFieldEntries = (fields, student) =>
+  fields
+    .filter((field) => !isEmpty(getCustomFieldValue(student.customFields, field)))
+    .map((field) => ({ field, value: formatCustomFieldValue(field, getCustomFieldValue(student.customFields, field)) }))
@@ -0,0 +1,141 @@
+/**
+ * Possible duplicate detection
+ *
+ * Exact email matches are already refused by the API, so this looks for the
+ * near misses that slip through: the same person typed with a typo or in a
+ * different word order, or signed up with a Gmail dot/+tag variant or the
+ * same username at another domain.
+ *
+ * Students are only compared when they share a name word or an email
+ * username, which keeps large rosters from being compared pair by pair.
+ * Words shared by very many students (a common surname) are skipped for
+ * the same reason; such pairs are still compared if they share another word.
+ */
+
+// Providers that ignore dots in the username, e.g. j.doe@gmail.com == jdoe@gmail.com
+const DOTLESS_DOMAINS = new Set(["gmail.com", "googlemail.com"])
+
+// Short usernames like "info" or "john" are too common to suggest the same person
+const MIN_SHARED_USERNAME_LENGTH = 5
+
+// Groups larger than this are too common to be worth comparing within
+const MAX_GROUP_SIZE = 250
+
+/**
+ * Lowercases a name, strips accents and punctuation, and sorts its words so
+ * "Patil, Rajesh" and "rajesh patil" compare equal.
+ */
+export function normalizeName(name) {
+  return (name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ")
+}
+
+/**
+ * Reduces an email to the mailbox it delivers to: lowercased, without a
+ * +tag, and without dots for providers that ignore them.
+ *
+ * @returns {{ username: string, domain: string, address: string }}
+ */
+export function canonicalEmail(email) {
+  const [local = "", domain = ""] = (email || "").trim().toLowerCase().split("@")
+  let username = local.split("+")[0]
+  const canonicalDomain = domain === "googlemail.com" ? "gmail.com" : domain
+  if (DOTLESS_DOMAINS.has(canonicalDomain)) {
+    username = username.replace(/\./g, "")
+  }
+  return { username, domain: canonicalDomain, address: `${username}@${canonicalDomain}` }
+}
+
+// Edit distance between two strings, stopping early once it exceeds `max`
+function levenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Longer names tolerate more typos: 1 for short names, up to 3 for long ones
+const allowedTypos = (name) => Math.min(3, Math.max(1, Math.floor(name.length / 6)))
+
+/**
+ * Reasons two students might be the same person; empty if they look distinct.
+ */
+export function compareStudents(a, b) {
+  const reasons = []
+
+  const nameA = normalizeName(a.name)
+  const nameB = normalizeName(b.name)
+  if (nameA && nameA === nameB) {
+    reasons.push("Same name")
+  } else if (nameA && nameB && levenshtein(nameA, nameB, allowedTypos(nameA)) <= allowedTypos(nameA)) {
+    reasons.push("Similar name")
+  }
+
+  const emailA = canonicalEmail(a.email)
+  const emailB = canonicalEmail(b.email)
+  if (emailA.address === emailB.address) {
+    reasons.push("Same inbox (email differs only by dots or a +tag)")
+  } else if (emailA.username === emailB.username && emailA.username.length >= MIN_SHARED_USERNAME_LENGTH) {
+    reasons.push("Same email username at a different domain")
+  }
+
+  return reasons
+}
+
+/**
+ * Finds pairs of students that may be the same person.
+ *
+ * @param {Student[]} students
+ * @returns {{ students: [Student, Student], reasons: string[] }[]} Pairs with the most reasons first
+ */
+export function findPossibleDuplicates(students) {
+  // Group students by each name word and email username they have
+  const buckets = new Map()
+  const addToBucket = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, [])
+    buckets.get(key).push(index)
+  }
+  students.forEach((student, index) => {
+    const words = new Set(normalizeName(student.name).split(" "))
+    words.forEach((word) => word.length > 1 && addToBucket(`name:${word}`, index))
+    addToBucket(`email:${canonicalEmail(student.email).username}`, index)
+  })
+
+  const seen = new Set()
+  const pairs = []
+  buckets.forEach((indexes) => {
+    if (indexes.length > MAX_GROUP_SIZE) return
+
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const key = indexes[i] * students.length + indexes[j]
+        if (seen.has(key)) continue
+        seen.add(key)
+
+        const pair = [students[indexes[i]], students[indexes[j]]]
+        const reasons = compareStudents(...pair)
+        if (reasons.length > 0) pairs.push({ students: pair, reasons })
+      }
+    }
+  })
+
+  return pairs.sort((a, b) => b.reasons.length - a.reasons.length)
+}
@@ -0,0 +1,158 @@
+/**
+ * Enrollment helpers
+ *
+ * A student can take several courses at once. Each course they've joined is
+ * an enrollment stored on the student record:
+ *
+ * @typedef {Object} Enrollment
+ * @property {number} courseId - Enrolled course
+ * @property {"enrolled"|"completed"|"dropped"} status - Current state
+ * @property {string} startDate - Date the student joined (YYYY-MM-DD)
+ * @property {string|null} completedDate - Date the course was finished (YYYY-MM-DD)
+ *
+ * Shared by the client and the API so both agree on what counts as active.
+ */
+
+export const ENROLLMENT_STATUSES = ["enrolled", "completed", "dropped"]
+
+export const ENROLLMENT_STATUS_LABELS = {
+  enrolled: "Enrolled",
+  completed: "Completed",
+  dropped: "Dropped",
+}
+
+// Today's date as YYYY-MM-DD, the format used for enrollment dates
+export const today = () => new Date().toISOString().slice(0, 10)
+
+// Whether `value` is a real calendar day written as YYYY-MM-DD; "2026-02-30" is not
+export const isDateOnly = (value) =>
+  typeof value === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().slice(0, 10) === value
+
+/**
+ * Enrollments the student is still attending (not completed or dropped).
+ */
+export const getActiveEnrollments = (student) =>
+  (student.enrollments || []).filter((enrollment) => enrollment.status === "enrolled")
+
+/**
+ * Whether the student has any enrollment (of any status) in the course.
+ */
+export const isEnrolledIn = (student, courseId) =>
+  (student.enrollments || []).some((enrollment) => enrollment.courseId === courseId)
+
+/**
+ * Whether the student is currently attending the course.
+ */
+export const isActiveIn = (student, courseId) =>
+  getActiveEnrollments(student).some((enrollment) => enrollment.courseId === courseId)
+
+/**
+ * Returns a copy of `enrollments` with the enrollment in `fromCourseId`
+ * moved to `toCourseId`. If the student is already in the target course the
+ * source enrollment is simply dropped from the list, so no course appears twice.
+ *
+ * @param {Enrollment[]} enrollments
+ * @param {number} fromCourseId
+ * @param {number} toCourseId
+ * @param {Partial<Enrollment>} [changes] - Extra fields to set on the moved enrollment
+ * @returns {Enrollment[]}
+ */
+export const moveEnrollment = (enrollments, fromCourseId, toCourseId, changes = {}) => {
+  const alreadyInTarget = enrollments.some((enrollment) => enrollment.courseId === toCourseId)
+
+  return enrollments
+    .filter((enrollment) => !(alreadyInTarget && enrollment.courseId === fromCourseId))
+    .map((enrollment) =>
+      enrollment.courseId === fromCourseId ? { ...enrollment, ...changes, courseId: toCourseId } : enrollment,
+    )
+}
+
+// How far along each status is; used to pick a winner when combining enrollments
+const STATUS_PROGRESS = { dropped: 0, enrolled: 1, completed: 2 }
+
+/**
+ * Combines several students' enrollments into one list with one enrollment
+ * per course. When more than one has the same course, the one furthest
+ * along wins (completed, then enrolled, then dropped) and keeps the
+ * earliest start date.
+ *
+ * @param {Enrollment[][]} enrollmentLists
+ * @returns {Enrollment[]}
+ */
+export const combineEnrollments = (enrollmentLists) => {
+  const byCourse = new Map()
+
+  enrollmentLists.flat().forEach((enrollment) => {
+    const current = byCourse.get(enrollment.courseId)
+    if (!current) {
+      byCourse.set(enrollment.courseId, enrollment)
+      return
+    }
+
+    const winner = STATUS_PROGRESS[enrollment.status] > STATUS_PROGRESS[current.status] ? enrollment : current
+    const startDate = enrollment.startDate < current.startDate ? enrollment.startDate : current.startDate
+    byCourse.set(enrollment.courseId, { ...winner, startDate })
+  })
+
+  return [...byCourse.values()]
+}
+
+/**
+ * Formats a YYYY-MM-DD date without shifting it into the local time zone.
+ */
+export const formatDateOnly = (dateString) => {
+  if (!dateString) return ""
+  return new Intl.DateTimeFormat("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  }).format(new Date(dateString))
+}
+
+/**
+ * Validates a list of enrollments and returns an error message, or an
+ * empty string when the list is valid.
+ *
+ * @param {Enrollment[]} enrollments
+ * @returns {string}
+ */
+export const validateEnrollments = (enrollments) => {
+  if (!Array.isArray(enrollments) || enrollments.length === 0) {
+    return "Please select at least one course"
+  }
+  if (!enrollments.every((item) => item !== null && typeof item === "object" && !Array.isArray(item))) {
+    return "Each enrollment must be an object"
+  }
+
+  const courseIds = enrollments.map((enrollment) => Number(enrollment.courseId))
+  if (new Set(courseIds).size !== courseIds.length) {
+    return "Each course can only be added once"
+  }
+
+  for (const enrollment of enrollments) {
+    if (!ENROLLMENT_STATUSES.includes(enrollment.status)) {
+      return `Unknown enrollment status "${enrollment.status}"`
+    }
+    if (!enrollment.startDate) {
+      return "Every enrollment needs a start date"
+    }
+    if (!isDateOnly(enrollment.startDate)) {
+      return "Start dates must be real dates (YYYY-MM-DD)"
+    }
+    if (enrollment.status === "completed" && !enrollment.completedDate) {
+      return "Completed enrollments need a completion date"
+    }
+    if (enrollment.completedDate && !isDateOnly(enrollment.completedDate)) {
+      return "Completion dates must be real dates (YYYY-MM-DD)"
+    }
+    if (enrollment.completedDate && enrollment.completedDate < enrollment.startDate) {
+      return "Completion date can't be before the start date"
+    }
+  }
+
+  return ""
+}
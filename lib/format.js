@@ -0,0 +1,38 @@
+/**
+ * Display formatting helpers shared by the student views
+ */
+
+// Format date for display, e.g. "Jan 15, 2025"
+export const formatDate = (date) => {
+  return new Intl.DateTimeFormat("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  }).format(new Date(date))
+}
+
+// Get initials for avatar fallback, e.g. "Rajesh Patil" -> "RP"
+export const getInitials = (name) => {
+  return name
+    .split(" ")
+    .map((word) => word.charAt(0))
+    .join("")
+    .toUpperCase()
+    .slice(0, 2)
+}
+
+const RELATIVE_UNITS = [
+  ["year", 365 * 24 * 60 * 60],
+  ["month", 30 * 24 * 60 * 60],
+  ["day", 24 * 60 * 60],
+  ["hour", 60 * 60],
+  ["minute", 60],
+]
+
+// Describe how long ago a date was, e.g. "3 hours ago" or "just now"
+export const formatRelativeTime = (date, now = new Date()) => {
+  const seconds = Math.round((new Date(date) - now) / 1000)
+  const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size) || []
+  if (!unit) return "just now"
+  return new Intl.RelativeTimeFormat("en-US", { numeric: "auto" }).format(Math.round(seconds / size), unit)
+}
@@ -0,0 +1,103 @@
+/**
+ * Grade helpers
+ *
+ * Each course has assessments (an exam, a project...) that students are
+ * scored on:
+ *
+ * @typedef {Object} Assessment
+ * @property {string} id - Unique identifier
+ * @property {number} courseId - Course the assessment belongs to
+ * @property {string} name - e.g. "Midterm exam"
+ * @property {number} maxScore - Highest possible score
+ * @property {number} weight - Share of the final grade, relative to the course's other assessments
+ * @property {Object<string, number>} scores - Score by student ID, for students graded so far
+ *
+ * A student's final grade in a course is the weighted average of the
+ * percentages they scored. Assessments they haven't been graded on yet are
+ * left out, so the grade reflects their work so far. Shared by the client and
+ * the API so both agree on the numbers.
+ */
+
+// Lowest percentage for each letter, best first
+export const LETTER_GRADES = [
+  { min: 90, letter: "A" },
+  { min: 80, letter: "B" },
+  { min: 70, letter: "C" },
+  { min: 60, letter: "D" },
+  { min: 0, letter: "F" },
+]
+
+// Grades below this percentage are highlighted as a concern
+export const LOW_GRADE = 60
+
+export const getLetterGrade = (percentage) => LETTER_GRADES.find((grade) => percentage >= grade.min).letter
+
+// Percentages are shown with at most one decimal
+const roundGrade = (value) => Math.round(value * 10) / 10
+
+/**
+ * @typedef {Object} FinalGrade
+ * @property {number} grade - Weighted percentage, 0-100
+ * @property {string} letter - See LETTER_GRADES
+ * @property {number} graded - Assessments the student has a score for
+ * @property {number} total - Assessments in the course
+ */
+
+/**
+ * A student's final grade from one course's assessments.
+ *
+ * @param {Assessment[]} assessments - Assessments of a single course
+ * @param {string} studentId
+ * @returns {FinalGrade|null} `null` until the student has been graded on something
+ */
+export const computeFinalGrade = (assessments, studentId) => {
+  const graded = assessments.filter((assessment) => assessment.scores[studentId] !== undefined)
+  if (graded.length === 0) return null
+
+  const totalWeight = graded.reduce((sum, assessment) => sum + assessment.weight, 0)
+  const weighted = graded.reduce(
+    (sum, assessment) => sum + (assessment.scores[studentId] / assessment.maxScore) * assessment.weight,
+    0,
+  )
+  const grade = roundGrade((weighted / totalWeight) * 100)
+
+  return { grade, letter: getLetterGrade(grade), graded: graded.length, total: assessments.length }
+}
+
+/**
+ * @typedef {Object} GradeSummary
+ * @property {number} average - Mean of the student's final grades, 0-100
+ * @property {string} letter - Letter for the average
+ * @property {Object<number, FinalGrade>} courses - Final grade by course ID, for courses they were graded in
+ */
+
+/**
+ * Every student's final grades across `assessments`.
+ *
+ * @param {Assessment[]} assessments
+ * @returns {Map<string, GradeSummary>} Students who were never graded are left out
+ */
+export const summarizeGrades = (assessments) => {
+  const byCourse = new Map()
+  assessments.forEach((assessment) => {
+    byCourse.set(assessment.courseId, [...(byCourse.get(assessment.courseId) || []), assessment])
+  })
+
+  const summaries = new Map()
+  byCourse.forEach((courseAssessments, courseId) => {
+    const studentIds = new Set(courseAssessments.flatMap((assessment) => Object.keys(assessment.scores)))
+    studentIds.forEach((studentId) => {
+      const summary = summaries.get(studentId) || { average: 0, letter: "", courses: {} }
+      summary.courses[courseId] = computeFinalGrade(courseAssessments, studentId)
+      summaries.set(studentId, summary)
+    })
+  })
+
+  summaries.forEach((summary) => {
+    const grades = Object.values(summary.courses).map((final) => final.grade)
+    summary.average = roundGrade(grades.reduce((sum, grade) => sum + grade, 0) / grades.length)
+    summary.letter = getLetterGrade(summary.average)
+  })
+
+  return summaries
+}
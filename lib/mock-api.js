@@ -1,69 +1,10 @@
 /**
- * Mock API for courses
- * Demonstrates async/await patterns and simulates real API behavior
+ * Event loop teaching helpers
  *
- * In a real application, this would be replaced with actual API calls
- * to a backend service. This mock demonstrates:
- * 1. Promise-based async operations
- * 2. Error handling patterns
- * 3. Network delay simulation
+ * Courses used to be served from a hard-coded array in this file; they now
+ * live in the JSON store and are fetched through `coursesAPI` in lib/api.js.
  */
 
-// Sample courses data matching the assignment requirements
-const COURSES_DATA = [
-  { id: 1, name: "HTML Basics" },
-  { id: 2, name: "CSS Mastery" },
-  { id: 3, name: "JavaScript Pro" },
-  { id: 4, name: "React In Depth" },
-]
-
-/**
- * Simulates fetching courses from an external API
- *
- * This function demonstrates:
- * - async/await syntax
- * - Promise creation and resolution
- * - Error simulation for testing error handling
- * - setTimeout usage (demonstrates event loop - non-blocking operation)
- */
-export const mockCoursesAPI = {
-  async getCourses() {
-    // Simulate network delay using setTimeout
-    // This demonstrates the event loop: setTimeout is non-blocking
-    // The function execution continues after the Promise resolves
-    await new Promise((resolve) => {
-      setTimeout(() => {
-        console.log("[v0] Mock API: Courses data fetched after delay")
-        resolve(undefined)
-      }, 800)
-    })
-
-    // Simulate very rare API failures for error handling demonstration
-    if (Math.random() < 0.01) {
-      // 1% chance of failure instead of 10%
-      throw new Error("Network error: Unable to fetch courses")
-    }
-
-    // Return a copy of the data to prevent mutations
-    return [...COURSES_DATA]
-  },
-
-  /**
-   * Additional mock method for future expansion
-   * Demonstrates how you might fetch a single course
-   */
-  async getCourseById(id) {
-    await new Promise((resolve) => setTimeout(resolve, 300))
-
-    const course = COURSES_DATA.find((course) => course.id === id)
-    return course || null
-  },
-}
-
-export const fetchCourses = async () => {
-  return await mockCoursesAPI.getCourses()
-}
-
 /**
  * Event Loop Demonstration Function
  *
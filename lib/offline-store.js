@@ -0,0 +1,135 @@
+/**
+ * Offline storage
+ *
+ * Keeps what the dashboard last loaded, and the changes made while the
+ * server couldn't be reached, in IndexedDB so they survive a reload:
+ * - `cache`: API responses by key, each with the time it was saved
+ * - `queue`: changes waiting to be sent, oldest first (see lib/sync-queue.js)
+ *
+ * Everything here is browser-only and belongs to the user who was signed in
+ * when it was stored. It is cleared when they sign out, and when someone
+ * else turns out to be signed in (e.g. after a session ran out), so the next
+ * person on the same computer neither sees their data nor sends their changes.
+ * Nothing can be read or written until `claimOfflineData` has checked that.
+ */
+import { isOfflineError } from "./api"
+
+const DB_NAME = "student-dashboard"
+const DB_VERSION = 1
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("cache")
+        request.result.createObjectStore("queue", { keyPath: "id", autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call try again, e.g. after the user allows storage
+    dbPromise.catch(() => (dbPromise = null))
+  }
+  return dbPromise
+}
+
+// Resolved by claimOfflineData once the data is known to be the signed-in user's
+let markClaimed
+const claimed = new Promise((resolve) => (markClaimed = resolve))
+
+// Runs `action` against one object store and resolves with its request's result once the transaction commits
+async function accessStore(storeName, mode, action) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = action(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+async function withStore(storeName, mode, action) {
+  await claimed
+  return accessStore(storeName, mode, action)
+}
+
+async function clearStores() {
+  await accessStore("cache", "readwrite", (store) => store.clear())
+  await accessStore("queue", "readwrite", (store) => store.clear())
+}
+
+/**
+ * Makes the stored data available, first clearing it if it was left by
+ * someone other than `user`. The user it belongs to is the cached "session".
+ * Pass null when the signed-in user isn't known, e.g. while offline or
+ * signed out, to keep the data for whoever signs in next to claim.
+ *
+ * @param {import("./permissions").User | null} user
+ */
+export async function claimOfflineData(user) {
+  try {
+    if (user) {
+      const owner = await accessStore("cache", "readonly", (store) => store.get("session"))
+      if (owner?.value.id !== user.id) await clearStores()
+    }
+  } catch (err) {
+    console.error("Error checking offline data:", err)
+  } finally {
+    markClaimed()
+  }
+}
+
+/**
+ * @returns {Promise<{ value: *, savedAt: Date } | undefined>}
+ */
+export const readCache = (key) => withStore("cache", "readonly", (store) => store.get(key))
+
+export const writeCache = (key, value) =>
+  withStore("cache", "readwrite", (store) => store.put({ value, savedAt: new Date() }, key))
+
+/**
+ * Loads fresh data with `load` and caches it under `key`. When the server
+ * can't be reached, the cached copy is used instead; any other error, or
+ * having nothing cached, is thrown as usual.
+ *
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} load
+ * @returns {Promise<{ data: T, savedAt: Date | null }>} `savedAt` is set when the data came from the cache
+ */
+export async function loadWithCache(key, load) {
+  try {
+    const data = await load()
+    // A full or blocked storage shouldn't break the page
+    writeCache(key, data).catch((err) => console.error(`Error caching "${key}":`, err))
+    return { data, savedAt: null }
+  } catch (err) {
+    if (!isOfflineError(err)) throw err
+    const cached = await readCache(key).catch(() => undefined)
+    if (!cached) throw err
+    return { data: cached.value, savedAt: cached.savedAt }
+  }
+}
+
+/**
+ * @returns {Promise<QueuedChange[]>} Oldest first
+ */
+export const listQueue = () => withStore("queue", "readonly", (store) => store.getAll())
+
+/**
+ * @returns {Promise<number>} The new entry's ID
+ */
+export const addToQueue = (change) => withStore("queue", "readwrite", (store) => store.add(change))
+
+export const replaceInQueue = (change) => withStore("queue", "readwrite", (store) => store.put(change))
+
+export const removeFromQueue = (id) => withStore("queue", "readwrite", (store) => store.delete(id))
+
+export async function clearOfflineData() {
+  await claimed
+  await clearStores()
+}
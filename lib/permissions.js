@@ -0,0 +1,103 @@
+/**
+ * Roles and permissions
+ *
+ * Every signed-in user has one role:
+ * - admin: manages everything, including courses, fields and users
+ * - instructor: sees and edits only the students in the courses they
+ *   teach, and runs those courses' attendance and grades
+ * - viewer: read-only access to everything
+ *
+ * Shared by the API, which enforces the rules, and the dashboard, which
+ * hides the controls a user can't use.
+ *
+ * @typedef {Object} User
+ * @property {string} id - Unique identifier
+ * @property {string} username - Name used to sign in, lowercase
+ * @property {string} name - Name shown in the audit log and header
+ * @property {"admin"|"instructor"|"viewer"} role
+ * @property {number[]} courseIds - Courses an instructor teaches; empty for other roles
+ */
+
+export const ROLES = ["admin", "instructor", "viewer"]
+
+export const ROLE_LABELS = {
+  admin: "Admin",
+  instructor: "Instructor",
+  viewer: "Read-only",
+}
+
+export const ROLE_DESCRIPTIONS = {
+  admin: "Manages everything, including courses, fields and users",
+  instructor: "Sees and edits students in their own courses, and takes their attendance and grades",
+  viewer: "Can look at everything but change nothing",
+}
+
+/**
+ * - students:edit - add and edit students
+ * - students:manage - delete, restore, import, merge and bulk-change students
+ * - classes:edit - sessions, roll call, assessments and scores
+ * - courses:manage - courses and custom student fields
+ * - users:manage - accounts and roles
+ */
+const PERMISSIONS = {
+  admin: ["students:edit", "students:manage", "classes:edit", "courses:manage", "users:manage"],
+  instructor: ["students:edit", "classes:edit"],
+  viewer: [],
+}
+
+/**
+ * @param {User | null} user
+ * @param {string} permission - One of the permissions above
+ */
+export const can = (user, permission) => Boolean(user && PERMISSIONS[user.role]?.includes(permission))
+
+// Instructors are limited to their own courses; admins and viewers see every course
+export const isCourseScoped = (user) => user?.role === "instructor"
+
+export const canAccessCourse = (user, courseId) => !isCourseScoped(user) || user.courseIds.includes(courseId)
+
+/**
+ * Whether `user` may see `student`: instructors only see students with an
+ * enrollment (of any status) in one of their courses.
+ */
+export const canAccessStudent = (user, student) =>
+  !isCourseScoped(user) || (student.enrollments || []).some((enrollment) => canAccessCourse(user, enrollment.courseId))
+
+export const USERNAME_PATTERN = /^[a-z0-9._-]{3,30}$/
+
+export const PASSWORD_MIN_LENGTH = 8
+
+/**
+ * Validates account fields and returns an errors object keyed by field name.
+ *
+ * @param {{ username?: string, name?: string, role?: string, password?: string }} data
+ * @param {{ isNew?: boolean }} [options] - Pass `false` when editing: the username can't change and a
+ *   blank password keeps the current one
+ * @returns {Object<string, string>}
+ */
+export const validateUser = (data, { isNew = true } = {}) => {
+  const errors = {}
+  const name = typeof data.name === "string" ? data.name.trim() : ""
+
+  if (isNew && !USERNAME_PATTERN.test(String(data.username || "").trim().toLowerCase())) {
+    errors.username = "Username must be 3-30 letters, digits, dots, dashes or underscores"
+  }
+
+  if (data.name != null && typeof data.name !== "string") {
+    errors.name = "Name must be text"
+  } else if (!name) {
+    errors.name = "Name is required"
+  } else if (name.length > 100) {
+    errors.name = "Name must be 100 characters or fewer"
+  }
+
+  if (!ROLES.includes(data.role)) {
+    errors.role = `Role must be one of ${ROLES.join(", ")}`
+  }
+
+  if ((data.password || isNew) && String(data.password || "").length < PASSWORD_MIN_LENGTH) {
+    errors.password = `Password must be at least ${PASSWORD_MIN_LENGTH} characters`
+  }
+
+  return errors
+}
@@ -0,0 +1,73 @@
+/**
+ * Profile image rules
+ *
+ * Shared by StudentForm and the upload endpoint so a file is accepted or
+ * rejected for the same reason on both sides. Uploads are cropped and
+ * resized on the server into square AVATAR_SIZE thumbnails; the student
+ * record only keeps the resulting URL.
+ */
+
+export const PROFILE_IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"]
+
+export const PROFILE_IMAGE_MAX_SIZE = 5 * 1024 * 1024
+
+// Width and height of stored avatars, in pixels
+export const AVATAR_SIZE = 256
+
+// Where the upload endpoint serves stored avatars from (see lib/server/uploads.js)
+const UPLOADED_IMAGE_PATTERN = /^\/api\/uploads\/[a-f0-9]{32}\.webp$/
+
+/**
+ * Whether a student has a photo of their own. Students without one are shown
+ * with /placeholder.svg, and older records may have that URL saved.
+ *
+ * @param {{ profileImage?: string }} student
+ */
+export const hasProfilePhoto = (student) =>
+  typeof student.profileImage === "string" &&
+  student.profileImage !== "" &&
+  !student.profileImage.startsWith("/placeholder.svg")
+
+/**
+ * Checks a student's `profileImage`: empty for no photo, an uploaded avatar's
+ * URL, or a link to an image elsewhere.
+ *
+ * @param {*} value
+ * @returns {string} An error message, or "" when the value is fine
+ */
+export const validateProfileImageUrl = (value) => {
+  if (value === "" || (typeof value === "string" && UPLOADED_IMAGE_PATTERN.test(value))) {
+    return ""
+  }
+  try {
+    if (["http:", "https:"].includes(new URL(value).protocol)) return ""
+  } catch {
+    // Not a URL at all
+  }
+  return "Image must be an uploaded photo or an http(s) link"
+}
+
+/**
+ * Checks a picked file before it is uploaded.
+ *
+ * @param {{ type: string, size: number }} file
+ * @returns {string} An error message, or "" when the file is fine
+ */
+export const validateImageFile = (file) => {
+  if (!PROFILE_IMAGE_TYPES.includes(file.type)) {
+    return "Please select a JPG, PNG, GIF or WebP image"
+  }
+  if (file.size > PROFILE_IMAGE_MAX_SIZE) {
+    return "Image size must be less than 5MB"
+  }
+  return ""
+}
+
+/**
+ * The part of an image to keep, in the image's own pixels.
+ * @typedef {Object} CropArea
+ * @property {number} left
+ * @property {number} top
+ * @property {number} width
+ * @property {number} height
+ */
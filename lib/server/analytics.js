@@ -0,0 +1,20 @@
+/**
+ * Analytics data access
+ *
+ * Reads the roster and hands it to the shared calculations in lib/analytics.js.
+ * Instructors get the numbers for their own students and courses.
+ */
+import { readDb } from "./db"
+import { buildEnrollmentAnalytics } from "@/lib/analytics"
+import { canAccessCourse, canAccessStudent } from "@/lib/permissions"
+
+/**
+ * @param {{ days: number, user?: User }} options - Window length in days, 0 for all time; `user` limits the
+ *   roster to the students and courses they may see
+ */
+export async function getEnrollmentAnalytics({ days, user }) {
+  const db = await readDb()
+  const students = db.students.filter((student) => !student.deletedAt && canAccessStudent(user, student))
+  const courses = db.courses.filter((course) => canAccessCourse(user, course.id))
+  return buildEnrollmentAnalytics(students, courses, { days })
+}
@@ -0,0 +1,183 @@
+/**
+ * Assessment and grade data access
+ *
+ * Assessments live in their own `assessments` collection, each holding the
+ * scores recorded for it (see lib/grades.js). Only students enrolled in the
+ * course, now or in the past, can be graded. Every function takes the
+ * signed-in `user`, so instructors only work with their own courses.
+ */
+import { randomUUID } from "crypto"
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+import { assertCourseAccess } from "./auth"
+import { validateAssessment, validateScore } from "@/lib/validation"
+import { summarizeGrades } from "@/lib/grades"
+import { isEnrolledIn } from "@/lib/enrollments"
+import { canAccessStudent } from "@/lib/permissions"
+
+function assertValid(assessment) {
+  const errors = validateAssessment(assessment)
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(400, "Invalid assessment data", errors)
+  }
+}
+
+function findOrThrow(db, id, user) {
+  const assessment = db.assessments.find((a) => a.id === id)
+  if (!assessment) {
+    throw new ApiError(404, `Assessment ${id} not found`)
+  }
+  assertCourseAccess(user, assessment.courseId)
+  return assessment
+}
+
+function assertCourseExists(db, courseId, user) {
+  if (!db.courses.some((course) => course.id === courseId)) {
+    throw new ApiError(404, `Course ${courseId} not found`)
+  }
+  assertCourseAccess(user, courseId)
+}
+
+/**
+ * A course's assessments, in the order they were added.
+ */
+export async function listAssessments(courseId, { user } = {}) {
+  const db = await readDb()
+  assertCourseExists(db, courseId, user)
+  return db.assessments.filter((assessment) => assessment.courseId === courseId)
+}
+
+export async function createAssessment(courseId, data, { user } = {}) {
+  assertValid(data)
+
+  return updateDb((db) => {
+    assertCourseExists(db, courseId, user)
+    const assessment = {
+      id: randomUUID(),
+      courseId,
+      name: data.name.trim(),
+      maxScore: data.maxScore,
+      weight: data.weight,
+      scores: {},
+      createdAt: new Date().toISOString(),
+    }
+    db.assessments.push(assessment)
+    return assessment
+  })
+}
+
+/**
+ * Changes an assessment's name, max score and/or weight. The max score
+ * can't drop below a score that was already recorded.
+ */
+export async function updateAssessment(id, data, { user } = {}) {
+  return updateDb((db) => {
+    const assessment = findOrThrow(db, id, user)
+    const changes = {
+      name: data.name ?? assessment.name,
+      maxScore: data.maxScore ?? assessment.maxScore,
+      weight: data.weight ?? assessment.weight,
+    }
+    assertValid(changes)
+
+    const highest = Math.max(0, ...Object.values(assessment.scores))
+    if (changes.maxScore < highest) {
+      throw new ApiError(400, "Invalid assessment data", {
+        maxScore: `Max score can't be below the highest recorded score (${highest})`,
+      })
+    }
+
+    return Object.assign(assessment, { ...changes, name: changes.name.trim() })
+  })
+}
+
+export async function deleteAssessment(id, { user } = {}) {
+  return updateDb((db) => {
+    const assessment = findOrThrow(db, id, user)
+    db.assessments = db.assessments.filter((a) => a !== assessment)
+  })
+}
+
+/**
+ * Records scores for an assessment. `scores` maps student IDs to a score;
+ * a `null` score clears that student's grade. Students not mentioned keep
+ * their current score.
+ *
+ * @param {string} id
+ * @param {Object<string, number|null>} scores
+ */
+export async function recordScores(id, scores, { user } = {}) {
+  if (!scores || typeof scores !== "object" || Array.isArray(scores)) {
+    throw new ApiError(400, "Expected an object of student ids to scores")
+  }
+
+  return updateDb((db) => {
+    const assessment = findOrThrow(db, id, user)
+    const errors = {}
+
+    Object.entries(scores).forEach(([studentId, score]) => {
+      if (score === null) return
+      const student = db.students.find((s) => s.id === studentId && !s.deletedAt)
+      const scoreError = validateScore(score, assessment.maxScore)
+      if (scoreError) {
+        errors[studentId] = scoreError
+      } else if (!student || !isEnrolledIn(student, assessment.courseId)) {
+        errors[studentId] = "Student is not enrolled in this course"
+      }
+    })
+    if (Object.keys(errors).length > 0) {
+      throw new ApiError(400, "Invalid scores", errors)
+    }
+
+    Object.entries(scores).forEach(([studentId, score]) => {
+      if (score === null) delete assessment.scores[studentId]
+      else assessment.scores[studentId] = score
+    })
+    return assessment
+  })
+}
+
+/**
+ * Final grades across every course, for the given students.
+ *
+ * @param {string[]} studentIds
+ * @param {{ user?: User }} [options]
+ * @returns {Promise<Object<string, GradeSummary>>} Students never graded, or that `user` can't see, are left out
+ */
+export async function getGradeSummaries(studentIds, { user } = {}) {
+  const db = await readDb()
+  const summaries = summarizeGrades(db.assessments)
+  const isVisible = (id) => canAccessStudent(user, db.students.find((s) => s.id === id) || {})
+  return Object.fromEntries(
+    studentIds.filter((id) => summaries.has(id) && isVisible(id)).map((id) => [id, summaries.get(id)]),
+  )
+}
+
+/**
+ * Moves the scores of `oldIds` onto `newId`, e.g. after those students were
+ * merged. Where both were graded on the same assessment the higher score
+ * wins. Call it from inside an `updateDb` mutator.
+ */
+export function reassignScores(db, oldIds, newId) {
+  db.assessments.forEach((assessment) => {
+    oldIds.forEach((oldId) => {
+      const score = assessment.scores[oldId]
+      if (score === undefined) return
+      const current = assessment.scores[newId]
+      if (current === undefined || score > current) {
+        assessment.scores[newId] = score
+      }
+      delete assessment.scores[oldId]
+    })
+  })
+}
+
+/**
+ * Drops every score of `studentIds`, e.g. when they are purged.
+ * Call it from inside an `updateDb` mutator.
+ */
+export function removeScores(db, studentIds) {
+  db.assessments.forEach((assessment) => {
+    studentIds.forEach((id) => delete assessment.scores[id])
+  })
+}
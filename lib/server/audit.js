@@ -0,0 +1,97 @@
+/**
+ * Student audit log
+ *
+ * Every create, update, delete, restore, purge and merge of a student
+ * appends an entry to the `auditLog` collection recording who did it, when,
+ * and the before/after value of each field that changed. Entries are append-only:
+ * they are never edited, and purging a student keeps its history.
+ *
+ * Server-only: entries are written inside the same `updateDb` call as the
+ * change they describe, so the log can't drift from the data.
+ */
+import { randomUUID } from "crypto"
+import { readDb } from "./db"
+import { isCourseScoped, canAccessStudent } from "@/lib/permissions"
+
+// Student fields whose changes are recorded; id and createdAt never change
+const TRACKED_FIELDS = ["name", "email", "enrollments", "profileImage", "notes", "customFields"]
+
+// Credited for changes made before sign-in existed
+const UNKNOWN_ACTOR = "Anonymous"
+
+// Records from before custom fields existed have none, which is the same as no values
+const valueOf = (student, field) => student[field] ?? (field === "customFields" ? {} : null)
+
+/**
+ * Compares two versions of a student field by field.
+ *
+ * @returns {Object<string, { from: *, to: * }>} Only the fields that differ
+ */
+export function diffStudent(before = {}, after = {}) {
+  const changes = {}
+  TRACKED_FIELDS.forEach((field) => {
+    const from = valueOf(before, field)
+    const to = valueOf(after, field)
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to }
+    }
+  })
+  return changes
+}
+
+/**
+ * Appends an audit entry to `db`. Call it from inside an `updateDb` mutator.
+ * Updates that don't change any tracked field are not recorded.
+ *
+ * @param {Object} db
+ * @param {Object} change
+ * @param {"create" | "update" | "delete" | "restore" | "purge" | "merge"} change.action
+ * @param {Object} [change.before] - The student before the change (omit for create)
+ * @param {Object} [change.after] - The student after the change (omit for purge and merged-away students)
+ * @param {string} [change.actor] - Who made the change
+ * @param {Object} [change.details] - Extra fields for the entry, e.g. `mergedIds` or `mergedInto`
+ * @returns {Object | null} The new entry
+ */
+export function recordChange(db, { action, before, after, actor, details }) {
+  const student = after || before
+  const changes = after && ["create", "update", "merge"].includes(action) ? diffStudent(before, after) : {}
+  if (action === "update" && Object.keys(changes).length === 0) return null
+
+  const entry = {
+    id: randomUUID(),
+    studentId: student.id,
+    studentName: student.name,
+    action,
+    changes,
+    actor: actor || UNKNOWN_ACTOR,
+    at: new Date().toISOString(),
+    version: after?.version,
+    ...details,
+  }
+  db.auditLog.push(entry)
+  return entry
+}
+
+/**
+ * Lists audit entries, newest first. A student's entries include those of
+ * any records that were merged into it. Instructors only get entries about
+ * the active students in their courses.
+ *
+ * @param {{ studentId?: string, limit?: number, user?: User }} [options] - Only one student's entries /
+ *   at most `limit` entries / only what `user` may see
+ */
+export async function listAuditLog({ studentId, limit, user } = {}) {
+  const db = await readDb()
+  const withMerged = (students) => new Set(students.flatMap((s) => [s.id, ...(s.mergedFrom || [])]))
+
+  const student = studentId && db.students.find((s) => s.id === studentId)
+  const studentIds = student ? withMerged([student]) : new Set([studentId])
+  const visibleIds =
+    isCourseScoped(user) && withMerged(db.students.filter((s) => !s.deletedAt && canAccessStudent(user, s)))
+
+  const entries = db.auditLog
+    .filter((entry) => !studentId || studentIds.has(entry.studentId))
+    .filter((entry) => !visibleIds || visibleIds.has(entry.studentId))
+    .reverse()
+  return limit ? entries.slice(0, limit) : entries
+}
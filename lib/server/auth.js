@@ -0,0 +1,159 @@
+/**
+ * Sign-in and sessions
+ *
+ * Accounts live in the `users` collection (see ./users.js) with scrypt
+ * password hashes. Signing in creates a random session token: the browser
+ * keeps it in an HTTP-only cookie, and the `logins` collection keeps only
+ * its SHA-256 hash, so a copy of the database can't be used to sign in.
+ *
+ * Every route handler starts with `requireUser`, which also checks the
+ * user's role (see lib/permissions.js). middleware.js only turns away
+ * requests that don't carry a session cookie at all.
+ */
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "crypto"
+import { promisify } from "util"
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+import { can, canAccessCourse } from "@/lib/permissions"
+
+export const SESSION_COOKIE = "student-dashboard-session"
+
+const SESSION_DAYS = 7
+
+const scryptAsync = promisify(scrypt)
+
+const hashToken = (token) => createHash("sha256").update(token).digest("hex")
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} `salt:hash`, both hex
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex")
+  const hash = await scryptAsync(password, salt, 64)
+  return `${salt}:${hash.toString("hex")}`
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(":")
+  const candidate = await scryptAsync(password, salt, 64)
+  return timingSafeEqual(candidate, Buffer.from(hash, "hex"))
+}
+
+// Checked against when the username is unknown, so that takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = `${"0".repeat(32)}:${"0".repeat(128)}`
+
+// Everything about a user except the password hash
+export const toPublicUser = ({ passwordHash, ...user }) => user
+
+/**
+ * Starts a session for `user`, clearing out expired ones on the way.
+ *
+ * @returns {Promise<{ user: User, token: string, expiresAt: string }>}
+ */
+export async function createSession(user) {
+  const token = randomBytes(32).toString("base64url")
+  const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+  await updateDb((db) => {
+    const now = new Date().toISOString()
+    db.logins = db.logins.filter((login) => login.expiresAt > now)
+    db.logins.push({ tokenHash: hashToken(token), userId: user.id, expiresAt })
+  })
+  return { user: toPublicUser(user), token, expiresAt }
+}
+
+/**
+ * Checks a username and password and starts a session.
+ */
+export async function signIn({ username, password } = {}) {
+  const db = await readDb()
+  const user = db.users.find((u) => u.username === String(username || "").trim().toLowerCase())
+
+  // The same answer, in the same time, whether the username or the password is wrong
+  const passwordMatches = await verifyPassword(String(password || ""), user?.passwordHash ?? DUMMY_PASSWORD_HASH)
+  if (!user || !passwordMatches) {
+    throw new ApiError(401, "Incorrect username or password")
+  }
+  return createSession(user)
+}
+
+export async function signOut(token) {
+  if (!token) return
+  await updateDb((db) => {
+    db.logins = db.logins.filter((login) => login.tokenHash !== hashToken(token))
+  })
+}
+
+/**
+ * The user a session token belongs to, or null when it is missing, unknown or expired.
+ *
+ * @param {string} [token]
+ * @returns {Promise<User | null>}
+ */
+export async function getSessionUser(token) {
+  if (!token) return null
+  return findSessionUser(await readDb(), token)
+}
+
+/**
+ * Like getSessionUser, but looks in `db`, e.g. the database as just saved.
+ *
+ * @param {Object} db
+ * @param {string} [token]
+ * @returns {User | null}
+ */
+export function findSessionUser(db, token) {
+  if (!token) return null
+
+  const tokenHash = hashToken(token)
+  const login = db.logins.find((l) => l.tokenHash === tokenHash && l.expiresAt > new Date().toISOString())
+  const user = login && db.users.find((u) => u.id === login.userId)
+  return user ? toPublicUser(user) : null
+}
+
+/**
+ * Returns the signed-in user making `request`, or throws a 401 when there
+ * is none and a 403 when their role lacks `permission`.
+ *
+ * @param {import("next/server").NextRequest} request
+ * @param {string} [permission] - See lib/permissions.js
+ * @returns {Promise<User>}
+ */
+export async function requireUser(request, permission) {
+  const user = await getSessionUser(request.cookies.get(SESSION_COOKIE)?.value)
+  if (!user) {
+    throw new ApiError(401, "Please sign in")
+  }
+  if (permission && !can(user, permission)) {
+    throw new ApiError(403, "You don't have permission to do that")
+  }
+  return user
+}
+
+/**
+ * Throws a 403 unless `user` may work with the course (instructors only teach their own).
+ */
+export function assertCourseAccess(user, courseId) {
+  if (!canAccessCourse(user, courseId)) {
+    throw new ApiError(403, "You can only work with your own courses")
+  }
+}
+
+/**
+ * Stores the session token on `response`. The cookie is only marked secure
+ * over HTTPS, so the dashboard keeps working on a plain-HTTP local network.
+ */
+export function setSessionCookie(request, response, { token, expiresAt }) {
+  response.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: request.nextUrl.protocol === "https:",
+    path: "/",
+    expires: new Date(expiresAt),
+  })
+}
+
+export function clearSessionCookie(response) {
+  response.cookies.set(SESSION_COOKIE, "", { httpOnly: true, sameSite: "lax", path: "/", maxAge: 0 })
+}
@@ -0,0 +1,185 @@
+/**
+ * Course data access
+ *
+ * CRUD operations over the `courses` collection. Courses are archived rather
+ * than deleted while students still reference them; deleting a course that
+ * has students requires moving them to another course first.
+ */
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+import { recordChange } from "./audit"
+import { reassignInstructors } from "./users"
+import { nextVersion } from "./versions"
+import { validateCourse } from "@/lib/validation"
+import { isEnrolledIn, moveEnrollment } from "@/lib/enrollments"
+
+function assertValid(course) {
+  const errors = validateCourse(course)
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(400, "Invalid course data", errors)
+  }
+}
+
+function assertUniqueName(db, name, ignoreId) {
+  const taken = db.courses.some(
+    (course) => course.id !== ignoreId && course.name.toLowerCase() === name.toLowerCase(),
+  )
+  if (taken) {
+    throw new ApiError(409, `A course named "${name}" already exists`, { name: "Course name is already in use" })
+  }
+}
+
+function findIndexOrThrow(db, id) {
+  const index = db.courses.findIndex((course) => course.id === id)
+  if (index === -1) {
+    throw new ApiError(404, `Course ${id} not found`)
+  }
+  return index
+}
+
+// Course IDs are numeric in URLs and request bodies alike
+export function parseCourseId(value) {
+  const id = Number.parseInt(value)
+  if (Number.isNaN(id)) {
+    throw new ApiError(400, `Invalid course id "${value}"`)
+  }
+  return id
+}
+
+/**
+ * Throws unless `courseId` refers to an existing, non-archived course.
+ * Used when a student is enrolled or moved into a course.
+ */
+export function assertCourseAssignable(db, courseId) {
+  const course = db.courses.find((c) => c.id === courseId)
+  if (!course) {
+    throw new ApiError(400, `Course ${courseId} does not exist`, { enrollments: "Selected course does not exist" })
+  }
+  if (course.archived) {
+    throw new ApiError(400, `${course.name} is archived`, { enrollments: `${course.name} is archived` })
+  }
+}
+
+// Attach the number of students in each course so the UI can warn before deleting.
+// Trashed students aren't counted, but their enrollments still move on delete.
+function withStudentCount(db, course) {
+  return { ...course, studentCount: db.students.filter((s) => !s.deletedAt && isEnrolledIn(s, course.id)).length }
+}
+
+export async function listCourses({ includeArchived = false } = {}) {
+  const db = await readDb()
+  return db.courses
+    .filter((course) => includeArchived || !course.archived)
+    .map((course) => withStudentCount(db, course))
+}
+
+export async function getCourse(id) {
+  const db = await readDb()
+  return withStudentCount(db, db.courses[findIndexOrThrow(db, id)])
+}
+
+export async function createCourse(data) {
+  assertValid({ name: data.name })
+  const name = data.name.trim()
+
+  return updateDb((db) => {
+    assertUniqueName(db, name)
+
+    // IDs are never reused, so links and references to a deleted course can't point at a new one
+    db.lastCourseId += 1
+    const course = {
+      id: db.lastCourseId,
+      name,
+      archived: false,
+      createdAt: new Date().toISOString(),
+    }
+    db.courses.push(course)
+    return withStudentCount(db, course)
+  })
+}
+
+/**
+ * Renames and/or archives a course. Archived courses keep their students
+ * but can no longer be picked for new enrollments.
+ */
+export async function updateCourse(id, data) {
+  return updateDb((db) => {
+    const index = findIndexOrThrow(db, id)
+    const updated = { ...db.courses[index] }
+
+    if (data.name !== undefined) {
+      assertValid({ name: data.name })
+      updated.name = data.name.trim()
+      assertUniqueName(db, updated.name, id)
+    }
+    if (data.archived !== undefined) {
+      if (typeof data.archived !== "boolean") {
+        throw new ApiError(400, "Invalid course data", { archived: "Archived must be true or false" })
+      }
+      updated.archived = data.archived
+    }
+
+    db.courses[index] = updated
+    return withStudentCount(db, updated)
+  })
+}
+
+/**
+ * Deletes a course. If students are still enrolled, `reassignTo` must name
+ * another active course to move their enrollments into; otherwise the delete
+ * is refused with a 409 so no enrollment is left pointing at a missing course.
+ * Students already in the target course simply lose the deleted enrollment.
+ * Each student changed this way gets an audit entry credited to `actor`.
+ * The course's sessions, assessments and instructors move along with its
+ * students, or the sessions and assessments are deleted with it.
+ */
+export async function deleteCourse(id, { reassignTo, actor } = {}) {
+  return updateDb((db) => {
+    const index = findIndexOrThrow(db, id)
+    const enrolled = db.students.filter((student) => isEnrolledIn(student, id))
+    const activeCount = enrolled.filter((student) => !student.deletedAt).length
+
+    if (enrolled.length > 0 && reassignTo === undefined) {
+      if (activeCount > 0) {
+        throw new ApiError(409, `Course has ${activeCount} enrolled student(s); reassign them before deleting`, {
+          studentCount: activeCount,
+        })
+      }
+      // Only trashed students reference the course - just drop those enrollments
+      enrolled.forEach((student) => {
+        const before = { ...student }
+        student.enrollments = student.enrollments.filter((enrollment) => enrollment.courseId !== id)
+        Object.assign(student, nextVersion(before))
+        recordChange(db, { action: "update", before, after: student, actor })
+      })
+    } else if (enrolled.length > 0) {
+      if (reassignTo === id) {
+        throw new ApiError(400, "Cannot reassign students to the course being deleted")
+      }
+      assertCourseAssignable(db, reassignTo)
+      enrolled.forEach((student) => {
+        const before = { ...student }
+        student.enrollments = moveEnrollment(student.enrollments, id, reassignTo)
+        Object.assign(student, nextVersion(before))
+        recordChange(db, { action: "update", before, after: student, actor })
+      })
+    }
+
+    // Sessions and assessments follow the students to their new course, or go with the course
+    if (enrolled.length > 0 && reassignTo !== undefined) {
+      const moveRecord = (record) => {
+        if (record.courseId === id) record.courseId = reassignTo
+      }
+      db.sessions.forEach(moveRecord)
+      db.assessments.forEach(moveRecord)
+      reassignInstructors(db, id, reassignTo)
+    } else {
+      db.sessions = db.sessions.filter((session) => session.courseId !== id)
+      db.assessments = db.assessments.filter((assessment) => assessment.courseId !== id)
+      reassignInstructors(db, id)
+    }
+
+    const [removed] = db.courses.splice(index, 1)
+    return removed
+  })
+}
@@ -0,0 +1,109 @@
+/**
+ * Custom field schema data access
+ *
+ * Field definitions live in the `customFields` collection, in the order they
+ * were added; students keep their values under each field's ID (see
+ * lib/custom-fields.js). A field's type and ID never change once created,
+ * so stored values always match their definition.
+ */
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+import { validateCustomField, createCustomFieldId, cleanOptions, getCustomFieldValue } from "@/lib/custom-fields"
+
+function assertValid(field) {
+  const errors = validateCustomField(field)
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(400, "Invalid field data", errors)
+  }
+}
+
+function findOrThrow(db, id) {
+  const field = db.customFields.find((f) => f.id === id)
+  if (!field) {
+    throw new ApiError(404, `Field ${id} not found`)
+  }
+  return field
+}
+
+function assertUniqueLabel(db, label, ignoreId) {
+  const taken = db.customFields.some(
+    (field) => field.id !== ignoreId && field.label.toLowerCase() === label.toLowerCase(),
+  )
+  if (taken) {
+    throw new ApiError(409, `A field named "${label}" already exists`, {
+      label: "A field with this label already exists",
+    })
+  }
+}
+
+export async function listCustomFields() {
+  const db = await readDb()
+  return db.customFields
+}
+
+/**
+ * @param {{ label: string, type: string, options?: string[], required?: boolean }} data
+ */
+export async function createCustomField(data) {
+  assertValid(data)
+
+  return updateDb((db) => {
+    const label = data.label.trim()
+    assertUniqueLabel(db, label)
+    const field = {
+      id: createCustomFieldId(label, db.customFields.map((f) => f.id)),
+      label,
+      type: data.type,
+      options: data.type === "select" ? cleanOptions(data.options) : [],
+      required: Boolean(data.required),
+      createdAt: new Date().toISOString(),
+    }
+    db.customFields.push(field)
+    return field
+  })
+}
+
+/**
+ * Changes a field's label, choices and/or whether it is required. A choice
+ * can't be removed while students still have it.
+ */
+export async function updateCustomField(id, data) {
+  return updateDb((db) => {
+    const field = findOrThrow(db, id)
+    const changes = {
+      label: (data.label ?? field.label).trim(),
+      type: field.type,
+      options: data.options === undefined ? field.options : cleanOptions(data.options),
+      required: data.required === undefined ? field.required : Boolean(data.required),
+    }
+    assertValid(changes)
+    assertUniqueLabel(db, changes.label, id)
+
+    if (field.type === "select") {
+      const removed = field.options.filter((option) => !changes.options.includes(option))
+      const valueOf = (student) => getCustomFieldValue(student.customFields, field)
+      const inUse = removed.find((option) => db.students.some((student) => valueOf(student) === option))
+      if (inUse) {
+        const count = db.students.filter((student) => valueOf(student) === inUse).length
+        throw new ApiError(409, `${count} student(s) still have "${inUse}"; change their ${field.label} first`, {
+          options: `"${inUse}" is still in use`,
+        })
+      }
+    }
+
+    return Object.assign(field, changes)
+  })
+}
+
+/**
+ * Deletes a field along with every student's value for it, trashed students included.
+ */
+export async function deleteCustomField(id) {
+  return updateDb((db) => {
+    const field = findOrThrow(db, id)
+    db.customFields = db.customFields.filter((f) => f !== field)
+    db.students.forEach((student) => {
+      if (student.customFields) delete student.customFields[id]
+    })
+  })
+}
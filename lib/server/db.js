@@ -0,0 +1,158 @@
+/**
+ * JSON file database
+ *
+ * Persists dashboard data to a single JSON file on disk so records survive
+ * page reloads and server restarts. Every write goes through `updateDb`,
+ * which queues mutations one after another so concurrent requests can't
+ * overwrite each other's changes.
+ *
+ * Server-only: import this from route handlers, never from client components.
+ */
+import { promises as fs } from "fs"
+import path from "path"
+import { publishStudentChanges } from "./events"
+import { removeUnusedUploads } from "./uploads"
+import { FIRST_VERSION } from "./versions"
+
+const DB_FILE = process.env.STUDENT_DB_FILE || path.join(process.cwd(), "data", "db.json")
+
+// Collections every database file is expected to contain
+const EMPTY_DB = {
+  students: [],
+  courses: [],
+  mailingLists: [],
+  auditLog: [],
+  filterPresets: [],
+  sessions: [],
+  assessments: [],
+  customFields: [],
+  users: [],
+  logins: [],
+}
+
+// Records written the first time the database file is created
+const SEED_DATA = {
+  courses: [
+    { id: 1, name: "HTML Basics", archived: false, createdAt: "2025-01-01T00:00:00.000Z" },
+    { id: 2, name: "CSS Mastery", archived: false, createdAt: "2025-01-01T00:00:00.000Z" },
+    { id: 3, name: "JavaScript Pro", archived: false, createdAt: "2025-01-01T00:00:00.000Z" },
+    { id: 4, name: "React In Depth", archived: false, createdAt: "2025-01-01T00:00:00.000Z" },
+  ],
+  students: [
+    {
+      id: "1",
+      name: "Rajesh Patil",
+      email: "rajesh.patil@gmail.com",
+      enrollments: [{ courseId: 1, status: "enrolled", startDate: "2025-01-15", completedDate: null }],
+      profileImage: "/professional-man.png",
+      createdAt: "2025-01-15T00:00:00.000Z",
+    },
+    {
+      id: "2",
+      name: "Om Patel",
+      email: "om.patel@gmail.com",
+      enrollments: [{ courseId: 2, status: "enrolled", startDate: "2025-02-20", completedDate: null }],
+      profileImage: "/professional-man.png",
+      createdAt: "2025-02-20T00:00:00.000Z",
+    },
+    {
+      id: "3",
+      name: "Ansh Bari",
+      email: "ansh.bari@gmail.com",
+      enrollments: [
+        { courseId: 1, status: "completed", startDate: "2025-03-10", completedDate: "2025-06-30" },
+        { courseId: 3, status: "enrolled", startDate: "2025-07-01", completedDate: null },
+      ],
+      profileImage: "/professional-man.png",
+      createdAt: "2025-03-10T00:00:00.000Z",
+    },
+  ],
+}
+
+/**
+ * Upgrades records written by older versions of the app.
+ * Each step must be safe to run on data that is already up to date.
+ */
+function migrate(db) {
+  // Students used to belong to a single course via `courseId`
+  db.students = db.students.map(({ courseId, ...student }) => {
+    if (student.enrollments || courseId === undefined) return student
+    return {
+      ...student,
+      enrollments: [{ courseId, status: "enrolled", startDate: student.createdAt.slice(0, 10), completedDate: null }],
+    }
+  })
+
+  // Students from before versions existed start at the first one, as of when they were added
+  db.students = db.students.map((student) =>
+    student.version ? student : { ...student, version: FIRST_VERSION, updatedAt: student.createdAt },
+  )
+
+  // The highest course ID ever handed out, so a deleted course's ID isn't given to a new one
+  db.lastCourseId ??= db.courses.reduce((max, course) => Math.max(max, course.id), 0)
+
+  return db
+}
+
+// Tail of the write queue - each update waits for the previous one
+let writeQueue = Promise.resolve()
+
+async function loadFile() {
+  try {
+    const raw = await fs.readFile(DB_FILE, "utf8")
+
+    // Collections added after the file was created start out with their seed
+    // records, so older database files keep working after an upgrade
+    return migrate({ ...structuredClone(EMPTY_DB), ...structuredClone(SEED_DATA), ...JSON.parse(raw) })
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return migrate({ ...structuredClone(EMPTY_DB), ...structuredClone(SEED_DATA) })
+    }
+    throw error
+  }
+}
+
+async function saveFile(db) {
+  await fs.mkdir(path.dirname(DB_FILE), { recursive: true })
+
+  // Write to a temp file first so a crash mid-write never leaves half a file
+  const tempFile = `${DB_FILE}.tmp`
+  await fs.writeFile(tempFile, JSON.stringify(db, null, 2))
+  await fs.rename(tempFile, DB_FILE)
+}
+
+/**
+ * Returns a snapshot of the whole database.
+ */
+export async function readDb() {
+  return loadFile()
+}
+
+/**
+ * Applies `mutator` to the database and saves the result.
+ *
+ * The mutator receives the current data and may change it in place; its
+ * return value is passed back to the caller. If it throws, nothing is saved.
+ * Student changes it logged are then sent to open dashboards (see ./events.js),
+ * and profile photos it let go of are deleted (see ./uploads.js).
+ *
+ * @template T
+ * @param {(db: Object) => T | Promise<T>} mutator
+ * @returns {Promise<T>}
+ */
+export function updateDb(mutator) {
+  const run = writeQueue.then(async () => {
+    const db = await loadFile()
+    const loggedBefore = db.auditLog.length
+    const imagesBefore = db.students.map((student) => student.profileImage)
+    const result = await mutator(db)
+    await saveFile(db)
+    publishStudentChanges(db, db.auditLog.slice(loggedBefore))
+    await removeUnusedUploads(db, imagesBefore)
+    return result
+  })
+
+  // Keep the queue alive even when this update fails
+  writeQueue = run.catch(() => {})
+  return run
+}
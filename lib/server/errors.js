@@ -0,0 +1,58 @@
+/**
+ * Error helpers for API route handlers
+ *
+ * Data functions throw `ApiError` with an HTTP status; route handlers catch
+ * everything and turn it into a JSON response with `errorResponse`.
+ */
+import { NextResponse } from "next/server"
+
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra data, e.g. field errors for a 400
+   */
+  constructor(status, message, details) {
+    super(message)
+    this.name = "ApiError"
+    this.status = status
+    this.details = details
+  }
+}
+
+export function errorResponse(error) {
+  if (error instanceof ApiError) {
+    return NextResponse.json({ error: error.message, details: error.details }, { status: error.status })
+  }
+
+  console.error("Unhandled API error:", error)
+  return NextResponse.json({ error: "Internal server error" }, { status: 500 })
+}
+
+/**
+ * Parses a JSON request body, rejecting malformed input with a 400. Every
+ * endpoint takes an object, so `null`, arrays and bare values are rejected too.
+ */
+export async function readJson(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    throw new ApiError(400, "Request body must be valid JSON")
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new ApiError(400, "Request body must be a JSON object")
+  }
+  return body
+}
+
+/**
+ * Parses a multipart/form-data request body, rejecting anything else with a 400.
+ */
+export async function readFormData(request) {
+  try {
+    return await request.formData()
+  } catch {
+    throw new ApiError(400, "Request body must be multipart form data")
+  }
+}
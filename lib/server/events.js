@@ -0,0 +1,70 @@
+/**
+ * Live student events
+ *
+ * Every saved student change is passed on to the dashboards that are open
+ * at the time, through GET /api/events (server-sent events). Events are the
+ * audit entries of the change (see ./audit.js), published by `updateDb` once
+ * the data is on disk, so no one hears about a change that then failed.
+ *
+ * Subscribers live in this server process's memory: events reach every
+ * browser connected to the same server, and nothing is replayed to a
+ * browser that connects later. It reloads what it shows instead.
+ *
+ * Each subscriber's user is looked up again in the saved data for every
+ * change, so signing out, a deleted account, a new password or taken-away
+ * courses apply to an open stream straight away.
+ */
+import { canAccessStudent, isCourseScoped } from "@/lib/permissions"
+
+/**
+ * @typedef {Object} Subscriber
+ * @property {(db: Object) => User | null} getUser - The subscriber's user in `db`, or null once they may no longer listen
+ * @property {(entry: Object) => void} listener
+ * @property {() => void} onRevoked - Called, after unsubscribing, once getUser returns null
+ */
+
+/** @type {Set<Subscriber>} */
+const subscribers = new Set()
+
+/**
+ * Calls `listener` with the audit entry of each student change the user may
+ * see, until `getUser` stops finding them.
+ *
+ * @param {Subscriber} subscriber
+ * @returns {() => void} Unsubscribes
+ */
+export function subscribe(subscriber) {
+  subscribers.add(subscriber)
+  return () => subscribers.delete(subscriber)
+}
+
+/**
+ * Sends new audit entries to the subscribers allowed to see the student.
+ * Instructors don't hear about students that are gone for good, since
+ * there are no enrollments left to check.
+ *
+ * @param {Object} db - The database as just saved
+ * @param {Object[]} entries - Audit entries added by the save
+ */
+export function publishStudentChanges(db, entries) {
+  if (subscribers.size === 0 || entries.length === 0) return
+
+  subscribers.forEach((subscriber) => {
+    const user = subscriber.getUser(db)
+    if (!user) {
+      subscribers.delete(subscriber)
+      subscriber.onRevoked()
+      return
+    }
+    entries.forEach((entry) => {
+      const student = db.students.find((s) => s.id === entry.studentId)
+      if (student ? !canAccessStudent(user, student) : isCourseScoped(user)) return
+      try {
+        subscriber.listener(entry)
+      } catch (error) {
+        // One closed connection shouldn't stop the others from hearing about the change
+        console.error("Error sending a student event:", error)
+      }
+    })
+  })
+}
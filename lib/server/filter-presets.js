@@ -0,0 +1,79 @@
+/**
+ * Saved filter presets
+ *
+ * Named directory views ("Spring intake without photos") that a user can
+ * re-apply with one click. Each preset belongs to the user who saved it
+ * (stored by user ID) and
+ * stores the search, filters and sort as a query string (see
+ * lib/student-query.js) - paging is left out.
+ */
+import { randomUUID } from "crypto"
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+import { parseStudentQuery, toFilterParams } from "@/lib/student-query"
+
+/**
+ * @param {string} owner - ID of the user whose presets to list
+ */
+export async function listFilterPresets(owner) {
+  const db = await readDb()
+  return db.filterPresets
+    .filter((preset) => preset.owner === owner)
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Saves the filters in `query` as a preset called `name`. Saving under a
+ * name the user already has replaces that preset's filters.
+ *
+ * @param {{ name: string, query: string }} data - `query` is a directory query string
+ * @param {{ owner: string }} options - ID of the user saving the preset
+ */
+export async function saveFilterPreset({ name, query } = {}, { owner }) {
+  const presetName = String(name || "").trim()
+  if (!presetName) {
+    throw new ApiError(400, "Preset name is required", { name: "Preset name is required" })
+  }
+  if (presetName.length > 50) {
+    throw new ApiError(400, "Preset name must be 50 characters or fewer", {
+      name: "Preset name must be 50 characters or fewer",
+    })
+  }
+
+  // Re-serialize so only recognised filters are stored
+  const filters = toFilterParams(parseStudentQuery(new URLSearchParams(String(query || "")))).toString()
+
+  return updateDb((db) => {
+    const existing = db.filterPresets.find(
+      (preset) => preset.owner === owner && preset.name.toLowerCase() === presetName.toLowerCase(),
+    )
+    if (existing) {
+      Object.assign(existing, { name: presetName, query: filters })
+      return existing
+    }
+
+    const preset = {
+      id: randomUUID(),
+      name: presetName,
+      query: filters,
+      owner,
+      createdAt: new Date().toISOString(),
+    }
+    db.filterPresets.push(preset)
+    return preset
+  })
+}
+
+/**
+ * Deletes one of the user's presets. Other users' presets are reported as
+ * not found.
+ */
+export async function deleteFilterPreset(id, { owner }) {
+  return updateDb((db) => {
+    const index = db.filterPresets.findIndex((preset) => preset.id === id && preset.owner === owner)
+    if (index === -1) {
+      throw new ApiError(404, "Filter preset not found")
+    }
+    db.filterPresets.splice(index, 1)
+  })
+}
@@ -0,0 +1,65 @@
+/**
+ * Mailing list data access
+ *
+ * Named lists of students that staff send announcements to. Lists store
+ * student IDs rather than emails, so a corrected email address is picked
+ * up automatically; addresses are resolved when the list is read.
+ */
+import { randomUUID } from "crypto"
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+
+// Resolve member IDs to current email addresses, skipping deleted and trashed students
+function withMembers(db, list) {
+  const emails = list.studentIds
+    .map((id) => db.students.find((student) => student.id === id && !student.deletedAt)?.email)
+    .filter(Boolean)
+  return { ...list, emails }
+}
+
+/**
+ * Points list memberships of `oldIds` at `newId` instead, e.g. after those
+ * students were merged. Call it from inside an `updateDb` mutator.
+ */
+export function reassignListMembers(db, oldIds, newId) {
+  const old = new Set(oldIds)
+  db.mailingLists.forEach((list) => {
+    if (!list.studentIds.some((id) => old.has(id))) return
+    list.studentIds = [...new Set(list.studentIds.map((id) => (old.has(id) ? newId : id)))]
+  })
+}
+
+export async function listMailingLists() {
+  const db = await readDb()
+  return db.mailingLists.map((list) => withMembers(db, list))
+}
+
+/**
+ * Adds students to the mailing list called `name`, creating the list if it
+ * doesn't exist yet. Names are matched case-insensitively.
+ *
+ * @returns {Promise<{ list: Object, added: number }>}
+ */
+export async function addToMailingList(name, studentIds) {
+  const listName = String(name || "").trim()
+  if (!listName) {
+    throw new ApiError(400, "Mailing list name is required", { listName: "Mailing list name is required" })
+  }
+  if (!Array.isArray(studentIds) || studentIds.length === 0) {
+    throw new ApiError(400, "Expected a non-empty list of student ids")
+  }
+
+  return updateDb((db) => {
+    let list = db.mailingLists.find((l) => l.name.toLowerCase() === listName.toLowerCase())
+    if (!list) {
+      list = { id: randomUUID(), name: listName, studentIds: [], createdAt: new Date().toISOString() }
+      db.mailingLists.push(list)
+    }
+
+    const knownIds = new Set(db.students.filter((student) => !student.deletedAt).map((student) => student.id))
+    const newIds = studentIds.filter((id) => knownIds.has(id) && !list.studentIds.includes(id))
+    list.studentIds.push(...newIds)
+
+    return { list: withMembers(db, list), added: newIds.length }
+  })
+}
@@ -0,0 +1,170 @@
+/**
+ * Course session and attendance data access
+ *
+ * Sessions live in their own `sessions` collection, each holding the roll
+ * call for that class (see lib/attendance.js). Only students currently
+ * enrolled in the course can be marked. Every function takes the signed-in
+ * `user`, so instructors only work with their own courses.
+ */
+import { randomUUID } from "crypto"
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+import { assertCourseAccess } from "./auth"
+import { validateSession } from "@/lib/validation"
+import { ATTENDANCE_STATUSES, summarizeAttendance } from "@/lib/attendance"
+import { isActiveIn } from "@/lib/enrollments"
+import { canAccessStudent } from "@/lib/permissions"
+
+function assertValid(session) {
+  const errors = validateSession(session)
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(400, "Invalid session data", errors)
+  }
+}
+
+function findOrThrow(db, id, user) {
+  const session = db.sessions.find((s) => s.id === id)
+  if (!session) {
+    throw new ApiError(404, `Session ${id} not found`)
+  }
+  assertCourseAccess(user, session.courseId)
+  return session
+}
+
+function assertCourseExists(db, courseId, user) {
+  if (!db.courses.some((course) => course.id === courseId)) {
+    throw new ApiError(404, `Course ${courseId} not found`)
+  }
+  assertCourseAccess(user, courseId)
+}
+
+const byDate = (a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt)
+
+/**
+ * A course's sessions, oldest first.
+ */
+export async function listSessions(courseId, { user } = {}) {
+  const db = await readDb()
+  assertCourseExists(db, courseId, user)
+  return db.sessions.filter((session) => session.courseId === courseId).sort(byDate)
+}
+
+export async function createSession(courseId, data, { user } = {}) {
+  assertValid(data)
+
+  return updateDb((db) => {
+    assertCourseExists(db, courseId, user)
+    const session = {
+      id: randomUUID(),
+      courseId,
+      date: data.date,
+      topic: data.topic.trim(),
+      attendance: {},
+      createdAt: new Date().toISOString(),
+    }
+    db.sessions.push(session)
+    return session
+  })
+}
+
+/**
+ * Changes a session's date and/or topic. The roll call is kept.
+ */
+export async function updateSession(id, data, { user } = {}) {
+  return updateDb((db) => {
+    const session = findOrThrow(db, id, user)
+    const changes = { date: data.date ?? session.date, topic: data.topic ?? session.topic }
+    assertValid(changes)
+    return Object.assign(session, { date: changes.date, topic: changes.topic.trim() })
+  })
+}
+
+export async function deleteSession(id, { user } = {}) {
+  return updateDb((db) => {
+    const session = findOrThrow(db, id, user)
+    db.sessions = db.sessions.filter((s) => s !== session)
+  })
+}
+
+/**
+ * Records roll call for a session. `records` maps student IDs to a status;
+ * a `null` status clears that student's mark. Students not mentioned keep
+ * their current mark.
+ *
+ * @param {string} id
+ * @param {Object<string, "present"|"late"|"absent"|null>} records
+ */
+export async function recordAttendance(id, records, { user } = {}) {
+  if (!records || typeof records !== "object" || Array.isArray(records)) {
+    throw new ApiError(400, "Expected an object of student ids to attendance statuses")
+  }
+
+  return updateDb((db) => {
+    const session = findOrThrow(db, id, user)
+    const errors = {}
+
+    Object.entries(records).forEach(([studentId, status]) => {
+      if (status === null) return
+      const student = db.students.find((s) => s.id === studentId && !s.deletedAt)
+      if (!ATTENDANCE_STATUSES.includes(status)) {
+        errors[studentId] = `Status must be one of ${ATTENDANCE_STATUSES.join(", ")}`
+      } else if (!student || !isActiveIn(student, session.courseId)) {
+        errors[studentId] = "Student is not enrolled in this course"
+      }
+    })
+    if (Object.keys(errors).length > 0) {
+      throw new ApiError(400, "Invalid attendance records", errors)
+    }
+
+    Object.entries(records).forEach(([studentId, status]) => {
+      if (status === null) delete session.attendance[studentId]
+      else session.attendance[studentId] = status
+    })
+    return session
+  })
+}
+
+/**
+ * Attendance totals across every course, for the given students.
+ *
+ * @param {string[]} studentIds
+ * @param {{ user?: User }} [options]
+ * @returns {Promise<Object<string, AttendanceSummary>>} Students never marked, or that `user` can't see, are left out
+ */
+export async function getAttendanceSummaries(studentIds, { user } = {}) {
+  const db = await readDb()
+  const summaries = summarizeAttendance(db.sessions)
+  const isVisible = (id) => canAccessStudent(user, db.students.find((s) => s.id === id) || {})
+  return Object.fromEntries(
+    studentIds.filter((id) => summaries.has(id) && isVisible(id)).map((id) => [id, summaries.get(id)]),
+  )
+}
+
+/**
+ * Moves the roll call marks of `oldIds` onto `newId`, e.g. after those
+ * students were merged. Where both were marked in the same session the
+ * better attendance wins. Call it from inside an `updateDb` mutator.
+ */
+export function reassignAttendance(db, oldIds, newId) {
+  db.sessions.forEach((session) => {
+    oldIds.forEach((oldId) => {
+      const status = session.attendance[oldId]
+      if (!status) return
+      const current = session.attendance[newId]
+      if (!current || ATTENDANCE_STATUSES.indexOf(status) < ATTENDANCE_STATUSES.indexOf(current)) {
+        session.attendance[newId] = status
+      }
+      delete session.attendance[oldId]
+    })
+  })
+}
+
+/**
+ * Drops every roll call mark of `studentIds`, e.g. when they are purged.
+ * Call it from inside an `updateDb` mutator.
+ */
+export function removeAttendance(db, studentIds) {
+  db.sessions.forEach((session) => {
+    studentIds.forEach((id) => delete session.attendance[id])
+  })
+}
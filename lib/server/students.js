@@ -0,0 +1,627 @@
+/**
+ * Student data access
+ *
+ * CRUD operations over the `students` collection. Input is normalized the
+ * same way StudentForm does it (trimmed name, lowercased email, numeric
+ * course IDs) and validated with the shared rules before anything is saved.
+ * Newly added enrollments must point at an existing, non-archived course,
+ * and no two active students may share an email address. A profile image
+ * sent as a data URL is stored as a file first (see ./uploads.js), so
+ * records only ever hold image URLs.
+ *
+ * Deleting a student moves it to the trash (sets `deletedAt`); trashed
+ * students are hidden from every other operation until they are restored
+ * or purged for good.
+ *
+ * Every function that changes students takes an `actor` option naming who
+ * made the change, and records it in the audit log (see ./audit.js).
+ * Every change to a student's fields moves it to a new version (see
+ * ./versions.js), so stale edits can be caught.
+ * Functions that instructors may use also take the signed-in `user`:
+ * instructors only see students in their own courses, and only change
+ * enrollments in those courses (see lib/permissions.js).
+ */
+import { randomUUID } from "crypto"
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+import { assertCourseAssignable } from "./courses"
+import { recordChange, diffStudent } from "./audit"
+import { FIRST_VERSION, nextVersion, parseVersion } from "./versions"
+import { reassignListMembers } from "./mailing-lists"
+import { storeInlineImage, removeUnusedUploads } from "./uploads"
+import { reassignAttendance, removeAttendance } from "./sessions"
+import { reassignScores, removeScores } from "./assessments"
+import { validateStudent, findEmailOwner, DUPLICATE_EMAIL_ERROR } from "@/lib/validation"
+import { today, isActiveIn, isEnrolledIn, getActiveEnrollments, moveEnrollment } from "@/lib/enrollments"
+import { findPossibleDuplicates } from "@/lib/duplicates"
+import { summarizeGrades } from "@/lib/grades"
+import { normalizeCustomFieldValues } from "@/lib/custom-fields"
+import { hasProfilePhoto } from "@/lib/profile-images"
+import { DEFAULT_STUDENT_QUERY, parseSort } from "@/lib/student-query"
+import { isCourseScoped, canAccessCourse, canAccessStudent } from "@/lib/permissions"
+import { buildMergedStudent, getMergeSurvivor, validateMergeChoices } from "@/lib/student-merge"
+
+function normalizeEnrollment(enrollment) {
+  return {
+    courseId: Number.parseInt(enrollment.courseId),
+    status: enrollment.status || "enrolled",
+    startDate: enrollment.startDate || today(),
+    completedDate: enrollment.completedDate || null,
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+// Only these fields can be set by API callers; id, createdAt, version and updatedAt are server-owned
+function pickStudentFields(data) {
+  const fields = {}
+  if (data.name !== undefined) fields.name = String(data.name).trim()
+  if (data.email !== undefined) fields.email = String(data.email).trim().toLowerCase()
+  if (data.enrollments !== undefined) {
+    // Anything but a list of objects is left for validation to reject
+    const normalizable = Array.isArray(data.enrollments) && data.enrollments.every(isPlainObject)
+    fields.enrollments = normalizable ? data.enrollments.map(normalizeEnrollment) : data.enrollments
+  }
+  // The placeholder some older records and clients carry means there is no photo
+  if (data.profileImage !== undefined) {
+    const image = data.profileImage
+    fields.profileImage = typeof image === "string" && image.startsWith("/placeholder.svg") ? "" : image
+  }
+  if (data.notes !== undefined) fields.notes = String(data.notes || "").trim()
+  // Cleaned up against the field schema once the database is loaded (see withCustomFields)
+  if (data.customFields !== undefined) fields.customFields = data.customFields
+  return fields
+}
+
+/**
+ * @param {Object} student
+ * @param {Object} db - For the custom field schema
+ * @param {{ checkRequired?: boolean }} [options] - See validateStudent
+ */
+function assertValid(student, db, { checkRequired = true } = {}) {
+  const errors = validateStudent(student, { customFields: db.customFields, checkRequired })
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(400, "Invalid student data", errors)
+  }
+}
+
+// Drops values of unknown fields and converts the rest to their field's type
+const withCustomFields = (db, student) => ({
+  ...student,
+  customFields: normalizeCustomFieldValues(db.customFields, student.customFields),
+})
+
+// Only courses the student wasn't already in need to accept new students
+function assertNewEnrollmentsAssignable(db, enrollments, previous = []) {
+  const previousIds = new Set(previous.map((enrollment) => enrollment.courseId))
+  enrollments
+    .filter((enrollment) => !previousIds.has(enrollment.courseId))
+    .forEach((enrollment) => assertCourseAssignable(db, enrollment.courseId))
+}
+
+const isTrashed = (student) => Boolean(student.deletedAt)
+
+// Trashed students don't count - their email is free again until they're restored
+function assertUniqueEmail(db, email, ignoreId) {
+  const activeStudents = db.students.filter((student) => !isTrashed(student))
+  if (findEmailOwner(email, activeStudents, ignoreId)) {
+    throw new ApiError(409, DUPLICATE_EMAIL_ERROR, { email: DUPLICATE_EMAIL_ERROR })
+  }
+}
+
+function findIndexOrThrow(db, id, { inTrash = false } = {}) {
+  const index = db.students.findIndex((student) => student.id === id && isTrashed(student) === inTrash)
+  if (index === -1) {
+    throw new ApiError(404, inTrash ? `Student ${id} is not in the trash` : `Student ${id} not found`)
+  }
+  return index
+}
+
+// Students outside an instructor's courses are reported as missing, not forbidden
+function findVisibleIndexOrThrow(db, id, user) {
+  const index = findIndexOrThrow(db, id)
+  if (!canAccessStudent(user, db.students[index])) {
+    throw new ApiError(404, `Student ${id} not found`)
+  }
+  return index
+}
+
+// Instructors may add, change or remove enrollments in their own courses only
+function assertEnrollmentChangesAllowed(user, enrollments, previous = []) {
+  if (!isCourseScoped(user)) return
+
+  const describe = (list, courseId) => {
+    const enrollment = list.find((e) => e.courseId === courseId)
+    return enrollment ? [enrollment.status, enrollment.startDate, enrollment.completedDate].join("|") : null
+  }
+  const courseIds = new Set([...enrollments, ...previous].map((enrollment) => enrollment.courseId))
+  const changed = [...courseIds].some(
+    (courseId) => !canAccessCourse(user, courseId) && describe(enrollments, courseId) !== describe(previous, courseId),
+  )
+  if (changed) {
+    throw new ApiError(403, "You can only change enrollments in your own courses", {
+      enrollments: "You can only change enrollments in your own courses",
+    })
+  }
+}
+
+/**
+ * @param {{ trash?: boolean, user?: User }} [options] - List trashed students instead of active ones /
+ *   only those `user` may see
+ */
+export async function listStudents({ trash = false, user } = {}) {
+  const db = await readDb()
+  return db.students.filter((student) => isTrashed(student) === trash && canAccessStudent(user, student))
+}
+
+// Value each sortable column compares by; "course" is the student's first active course name
+function getSortValue(db, key) {
+  const courseNames = new Map(db.courses.map((course) => [course.id, course.name.toLowerCase()]))
+  return {
+    name: (student) => student.name.toLowerCase(),
+    email: (student) => student.email.toLowerCase(),
+    course: (student) => {
+      const enrollment = getActiveEnrollments(student)[0] || student.enrollments?.[0]
+      return (enrollment && courseNames.get(enrollment.courseId)) || ""
+    },
+    createdAt: (student) => student.createdAt,
+  }[key]
+}
+
+/**
+ * Searches, filters, sorts and pages the active students
+ * (see lib/student-query.js).
+ *
+ * Every word of `q` must appear in the student's name or email. Ties are
+ * broken by name and then ID, so paging through a sort never skips or
+ * repeats a student.
+ *
+ * @param {Partial<StudentQuery>} query
+ * @param {{ paginate?: boolean, user?: User }} [options] - Pass `paginate: false` to get every match on one
+ *   page; `user` limits the matches to the students they may see
+ * @returns {Promise<{ students: Object[], total: number, page: number, pageSize: number }>}
+ */
+export async function queryStudents(query, { paginate = true, user } = {}) {
+  const { q, course, notCourse, from, to, noPhoto, sort, page, pageSize } = { ...DEFAULT_STUDENT_QUERY, ...query }
+  const db = await readDb()
+
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean)
+  const matches = db.students.filter((student) => {
+    if (isTrashed(student) || !canAccessStudent(user, student)) return false
+    if (course !== null && !isEnrolledIn(student, course)) return false
+    if (notCourse !== null && isEnrolledIn(student, notCourse)) return false
+    if (noPhoto && hasProfilePhoto(student)) return false
+
+    // Dates are compared by their calendar day, so both ends of the range are included
+    const addedOn = student.createdAt.slice(0, 10)
+    if ((from && addedOn < from) || (to && addedOn > to)) return false
+
+    const text = [student.name, student.email, ...Object.values(student.customFields || {})].join(" ").toLowerCase()
+    return words.every((word) => text.includes(word))
+  })
+
+  const { key, direction } = parseSort(sort)
+  const getValue = getSortValue(db, key)
+  const byName = getSortValue(db, "name")
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+  matches.sort(
+    (a, b) =>
+      compare(getValue(a), getValue(b)) * (direction === "asc" ? 1 : -1) ||
+      compare(byName(a), byName(b)) ||
+      compare(a.id, b.id),
+  )
+
+  if (!paginate) {
+    return { students: matches, total: matches.length, page: 1, pageSize: matches.length }
+  }
+
+  // Clamp so a page that filtering has emptied shows the last page instead
+  const pageCount = Math.max(1, Math.ceil(matches.length / pageSize))
+  const currentPage = Math.min(page, pageCount)
+  return {
+    students: matches.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    total: matches.length,
+    page: currentPage,
+    pageSize,
+  }
+}
+
+/**
+ * Roster-wide numbers for the dashboard cards. Enrollments are counted, not
+ * students, since one student can be in several courses. Instructors get
+ * the numbers for their own students.
+ *
+ * @param {{ user?: User }} [options]
+ */
+export async function getStudentStats({ user } = {}) {
+  const db = await readDb()
+  const students = db.students.filter((student) => !isTrashed(student) && canAccessStudent(user, student))
+  const enrollments = students.flatMap((student) => student.enrollments || [])
+  const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+  // Average of every final grade on record, one per graded student and course
+  const grades = summarizeGrades(db.assessments)
+  const finalGrades = students
+    .filter((student) => grades.has(student.id))
+    .flatMap((student) => Object.values(grades.get(student.id).courses).map((final) => final.grade))
+
+  return {
+    totalStudents: students.length,
+    activeEnrollments: enrollments.filter((enrollment) => enrollment.status === "enrolled").length,
+    recentEnrollments: enrollments.filter((enrollment) => enrollment.startDate > monthAgo).length,
+    gradedStudents: students.filter((student) => grades.has(student.id)).length,
+    averageGrade:
+      finalGrades.length > 0
+        ? Math.round((finalGrades.reduce((sum, grade) => sum + grade, 0) / finalGrades.length) * 10) / 10
+        : null,
+  }
+}
+
+/**
+ * Pairs of active students that may be the same person (see lib/duplicates.js).
+ */
+export async function findDuplicateStudents() {
+  return findPossibleDuplicates(await listStudents())
+}
+
+/**
+ * @param {string} id
+ * @param {{ user?: User }} [options] - Students `user` may not see are reported as missing
+ */
+export async function getStudent(id, { user } = {}) {
+  const db = await readDb()
+  return db.students[findVisibleIndexOrThrow(db, id, user)]
+}
+
+function buildStudent(data) {
+  const createdAt = new Date().toISOString()
+  return {
+    name: "",
+    email: "",
+    enrollments: [],
+    profileImage: "",
+    notes: "",
+    customFields: {},
+    ...pickStudentFields(data),
+    id: randomUUID(),
+    createdAt,
+    version: FIRST_VERSION,
+    updatedAt: createdAt,
+  }
+}
+
+// Deletes the file storeInlineImage made for a save that then failed, unless a student uses it after all
+async function discardStoredImage(submitted, stored) {
+  if (stored !== submitted) await removeUnusedUploads(await readDb(), [stored])
+}
+
+export async function createStudent(data, { actor, user } = {}) {
+  const fields = buildStudent(data)
+  const submittedImage = fields.profileImage
+  fields.profileImage = await storeInlineImage(submittedImage)
+
+  try {
+    return await updateDb((db) => {
+      const student = withCustomFields(db, fields)
+      assertValid(student, db)
+      assertNewEnrollmentsAssignable(db, student.enrollments)
+      assertEnrollmentChangesAllowed(user, student.enrollments)
+      assertUniqueEmail(db, student.email)
+      db.students.push(student)
+      recordChange(db, { action: "create", after: student, actor })
+      return student
+    })
+  } catch (error) {
+    await discardStoredImage(submittedImage, fields.profileImage)
+    throw error
+  }
+}
+
+/**
+ * Creates many students at once, skipping any that fail validation, join an
+ * unavailable course, or reuse an email already on the roster (or earlier
+ * in the same batch). Valid rows are saved even when others are skipped.
+ *
+ * @param {Object[]} rows - Student data, as accepted by createStudent
+ * @param {{ actor?: string }} [options]
+ * @returns {Promise<{ created: Object[], skipped: { index: number, errors: Object }[] }>}
+ */
+export async function importStudents(rows, { actor } = {}) {
+  if (!Array.isArray(rows)) {
+    throw new ApiError(400, "Expected a list of students to import")
+  }
+  if (!rows.every(isPlainObject)) {
+    throw new ApiError(400, "Each student to import must be an object")
+  }
+
+  return updateDb((db) => {
+    const emails = new Set(
+      db.students.filter((student) => !isTrashed(student)).map((student) => student.email.toLowerCase()),
+    )
+    const created = []
+    const skipped = []
+
+    rows.forEach((data, index) => {
+      const student = withCustomFields(db, buildStudent(data))
+      try {
+        // Spreadsheets don't carry custom fields, so required ones are filled in later
+        assertValid(student, db, { checkRequired: false })
+        assertNewEnrollmentsAssignable(db, student.enrollments)
+        if (emails.has(student.email)) {
+          throw new ApiError(409, "Duplicate email", { email: DUPLICATE_EMAIL_ERROR })
+        }
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error
+        skipped.push({ index, errors: error.details || { submit: error.message } })
+        return
+      }
+
+      emails.add(student.email)
+      created.push(student)
+    })
+
+    db.students.push(...created)
+    created.forEach((student) => recordChange(db, { action: "create", after: student, actor }))
+    return { created, skipped }
+  })
+}
+
+/**
+ * Changes some or all of a student's fields. Pass the `version` the change
+ * was made from to have it refused with a 409 when the student has been
+ * changed since; the error's details carry the student as it is now.
+ */
+export async function updateStudent(id, data, { actor, user } = {}) {
+  const version = parseVersion(data.version)
+  const fields = pickStudentFields(data)
+  const submittedImage = fields.profileImage
+  if (submittedImage !== undefined) {
+    fields.profileImage = await storeInlineImage(submittedImage)
+  }
+
+  try {
+    return await updateDb((db) => {
+      const index = findVisibleIndexOrThrow(db, id, user)
+      if (version !== undefined && version !== (db.students[index].version ?? FIRST_VERSION)) {
+        throw new ApiError(409, "Someone else changed this student after you started editing", {
+          current: db.students[index],
+        })
+      }
+
+      const changed = withCustomFields(db, { ...db.students[index], ...fields })
+      // An edit that changes nothing keeps the version, so it can't conflict with anyone else's
+      const updated =
+        Object.keys(diffStudent(db.students[index], changed)).length > 0
+          ? { ...changed, ...nextVersion(db.students[index]) }
+          : changed
+      assertValid(updated, db, { checkRequired: fields.customFields !== undefined })
+
+      // Students may stay in an archived course, but can't join one
+      assertNewEnrollmentsAssignable(db, updated.enrollments, db.students[index].enrollments)
+      assertEnrollmentChangesAllowed(user, updated.enrollments, db.students[index].enrollments)
+
+      // Only check a changed email, so duplicates from before this rule can still be edited
+      if (updated.email !== db.students[index].email) {
+        assertUniqueEmail(db, updated.email, id)
+      }
+
+      recordChange(db, { action: "update", before: db.students[index], after: updated, actor })
+      db.students[index] = updated
+      return updated
+    })
+  } catch (error) {
+    await discardStoredImage(submittedImage, fields.profileImage)
+    throw error
+  }
+}
+
+/**
+ * Moves a student to the trash.
+ */
+export async function deleteStudent(id, { actor } = {}) {
+  return updateDb((db) => {
+    const index = findIndexOrThrow(db, id)
+    db.students[index] = { ...db.students[index], deletedAt: new Date().toISOString() }
+    recordChange(db, { action: "delete", after: db.students[index], actor })
+    return db.students[index]
+  })
+}
+
+/**
+ * Takes a student back out of the trash. Refused with a 409 if another
+ * student has taken their email in the meantime.
+ */
+export async function restoreStudent(id, { actor } = {}) {
+  return updateDb((db) => {
+    const index = findIndexOrThrow(db, id, { inTrash: true })
+    const { deletedAt, ...restored } = db.students[index]
+    assertUniqueEmail(db, restored.email, id)
+    db.students[index] = restored
+    recordChange(db, { action: "restore", after: restored, actor })
+    return restored
+  })
+}
+
+/**
+ * Permanently removes a student. Only trashed students can be purged.
+ */
+export async function purgeStudent(id, { actor } = {}) {
+  return updateDb((db) => {
+    const index = findIndexOrThrow(db, id, { inTrash: true })
+    const [removed] = db.students.splice(index, 1)
+    removeAttendance(db, [removed.id])
+    removeScores(db, [removed.id])
+    recordChange(db, { action: "purge", before: removed, actor })
+    return removed
+  })
+}
+
+// Bulk operations take a list of IDs; unknown IDs are ignored rather than failing the batch
+function assertIdList(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === "string")) {
+    throw new ApiError(400, "Expected a non-empty list of student ids")
+  }
+}
+
+/**
+ * Moves every active student in `ids` to the trash.
+ *
+ * @returns {Promise<string[]>} IDs that were actually deleted
+ */
+export async function deleteStudents(ids, { actor } = {}) {
+  assertIdList(ids)
+
+  return updateDb((db) => {
+    const idSet = new Set(ids)
+    const deletedAt = new Date().toISOString()
+    const deletedIds = []
+    db.students = db.students.map((student) => {
+      if (!idSet.has(student.id) || isTrashed(student)) return student
+      deletedIds.push(student.id)
+      const deleted = { ...student, deletedAt }
+      recordChange(db, { action: "delete", after: deleted, actor })
+      return deleted
+    })
+    return deletedIds
+  })
+}
+
+/**
+ * Restores every trashed student in `ids`, except those whose email another
+ * active student now uses.
+ *
+ * @returns {Promise<Object[]>} The restored students
+ */
+export async function restoreStudents(ids, { actor } = {}) {
+  assertIdList(ids)
+
+  return updateDb((db) => {
+    const idSet = new Set(ids)
+    const restored = []
+    const activeStudents = db.students.filter((student) => !isTrashed(student))
+    db.students = db.students.map((student) => {
+      if (!idSet.has(student.id) || !isTrashed(student)) return student
+      if (findEmailOwner(student.email, [...activeStudents, ...restored], student.id)) return student
+      const { deletedAt, ...rest } = student
+      restored.push(rest)
+      recordChange(db, { action: "restore", after: rest, actor })
+      return rest
+    })
+    return restored
+  })
+}
+
+/**
+ * Permanently removes every trashed student in `ids`.
+ *
+ * @returns {Promise<string[]>} IDs that were purged
+ */
+export async function purgeStudents(ids, { actor } = {}) {
+  assertIdList(ids)
+
+  return updateDb((db) => {
+    const idSet = new Set(ids)
+    const purged = db.students.filter((student) => idSet.has(student.id) && isTrashed(student))
+    purged.forEach((student) => recordChange(db, { action: "purge", before: student, actor }))
+    db.students = db.students.filter((student) => !purged.includes(student))
+    const purgedIds = purged.map((student) => student.id)
+    removeAttendance(db, purgedIds)
+    removeScores(db, purgedIds)
+    return purgedIds
+  })
+}
+
+/**
+ * Moves the selected students' active enrollment in `fromCourseId` to
+ * `toCourseId`, starting it fresh from today. Students not currently attending
+ * the source course (including those who completed or dropped it) are left
+ * untouched, so their history is kept.
+ *
+ * @returns {Promise<Object[]>} The students that changed
+ */
+export async function moveStudents(ids, fromCourseId, toCourseId, { actor } = {}) {
+  assertIdList(ids)
+  if (fromCourseId === toCourseId) {
+    throw new ApiError(400, "Choose a different course to move students to")
+  }
+
+  return updateDb((db) => {
+    assertCourseAssignable(db, toCourseId)
+
+    const idSet = new Set(ids)
+    const moved = []
+    db.students = db.students.map((student) => {
+      if (!idSet.has(student.id) || isTrashed(student) || !isActiveIn(student, fromCourseId)) return student
+
+      const updated = {
+        ...student,
+        ...nextVersion(student),
+        enrollments: moveEnrollment(student.enrollments, fromCourseId, toCourseId, {
+          status: "enrolled",
+          startDate: today(),
+          completedDate: null,
+        }),
+      }
+      moved.push(updated)
+      recordChange(db, { action: "update", before: student, after: updated, actor })
+      return updated
+    })
+    return moved
+  })
+}
+
+/**
+ * Merges two or more active students into one (see lib/student-merge.js).
+ * The oldest record survives; the others are removed, and their mailing
+ * list memberships move to the survivor.
+ *
+ * @param {string[]} ids
+ * @param {Object<string, string>} [choices] - Field key to the ID of the student whose value wins
+ * @param {{ actor?: string }} [options]
+ * @returns {Promise<{ student: Object, mergedIds: string[] }>}
+ */
+export async function mergeStudents(ids, choices = {}, { actor } = {}) {
+  assertIdList(ids)
+  const uniqueIds = [...new Set(ids)]
+  if (uniqueIds.length < 2) {
+    throw new ApiError(400, "Pick at least two students to merge")
+  }
+  if (choices !== null && !isPlainObject(choices)) {
+    throw new ApiError(400, "Merge choices must be an object")
+  }
+
+  return updateDb((db) => {
+    const students = uniqueIds.map((id) => db.students[findIndexOrThrow(db, id)])
+
+    const choiceError = validateMergeChoices(students, choices || {})
+    if (choiceError) {
+      throw new ApiError(400, choiceError)
+    }
+
+    const survivor = getMergeSurvivor(students)
+    const merged = withCustomFields(db, { ...buildMergedStudent(students, choices || {}), ...nextVersion(survivor) })
+    const mergedIds = uniqueIds.filter((id) => id !== survivor.id)
+    assertValid(merged, db, { checkRequired: false })
+
+    db.students = db.students
+      .filter((student) => !mergedIds.includes(student.id))
+      .map((student) => (student.id === survivor.id ? merged : student))
+
+    if (merged.email !== survivor.email) {
+      assertUniqueEmail(db, merged.email, survivor.id)
+    }
+
+    reassignListMembers(db, mergedIds, survivor.id)
+    reassignAttendance(db, mergedIds, survivor.id)
+    reassignScores(db, mergedIds, survivor.id)
+
+    recordChange(db, { action: "merge", before: survivor, after: merged, actor, details: { mergedIds } })
+    students
+      .filter((student) => student.id !== survivor.id)
+      .forEach((student) => {
+        recordChange(db, { action: "merge", before: student, actor, details: { mergedInto: survivor.id } })
+      })
+
+    return { student: merged, mergedIds }
+  })
+}
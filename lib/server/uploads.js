@@ -0,0 +1,205 @@
+/**
+ * Profile image storage
+ *
+ * Uploaded photos are cropped, resized to AVATAR_SIZE and saved as WebP
+ * files on local disk, next to the JSON database. Files are named after a
+ * hash of their contents, so saving the same avatar twice reuses one file
+ * and a URL never changes what it points to. `/api/uploads/:name` serves
+ * them back. A file is deleted once no student uses it any more (see
+ * removeUnusedUploads), and one that was uploaded but never saved on a
+ * student is deleted a day later (see removeAbandonedUploads).
+ *
+ * Server-only: import this from route handlers, never from client components.
+ */
+import { createHash } from "crypto"
+import { promises as fs } from "fs"
+import path from "path"
+import sharp from "sharp"
+import { ApiError } from "./errors"
+import { AVATAR_SIZE, validateImageFile } from "@/lib/profile-images"
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), "data", "uploads")
+
+const UPLOAD_URL_PREFIX = "/api/uploads/"
+
+// What saveImage produces; anything else is refused by readUpload
+const FILE_NAME_PATTERN = /^[a-f0-9]{32}\.webp$/
+
+const INLINE_IMAGE_PATTERN = /^data:(image\/[\w+.-]+);base64,(.*)$/s
+
+// How long an upload may wait for the form it was made from to be saved
+const ABANDONED_UPLOAD_MS = 24 * 60 * 60 * 1000
+
+const invalidImage = (message) => new ApiError(400, message, { profileImage: message })
+
+// Keeps the crop inside the image; without one, the centered square is used
+function resolveCrop(crop, width, height) {
+  if (!crop) {
+    const size = Math.min(width, height)
+    return {
+      left: Math.floor((width - size) / 2),
+      top: Math.floor((height - size) / 2),
+      width: size,
+      height: size,
+    }
+  }
+
+  const values = [crop.left, crop.top, crop.width, crop.height].map(Number)
+  if (values.some((value) => !Number.isFinite(value))) {
+    throw invalidImage("Crop area must be given as left, top, width and height")
+  }
+
+  const left = Math.min(Math.max(Math.round(values[0]), 0), width - 1)
+  const top = Math.min(Math.max(Math.round(values[1]), 0), height - 1)
+  return {
+    left,
+    top,
+    width: Math.min(Math.max(Math.round(values[2]), 1), width - left),
+    height: Math.min(Math.max(Math.round(values[3]), 1), height - top),
+  }
+}
+
+/**
+ * Crops, resizes and stores an image.
+ *
+ * @param {Buffer} buffer - The original file
+ * @param {CropArea} [crop] - In the pixels of the upright image
+ * @returns {Promise<string>} The URL the avatar is served from
+ */
+async function saveImage(buffer, crop) {
+  let upright
+  try {
+    // Apply the EXIF orientation first, so the crop matches what the browser showed
+    upright = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true })
+  } catch {
+    throw invalidImage("The file is not a readable image")
+  }
+
+  const { width, height } = upright.info
+  const avatar = await sharp(upright.data)
+    .extract(resolveCrop(crop, width, height))
+    .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: "cover" })
+    .webp({ quality: 85 })
+    .toBuffer()
+
+  const name = `${createHash("sha256").update(avatar).digest("hex").slice(0, 32)}.webp`
+  await fs.mkdir(UPLOAD_DIR, { recursive: true })
+  await fs.writeFile(path.join(UPLOAD_DIR, name), avatar)
+  return `${UPLOAD_URL_PREFIX}${name}`
+}
+
+/**
+ * Stores an uploaded profile photo.
+ *
+ * @param {File} file - From a multipart request
+ * @param {CropArea} [crop]
+ */
+export async function saveProfileImage(file, crop) {
+  if (!file || typeof file === "string") {
+    throw invalidImage("Choose an image to upload")
+  }
+  const error = validateImageFile(file)
+  if (error) {
+    throw invalidImage(error)
+  }
+
+  return saveImage(Buffer.from(await file.arrayBuffer()), crop)
+}
+
+/**
+ * Replaces an image embedded as a data URL with a stored avatar, so older
+ * clients and records that still carry one end up holding only a URL.
+ * Anything else is returned unchanged.
+ *
+ * @param {string} profileImage
+ */
+export async function storeInlineImage(profileImage) {
+  const match = typeof profileImage === "string" && profileImage.match(INLINE_IMAGE_PATTERN)
+  if (!match) return profileImage
+
+  const buffer = Buffer.from(match[2], "base64")
+  const error = validateImageFile({ type: match[1], size: buffer.length })
+  if (error) {
+    throw invalidImage(error)
+  }
+  return saveImage(buffer)
+}
+
+/**
+ * Deletes the stored avatars among `urls` that no student uses any more,
+ * e.g. after a photo was replaced or its student purged. Trashed students
+ * still use theirs, since they can be restored, and one file can be shared
+ * by several students with the same photo.
+ *
+ * @param {Object} db - The database as saved
+ * @param {string[]} urls - Profile images that may no longer be used
+ */
+export async function removeUnusedUploads(db, urls) {
+  const inUse = new Set(db.students.map((student) => student.profileImage))
+  const names = [...new Set(urls)]
+    .filter((url) => typeof url === "string" && url.startsWith(UPLOAD_URL_PREFIX) && !inUse.has(url))
+    .map((url) => url.slice(UPLOAD_URL_PREFIX.length))
+    .filter((name) => FILE_NAME_PATTERN.test(name))
+
+  await Promise.all(
+    names.map((name) =>
+      fs.unlink(path.join(UPLOAD_DIR, name)).catch((error) => {
+        // The change is saved either way; a leftover file only takes up space
+        if (error.code !== "ENOENT") console.error("Error removing an unused upload:", error)
+      }),
+    ),
+  )
+}
+
+/**
+ * Deletes stored avatars that no student uses and that haven't been written
+ * for ABANDONED_UPLOAD_MS, e.g. from a form that was closed without saving.
+ * Newer ones are kept, since their form may still be open.
+ *
+ * @param {Object} db
+ */
+export async function removeAbandonedUploads(db) {
+  const inUse = new Set(db.students.map((student) => student.profileImage))
+  let names
+  try {
+    names = await fs.readdir(UPLOAD_DIR)
+  } catch (error) {
+    if (error.code === "ENOENT") return
+    throw error
+  }
+
+  const cutoff = Date.now() - ABANDONED_UPLOAD_MS
+  await Promise.all(
+    names
+      .filter((name) => FILE_NAME_PATTERN.test(name) && !inUse.has(`${UPLOAD_URL_PREFIX}${name}`))
+      .map(async (name) => {
+        const file = path.join(UPLOAD_DIR, name)
+        try {
+          if ((await fs.stat(file)).mtimeMs < cutoff) await fs.unlink(file)
+        } catch (error) {
+          if (error.code !== "ENOENT") console.error("Error removing an abandoned upload:", error)
+        }
+      }),
+  )
+}
+
+/**
+ * Reads a stored avatar back.
+ *
+ * @param {string} name - File name from the URL
+ * @returns {Promise<Buffer>}
+ */
+export async function readUpload(name) {
+  if (!FILE_NAME_PATTERN.test(name)) {
+    throw new ApiError(404, "Image not found")
+  }
+
+  try {
+    return await fs.readFile(path.join(UPLOAD_DIR, name))
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ApiError(404, "Image not found")
+    }
+    throw error
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * User accounts
+ *
+ * Admins add, edit and remove accounts; the very first admin is created
+ * from the sign-in page while there are no accounts yet. Usernames are
+ * lowercase and unique, and there is always at least one admin left.
+ * Removing an account or changing its password signs it out everywhere.
+ */
+import { randomUUID } from "crypto"
+import { readDb, updateDb } from "./db"
+import { ApiError } from "./errors"
+import { hashPassword, toPublicUser } from "./auth"
+import { validateUser } from "@/lib/permissions"
+
+function assertValid(data, options) {
+  const errors = validateUser(data, options)
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(400, "Invalid user data", errors)
+  }
+}
+
+function findOrThrow(db, id) {
+  const user = db.users.find((u) => u.id === id)
+  if (!user) {
+    throw new ApiError(404, `User ${id} not found`)
+  }
+  return user
+}
+
+// Instructors need at least one existing course; other roles have none
+function resolveCourseIds(db, role, courseIds) {
+  if (role !== "instructor") return []
+
+  const ids = [...new Set((Array.isArray(courseIds) ? courseIds : []).map(Number))]
+  if (ids.length === 0) {
+    throw new ApiError(400, "Invalid user data", { courseIds: "Choose the courses this instructor teaches" })
+  }
+  const unknown = ids.find((id) => !db.courses.some((course) => course.id === id))
+  if (unknown !== undefined) {
+    throw new ApiError(400, "Invalid user data", { courseIds: `Course ${unknown} does not exist` })
+  }
+  return ids
+}
+
+function assertKeepsAnAdmin(db, id) {
+  if (!db.users.some((user) => user.id !== id && user.role === "admin")) {
+    throw new ApiError(409, "There must always be at least one admin")
+  }
+}
+
+export async function listUsers() {
+  const db = await readDb()
+  return db.users.map(toPublicUser).sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export async function hasUsers() {
+  const db = await readDb()
+  return db.users.length > 0
+}
+
+/**
+ * @param {{ username: string, name: string, role: string, password: string, courseIds?: number[] }} data
+ * @param {{ firstAdmin?: boolean }} [options] - Only succeeds while there are no accounts yet
+ */
+export async function createUser(data, { firstAdmin = false } = {}) {
+  assertValid(data)
+  const passwordHash = await hashPassword(String(data.password))
+
+  return updateDb((db) => {
+    if (firstAdmin && db.users.length > 0) {
+      throw new ApiError(409, "The first admin has already been set up; sign in instead")
+    }
+
+    const username = String(data.username).trim().toLowerCase()
+    if (db.users.some((user) => user.username === username)) {
+      throw new ApiError(409, `The username "${username}" is taken`, { username: "This username is taken" })
+    }
+
+    const user = {
+      id: randomUUID(),
+      username,
+      name: data.name.trim(),
+      role: data.role,
+      courseIds: resolveCourseIds(db, data.role, data.courseIds),
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    }
+    db.users.push(user)
+    return toPublicUser(user)
+  })
+}
+
+/**
+ * Changes a user's name, role, courses and/or password. The username never changes.
+ */
+export async function updateUser(id, data) {
+  const passwordHash = data.password ? await hashPassword(String(data.password)) : null
+
+  return updateDb((db) => {
+    const user = findOrThrow(db, id)
+    const changes = {
+      name: data.name ?? user.name,
+      role: data.role ?? user.role,
+    }
+    assertValid({ ...changes, password: data.password }, { isNew: false })
+    changes.name = changes.name.trim()
+    if (user.role === "admin" && changes.role !== "admin") {
+      assertKeepsAnAdmin(db, id)
+    }
+
+    changes.courseIds = resolveCourseIds(db, changes.role, data.courseIds ?? user.courseIds)
+    if (passwordHash) {
+      changes.passwordHash = passwordHash
+      db.logins = db.logins.filter((login) => login.userId !== id)
+    }
+    return toPublicUser(Object.assign(user, changes))
+  })
+}
+
+/**
+ * @param {string} id
+ * @param {{ user: User }} options - The admin doing it, who can't remove their own account
+ */
+export async function deleteUser(id, { user: currentUser }) {
+  return updateDb((db) => {
+    const user = findOrThrow(db, id)
+    if (user.id === currentUser.id) {
+      throw new ApiError(409, "You can't delete your own account")
+    }
+    if (user.role === "admin") {
+      assertKeepsAnAdmin(db, id)
+    }
+    db.users = db.users.filter((u) => u !== user)
+    db.logins = db.logins.filter((login) => login.userId !== id)
+  })
+}
+
+/**
+ * Takes a deleted course off its instructors. When its students moved to
+ * `reassignTo`, the instructors follow them there. Call it from inside an
+ * `updateDb` mutator.
+ */
+export function reassignInstructors(db, courseId, reassignTo) {
+  db.users
+    .filter((user) => user.courseIds.includes(courseId))
+    .forEach((user) => {
+      const courseIds = user.courseIds.filter((id) => id !== courseId)
+      if (reassignTo !== undefined && !courseIds.includes(reassignTo)) courseIds.push(reassignTo)
+      user.courseIds = courseIds
+    })
+}
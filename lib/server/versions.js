@@ -0,0 +1,38 @@
+/**
+ * Student versions
+ *
+ * Every student carries a `version` that goes up by one with each change to
+ * its fields, and the `updatedAt` time of that change. An edit can send the
+ * version it started from; if someone else has saved the student since, the
+ * edit is refused instead of quietly undoing their change (see
+ * updateStudent in ./students.js).
+ *
+ * Moving to and from the trash doesn't change any field, so it keeps the
+ * version, and so does an edit that saves every field as it was.
+ */
+import { ApiError } from "./errors"
+
+export const FIRST_VERSION = 1
+
+/**
+ * The `version` and `updatedAt` to save along with a change to `student`.
+ */
+export function nextVersion(student) {
+  return { version: (student.version ?? FIRST_VERSION) + 1, updatedAt: new Date().toISOString() }
+}
+
+/**
+ * Reads the version an edit says it started from, rejecting anything but
+ * a positive whole number with a 400. Numeric strings are accepted, so
+ * "2" matches 2.
+ *
+ * @returns {number|undefined} Undefined when the edit doesn't say
+ */
+export function parseVersion(value) {
+  if (value === undefined) return undefined
+  const version = typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value
+  if (!Number.isInteger(version) || version < FIRST_VERSION) {
+    throw new ApiError(400, "Invalid version", { version: "Version must be a positive whole number" })
+  }
+  return version
+}
@@ -0,0 +1,63 @@
+/**
+ * Comparing versions of a student
+ *
+ * Shared by the offline sync queue (lib/sync-queue.js) and the edit form's
+ * conflict view (components/conflict-resolver.jsx): both need to know which
+ * fields each side changed since a common starting point.
+ */
+import { AUDIT_FIELD_LABELS } from "./audit"
+
+// The fields StudentForm edits
+export const FORM_FIELDS = ["name", "email", "enrollments", "profileImage", "customFields"]
+
+// Compares two field values, ignoring the order of object keys
+export const sameValue = (a, b) => {
+  const normalize = (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([x], [y]) => x.localeCompare(y)))
+      : value
+  const toJson = (value) => JSON.stringify(value, (key, nested) => normalize(nested)) ?? "null"
+  return toJson(a ?? null) === toJson(b ?? null)
+}
+
+// The fields of `data` that differ from `base`
+export const changedFields = (base, data) =>
+  Object.fromEntries(Object.entries(data).filter(([field, value]) => !sameValue(value, base[field])))
+
+/**
+ * Lines up an edit that was refused as stale against the student as saved
+ * now. Lists every form field where the two differ, with the side to keep
+ * by default: the user's value where they changed the field, otherwise the
+ * saved one, so changes only the other person made aren't undone. `clash`
+ * marks fields both people changed, where only the user can pick.
+ *
+ * @param {Student} base - The student when the user started editing
+ * @param {Object} mine - The user's edit
+ * @param {Student} theirs - The student as saved now
+ * @param {string[]} [fields] - The fields the user could edit
+ * @returns {{ field: string, label: string, mine: *, theirs: *, keep: "mine"|"theirs", clash: boolean }[]}
+ */
+export function compareEdits(base, mine, theirs, fields = FORM_FIELDS) {
+  return fields.filter((field) => field in mine && !sameValue(mine[field], theirs[field])).map((field) => {
+    const mineChanged = !sameValue(mine[field], base[field])
+    return {
+      field,
+      label: AUDIT_FIELD_LABELS[field],
+      mine: mine[field],
+      theirs: theirs[field],
+      keep: mineChanged ? "mine" : "theirs",
+      clash: mineChanged && !sameValue(theirs[field], base[field]),
+    }
+  })
+}
+
+/**
+ * The changes to send again on top of `theirs` after an edit was refused as
+ * stale, or null when both people changed the same field and the user has
+ * to choose (see compareEdits).
+ *
+ * @returns {Object|null}
+ */
+export function mergeStaleEdit(base, mine, theirs, fields = FORM_FIELDS) {
+  return compareEdits(base, mine, theirs, fields).some((item) => item.clash) ? null : changedFields(base, mine)
+}
@@ -0,0 +1,129 @@
+/**
+ * Student directory export
+ *
+ * Converts a list of students into CSV, JSON or a printable PDF roster with
+ * course names resolved and dates formatted for people, not machines.
+ * Browser-only: the download helpers create object URLs and anchor elements.
+ */
+import { toCsv } from "./csv"
+import { ENROLLMENT_STATUS_LABELS, formatDateOnly } from "./enrollments"
+import { formatDate } from "./format"
+import { formatCustomFieldValue, getCustomFieldValue } from "./custom-fields"
+
+/**
+ * Flattens students into export records with resolved course names. Every
+ * record gets every custom field, blank where the student has no value, so
+ * CSV columns line up.
+ *
+ * @param {Student[]} students
+ * @param {Course[]} courses
+ * @param {CustomField[]} [customFields]
+ */
+export const buildExportRecords = (students, courses, customFields = []) => {
+  const courseName = (courseId) => courses.find((course) => course.id === courseId)?.name || "Course removed"
+
+  return students.map((student) => ({
+    id: student.id,
+    name: student.name,
+    email: student.email,
+    enrolledOn: formatDate(student.createdAt),
+    enrollments: (student.enrollments || []).map((enrollment) => ({
+      course: courseName(enrollment.courseId),
+      status: ENROLLMENT_STATUS_LABELS[enrollment.status],
+      startDate: formatDateOnly(enrollment.startDate),
+      completedDate: formatDateOnly(enrollment.completedDate),
+    })),
+    fields: Object.fromEntries(
+      customFields.map((field) => [
+        field.label,
+        formatCustomFieldValue(field, getCustomFieldValue(student.customFields, field)),
+      ]),
+    ),
+  }))
+}
+
+// "HTML Basics; CSS Mastery (Completed)" - status only shown when not active
+const describeEnrollments = (enrollments) =>
+  enrollments
+    .map((enrollment) =>
+      enrollment.status === ENROLLMENT_STATUS_LABELS.enrolled
+        ? enrollment.course
+        : `${enrollment.course} (${enrollment.status})`,
+    )
+    .join("; ")
+
+export const toStudentCsv = (records) => {
+  const fieldLabels = Object.keys(records[0]?.fields || {})
+  return toCsv([
+    ["Name", "Email", "Courses", "Enrolled On", ...fieldLabels],
+    ...records.map((record) => [
+      record.name,
+      record.email,
+      describeEnrollments(record.enrollments),
+      record.enrolledOn,
+      ...fieldLabels.map((label) => record.fields[label]),
+    ]),
+  ])
+}
+
+export const toStudentJson = (records) => JSON.stringify(records, null, 2)
+
+/**
+ * Builds a sign-in sheet PDF: one row per student with an empty signature
+ * column. jsPDF is loaded on demand so it isn't part of the page bundle.
+ *
+ * @param {Object[]} records - Output of buildExportRecords
+ * @param {string} title - Heading printed at the top of every page
+ * @returns {Promise<Blob>}
+ */
+export const toStudentRosterPdf = async (records, title) => {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([import("jspdf"), import("jspdf-autotable")])
+
+  const doc = new jsPDF({ orientation: "portrait", unit: "pt", format: "a4" })
+  const printedOn = formatDate(new Date())
+
+  autoTable(doc, {
+    head: [["#", "Name", "Email", "Courses", "Signature"]],
+    body: records.map((record, index) => [
+      index + 1,
+      record.name,
+      record.email,
+      describeEnrollments(record.enrollments),
+      "",
+    ]),
+    margin: { top: 70 },
+    styles: { fontSize: 9, cellPadding: 6, minCellHeight: 28, valign: "middle" },
+    headStyles: { fillColor: [34, 120, 90] },
+    columnStyles: { 0: { cellWidth: 24 }, 4: { cellWidth: 110 } },
+    didDrawPage: ({ pageNumber }) => {
+      doc.setFontSize(16)
+      doc.text(title, 40, 40)
+      doc.setFontSize(9)
+      doc.text(`${records.length} students · Printed ${printedOn} · Page ${pageNumber}`, 40, 56)
+    },
+  })
+
+  return doc.output("blob")
+}
+
+/**
+ * Triggers a browser download of `content` as `filename`.
+ *
+ * @param {string|Blob} content
+ * @param {string} filename
+ * @param {string} [type] - MIME type, used when content is a string
+ */
+export const downloadFile = (content, filename, type = "text/plain") => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
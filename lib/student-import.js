@@ -0,0 +1,126 @@
+/**
+ * Student import helpers
+ *
+ * Turns rows from a CSV/XLSX file into student records and checks each one
+ * with the same rules StudentForm uses (see lib/validation.js). The import
+ * wizard uses this to build its preview; nothing here talks to the API.
+ */
+import { validateStudent } from "./validation"
+import { today } from "./enrollments"
+
+// Fields a spreadsheet column can be mapped to
+export const IMPORT_FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "course", label: "Course(s)" },
+]
+
+// Header names recognized automatically when the file is loaded
+const HEADER_ALIASES = {
+  name: ["name", "full name", "student", "student name"],
+  email: ["email", "e-mail", "email address", "mail"],
+  course: ["course", "courses", "course name", "course id", "class"],
+}
+
+/**
+ * Guesses which column holds each field by looking at the header row.
+ * Unmatched fields map to -1.
+ *
+ * @param {string[]} headers
+ * @returns {{ name: number, email: number, course: number }}
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map((header) => String(header).trim().toLowerCase())
+  const mapping = {}
+
+  IMPORT_FIELDS.forEach(({ key }) => {
+    mapping[key] = normalized.findIndex((header) => HEADER_ALIASES[key].includes(header))
+  })
+
+  return mapping
+}
+
+/**
+ * Resolves a course cell to course IDs. A cell may list several courses
+ * separated by ";" or "|", each given by name (case-insensitive) or ID.
+ *
+ * @returns {{ courseIds: number[], error: string }}
+ */
+export const resolveCourseCell = (value, courses) => {
+  const names = String(value || "")
+    .split(/[;|]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+
+  const courseIds = []
+  for (const name of names) {
+    const course = courses.find(
+      (c) => c.name.toLowerCase() === name.toLowerCase() || c.id.toString() === name,
+    )
+    if (!course) {
+      return { courseIds, error: `Unknown course "${name}"` }
+    }
+    if (course.archived) {
+      return { courseIds, error: `${course.name} is archived` }
+    }
+    if (!courseIds.includes(course.id)) {
+      courseIds.push(course.id)
+    }
+  }
+
+  return { courseIds, error: "" }
+}
+
+/**
+ * Builds the import preview: one entry per data row with the student it
+ * would create and any errors that stop it from being imported.
+ *
+ * Emails already on the roster, or repeated earlier in the file, are
+ * flagged as errors so duplicates are never imported.
+ *
+ * @param {string[][]} rows - Data rows (without the header row)
+ * @param {{ name: number, email: number, course: number }} mapping - Column index per field
+ * @param {Course[]} courses
+ * @param {Set<string>} existingEmails - Lowercased emails already on the roster
+ */
+export const buildImportPreview = (rows, mapping, courses, existingEmails) => {
+  const seenEmails = new Map()
+
+  return rows.map((cells, index) => {
+    const cell = (field) => (mapping[field] >= 0 ? String(cells[mapping[field]] ?? "").trim() : "")
+    // Row 1 is the header, so the first data row is row 2 in the spreadsheet
+    const rowNumber = index + 2
+
+    const { courseIds, error: courseError } = resolveCourseCell(cell("course"), courses)
+    const data = {
+      name: cell("name"),
+      email: cell("email").toLowerCase(),
+      enrollments: courseIds.map((courseId) => ({
+        courseId,
+        status: "enrolled",
+        startDate: today(),
+        completedDate: null,
+      })),
+    }
+
+    const errors = validateStudent(data)
+    if (courseError) {
+      errors.enrollments = courseError
+    }
+
+    let duplicate = false
+    if (data.email && !errors.email) {
+      if (existingEmails.has(data.email)) {
+        errors.email = "A student with this email already exists"
+        duplicate = true
+      } else if (seenEmails.has(data.email)) {
+        errors.email = `Same email as row ${seenEmails.get(data.email)}`
+        duplicate = true
+      } else {
+        seenEmails.set(data.email, rowNumber)
+      }
+    }
+
+    return { rowNumber, data, errors, duplicate, valid: Object.keys(errors).length === 0 }
+  })
+}
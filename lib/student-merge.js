@@ -0,0 +1,100 @@
+/**
+ * Student merge helpers
+ *
+ * Merging folds two or more records for the same person into one. The
+ * oldest record survives (keeping its ID and `createdAt`); for every other
+ * field the caller picks which student's value wins. Enrollments can also be
+ * combined from all of them, and custom fields always are (the survivor's
+ * value wins where several students have one). The IDs of the merged-away
+ * records are kept on the survivor in `mergedFrom`.
+ *
+ * Used by the merge dialog for its preview and by the API to build the
+ * saved record, so both always agree on the result.
+ */
+import { combineEnrollments } from "./enrollments"
+
+// Fields the user chooses a value for, in display order
+export const MERGE_FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "profileImage", label: "Profile image" },
+  { key: "notes", label: "Notes" },
+  { key: "enrollments", label: "Courses" },
+]
+
+// Choice for `enrollments` that keeps every student's courses
+export const COMBINE_ENROLLMENTS = "combine"
+
+/**
+ * The record that survives a merge: the one created first.
+ *
+ * @param {Student[]} students
+ */
+export const getMergeSurvivor = (students) =>
+  students.reduce((oldest, student) => (new Date(student.createdAt) < new Date(oldest.createdAt) ? student : oldest))
+
+/**
+ * Default choices: the survivor's values, with enrollments combined.
+ *
+ * @param {Student[]} students
+ * @returns {Object<string, string>} Field key to the ID of the student whose value wins
+ */
+export const getDefaultMergeChoices = (students) => {
+  const survivor = getMergeSurvivor(students)
+  return {
+    name: survivor.id,
+    email: survivor.id,
+    profileImage: survivor.id,
+    notes: survivor.id,
+    enrollments: COMBINE_ENROLLMENTS,
+  }
+}
+
+/**
+ * Checks that every choice names one of the students being merged.
+ * Returns an error message, or an empty string when the choices are usable.
+ */
+export const validateMergeChoices = (students, choices) => {
+  const ids = new Set(students.map((student) => student.id))
+  for (const { key, label } of MERGE_FIELDS) {
+    const choice = choices[key]
+    if (choice === undefined) continue
+    if (key === "enrollments" && choice === COMBINE_ENROLLMENTS) continue
+    if (!ids.has(choice)) {
+      return `${label} must come from one of the students being merged`
+    }
+  }
+  return ""
+}
+
+/**
+ * Builds the single record that replaces `students`.
+ *
+ * @param {Student[]} students - At least two students
+ * @param {Object<string, string>} choices - See getDefaultMergeChoices; missing fields use the default
+ * @returns {Student}
+ */
+export const buildMergedStudent = (students, choices = {}) => {
+  const survivor = getMergeSurvivor(students)
+  const resolved = { ...getDefaultMergeChoices(students), ...choices }
+  const valueFrom = (key) => students.find((student) => student.id === resolved[key])[key]
+
+  const others = students.filter((student) => student.id !== survivor.id)
+
+  return {
+    ...survivor,
+    name: valueFrom("name"),
+    email: valueFrom("email"),
+    profileImage: valueFrom("profileImage") || "",
+    notes: valueFrom("notes") || "",
+    customFields: Object.assign({}, ...others.map((student) => student.customFields), survivor.customFields),
+    enrollments:
+      resolved.enrollments === COMBINE_ENROLLMENTS
+        ? combineEnrollments(students.map((student) => student.enrollments || []))
+        : valueFrom("enrollments"),
+    mergedFrom: [
+      ...(survivor.mergedFrom || []),
+      ...others.flatMap((student) => [student.id, ...(student.mergedFrom || [])]),
+    ],
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Student directory query
+ *
+ * The search, filters, sort order and page of the directory, as carried in
+ * both the dashboard URL and `GET /api/students`:
+ *
+ *   ?q=patil&course=2&notCourse=3&from=2025-01-01&noPhoto=true&sort=-createdAt&page=3
+ *
+ * `sort` is a column key, prefixed with "-" for descending order. Parsing is
+ * forgiving: unknown or malformed values fall back to the defaults, so a
+ * hand-edited or outdated link still opens a sensible view.
+ *
+ * @typedef {Object} StudentQuery
+ * @property {string} q - Text to find in name or email ("" for everyone)
+ * @property {number|null} course - Only students with an enrollment in this course
+ * @property {number|null} notCourse - Only students with no enrollment in this course
+ * @property {string} from - Only students added on or after this date ("YYYY-MM-DD", "" for no limit)
+ * @property {string} to - Only students added on or before this date ("YYYY-MM-DD", "" for no limit)
+ * @property {boolean} noPhoto - Only students without a profile image
+ * @property {string} sort - Column key, "-" prefixed for descending
+ * @property {number} page - 1-based page number
+ * @property {number} pageSize - Students per page, one of PAGE_SIZES
+ */
+
+export const SORT_FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "course", label: "Course" },
+  { key: "createdAt", label: "Date added" },
+]
+
+export const PAGE_SIZES = [25, 50, 100]
+
+export const DEFAULT_STUDENT_QUERY = {
+  q: "",
+  course: null,
+  notCourse: null,
+  from: "",
+  to: "",
+  noPhoto: false,
+  sort: "name",
+  page: 1,
+  pageSize: PAGE_SIZES[0],
+}
+
+const parsePositiveInt = (value) => {
+  const number = Number.parseInt(value)
+  return number > 0 ? number : null
+}
+
+// Filters beyond the search box and course dropdown, shown in the advanced filters panel
+export const ADVANCED_FILTER_KEYS = ["notCourse", "from", "to", "noPhoto"]
+
+const parseDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !Number.isNaN(new Date(value).getTime()) ? value : ""
+
+/**
+ * Splits a sort value into its column and direction.
+ *
+ * @returns {{ key: string, direction: "asc" | "desc" }}
+ */
+export const parseSort = (sort) => {
+  const descending = sort.startsWith("-")
+  return { key: descending ? sort.slice(1) : sort, direction: descending ? "desc" : "asc" }
+}
+
+/**
+ * Reads a query from URL search params.
+ *
+ * @param {URLSearchParams} params
+ * @returns {StudentQuery}
+ */
+export const parseStudentQuery = (params) => {
+  const sort = params.get("sort") || ""
+  const pageSize = parsePositiveInt(params.get("pageSize"))
+
+  return {
+    q: (params.get("q") || "").trim(),
+    course: parsePositiveInt(params.get("course")),
+    notCourse: parsePositiveInt(params.get("notCourse")),
+    from: parseDate(params.get("from")),
+    to: parseDate(params.get("to")),
+    noPhoto: params.get("noPhoto") === "true",
+    sort: SORT_FIELDS.some(({ key }) => key === parseSort(sort).key) ? sort : DEFAULT_STUDENT_QUERY.sort,
+    page: parsePositiveInt(params.get("page")) || DEFAULT_STUDENT_QUERY.page,
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULT_STUDENT_QUERY.pageSize,
+  }
+}
+
+/**
+ * Writes a query as URL search params, leaving out values that match the
+ * defaults so shared links stay short.
+ *
+ * @param {Partial<StudentQuery>} query
+ * @returns {URLSearchParams}
+ */
+export const toStudentSearchParams = (query) => {
+  const params = new URLSearchParams()
+  Object.entries({ ...DEFAULT_STUDENT_QUERY, ...query }).forEach(([key, value]) => {
+    if (value !== null && value !== "" && value !== DEFAULT_STUDENT_QUERY[key]) {
+      params.set(key, String(value))
+    }
+  })
+  return params
+}
+
+/**
+ * How many advanced filters a query uses, for the badge on the filters button.
+ *
+ * @param {StudentQuery} query
+ */
+export const countAdvancedFilters = (query) =>
+  ADVANCED_FILTER_KEYS.filter((key) => query[key] !== DEFAULT_STUDENT_QUERY[key]).length
+
+/**
+ * The search, filters and sort of a query without its paging - what a saved
+ * filter preset stores.
+ *
+ * @param {Partial<StudentQuery>} query
+ * @returns {URLSearchParams}
+ */
+export const toFilterParams = (query) =>
+  toStudentSearchParams({ ...query, page: DEFAULT_STUDENT_QUERY.page, pageSize: DEFAULT_STUDENT_QUERY.pageSize })
@@ -0,0 +1,169 @@
+/**
+ * Sync queue for changes made offline
+ *
+ * Adding, editing and deleting students still works while the server
+ * can't be reached: the change is queued in IndexedDB (lib/offline-store.js)
+ * and replayed, in order, once the connection is back.
+ *
+ * An edit remembers the student as it was when the edit was made (`base`)
+ * and only sends the fields the user actually changed. If someone else
+ * changed one of those same fields in the meantime, or the student is
+ * gone, the change is held back as a conflict for the user to resolve
+ * instead of silently overwriting their work.
+ *
+ * @typedef {Object} QueuedChange
+ * @property {number} id - Queue position, assigned by IndexedDB
+ * @property {"create"|"update"|"delete"} type
+ * @property {string} [studentId] - For updates and deletes
+ * @property {string} studentName - For messages, e.g. "Edit to Priya Shah"
+ * @property {Object} [data] - The new student, or the changed fields of an update
+ * @property {Student} [base] - For updates, the student before the change
+ * @property {string} queuedAt - ISO timestamp
+ * @property {string} [conflict] - Why the change couldn't be applied; set once it has been tried
+ */
+import { studentsAPI, isOfflineError, NotFoundError } from "./api"
+import { AUDIT_FIELD_LABELS } from "./audit"
+import { sameValue, changedFields } from "./student-conflicts"
+import { listQueue, addToQueue, replaceInQueue, removeFromQueue } from "./offline-store"
+
+export const listQueuedChanges = listQueue
+
+/**
+ * Queues a change. Further edits to a student that already has an edit
+ * waiting are folded into that one, and deleting such a student replaces
+ * its edit, so the queue holds at most one change per student.
+ *
+ * @param {{ type: "create"|"update"|"delete", student?: Student, data?: Object }} change - `student` is the
+ *   record being edited or deleted, as currently shown
+ */
+export async function queueChange({ type, student, data }) {
+  const queued = await listQueue()
+  const waiting = student && queued.find((change) => change.studentId === student.id && !change.conflict)
+  const queuedAt = new Date().toISOString()
+
+  if (type === "create") {
+    return addToQueue({ type, studentName: data.name, data, queuedAt })
+  }
+
+  if (type === "update") {
+    const base = waiting?.base ?? student
+    const fields = changedFields(base, { ...waiting?.data, ...data })
+    if (waiting) {
+      return replaceInQueue({ ...waiting, studentName: data.name ?? waiting.studentName, data: fields, queuedAt })
+    }
+    return addToQueue({ type, studentId: student.id, studentName: student.name, data: fields, base, queuedAt })
+  }
+
+  if (waiting) await removeFromQueue(waiting.id)
+  return addToQueue({ type, studentId: student.id, studentName: student.name, queuedAt })
+}
+
+/**
+ * Why `change` can't be applied to the student as the server has it now, or null when it can.
+ */
+function findConflict(change, current) {
+  const clashes = Object.keys(change.data).filter(
+    (field) => !sameValue(current[field], change.base[field]) && !sameValue(current[field], change.data[field]),
+  )
+  if (clashes.length === 0) return null
+  const labels = clashes.map((field) => AUDIT_FIELD_LABELS[field] ?? field)
+  return `Someone else changed ${labels.join(", ")} while you were offline`
+}
+
+/**
+ * Sends one change to the server.
+ *
+ * @param {QueuedChange} change
+ * @param {{ force?: boolean }} [options] - Apply an update even though it conflicts
+ * @returns {Promise<string | null>} A conflict message, or null once applied
+ */
+async function applyChange(change, { force = false } = {}) {
+  try {
+    if (change.type === "create") {
+      await studentsAPI.create(change.data)
+    } else if (change.type === "update") {
+      // The version checked is sent along, so a change saved in between is refused rather than overwritten
+      let version
+      if (!force) {
+        const current = await studentsAPI.get(change.studentId)
+        const conflict = findConflict(change, current)
+        if (conflict) return conflict
+        version = current.version
+      }
+      if (Object.keys(change.data).length > 0) await studentsAPI.update(change.studentId, { ...change.data, version })
+    } else {
+      await studentsAPI.remove(change.studentId)
+    }
+    return null
+  } catch (err) {
+    if (isOfflineError(err)) throw err
+    // Deleting a student that is already gone is what the user wanted anyway
+    if (change.type === "delete" && err instanceof NotFoundError) return null
+    if (err instanceof NotFoundError) return "This student has been deleted"
+    const fieldErrors = err.details ? Object.values(err.details).join(" ") : ""
+    return fieldErrors || err.message
+  }
+}
+
+/**
+ * Replays queued changes in order. Conflicts are marked and skipped;
+ * losing the connection again stops the run and leaves the rest queued.
+ *
+ * @returns {Promise<{ synced: number, conflicts: number }>}
+ */
+export async function replayQueue() {
+  const result = { synced: 0, conflicts: 0 }
+  const queued = (await listQueue()).filter((change) => !change.conflict)
+
+  for (const change of queued) {
+    try {
+      const conflict = await applyChange(change)
+      if (conflict) {
+        await replaceInQueue({ ...change, conflict })
+        result.conflicts++
+      } else {
+        await removeFromQueue(change.id)
+        result.synced++
+      }
+    } catch (err) {
+      if (isOfflineError(err)) break
+      throw err
+    }
+  }
+  return result
+}
+
+/**
+ * Settles a conflicting change: `keepMine` applies it over the other
+ * changes (creates and deletes are simply tried again), otherwise it is dropped.
+ *
+ * @returns {Promise<string | null>} A new conflict message when it still can't be applied
+ */
+export async function resolveConflict(change, { keepMine }) {
+  if (keepMine) {
+    const conflict = await applyChange(change, { force: true })
+    if (conflict) {
+      await replaceInQueue({ ...change, conflict })
+      return conflict
+    }
+  }
+  await removeFromQueue(change.id)
+  return null
+}
+
+/**
+ * Shows `students` the way they will be once the queued edits and deletes
+ * are synced. New students only appear after syncing, since the server
+ * assigns their IDs.
+ *
+ * @param {Student[]} students
+ * @param {QueuedChange[]} changes
+ */
+export function applyQueuedChanges(students, changes) {
+  return students
+    .filter((student) => !changes.some((change) => change.type === "delete" && change.studentId === student.id))
+    .map((student) => {
+      const edit = changes.find((change) => change.type === "update" && change.studentId === student.id)
+      return edit ? { ...student, ...edit.data } : student
+    })
+}
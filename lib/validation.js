@@ -0,0 +1,177 @@
+/**
+ * Shared validation rules
+ *
+ * Used by both the StudentForm (client) and the API route handlers (server)
+ * so a record that passes in the browser is never rejected for a different
+ * reason on the server, and vice versa.
+ */
+import { validateEnrollments, isDateOnly } from "./enrollments"
+import { validateCustomFieldValues } from "./custom-fields"
+import { validateProfileImageUrl } from "./profile-images"
+
+export const NOTES_MAX_LENGTH = 2000
+
+// Email validation regex
+export const validateEmail = (email) => {
+  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  return re.test(email)
+}
+
+/**
+ * Validates student fields and returns an errors object keyed by field name.
+ * An empty object means the data is valid.
+ *
+ * Custom field values (see lib/custom-fields.js) are checked against
+ * `options.customFields`; pass `checkRequired: false` when the change leaves
+ * them alone, so a field made required later doesn't block unrelated edits.
+ *
+ * @param {{ name?: string, email?: string, enrollments?: Enrollment[], profileImage?: string, notes?: string, customFields?: Object }} data
+ * @param {{ customFields?: CustomField[], checkRequired?: boolean }} [options]
+ * @returns {Object<string, string>}
+ */
+export const validateStudent = (data, { customFields = [], checkRequired = true } = {}) => {
+  const errors = {}
+  const name = (data.name || "").trim()
+  const email = (data.email || "").trim()
+
+  // Name validation
+  if (!name) {
+    errors.name = "Name is required"
+  } else if (name.length < 2) {
+    errors.name = "Name must be at least 2 characters"
+  }
+
+  // Email validation
+  if (!email) {
+    errors.email = "Email is required"
+  } else if (!validateEmail(email)) {
+    errors.email = "Please enter a valid email address"
+  }
+
+  // Enrollment validation
+  const enrollmentError = validateEnrollments(data.enrollments)
+  if (enrollmentError) {
+    errors.enrollments = enrollmentError
+  }
+
+  const profileImageError = data.profileImage !== undefined && validateProfileImageUrl(data.profileImage)
+  if (profileImageError) {
+    errors.profileImage = profileImageError
+  }
+
+  if ((data.notes || "").length > NOTES_MAX_LENGTH) {
+    errors.notes = `Notes must be ${NOTES_MAX_LENGTH} characters or fewer`
+  }
+
+  Object.assign(errors, validateCustomFieldValues(customFields, data.customFields, { checkRequired }))
+
+  return errors
+}
+
+/**
+ * Finds another student already using `email`, ignoring case like the API
+ * does when it stores emails.
+ *
+ * @param {string} email
+ * @param {Student[]} students - Students to check against
+ * @param {string} [ignoreId] - The student being edited, which may keep its own email
+ * @returns {Student | undefined}
+ */
+export const findEmailOwner = (email, students, ignoreId) => {
+  const normalized = (email || "").trim().toLowerCase()
+  return students.find((student) => student.id !== ignoreId && student.email.toLowerCase() === normalized)
+}
+
+export const DUPLICATE_EMAIL_ERROR = "A student with this email already exists"
+
+/**
+ * Validates course fields and returns an errors object keyed by field name.
+ *
+ * @param {{ name?: string }} data
+ * @returns {Object<string, string>}
+ */
+export const validateCourse = (data) => {
+  const errors = {}
+  const name = typeof data.name === "string" ? data.name.trim() : ""
+
+  if (data.name != null && typeof data.name !== "string") {
+    errors.name = "Course name must be text"
+  } else if (!name) {
+    errors.name = "Course name is required"
+  } else if (name.length < 2) {
+    errors.name = "Course name must be at least 2 characters"
+  }
+
+  return errors
+}
+
+/**
+ * Validates course session fields and returns an errors object keyed by field name.
+ *
+ * @param {{ date?: string, topic?: string }} data
+ * @returns {Object<string, string>}
+ */
+export const validateSession = (data) => {
+  const errors = {}
+  const topic = typeof data.topic === "string" ? data.topic.trim() : ""
+
+  if (!data.date) {
+    errors.date = "Session date is required"
+  } else if (!isDateOnly(data.date)) {
+    errors.date = "Session date must be a valid date"
+  }
+
+  if (data.topic != null && typeof data.topic !== "string") {
+    errors.topic = "Topic must be text"
+  } else if (!topic) {
+    errors.topic = "Topic is required"
+  } else if (topic.length > 100) {
+    errors.topic = "Topic must be 100 characters or fewer"
+  }
+
+  return errors
+}
+
+/**
+ * Validates assessment fields and returns an errors object keyed by field name.
+ *
+ * @param {{ name?: string, maxScore?: number, weight?: number }} data
+ * @returns {Object<string, string>}
+ */
+export const validateAssessment = (data) => {
+  const errors = {}
+  const name = typeof data.name === "string" ? data.name.trim() : ""
+
+  if (data.name != null && typeof data.name !== "string") {
+    errors.name = "Assessment name must be text"
+  } else if (!name) {
+    errors.name = "Assessment name is required"
+  } else if (name.length > 100) {
+    errors.name = "Assessment name must be 100 characters or fewer"
+  }
+
+  if (typeof data.maxScore !== "number" || !Number.isFinite(data.maxScore) || data.maxScore <= 0) {
+    errors.maxScore = "Max score must be a number greater than 0"
+  }
+
+  if (typeof data.weight !== "number" || !Number.isFinite(data.weight) || data.weight <= 0) {
+    errors.weight = "Weight must be a number greater than 0"
+  }
+
+  return errors
+}
+
+/**
+ * Checks one score against its assessment's max score.
+ *
+ * @returns {string|null} The error message, or null if the score is valid
+ */
+export const validateScore = (score, maxScore) => {
+  if (typeof score !== "number" || !Number.isFinite(score)) {
+    return "Score must be a number"
+  }
+  if (score < 0 || score > maxScore) {
+    return `Score must be between 0 and ${maxScore}`
+  }
+  return null
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server"
+
+// Same name as SESSION_COOKIE in lib/server/auth.js, which can't be imported here (it reads the database)
+const SESSION_COOKIE = "student-dashboard-session"
+
+/**
+ * Sends visitors without a session cookie to the sign-in page, and answers
+ * API calls without one with a 401. Whether the session is actually valid
+ * is checked by each route handler (see requireUser in lib/server/auth.js).
+ */
+export function middleware(request) {
+  if (request.cookies.has(SESSION_COOKIE)) {
+    return NextResponse.next()
+  }
+
+  const { pathname, search } = request.nextUrl
+  if (pathname.startsWith("/api/")) {
+    return NextResponse.json({ error: "Please sign in" }, { status: 401 })
+  }
+
+  const loginUrl = new URL("/login", request.url)
+  loginUrl.searchParams.set("next", pathname + search)
+  return NextResponse.redirect(loginUrl)
+}
+
+export const config = {
+  // Everything except the sign-in page and API, Next.js assets and files in public/
+  matcher: ["/((?!login|api/auth/|_next/|.*\\.(?:png|jpe?g|svg|ico|webp)$).*)"],
+}